@@ -1,92 +1,255 @@
 /**
  * Database Configuration and Connection
- * Handles SQLite database initialization and connection management
+ * Handles SQLite connection management; the schema is created by the
+ * migrations in backend/migrations
  */
 
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
-// Database file path - stores data in database folder
-const DB_PATH = path.join(__dirname, '../../database/snippets.db');
+// Backend directory; relative DB_PATH values are resolved from here
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Database used when neither DB_PATH nor the config file names one
+const DEFAULT_DB_PATH = path.join(BACKEND_DIR, '../database/snippets.db');
+
+// Optional JSON config file, e.g. { "database": { "path": "../database/snippets.db" } }
+const DEFAULT_CONFIG_FILE = path.join(BACKEND_DIR, 'snippets.config.json');
+
+// SQLite filename for a private database that lives only in memory
+const MEMORY = ':memory:';
+
+// How long a statement waits for another process's write lock (ms)
+const BUSY_TIMEOUT = 5000;
+
+// Marks code running inside a transaction; the store is the database the
+// transaction belongs to, whose statements then skip that database's queue
+const transactionScope = new AsyncLocalStorage();
 
 /**
- * Creates and returns a database connection
- * Uses verbose mode for detailed error logging
- * @returns {sqlite3.Database} Database connection object
+ * Read the database path from a JSON config file
+ * @param {string} file - Config file path
+ * @returns {string|null} Path resolved against the file's directory, or null
+ * @throws {Error} When the file exists but isn't valid JSON
  */
-const createConnection = () => {
-  return new sqlite3.Database(DB_PATH, (err) => {
-    if (err) {
-      console.error('Error connecting to database:', err.message);
-      throw err;
-    }
-    console.log('Connected to SQLite database');
-  });
+const readConfiguredPath = (file) => {
+  if (!fs.existsSync(file)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+
+  const configured = config.database && config.database.path;
+  if (!configured) return null;
+
+  return configured === MEMORY ? MEMORY : path.resolve(path.dirname(file), configured);
 };
 
 /**
- * Initialize database with required tables
- * Creates snippets, tags, and snippet_tags tables if they don't exist
+ * Work out which database file to use
+ * DB_PATH wins over the config file (SNIPPETS_CONFIG, or
+ * backend/snippets.config.json), which wins over database/snippets.db.
+ * Either may be ':memory:' for a throwaway in-memory database.
+ * @param {Object} env - Environment variables
+ * @returns {string} Absolute database path, or ':memory:'
  */
-const initializeDatabase = () => {
-  const db = createConnection();
-
-  // Enable foreign keys support in SQLite
-  db.run('PRAGMA foreign_keys = ON');
-
-  // Create snippets table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS snippets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      code TEXT NOT NULL,
-      language TEXT DEFAULT 'javascript',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating snippets table:', err.message);
-    } else {
-      console.log('Snippets table ready');
+const resolveDatabasePath = (env = process.env) => {
+  if (env.DB_PATH) {
+    return env.DB_PATH === MEMORY ? MEMORY : path.resolve(BACKEND_DIR, env.DB_PATH);
+  }
+
+  const configFile = env.SNIPPETS_CONFIG
+    ? path.resolve(env.SNIPPETS_CONFIG)
+    : DEFAULT_CONFIG_FILE;
+
+  return readConfiguredPath(configFile) || DEFAULT_DB_PATH;
+};
+
+// Database file path, or ':memory:'
+const DB_PATH = resolveDatabasePath();
+
+/**
+ * Create a database handle with its own connection and statement queue
+ * The connection opens on first use, runs statements one at a time in the
+ * order they are queued, enforces foreign keys (and their cascades), uses
+ * WAL mode so readers in other processes don't block writers, and waits up
+ * to BUSY_TIMEOUT for locks instead of failing with SQLITE_BUSY.
+ * An in-memory database is private to its connection and is emptied when
+ * the connection closes.
+ * @param {string} filename - Path of the database file
+ * @returns {Object} { run, get, all, exec, transaction, close, getConnection }
+ */
+const createDatabase = (filename) => {
+  const database = {};
+
+  // Opened on first use, and again after close()
+  let connection = null;
+
+  // Tail of the queue of statements and transactions waiting for the connection
+  let queue = Promise.resolve();
+
+  /**
+   * Get the connection, opening it on first use
+   * @returns {sqlite3.Database} Database connection object
+   */
+  const getConnection = () => {
+    if (connection) return connection;
+
+    connection = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        console.error('Error connecting to database:', err.message);
+        throw err;
+      }
+    });
+
+    connection.serialize();
+    connection.run(`PRAGMA busy_timeout = ${BUSY_TIMEOUT}`);
+    connection.run('PRAGMA foreign_keys = ON');
+    if (filename !== MEMORY) {
+      connection.run('PRAGMA journal_mode = WAL');
     }
-  });
-
-  // Create tags table with unique constraint
-  db.run(`
-    CREATE TABLE IF NOT EXISTS tags (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating tags table:', err.message);
-    } else {
-      console.log('Tags table ready');
+
+    return connection;
+  };
+
+  /**
+   * Run a task once every statement and transaction queued before it is done
+   * Tasks inside one of this database's transactions run immediately, since
+   * the transaction already holds the connection.
+   * @param {Function} task - Function returning a Promise
+   * @returns {Promise<*>} Result of the task
+   */
+  const enqueue = (task) => {
+    if (transactionScope.getStore() === database) {
+      return task();
     }
-  });
-
-  // Create junction table for many-to-many relationship
-  db.run(`
-    CREATE TABLE IF NOT EXISTS snippet_tags (
-      snippet_id INTEGER,
-      tag_id INTEGER,
-      FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
-      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
-      PRIMARY KEY (snippet_id, tag_id)
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating snippet_tags table:', err.message);
-    } else {
-      console.log('Snippet_tags table ready');
+
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Execute a statement that returns no rows
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  const run = (sql, params = []) => {
+    return enqueue(() => new Promise((resolve, reject) => {
+      getConnection().run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }));
+  };
+
+  /**
+   * Fetch the first row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>} Row, or undefined when there is none
+   */
+  const get = (sql, params = []) => {
+    return enqueue(() => new Promise((resolve, reject) => {
+      getConnection().get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }));
+  };
+
+  /**
+   * Fetch every row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Array>} Rows
+   */
+  const all = (sql, params = []) => {
+    return enqueue(() => new Promise((resolve, reject) => {
+      getConnection().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
+  };
+
+  /**
+   * Execute a script of several statements, such as a .sql file
+   * @param {string} sql - SQL statements separated by semicolons
+   * @returns {Promise<void>} Resolves once every statement has run
+   */
+  const exec = (sql) => {
+    return enqueue(() => new Promise((resolve, reject) => {
+      getConnection().exec(sql, err => (err ? reject(err) : resolve()));
+    }));
+  };
+
+  /**
+   * Run a function inside a transaction
+   * Other statements wait until the transaction ends, so concurrent requests
+   * cannot interleave with it. Model functions called from fn join the
+   * transaction. It commits when fn resolves and rolls back when fn throws.
+   * @param {Function} fn - Async function doing the work
+   * @returns {Promise<*>} Whatever fn resolves to
+   */
+  const transaction = (fn) => {
+    // Nested calls are part of the outer transaction
+    if (transactionScope.getStore() === database) {
+      return fn();
     }
-  });
 
-  db.close();
-  console.log('Database initialized successfully');
+    return enqueue(() => transactionScope.run(database, async () => {
+      await run('BEGIN IMMEDIATE');
+
+      try {
+        const result = await fn();
+        await run('COMMIT');
+        return result;
+      } catch (error) {
+        await run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }));
+  };
+
+  /**
+   * Close the connection once queued statements have finished
+   * The next query opens a new connection.
+   * @returns {Promise<void>} Resolves when the connection is closed
+   */
+  const close = () => {
+    return enqueue(() => new Promise((resolve, reject) => {
+      if (!connection) {
+        resolve();
+        return;
+      }
+
+      const closing = connection;
+      connection = null;
+      closing.close(err => (err ? reject(err) : resolve()));
+    }));
+  };
+
+  return Object.assign(database, { filename, run, get, all, exec, transaction, close, getConnection });
 };
 
+// The database shared by the whole process
+const defaultDatabase = createDatabase(DB_PATH);
+
 module.exports = {
-  createConnection,
-  initializeDatabase
-};
\ No newline at end of file
+  DB_PATH,
+  MEMORY,
+  resolveDatabasePath,
+  createDatabase,
+  defaultDatabase,
+  getConnection: defaultDatabase.getConnection,
+  run: defaultDatabase.run,
+  get: defaultDatabase.get,
+  all: defaultDatabase.all,
+  exec: defaultDatabase.exec,
+  transaction: defaultDatabase.transaction,
+  closeDatabase: defaultDatabase.close
+};
@@ -0,0 +1,192 @@
+/**
+ * Schema Migrations
+ * Applies and rolls back the numbered migrations in backend/migrations and
+ * records applied versions in the schema_migrations table.
+ *
+ * A migration file is named NNN_description.js and exports
+ * { up(db), down(db) }, where db has run/get/all. Each migration runs in its
+ * own transaction together with its schema_migrations row. Migrations that
+ * rebuild tables set disableForeignKeys so dropping a table doesn't cascade.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultDatabase } = require('./database');
+
+// Directory holding the migration files
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Matches "001_initial_schema.js"
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Runs migrate/rollback calls one after another, even across databases
+let pending = Promise.resolve();
+
+/**
+ * Run a task after every earlier migrate or rollback call has finished
+ * @param {Function} task - Function returning a Promise
+ * @returns {Promise<*>} Result of the task
+ */
+const serialize = (task) => {
+  const result = pending.then(task);
+  pending = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Load every migration file, ordered by version
+ * @param {string} directory - Directory to read
+ * @returns {Array<Object>} Migrations { version, name, up, down, disableForeignKeys }
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  return fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(directory, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ * @param {Object} db - Database from createDatabase
+ */
+const ensureMigrationsTable = (db) => {
+  return db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Get the applied migrations, oldest first
+ * @param {Object} db - Database from createDatabase
+ * @returns {Promise<Array>} Rows { version, name, applied_at }
+ */
+const getAppliedMigrations = async (db) => {
+  await ensureMigrationsTable(db);
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+};
+
+/**
+ * Run one migration step inside a transaction
+ * With disableForeignKeys, enforcement is off during the step (the pragma
+ * has no effect inside a transaction) and the result is checked before
+ * committing.
+ * @param {Object} db - Database from createDatabase
+ * @param {Object} migration - Migration being applied or rolled back
+ * @param {Function} step - Async function doing the work
+ */
+const runStep = async (db, migration, step) => {
+  if (migration.disableForeignKeys) {
+    await db.run('PRAGMA foreign_keys = OFF');
+  }
+
+  try {
+    await db.transaction(async () => {
+      await step();
+
+      if (migration.disableForeignKeys) {
+        const violations = await db.all('PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Migration ${migration.version} left rows in ${violations[0].table} with missing references`);
+        }
+      }
+    });
+  } finally {
+    if (migration.disableForeignKeys) {
+      await db.run('PRAGMA foreign_keys = ON');
+    }
+  }
+};
+
+/**
+ * Apply every migration that hasn't been applied yet
+ * @param {Object} db - Database from createDatabase (defaults to the app's)
+ * @param {Array<Object>} migrations - Migrations to consider
+ * @returns {Promise<Array>} Newly applied migrations { version, name }
+ */
+const migrate = (db = defaultDatabase, migrations = loadMigrations()) => {
+  return serialize(async () => {
+    const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+    const done = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await runStep(db, migration, async () => {
+        await migration.up(db);
+        await db.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} db - Database from createDatabase (defaults to the app's)
+ * @param {number} steps - How many migrations to roll back
+ * @param {Array<Object>} migrations - Known migrations
+ * @returns {Promise<Array>} Rolled back migrations { version, name }, newest first
+ * @throws {Error} When an applied migration has no file
+ */
+const rollback = (db = defaultDatabase, steps = 1, migrations = loadMigrations()) => {
+  return serialize(async () => {
+    const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+    const done = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) was applied but its file is missing`);
+      }
+
+      await runStep(db, migration, async () => {
+        await migration.down(db);
+        await db.run('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      });
+
+      done.push({ version: row.version, name: row.name });
+    }
+
+    return done;
+  });
+};
+
+/**
+ * List every known migration and whether it has been applied
+ * @param {Object} db - Database from createDatabase (defaults to the app's)
+ * @param {Array<Object>} migrations - Known migrations
+ * @returns {Promise<Array>} Rows { version, name, applied_at } (applied_at is null when pending)
+ */
+const getStatus = async (db = defaultDatabase, migrations = loadMigrations()) => {
+  const applied = await getAppliedMigrations(db);
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  getStatus
+};
@@ -0,0 +1,114 @@
+/**
+ * Auth Controller
+ * Handles registration, login and logout
+ */
+
+const userModel = require('../models/userModel');
+const { SESSION_COOKIE } = require('../middleware/auth');
+const { closeStreams } = require('./eventController');
+
+/**
+ * Start a session for a user and set the session cookie
+ * @param {Object} res - Express response
+ * @param {Object} user - Logged in user
+ */
+const startSession = async (res, user) => {
+  const { token, expiresAt } = await userModel.createSession(user.id);
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt
+  });
+};
+
+/**
+ * POST /api/auth/register
+ * Create an account and log it in
+ * Expected body: { username, password } (checked by the register schema)
+ */
+const register = async (req, res, next) => {
+  try {
+    const username = req.body.username.trim().toLowerCase();
+    const user = await userModel.createUser(username, req.body.password);
+    await startSession(res, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/login
+ * Log in with a username and password
+ * Expected body: { username, password } (checked by the login schema)
+ */
+const login = async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    const user = await userModel.verifyCredentials(username.trim().toLowerCase(), password);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    await startSession(res, user);
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+const logout = async (req, res, next) => {
+  try {
+    if (req.sessionToken) {
+      await userModel.deleteSession(req.sessionToken);
+      closeStreams({ sessionToken: req.sessionToken });
+    }
+
+    res.clearCookie(SESSION_COOKIE);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/auth/me
+ * Get the logged in user, or null when not logged in
+ */
+const getCurrentUser = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  logout,
+  getCurrentUser
+};
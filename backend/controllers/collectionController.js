@@ -0,0 +1,182 @@
+/**
+ * Collection Controller
+ * Handles HTTP requests and responses for collections (snippet folders)
+ */
+
+const collectionModel = require('../models/collectionModel');
+const teamModel = require('../models/teamModel');
+const { publishSnippetEvent } = require('./eventController');
+
+/**
+ * GET /api/collections
+ * List the caller's personal collections and their teams' collections
+ * Each collection has parent_id and position, so the client can build the tree
+ */
+const getCollections = async (req, res, next) => {
+  try {
+    const collections = await collectionModel.getCollectionsForUser(req.user.id);
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/collections
+ * Create a collection at the end of its parent's children
+ * Expected body: { name, parent_id, team_id } (checked by the collection schema).
+ * Top-level collections are personal unless team_id names one of the
+ * caller's teams; sub-collections always take their parent's team.
+ */
+const createCollection = async (req, res, next) => {
+  try {
+    const { name, parent_id = null, team_id = null } = req.body;
+
+    if (!parent_id && team_id && !(await teamModel.getMemberRole(team_id, req.user.id))) {
+      return res.status(422).json({
+        success: false,
+        message: 'Validation failed',
+        details: { team_id: 'You can only add collections to teams you belong to' }
+      });
+    }
+
+    const collection = await collectionModel.createCollection({
+      name,
+      parentId: parent_id ? Number(parent_id) : null,
+      teamId: team_id ? Number(team_id) : null,
+      ownerId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/collections/:id
+ * Rename a collection
+ * Expected body: { name } (checked by the collectionRename schema)
+ */
+const renameCollection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    const collection = await collectionModel.renameCollection(id, req.body.name, req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection renamed successfully',
+      data: collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/collections/:id/move
+ * Move a collection under another parent, or reorder it among its siblings
+ * Expected body: { parent_id, position } (checked by the collectionMove schema);
+ * parent_id null moves it to the top level, omitting it keeps the parent,
+ * and omitting position puts it last
+ */
+const moveCollection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parent_id, position } = req.body;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    const collection = await collectionModel.moveCollection(id, {
+      parentId: parent_id === undefined || parent_id === null ? parent_id : Number(parent_id),
+      position
+    }, req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection moved successfully',
+      data: collection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection with its sub-collections; their snippets become unfiled
+ */
+const deleteCollection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID'
+      });
+    }
+
+    const result = await collectionModel.deleteCollection(id, req.user.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+
+    result.snippetIds.forEach(snippetId => publishSnippetEvent('updated', snippetId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCollections,
+  createCollection,
+  renameCollection,
+  moveCollection,
+  deleteCollection
+};
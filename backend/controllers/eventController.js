@@ -0,0 +1,160 @@
+/**
+ * Event Controller
+ * Pushes snippet changes to open browser tabs and other clients as
+ * Server-Sent Events
+ */
+
+const snippetModel = require('../models/snippetModel');
+const userModel = require('../models/userModel');
+const tokenModel = require('../models/tokenModel');
+
+// How often idle streams get a comment so proxies keep them open
+const HEARTBEAT_INTERVAL = 30000;
+
+// Open streams { res, userId, sessionToken, tokenId, heartbeat }
+const clients = new Set();
+
+/**
+ * Write one event to a stream
+ * @param {Object} res - Express response of the stream
+ * @param {string} type - Event name
+ * @param {Object} data - Event data, sent as JSON
+ */
+const sendEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Check that the login behind a stream has not ended
+ * @param {Object} client - Open stream
+ * @returns {Promise<boolean>} True for anonymous streams and live logins
+ */
+const isSignedIn = async (client) => {
+  if (client.sessionToken) {
+    return Boolean(await userModel.getUserBySessionToken(client.sessionToken));
+  }
+  if (client.tokenId) {
+    return tokenModel.isTokenActive(client.tokenId);
+  }
+  return true;
+};
+
+/**
+ * End a stream and forget it
+ * @param {Object} client - Open stream
+ */
+const closeStream = (client) => {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+  client.res.end();
+};
+
+/**
+ * End the streams opened with a session or token, e.g. on logout or when
+ * the token is revoked
+ * @param {Object} login - { sessionToken } or { tokenId }
+ */
+const closeStreams = ({ sessionToken = null, tokenId = null }) => {
+  clients.forEach(client => {
+    if ((sessionToken && client.sessionToken === sessionToken) ||
+        (tokenId && client.tokenId === Number(tokenId))) {
+      closeStream(client);
+    }
+  });
+};
+
+/**
+ * GET /api/events
+ * Open a stream of snippet changes the caller may see: "created" and
+ * "updated" carry the snippet, "deleted" its id. A snippet that stops being
+ * visible to a caller who could see it (e.g. made private) arrives as
+ * "deleted". The
+ * stream ends when the caller's session or token does.
+ */
+const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Browsers reconnect after this many milliseconds when the stream drops
+  res.write('retry: 5000\n\n');
+
+  const client = {
+    res,
+    userId: req.user ? req.user.id : null,
+    sessionToken: req.user ? req.sessionToken : null,
+    tokenId: req.tokenId || null
+  };
+  clients.add(client);
+
+  // Logins can also expire while the stream is open
+  client.heartbeat = setInterval(async () => {
+    try {
+      if (await isSignedIn(client)) {
+        res.write(': ping\n\n');
+      } else {
+        closeStream(client);
+      }
+    } catch (error) {
+      console.error('Failed to check an event stream login:', error.message);
+    }
+  }, HEARTBEAT_INTERVAL);
+  client.heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+  });
+};
+
+/**
+ * Tell every open stream about a changed snippet
+ * Runs after the response has been sent; failures are logged, never thrown.
+ * "deleted" goes to the streams that could see the snippet before it was
+ * moved to the trash. An update that changed who can see the snippet passes
+ * its previous sharing, so streams that lost sight of it get "deleted";
+ * streams that never saw it hear nothing.
+ * @param {string} type - 'created', 'updated' or 'deleted'
+ * @param {number} snippetId - Snippet ID
+ * @param {Object} previous - Optional { owner_id, visibility, team_id } from
+ *   before an update
+ * @returns {Promise<void>} Resolves once every stream has been written to
+ */
+const publishSnippetEvent = async (type, snippetId, previous = null) => {
+  if (clients.size === 0) return;
+
+  const id = Number(snippetId);
+
+  try {
+    if (type === 'deleted') {
+      for (const client of clients) {
+        if (await snippetModel.canViewSnippet(id, client.userId, { includeDeleted: true })) {
+          sendEvent(client.res, 'deleted', { id });
+        }
+      }
+      return;
+    }
+
+    const snippet = await snippetModel.getSnippetById(id);
+    if (!snippet) return;
+
+    for (const client of clients) {
+      if (await snippetModel.canViewSnippet(id, client.userId)) {
+        sendEvent(client.res, type, { snippet });
+      } else if (type === 'updated' && previous && await snippetModel.canViewSharing(previous, client.userId)) {
+        sendEvent(client.res, 'deleted', { id });
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type} event for snippet ${id}:`, error.message);
+  }
+};
+
+module.exports = {
+  streamEvents,
+  publishSnippetEvent,
+  closeStreams
+};
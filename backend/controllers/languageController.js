@@ -0,0 +1,113 @@
+/**
+ * Language Controller
+ * Handles HTTP requests for the language registry and language detection
+ */
+
+const languageModel = require('../models/languageModel');
+const { detectLanguage } = require('../utils/languageDetection');
+const { AUTO_LANGUAGE } = require('../../shared/schemas');
+
+/**
+ * GET /api/languages
+ * Get the registered languages, grouped by category and sorted by name
+ * Query: all (true to include disabled languages), checked by the
+ * languageQuery schema
+ */
+const getLanguages = async (req, res, next) => {
+  try {
+    const languages = await languageModel.getLanguages({ includeDisabled: req.query.all === 'true' });
+
+    res.json({
+      success: true,
+      count: languages.length,
+      data: languages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/languages
+ * Add a language to the registry
+ * Expected body: { id, name, category, extensions[], prism, line_comment,
+ * block_comment_start, block_comment_end }, checked by the language schema
+ */
+const createLanguage = async (req, res, next) => {
+  try {
+    // 'auto' asks for detection, so it cannot name a language
+    if (req.body.id === AUTO_LANGUAGE) {
+      return res.status(422).json({
+        success: false,
+        message: 'Validation failed',
+        details: { id: `ID '${AUTO_LANGUAGE}' is reserved` }
+      });
+    }
+
+    const language = await languageModel.createLanguage(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Language added successfully',
+      data: language
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/languages/:id
+ * Change a language; { enabled: false } disables it
+ * Disabled languages stay on existing snippets but cannot be chosen for new
+ * ones. Expected body: any field of POST except id, plus enabled (checked by
+ * the languagePatch schema)
+ */
+const updateLanguage = async (req, res, next) => {
+  try {
+    const language = await languageModel.updateLanguage(req.params.id, req.body);
+
+    if (!language) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: language.enabled ? 'Language updated successfully' : 'Language disabled',
+      data: language
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/detect-language
+ * Guess the language of a piece of code
+ * Expected body: { code, title }, checked by the detectLanguage schema
+ * Returns the best guess among the enabled languages (null when nothing was
+ * recognized), its confidence from 0 to 1 and up to three candidates.
+ */
+const detectSnippetLanguage = async (req, res, next) => {
+  try {
+    const { code, title } = req.body;
+    const languages = await languageModel.getLanguages();
+
+    res.json({
+      success: true,
+      data: detectLanguage(code, { languages, title })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLanguages,
+  createLanguage,
+  updateLanguage,
+  detectSnippetLanguage
+};
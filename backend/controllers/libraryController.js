@@ -0,0 +1,273 @@
+/**
+ * Library Controller
+ * Handles exporting and importing the snippet library
+ */
+
+const snippetModel = require('../models/snippetModel');
+const languageModel = require('../models/languageModel');
+const formats = require('../utils/snippetFormats');
+const { transaction } = require('../config/database');
+const { chooseLanguage, resolveFiles } = require('../utils/languageDetection');
+const { schemas, validate, TITLE_MAX_LENGTH } = require('../../shared/schemas');
+const { publishSnippetEvent } = require('./eventController');
+
+// Export formats: response type, file extension and serializer, which is
+// given the snippets and the registered languages
+const EXPORT_FORMATS = {
+  json: {
+    type: 'application/json',
+    extension: 'json',
+    serialize: snippets => JSON.stringify(formats.toJsonExport(snippets), null, 2)
+  },
+  markdown: {
+    type: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    serialize: formats.toMarkdown
+  },
+  gist: {
+    type: 'application/json',
+    extension: 'gists.json',
+    serialize: (snippets, languages) => JSON.stringify(formats.toGists(snippets, languages), null, 2)
+  },
+  zip: {
+    type: 'application/zip',
+    extension: 'zip',
+    serialize: formats.toZip
+  }
+};
+
+// Import formats and how to read their `data` field, given the registered languages
+const IMPORT_PARSERS = {
+  json: data => formats.parseJsonImport(typeof data === 'string' ? JSON.parse(data) : data),
+  markdown: data => formats.parseMarkdown(typeof data === 'string' ? data : ''),
+  gist: (data, languages) => formats.parseGists(typeof data === 'string' ? JSON.parse(data) : data, languages),
+  zip: (data, languages) => formats.parseZip(Buffer.from(typeof data === 'string' ? data : '', 'base64'), languages),
+  files: formats.parseFiles
+};
+
+/**
+ * Convert an imported timestamp to SQLite's "YYYY-MM-DD HH:MM:SS" UTC form
+ * so it sorts and pages like timestamps created by the database
+ * @param {string} value - Timestamp from the import
+ * @returns {string|null} SQLite timestamp, or null when missing or invalid
+ */
+const toSqlTimestamp = (value) => {
+  if (typeof value !== 'string') return null;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/**
+ * Number a duplicate title, shortening it so "Title (n)" still fits
+ * @param {string} title - Imported title
+ * @param {number} n - Copy number
+ * @returns {string} Title such as "Retry helper (2)"
+ */
+const numberedTitle = (title, n) => {
+  const suffix = ` (${n})`;
+  return `${title.slice(0, TITLE_MAX_LENGTH - suffix.length).trimEnd()}${suffix}`;
+};
+
+/**
+ * Decide what to do with each imported record
+ * Records are checked with the same snippet schema as POST /api/snippets.
+ * Titles are compared case-insensitively with the user's snippets and with
+ * earlier records of the same import. Records without a language get a
+ * detected one, and languages must be enabled in the registry; so must the
+ * languages of each file of a multi-file record.
+ * @param {Array} records - Parsed import records
+ * @param {Array} existing - The user's snippets { id, title }
+ * @param {string} strategy - skip, overwrite, or rename
+ * @param {Array} languages - Enabled languages
+ * @returns {Array} Plan items { title, language, files, action, ... }
+ */
+const buildImportPlan = (records, existing, strategy, languages) => {
+  const existingIds = new Map(existing.map(snippet => [snippet.title.toLowerCase(), snippet.id]));
+  const taken = new Set(existingIds.keys());
+
+  return records.map(record => {
+    const bundle = record.files ? resolveFiles(record.files, languages) : { files: null };
+    const chosen = bundle.files
+      ? { language: bundle.files[0].language }
+      : chooseLanguage(record.language, record.code, record.title, languages);
+    const language = chosen.language;
+    const item = { source: record.source, title: record.title, language, files: bundle.files, record };
+
+    // Visibility is mapped on import rather than checked
+    const { errors } = validate(schemas.snippet, {
+      ...record,
+      language,
+      files: record.files || undefined,
+      visibility: undefined
+    });
+    const problem = record.error || Object.values(errors)[0] || bundle.error || chosen.error;
+
+    if (problem) {
+      return { ...item, action: 'invalid', reason: problem };
+    }
+
+    const key = record.title.toLowerCase();
+    if (!taken.has(key)) {
+      taken.add(key);
+      return { ...item, action: 'create' };
+    }
+
+    const existingId = existingIds.get(key);
+
+    if (strategy === 'rename') {
+      let n = 2;
+      while (taken.has(numberedTitle(key, n))) n++;
+      const title = numberedTitle(record.title, n);
+      taken.add(title.toLowerCase());
+      return { ...item, action: 'rename', title, original_title: record.title, existing_id: existingId };
+    }
+
+    // Only snippets already in the library can be overwritten
+    if (strategy === 'overwrite' && existingId) {
+      return { ...item, action: 'overwrite', existing_id: existingId };
+    }
+
+    return {
+      ...item,
+      action: 'skip',
+      reason: existingId ? 'Duplicate title' : 'Duplicate title within the import',
+      existing_id: existingId
+    };
+  });
+};
+
+/**
+ * Carry out an import plan for a user
+ * Everything is saved in one transaction, so a failure imports nothing.
+ * @param {Array} plan - Items from buildImportPlan
+ * @param {number} userId - Owner of the imported snippets
+ * @returns {Promise<Array>} Plan items with the resulting snippet id
+ */
+const applyImportPlan = (plan, userId) => {
+  return transaction(async () => {
+    const results = [];
+
+    for (const item of plan) {
+      const { record } = item;
+
+      if (item.action === 'create' || item.action === 'rename') {
+        const snippet = await snippetModel.createSnippet({
+          title: item.title,
+          code: record.code,
+          language: item.language,
+          tags: record.tags,
+          files: item.files,
+          // Team IDs do not carry over between libraries
+          visibility: record.visibility === 'private' || record.visibility === 'team' ? 'private' : 'public',
+          ownerId: userId,
+          createdAt: toSqlTimestamp(record.created_at)
+        });
+        results.push({ ...item, id: snippet.id });
+      } else if (item.action === 'overwrite') {
+        await snippetModel.updateSnippet(item.existing_id, {
+          code: record.code,
+          language: item.language,
+          tags: record.tags,
+          files: item.files
+        });
+        results.push({ ...item, id: item.existing_id });
+      } else {
+        results.push(item);
+      }
+    }
+
+    return results;
+  });
+};
+
+/**
+ * GET /api/export?format=json|markdown|gist|zip&search=
+ * Download the snippets the caller can see, optionally filtered by a search
+ * query, with tags and timestamps
+ */
+const exportLibrary = async (req, res, next) => {
+  try {
+    const { format = 'json', search = '' } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const snippets = await snippetModel.getAllSnippets(search, {
+      viewerId: req.user ? req.user.id : null
+    });
+    const languages = await languageModel.getLanguages({ includeDisabled: true });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', exporter.type);
+    res.attachment(`snippets-${date}.${exporter.extension}`);
+    res.send(exporter.serialize(snippets, languages));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/import
+ * Import snippets into the caller's library
+ * Expected body: { format, data, duplicates (skip|overwrite|rename), dry_run },
+ * checked by the import schema
+ *   json: export document or array; markdown: text; gist: gist object(s);
+ *   zip: base64 archive; files: [{ path, content }] of a folder
+ * With dry_run the plan is returned and nothing is saved. Data that cannot
+ * be read in its format is a 400.
+ */
+const importLibrary = async (req, res, next) => {
+  try {
+    const { format, data, duplicates = 'skip' } = req.body;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const parse = IMPORT_PARSERS[format];
+
+    // File names map to any registered language; the plan then rejects disabled ones
+    const languages = await languageModel.getLanguages({ includeDisabled: true });
+
+    let records;
+    try {
+      records = parse(data, languages);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof SyntaxError ? 'Import data is not valid JSON' : error.message
+      });
+    }
+
+    const existing = await snippetModel.getSnippetTitlesByOwner(req.user.id);
+    const plan = buildImportPlan(records, existing, duplicates, languages.filter(language => language.enabled));
+    const results = dryRun ? plan : await applyImportPlan(plan, req.user.id);
+
+    const summary = { create: 0, rename: 0, overwrite: 0, skip: 0, invalid: 0 };
+    results.forEach(item => { summary[item.action]++; });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Import plan ready; nothing was saved' : 'Import finished',
+      dry_run: dryRun,
+      summary,
+      data: results.map(({ record, files, ...item }) => item)
+    });
+
+    if (!dryRun) {
+      results
+        .filter(item => item.id)
+        .forEach(item => publishSnippetEvent(item.action === 'overwrite' ? 'updated' : 'created', item.id));
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  exportLibrary,
+  importLibrary
+};
@@ -4,19 +4,173 @@
  */
 
 const snippetModel = require('../models/snippetModel');
+const teamModel = require('../models/teamModel');
+const collectionModel = require('../models/collectionModel');
+const languageModel = require('../models/languageModel');
+const { createUnifiedDiff } = require('../utils/diff');
+const { renderPlaceholders } = require('../utils/placeholders');
+const { chooseLanguage, resolveFiles } = require('../utils/languageDetection');
+const { highlightCode } = require('../utils/highlight');
+const { titleSlug, fileNameFor } = require('../utils/languageFiles');
+const { createZip } = require('../utils/zip');
+const { publishSnippetEvent } = require('./eventController');
+const { getTrashSettings } = require('../jobs/trashPurge');
+const { AUTO_LANGUAGE } = require('../../shared/schemas');
+
+// Page size for GET /api/snippets when no limit is given
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Check a snippet's team against its visibility
+ * The shapes of both fields are checked by the snippet schemas; this adds the
+ * rules that need the database. Team snippets need a team the owner belongs
+ * to; other visibilities drop the team.
+ * @param {string} visibility - private, team, or public
+ * @param {*} teamId - Team ID from the request
+ * @param {number} userId - Owner's user ID
+ * @returns {Promise<Object>} { error } when invalid, otherwise { visibility, teamId }
+ */
+const resolveVisibility = async (visibility, teamId, userId) => {
+  if (visibility !== 'team') {
+    return { visibility, teamId: null };
+  }
+
+  if (teamId === undefined || teamId === null) {
+    return { error: 'Team snippets need a team_id' };
+  }
+
+  const role = await teamModel.getMemberRole(teamId, userId);
+  if (!role) {
+    return { error: 'You can only share snippets with teams you belong to' };
+  }
+
+  return { visibility, teamId: Number(teamId) };
+};
+
+/**
+ * Check that a user may file snippets in a collection
+ * @param {*} collectionId - Collection ID from the request (null unfiles)
+ * @param {number} userId - Owner's user ID
+ * @returns {Promise<Object>} { error } when invalid, otherwise { collectionId }
+ */
+const resolveCollection = async (collectionId, userId) => {
+  if (collectionId === null) {
+    return { collectionId: null };
+  }
+
+  const collection = await collectionModel.getAccessibleCollection(collectionId, userId);
+  if (!collection) {
+    return { error: 'Collection not found' };
+  }
+
+  return { collectionId: collection.id };
+};
+
+/**
+ * Send a 422 for a field rejected by the database checks above, in the same
+ * shape as the validation middleware
+ * @param {Object} res - Express response
+ * @param {string} field - Request field, e.g. team_id
+ * @param {string} message - Error message
+ */
+const sendFieldError = (res, field, message) => {
+  res.status(422).json({
+    success: false,
+    message: 'Validation failed',
+    details: { [field]: message }
+  });
+};
 
 /**
  * GET /api/snippets
- * Retrieve all snippets, optionally filtered by search query
+ * Retrieve one page of snippets, optionally filtered by search query
+ * Query: search, limit, cursor, sort (created|updated|title|language|relevance|
+ * most_used|recently_used), order (asc|desc), workspace (all|personal|team ID),
+ * collection (collection ID|none), subcollections (true to include nested
+ * collections), pinned (true for the caller's pinned snippets) and highlight
+ * (true to add the code as highlighted HTML in code_html, and in content_html
+ * of each file), checked by the
+ * snippetQuery schema
+ * Only snippets the caller may see are listed.
+ * Malformed search queries and cursors are rejected by the model with a 400 error
  */
 const getSnippets = async (req, res, next) => {
   try {
     const searchQuery = req.query.search || '';
-    const snippets = await snippetModel.getAllSnippets(searchQuery);
-    
+    const { cursor, sort, order, workspace, collection } = req.query;
+    const pinned = req.query.pinned === 'true';
+    const viewerId = req.user ? req.user.id : null;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+
+    if (pinned && !viewerId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (workspace !== undefined && workspace !== 'all') {
+      if (!viewerId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (workspace !== 'personal' && !(await teamModel.getMemberRole(workspace, viewerId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+    }
+
+    if (collection !== undefined && collection !== 'none') {
+      if (!viewerId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (!(await collectionModel.getAccessibleCollection(collection, viewerId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+    }
+
+    const page = await snippetModel.getSnippetPage({
+      search: searchQuery,
+      limit,
+      cursor,
+      sort,
+      order,
+      viewerId,
+      workspace,
+      collection,
+      subcollections: req.query.subcollections === 'true',
+      pinned
+    });
+
+    let snippets = page.snippets;
+    if (req.query.highlight === 'true') {
+      const languages = await languageModel.getLanguages({ includeDisabled: true });
+      const grammars = new Map(languages.map(language => [language.id, language.prism]));
+      const toHtml = (code, language) => highlightCode(code, grammars.get(language) || language);
+      snippets = snippets.map(snippet => ({
+        ...snippet,
+        code_html: toHtml(snippet.code, snippet.language),
+        files: snippet.files.map(file => ({ ...file, content_html: toHtml(file.content, file.language) }))
+      }));
+    }
+
     res.json({
       success: true,
       count: snippets.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
       data: snippets
     });
   } catch (error) {
@@ -25,35 +179,223 @@ const getSnippets = async (req, res, next) => {
 };
 
 /**
- * POST /api/snippets
- * Create a new snippet
- * Expected body: { title, code, language, tags[] }
+ * GET /api/snippets/:id
+ * Retrieve one snippet with its tags and files
  */
-const createSnippet = async (req, res, next) => {
+const getSnippet = async (req, res, next) => {
   try {
-    const { title, code, language, tags } = req.body;
+    const snippet = await snippetModel.getSnippetById(req.params.id);
 
-    // Validate required fields
-    if (!title || !code) {
-      return res.status(400).json({
+    if (!snippet) {
+      return res.status(404).json({
         success: false,
-        message: 'Title and code are required'
+        message: 'Snippet not found'
       });
     }
 
+    res.json({
+      success: true,
+      data: snippet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/snippets
+ * Create a new snippet owned by the logged in user
+ * Expected body: { title, code, language, tags[], visibility, team_id,
+ * collection_id }, checked by the snippet schema
+ * The language must be enabled in the registry. Without a language (or
+ * with 'auto') it is detected, and the response includes the detection result.
+ * Multi-file snippets send files[] { filename, language, content } instead
+ * of code and language.
+ */
+const createSnippet = async (req, res, next) => {
+  try {
+    const { title, language, files, tags, visibility = 'public', team_id, collection_id = null } = req.body;
+    let { code } = req.body;
+
+    if (files !== undefined && (code !== undefined || language !== undefined)) {
+      return sendFieldError(res, 'files', 'Send either code and language or files, not both');
+    }
+
+    const sharing = await resolveVisibility(visibility, team_id, req.user.id);
+    if (sharing.error) {
+      return sendFieldError(res, 'team_id', sharing.error);
+    }
+
+    const filing = await resolveCollection(collection_id, req.user.id);
+    if (filing.error) {
+      return sendFieldError(res, 'collection_id', filing.error);
+    }
+
+    const languages = await languageModel.getLanguages();
+    let chosen = { language: null, detection: null };
+    let bundle = { files: null };
+
+    if (files !== undefined) {
+      bundle = resolveFiles(files, languages);
+      if (bundle.error) {
+        return sendFieldError(res, 'files', bundle.error);
+      }
+
+      // The first file doubles as the snippet's code
+      code = bundle.files[0].content;
+      chosen.language = bundle.files[0].language;
+    } else {
+      chosen = chooseLanguage(language, code, title, languages);
+      if (chosen.error) {
+        return sendFieldError(res, 'language', chosen.error);
+      }
+    }
+
     // Create snippet in database
     const snippet = await snippetModel.createSnippet({
       title,
       code,
-      language: language || 'javascript',
-      tags: tags || []
+      language: chosen.language,
+      files: bundle.files,
+      tags: tags || [],
+      visibility: sharing.visibility,
+      teamId: sharing.teamId,
+      collectionId: filing.collectionId,
+      ownerId: req.user.id
     });
 
     res.status(201).json({
       success: true,
       message: 'Snippet created successfully',
-      data: snippet
+      data: snippet,
+      ...(chosen.detection && { detection: chosen.detection })
+    });
+
+    publishSnippetEvent('created', snippet.id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/snippets/:id
+ * PATCH /api/snippets/:id
+ * Update an existing snippet
+ * PUT expects the full snippet { title, code, language, tags[] } (snippet schema);
+ * PATCH accepts any subset of those fields (snippetPatch schema)
+ * Both accept visibility and team_id; when omitted, sharing is left unchanged.
+ * Both accept collection_id (null unfiles); when omitted, the snippet stays put.
+ * A PUT without a language, or either method with language 'auto', detects
+ * the language from the new code and title (PATCH falls back to the stored
+ * ones); the response then includes the detection result. A language must be
+ * enabled in the registry unless the snippet already uses it.
+ * files[] replaces the files of a multi-file snippet. A PUT with code makes
+ * it a single-file snippet again; a PATCH with code changes its first file.
+ */
+const updateSnippet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { title, code, language, files, tags, visibility, team_id, collection_id } = req.body;
+    const isFullUpdate = req.method === 'PUT';
+
+    if (files !== undefined && (code !== undefined || language !== undefined)) {
+      return sendFieldError(res, 'files', 'Send either code and language or files, not both');
+    }
+
+    // Validate ID is a number
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID'
+      });
+    }
+
+    const updates = isFullUpdate
+      ? { title, code, language, tags: tags || [], files: null }
+      : { title, code, language, tags };
+    let detection = null;
+
+    const needsCurrent = visibility !== undefined || team_id !== undefined ||
+      language !== undefined || files !== undefined;
+    const current = needsCurrent ? await snippetModel.getSnippetById(id) : null;
+    if (needsCurrent && !current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    if (files !== undefined) {
+      const bundle = resolveFiles(
+        files,
+        await languageModel.getLanguages(),
+        [current.language, ...current.files.map(file => file.language)]
+      );
+      if (bundle.error) {
+        return sendFieldError(res, 'files', bundle.error);
+      }
+
+      updates.files = bundle.files;
+      updates.code = bundle.files[0].content;
+      updates.language = bundle.files[0].language;
+    } else if (isFullUpdate || language !== undefined) {
+      const chosen = chooseLanguage(
+        language,
+        code !== undefined ? code : current.code,
+        title !== undefined ? title : current.title,
+        await languageModel.getLanguages()
+      );
+
+      // Snippets keep a language that was disabled after they were saved
+      if (chosen.error && !(current && current.language === chosen.language)) {
+        return sendFieldError(res, 'language', chosen.error);
+      }
+
+      updates.language = chosen.language;
+      detection = chosen.detection;
+    }
+
+    if (visibility !== undefined || team_id !== undefined) {
+      const sharing = await resolveVisibility(
+        visibility !== undefined ? visibility : current.visibility,
+        team_id !== undefined ? team_id : current.team_id,
+        req.user.id
+      );
+      if (sharing.error) {
+        return sendFieldError(res, 'team_id', sharing.error);
+      }
+
+      updates.visibility = sharing.visibility;
+      updates.teamId = sharing.teamId;
+    }
+
+    if (collection_id !== undefined) {
+      const filing = await resolveCollection(collection_id, req.user.id);
+      if (filing.error) {
+        return sendFieldError(res, 'collection_id', filing.error);
+      }
+
+      updates.collectionId = filing.collectionId;
+    }
+
+    const snippet = await snippetModel.updateSnippet(id, updates);
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Snippet updated successfully',
+      data: snippet,
+      ...(detection && { detection })
     });
+
+    // Only a change of sharing can hide the snippet from anyone
+    publishSnippetEvent('updated', snippet.id, updates.visibility !== undefined ? current : null);
   } catch (error) {
     next(error);
   }
@@ -61,7 +403,7 @@ const createSnippet = async (req, res, next) => {
 
 /**
  * DELETE /api/snippets/:id
- * Delete a snippet by ID
+ * Move a snippet to the trash; it can be restored until it is purged
  */
 const deleteSnippet = async (req, res, next) => {
   try {
@@ -87,29 +429,404 @@ const deleteSnippet = async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Snippet deleted successfully'
+      message: 'Snippet moved to the trash'
     });
+
+    publishSnippetEvent('deleted', id);
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * GET /api/languages
- * Get list of supported programming languages
+ * POST /api/snippets/bulk
+ * Apply one operation to many of the caller's snippets in one transaction:
+ * delete (to the trash), add_tags, remove_tags, set_language or move (to
+ * collection_id, null to unfile). The body is checked by the snippetBulk
+ * schema. Responds with one result per snippet; snippets that are missing,
+ * not the caller's, or cannot take the change fail on their own.
  */
-const getLanguages = (req, res) => {
-  const languages = snippetModel.getLanguages();
-  
-  res.json({
-    success: true,
-    data: languages
-  });
+const bulkUpdateSnippets = async (req, res, next) => {
+  try {
+    const { ids, operation, tags, language, collection_id } = req.body;
+    const change = { operation, tags };
+
+    if (operation === 'set_language') {
+      if (language === AUTO_LANGUAGE) {
+        return sendFieldError(res, 'language', 'Pick a language; detection only works on one snippet at a time');
+      }
+
+      const languages = await languageModel.getLanguages();
+      if (!languages.some(entry => entry.id === language)) {
+        return sendFieldError(res, 'language', `Language '${language}' is not available; see GET /api/languages`);
+      }
+      change.language = language;
+    }
+
+    if (operation === 'move') {
+      const filing = await resolveCollection(collection_id, req.user.id);
+      if (filing.error) {
+        return sendFieldError(res, 'collection_id', filing.error);
+      }
+      change.collectionId = filing.collectionId;
+    }
+
+    const results = await snippetModel.bulkUpdateSnippets(ids, req.user.id, change);
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `Applied to ${succeeded} of ${results.length} snippet${results.length === 1 ? '' : 's'}`,
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results
+    });
+
+    results
+      .filter(result => result.changed)
+      .forEach(result => publishSnippetEvent(operation === 'delete' ? 'deleted' : 'updated', result.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/trash
+ * List the logged in user's trashed snippets, most recently deleted first,
+ * with the time each one will be purged (null when kept until purged by hand)
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { retentionDays } = getTrashSettings();
+    const snippets = await snippetModel.getTrashedSnippets(req.user.id, retentionDays);
+
+    res.json({
+      success: true,
+      count: snippets.length,
+      retention_days: retentionDays,
+      data: snippets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/snippets/:id/restore
+ * Take a snippet back out of the trash
+ */
+const restoreSnippet = async (req, res, next) => {
+  try {
+    const snippet = await snippetModel.restoreSnippet(req.params.id);
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet is not in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Snippet restored',
+      data: snippet
+    });
+
+    publishSnippetEvent('created', snippet.id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/trash/:id
+ * Permanently delete a snippet that is in the trash
+ */
+const purgeSnippet = async (req, res, next) => {
+  try {
+    const { changes } = await snippetModel.purgeSnippet(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet is not in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Snippet deleted permanently'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/trash
+ * Permanently delete every snippet in the logged in user's trash
+ */
+const emptyTrash = async (req, res, next) => {
+  try {
+    const count = await snippetModel.purgeTrash({ ownerId: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Deleted ${count} snippet${count === 1 ? '' : 's'} permanently`,
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/snippets/:id/versions
+ * List the saved versions of a snippet, newest first
+ */
+const getSnippetVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID'
+      });
+    }
+
+    const snippet = await snippetModel.getSnippetById(id);
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    const versions = await snippetModel.getSnippetVersions(id);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/snippets/:id/versions/:v/diff?against=:w
+ * Unified line diff of a version's code against another version
+ * Without `against`, the version is compared to the one before it
+ */
+const getVersionDiff = async (req, res, next) => {
+  try {
+    const { id, v } = req.params;
+    const version = Number(v);
+    const against = req.query.against !== undefined
+      ? Number(req.query.against)
+      : version - 1;
+
+    if (isNaN(id) || !Number.isInteger(version) || !Number.isInteger(against)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID or version number'
+      });
+    }
+
+    const target = await snippetModel.getSnippetVersion(id, version);
+
+    // Version 1 has no predecessor, so it is compared to an empty snippet
+    const base = against === 0 && req.query.against === undefined
+      ? { code: '' }
+      : await snippetModel.getSnippetVersion(id, against);
+
+    if (!target || !base) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const { diff, additions, deletions } = createUnifiedDiff(base.code, target.code, {
+      oldLabel: `version ${against}`,
+      newLabel: `version ${version}`
+    });
+
+    res.json({
+      success: true,
+      data: {
+        version,
+        against,
+        additions,
+        deletions,
+        diff
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/snippets/:id/versions/:v/restore
+ * Restore a snippet to an earlier version
+ */
+const restoreSnippetVersion = async (req, res, next) => {
+  try {
+    const { id, v } = req.params;
+
+    if (isNaN(id) || isNaN(v)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID or version number'
+      });
+    }
+
+    const snippet = await snippetModel.restoreSnippetVersion(id, v);
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Snippet restored to version ${v}`,
+      data: snippet
+    });
+
+    publishSnippetEvent('updated', snippet.id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/snippets/:id/render
+ * Fill a snippet's placeholders and return the code
+ * Expected body: { values: { "1": "UserService", "ENV": "prod" } } (snippetRender
+ * schema). Placeholders without a value take their default; those without
+ * either are left as written and listed in `missing`.
+ */
+const renderSnippet = async (req, res, next) => {
+  try {
+    const snippet = await snippetModel.getSnippetById(req.params.id);
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    const { code, missing } = renderPlaceholders(snippet.code, req.body.values || {});
+
+    res.json({
+      success: true,
+      data: { id: snippet.id, code, missing }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/snippets/:id/zip
+ * Download a snippet's files as a zip archive
+ * A single-file snippet gives one file named after its title.
+ */
+const downloadSnippetZip = async (req, res, next) => {
+  try {
+    const snippet = await snippetModel.getSnippetById(req.params.id);
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    let files = snippet.files;
+    if (files.length === 0) {
+      const languages = await languageModel.getLanguages({ includeDisabled: true });
+      files = [{ filename: fileNameFor(snippet.title, snippet.language, languages), content: snippet.code }];
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`${titleSlug(snippet.title)}.zip`);
+    res.send(createZip(files.map(file => ({ name: file.filename, content: file.content }))));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/snippets/:id/copy
+ * Record that the caller copied a snippet
+ * Anyone who can see the snippet may record a copy, logged in or not.
+ */
+const recordCopy = async (req, res, next) => {
+  try {
+    const usage = await snippetModel.recordCopy(req.params.id, req.user ? req.user.id : null);
+
+    if (!usage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/snippets/:id/pin
+ * DELETE /api/snippets/:id/pin
+ * Pin a snippet for the caller, or unpin it
+ * Pins are personal, so any visible snippet can be pinned.
+ */
+const setPinned = async (req, res, next) => {
+  try {
+    const pinned = req.method === 'PUT';
+    const result = await snippetModel.setPinned(req.params.id, req.user.id, pinned);
+
+    res.json({
+      success: true,
+      message: pinned ? 'Snippet pinned' : 'Snippet unpinned',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   getSnippets,
+  getSnippet,
   createSnippet,
+  updateSnippet,
   deleteSnippet,
-  getLanguages
+  bulkUpdateSnippets,
+  getTrash,
+  restoreSnippet,
+  purgeSnippet,
+  emptyTrash,
+  getSnippetVersions,
+  getVersionDiff,
+  restoreSnippetVersion,
+  renderSnippet,
+  downloadSnippetZip,
+  recordCopy,
+  setPinned
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Tag Controller
+ * Handles HTTP requests and responses for tag operations
+ */
+
+const tagModel = require('../models/tagModel');
+const { publishSnippetEvent } = require('./eventController');
+
+/**
+ * GET /api/tags
+ * Get the tags of the snippets the caller may see, with the number of those
+ * snippets using each
+ */
+const getTags = async (req, res, next) => {
+  try {
+    const tags = await tagModel.getAllTags(req.user ? req.user.id : null);
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/tags/:id
+ * Rename a tag on the caller's snippets
+ * Expected body: { name } (checked by the tagRename schema)
+ */
+const renameTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    // Validate ID is a number
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag ID'
+      });
+    }
+
+    const result = await tagModel.renameTag(id, name, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully',
+      data: result.tag
+    });
+
+    result.snippetIds.forEach(snippetId => publishSnippetEvent('updated', snippetId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/tags/:id/merge
+ * Merge a tag into another tag on the caller's snippets
+ * Expected body: { into } - ID of the tag to keep (checked by the tagMerge schema)
+ */
+const mergeTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { into } = req.body;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag ID'
+      });
+    }
+
+    if (Number(id) === Number(into)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a tag into itself'
+      });
+    }
+
+    const result = await tagModel.mergeTags(id, into, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tags merged successfully',
+      data: result.tag
+    });
+
+    result.snippetIds.forEach(snippetId => publishSnippetEvent('updated', snippetId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tags/:id
+ * Remove a tag from the caller's snippets; it is deleted once unused
+ */
+const deleteTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID is a number
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag ID'
+      });
+    }
+
+    const result = await tagModel.deleteTag(id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+
+    result.snippetIds.forEach(snippetId => publishSnippetEvent('updated', snippetId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tags/unused
+ * Delete all tags that no snippet uses
+ */
+const pruneUnusedTags = async (req, res, next) => {
+  try {
+    const result = await tagModel.pruneUnusedTags();
+
+    res.json({
+      success: true,
+      message: `Removed ${result.changes} unused tags`,
+      count: result.changes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  renameTag,
+  mergeTag,
+  deleteTag,
+  pruneUnusedTags
+};
@@ -0,0 +1,140 @@
+/**
+ * Team Controller
+ * Handles HTTP requests and responses for teams and membership
+ */
+
+const teamModel = require('../models/teamModel');
+const { publishSnippetEvent } = require('./eventController');
+
+/**
+ * GET /api/teams
+ * List the teams the logged in user belongs to
+ */
+const getTeams = async (req, res, next) => {
+  try {
+    const teams = await teamModel.getTeamsForUser(req.user.id);
+
+    res.json({
+      success: true,
+      count: teams.length,
+      data: teams
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/teams
+ * Create a team with the logged in user as admin
+ * Expected body: { name }, checked by the team schema
+ */
+const createTeam = async (req, res, next) => {
+  try {
+    const team = await teamModel.createTeam(req.body.name.trim(), req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/teams/:id/members
+ * List the members of a team (members only)
+ */
+const getMembers = async (req, res, next) => {
+  try {
+    const members = await teamModel.getTeamMembers(req.params.id);
+
+    res.json({
+      success: true,
+      count: members.length,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/teams/:id/members
+ * Invite a user into a team (admins only)
+ * Expected body: { username, role }, checked by the teamMember schema
+ */
+const inviteMember = async (req, res, next) => {
+  try {
+    const { username, role = 'member' } = req.body;
+
+    const member = await teamModel.addMember(
+      req.params.id,
+      username.trim().toLowerCase(),
+      role
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${member.username} added to the team`,
+      data: member
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ * Remove a member from a team
+ * Admins can remove anyone; members can only remove themselves (leave)
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (req.teamRole !== 'admin' && Number(userId) !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only team admins can remove other members'
+      });
+    }
+
+    const removed = await teamModel.removeMember(id, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+    // The member's snippets were shared with the team until now
+    const previous = { owner_id: Number(userId), visibility: 'team', team_id: Number(id) };
+    removed.snippetIds.forEach(snippetId => publishSnippetEvent('updated', snippetId, previous));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTeams,
+  createTeam,
+  getMembers,
+  inviteMember,
+  removeMember
+};
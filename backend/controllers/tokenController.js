@@ -0,0 +1,105 @@
+/**
+ * Token Controller
+ * Handles HTTP requests for personal access tokens
+ */
+
+const tokenModel = require('../models/tokenModel');
+const { closeStreams } = require('./eventController');
+
+/**
+ * GET /api/tokens
+ * List the logged in user's tokens (without secrets)
+ */
+const getTokens = async (req, res, next) => {
+  try {
+    const tokens = await tokenModel.getTokensForUser(req.user.id);
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/tokens
+ * Create a token; the plain text token is only included in this response
+ * Expected body: { name, scopes[], expires_at (optional ISO date) }, checked
+ * by the token schema
+ */
+const createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    let expiresAt = null;
+    if (expires_at !== undefined && expires_at !== null) {
+      expiresAt = new Date(expires_at);
+
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          details: { expires_at: 'Expiry must be a date in the future' }
+        });
+      }
+    }
+
+    const token = await tokenModel.createToken(req.user.id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again',
+      data: token
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke one of the logged in user's tokens
+ */
+const deleteToken = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID'
+      });
+    }
+
+    const result = await tokenModel.deleteToken(id, req.user.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    closeStreams({ tokenId: id });
+
+    res.json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTokens,
+  createToken,
+  deleteToken
+};
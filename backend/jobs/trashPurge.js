@@ -0,0 +1,88 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes snippets that have been in the trash longer than the
+ * retention period. Configured in .env:
+ *   TRASH_RETENTION_DAYS          Days a deleted snippet can be restored (default 30;
+ *                                 0 keeps it until it is purged by hand)
+ *   TRASH_PURGE_INTERVAL_MINUTES  How often the job runs (default 60, at most
+ *                                 35791, about 24 days)
+ */
+
+const snippetModel = require('../models/snippetModel');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Longest interval setInterval accepts; Node runs longer delays after 1 ms
+const MAX_INTERVAL_MINUTES = Math.floor((2 ** 31 - 1) / 60000);
+
+/**
+ * Read a whole, non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @param {number} max - Largest accepted value
+ * @returns {number} Setting
+ */
+const readSetting = (name, fallback, max = Number.MAX_SAFE_INTEGER) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    console.warn(`Ignoring ${name}=${value}; expected a whole number from 0 to ${max}`);
+    return fallback;
+  }
+  return number;
+};
+
+/**
+ * Get the trash settings
+ * @returns {Object} { retentionDays, intervalMinutes }
+ */
+const getTrashSettings = () => ({
+  retentionDays: readSetting('TRASH_RETENTION_DAYS', DEFAULT_RETENTION_DAYS),
+  intervalMinutes: readSetting('TRASH_PURGE_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES, MAX_INTERVAL_MINUTES)
+});
+
+/**
+ * Delete every trashed snippet older than the retention period
+ * @param {number} retentionDays - Days to keep trashed snippets
+ * @returns {Promise<number>} Number of snippets removed
+ */
+const purgeExpiredTrash = async (retentionDays) => {
+  const removed = await snippetModel.purgeTrash({ olderThanDays: retentionDays });
+  if (removed > 0) {
+    console.log(`Purged ${removed} snippet${removed === 1 ? '' : 's'} from the trash`);
+  }
+  return removed;
+};
+
+/**
+ * Run the purge now and then on an interval
+ * Does nothing when the retention or the interval is 0. The timer does not
+ * keep the process alive.
+ * @param {Object} settings - { retentionDays, intervalMinutes }, from the
+ *   environment by default
+ * @returns {Function} Stops the job
+ */
+const startTrashPurge = ({ retentionDays, intervalMinutes } = getTrashSettings()) => {
+  if (retentionDays === 0 || intervalMinutes === 0) {
+    return () => {};
+  }
+
+  const purge = () => purgeExpiredTrash(retentionDays).catch((error) => {
+    console.error('Error purging trash:', error.message);
+  });
+
+  purge();
+  const timer = setInterval(purge, Math.min(intervalMinutes, MAX_INTERVAL_MINUTES) * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getTrashSettings,
+  purgeExpiredTrash,
+  startTrashPurge
+};
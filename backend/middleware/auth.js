@@ -0,0 +1,316 @@
+/**
+ * Authentication Middleware
+ * Resolves the session cookie or a bearer token to a user and guards routes
+ * that change data
+ */
+
+const userModel = require('../models/userModel');
+const tokenModel = require('../models/tokenModel');
+const snippetModel = require('../models/snippetModel');
+const teamModel = require('../models/teamModel');
+const languageModel = require('../models/languageModel');
+
+// Name of the cookie holding the session token
+const SESSION_COOKIE = 'snippet_session';
+
+/**
+ * Parse a Cookie header into a name/value map
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookie values by name
+ */
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return cookies;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+};
+
+/**
+ * Attach the user behind a personal access token to req.user
+ * Sets req.tokenId and req.tokenScopes from the token. An invalid or expired
+ * token is rejected outright instead of falling back to anonymous access.
+ */
+const authenticateBearer = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header must be "Bearer <token>"'
+      });
+    }
+
+    const result = await tokenModel.authenticateToken(token);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    req.sessionToken = null;
+    req.user = result.user;
+    req.tokenId = result.id;
+    req.tokenScopes = result.scopes;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach the logged in user (if any) to req.user
+ * Requests with an Authorization header use token authentication; otherwise
+ * the session cookie is used. req.tokenScopes is null for session logins,
+ * which are not limited by scopes. Requests without credentials continue
+ * anonymously.
+ */
+const authenticate = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticateBearer(req, res, next);
+  }
+
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+
+    req.sessionToken = token || null;
+    req.tokenId = null;
+    req.tokenScopes = null;
+    req.user = token ? await userModel.getUserBySessionToken(token) : null;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build middleware that requires a token scope
+ * Only token requests are checked; browser sessions have every scope.
+ * @param {string} scope - Scope such as 'snippets:write'
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Token is missing the ${scope} scope`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests made with a personal access token
+ * Used for account management, so a leaked token cannot mint new tokens.
+ */
+const requireSession = (req, res, next) => {
+  if (req.tokenScopes) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint requires a browser login'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests that are not logged in
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests for snippets the logged in user does not own
+ * Must run after requireAuth; expects the snippet ID in req.params.id
+ */
+const requireSnippetOwner = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID'
+      });
+    }
+
+    // Owners may restore or purge their snippets from the trash
+    const snippet = await snippetModel.getSnippetById(id, { includeDeleted: true });
+
+    if (!snippet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    if (snippet.owner_id !== req.user.id) {
+      // Snippets the user cannot even see look missing rather than forbidden
+      const visible = await snippetModel.canViewSnippet(id, req.user.id);
+
+      return res.status(visible ? 403 : 404).json({
+        success: false,
+        message: visible ? 'You can only change your own snippets' : 'Snippet not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hide snippets the caller may not see
+ * Private and team snippets answer 404 to outsiders, exactly like missing ones.
+ */
+const requireSnippetAccess = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid snippet ID'
+      });
+    }
+
+    const visible = await snippetModel.canViewSnippet(id, req.user ? req.user.id : null);
+
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snippet not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a user is a site admin
+ * Admins are listed by username in ADMIN_USERNAMES (comma separated).
+ * @param {Object|null} user - Logged in user
+ * @returns {boolean} True for admins
+ */
+const isAdmin = (user) => {
+  if (!user) return false;
+
+  const admins = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(user.username.toLowerCase());
+};
+
+/**
+ * Require the user who added the language in req.params.id, or an admin
+ * Built-in languages have no creator, so only admins can change them.
+ */
+const requireLanguageEditor = async (req, res, next) => {
+  try {
+    const creator = await languageModel.getLanguageCreator(req.params.id);
+
+    if (creator === undefined) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language not found'
+      });
+    }
+
+    if (creator !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user who added a language, or an admin, can change it'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build middleware that requires a role in the team given by req.params.id
+ * Must run after requireAuth. Sets req.teamRole for the controller.
+ * @param {string} minimumRole - 'member' or 'admin'
+ * @returns {Function} Express middleware
+ */
+const requireTeamRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team ID'
+      });
+    }
+
+    const role = await teamModel.getMemberRole(id, req.user.id);
+
+    // Outsiders cannot tell whether a team exists
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (minimumRole === 'admin' && role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only team admins can do that'
+      });
+    }
+
+    req.teamRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  parseCookies,
+  authenticate,
+  authenticateBearer,
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireSnippetOwner,
+  requireSnippetAccess,
+  isAdmin,
+  requireLanguageEditor,
+  requireTeamMember: requireTeamRole('member'),
+  requireTeamAdmin: requireTeamRole('admin')
+};
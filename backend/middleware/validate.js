@@ -0,0 +1,39 @@
+/**
+ * Validation Middleware
+ * Checks request bodies and query strings against the shared schemas
+ */
+
+const { schemas, validate } = require('../../shared/schemas');
+
+/**
+ * Build middleware that validates part of the request against a schema
+ * Invalid requests get a 422 whose details map each field to its error.
+ * @param {string} schemaName - Key of the schema in shared/schemas.js
+ * @param {string} source - Request property to check ('body' or 'query')
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (schemaName, source = 'body') => {
+  const schema = schemas[schemaName];
+
+  if (!schema) {
+    throw new Error(`Unknown validation schema "${schemaName}"`);
+  }
+
+  return (req, res, next) => {
+    const { isValid, errors } = validate(schema, req[source]);
+
+    if (!isValid) {
+      return res.status(422).json({
+        success: false,
+        message: 'Validation failed',
+        details: errors
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  validateRequest
+};
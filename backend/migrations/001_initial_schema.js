@@ -0,0 +1,357 @@
+/**
+ * Migration 001: Initial schema
+ * Creates the schema described in database/schema.sql. Databases created by
+ * earlier versions of the app are brought to the same shape: each existing
+ * table is rebuilt with the full definition (CHECK constraints, NOT NULL
+ * columns, created_at on tags) and its rows are copied over. The tables it
+ * adopted this way are recorded, and rolling back refuses to drop them.
+ */
+
+// Final table definitions, parents before children
+const TABLES = [
+  {
+    name: 'users',
+    sql: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        password_salt TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(length(username) > 0)
+      )`
+  },
+  {
+    name: 'sessions',
+    sql: `
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`,
+    keep: 'user_id IN (SELECT id FROM users)'
+  },
+  {
+    name: 'api_tokens',
+    sql: `
+      CREATE TABLE api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`,
+    keep: 'user_id IN (SELECT id FROM users)'
+  },
+  {
+    name: 'teams',
+    sql: `
+      CREATE TABLE teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(length(name) > 0)
+      )`
+  },
+  {
+    name: 'team_members',
+    sql: `
+      CREATE TABLE team_members (
+        team_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('admin', 'member')),
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`,
+    keep: 'team_id IN (SELECT id FROM teams) AND user_id IN (SELECT id FROM users)'
+  },
+  {
+    name: 'snippets',
+    sql: `
+      CREATE TABLE snippets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        code TEXT NOT NULL,
+        language TEXT DEFAULT 'javascript',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME,
+        owner_id INTEGER REFERENCES users(id),
+        visibility TEXT NOT NULL DEFAULT 'public' CHECK(visibility IN ('private', 'team', 'public')),
+        team_id INTEGER REFERENCES teams(id),
+        CHECK(length(title) > 0),
+        CHECK(length(code) > 0)
+      )`
+  },
+  {
+    name: 'tags',
+    sql: `
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(length(name) > 0)
+      )`
+  },
+  {
+    name: 'snippet_tags',
+    sql: `
+      CREATE TABLE snippet_tags (
+        snippet_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (snippet_id, tag_id)
+      )`,
+    // Links left behind by deletes without foreign key cascades are dropped
+    keep: 'snippet_id IN (SELECT id FROM snippets) AND tag_id IN (SELECT id FROM tags)'
+  },
+  {
+    name: 'snippet_versions',
+    sql: `
+      CREATE TABLE snippet_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        code TEXT NOT NULL,
+        language TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+        UNIQUE (snippet_id, version)
+      )`,
+    keep: 'snippet_id IN (SELECT id FROM snippets)'
+  }
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_team_members_user ON team_members(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_snippets_title ON snippets(title)',
+  'CREATE INDEX IF NOT EXISTS idx_snippets_language ON snippets(language)',
+  'CREATE INDEX IF NOT EXISTS idx_snippets_created_at ON snippets(created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_snippets_owner ON snippets(owner_id)',
+  'CREATE INDEX IF NOT EXISTS idx_snippets_team ON snippets(team_id)',
+  'CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)',
+  'CREATE INDEX IF NOT EXISTS idx_snippet_tags_snippet ON snippet_tags(snippet_id)',
+  'CREATE INDEX IF NOT EXISTS idx_snippet_tags_tag ON snippet_tags(tag_id)'
+];
+
+// Keep snippet_versions and the full-text index in sync with snippets and tags
+const TRIGGERS = {
+  // Record version 1 when a snippet is created
+  snippets_version_insert: `
+    CREATE TRIGGER snippets_version_insert
+    AFTER INSERT ON snippets
+    BEGIN
+      INSERT INTO snippet_versions (snippet_id, version, title, code, language)
+      VALUES (NEW.id, 1, NEW.title, NEW.code, NEW.language);
+    END`,
+
+  // Record a new version whenever the content of a snippet changes.
+  // Snippets saved before history existed get their old state as version 1.
+  snippets_version_update: `
+    CREATE TRIGGER snippets_version_update
+    AFTER UPDATE OF title, code, language ON snippets
+    WHEN OLD.title IS NOT NEW.title
+      OR OLD.code IS NOT NEW.code
+      OR OLD.language IS NOT NEW.language
+    BEGIN
+      INSERT INTO snippet_versions (snippet_id, version, title, code, language, created_at)
+      SELECT OLD.id, 1, OLD.title, OLD.code, OLD.language, COALESCE(OLD.updated_at, OLD.created_at)
+      WHERE NOT EXISTS (SELECT 1 FROM snippet_versions WHERE snippet_id = OLD.id);
+
+      INSERT INTO snippet_versions (snippet_id, version, title, code, language)
+      SELECT NEW.id, COALESCE(MAX(version), 0) + 1, NEW.title, NEW.code, NEW.language
+      FROM snippet_versions
+      WHERE snippet_id = NEW.id;
+    END`,
+
+  snippets_fts_insert: `
+    CREATE TRIGGER snippets_fts_insert
+    AFTER INSERT ON snippets
+    BEGIN
+      INSERT INTO snippets_fts (rowid, title, code, language, tags)
+      VALUES (NEW.id, NEW.title, NEW.code, NEW.language, '');
+    END`,
+
+  snippets_fts_update: `
+    CREATE TRIGGER snippets_fts_update
+    AFTER UPDATE OF title, code, language ON snippets
+    BEGIN
+      UPDATE snippets_fts
+      SET title = NEW.title, code = NEW.code, language = NEW.language
+      WHERE rowid = NEW.id;
+    END`,
+
+  snippets_fts_delete: `
+    CREATE TRIGGER snippets_fts_delete
+    AFTER DELETE ON snippets
+    BEGIN
+      DELETE FROM snippets_fts WHERE rowid = OLD.id;
+    END`,
+
+  snippet_tags_fts_insert: `
+    CREATE TRIGGER snippet_tags_fts_insert
+    AFTER INSERT ON snippet_tags
+    BEGIN
+      UPDATE snippets_fts
+      SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                  FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                  WHERE st.snippet_id = NEW.snippet_id)
+      WHERE rowid = NEW.snippet_id;
+    END`,
+
+  snippet_tags_fts_delete: `
+    CREATE TRIGGER snippet_tags_fts_delete
+    AFTER DELETE ON snippet_tags
+    BEGIN
+      UPDATE snippets_fts
+      SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                  FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                  WHERE st.snippet_id = OLD.snippet_id)
+      WHERE rowid = OLD.snippet_id;
+    END`,
+
+  tags_fts_update: `
+    CREATE TRIGGER tags_fts_update
+    AFTER UPDATE OF name ON tags
+    BEGIN
+      UPDATE snippets_fts
+      SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                  FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                  WHERE st.snippet_id = snippets_fts.rowid)
+      WHERE rowid IN (SELECT snippet_id FROM snippet_tags WHERE tag_id = NEW.id);
+    END`
+};
+
+/**
+ * Create a table, or rebuild an existing one with the final definition
+ * Columns present in both the old and new table are copied; columns the
+ * old table lacks get their defaults.
+ * @param {Object} db - Database helpers { run, all }
+ * @param {Object} table - { name, sql, keep } where keep filters copied rows
+ * @returns {Promise<boolean>} True when an existing table was rebuilt
+ */
+const createOrRebuildTable = async (db, table) => {
+  const oldColumns = await db.all(`PRAGMA table_info(${table.name})`);
+
+  if (oldColumns.length === 0) {
+    await db.run(table.sql);
+    return false;
+  }
+
+  const rebuilt = `${table.name}_rebuilt`;
+  await db.run(table.sql.replace(`CREATE TABLE ${table.name} (`, `CREATE TABLE ${rebuilt} (`));
+
+  const newColumns = (await db.all(`PRAGMA table_info(${rebuilt})`)).map(column => column.name);
+  const shared = oldColumns.map(column => column.name).filter(name => newColumns.includes(name));
+  const columns = shared.join(', ');
+
+  await db.run(`
+    INSERT INTO ${rebuilt} (${columns})
+    SELECT ${columns} FROM ${table.name}
+    ${table.keep ? `WHERE ${table.keep}` : ''}
+  `);
+  await db.run(`DROP TABLE ${table.name}`);
+  await db.run(`ALTER TABLE ${rebuilt} RENAME TO ${table.name}`);
+  return true;
+};
+
+module.exports = {
+  // Tables are dropped and recreated, which must not cascade
+  disableForeignKeys: true,
+
+  /**
+   * Create or upgrade every table, index and trigger
+   * @param {Object} db - Database helpers { run, get, all }
+   */
+  up: async (db) => {
+    // Triggers are recreated below; dropping them first lets tables be renamed
+    for (const name of Object.keys(TRIGGERS)) {
+      await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+
+    // Tables that held data before this migration, which rolling back must keep
+    await db.run('CREATE TABLE IF NOT EXISTS schema_adopted_tables (name TEXT PRIMARY KEY)');
+
+    for (const table of TABLES) {
+      if (await createOrRebuildTable(db, table)) {
+        await db.run('INSERT OR IGNORE INTO schema_adopted_tables (name) VALUES (?)', [table.name]);
+      }
+    }
+
+    for (const sql of INDEXES) {
+      await db.run(sql);
+    }
+
+    // Full-text index over snippets; rowid is the snippet id and tags are
+    // stored space-separated so that tag names are searchable too
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS snippets_fts USING fts5(
+        title,
+        code,
+        language,
+        tags,
+        prefix = '2 3'
+      )
+    `);
+
+    for (const sql of Object.values(TRIGGERS)) {
+      await db.run(sql);
+    }
+
+    // Reindex every snippet, including those saved before search existed
+    await db.run('DELETE FROM snippets_fts');
+    await db.run(`
+      INSERT INTO snippets_fts (rowid, title, code, language, tags)
+      SELECT s.id, s.title, s.code, s.language,
+             (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+              FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+              WHERE st.snippet_id = s.id)
+      FROM snippets s
+    `);
+  },
+
+  /**
+   * Drop everything the migration created
+   * Databases whose tables were adopted from an earlier version of the app
+   * cannot be rolled back, since that would drop their original data; nor
+   * can ones migrated before adopted tables were recorded.
+   * @param {Object} db - Database helpers { run, get, all }
+   * @throws {Error} When the migration adopted, or may have adopted, tables
+   */
+  down: async (db) => {
+    const recorded = await db.get(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_adopted_tables'"
+    );
+    if (!recorded) {
+      throw new Error('Migration 1 cannot be rolled back: this database does not record which tables it created');
+    }
+
+    const adopted = await db.all('SELECT name FROM schema_adopted_tables ORDER BY name');
+    if (adopted.length > 0) {
+      throw new Error(
+        `Migration 1 cannot be rolled back: ${adopted.map(row => row.name).join(', ')} existed before it ran`
+      );
+    }
+
+    await db.run('DROP TABLE schema_adopted_tables');
+    await db.run('DROP TABLE IF EXISTS snippets_fts');
+
+    for (const table of [...TABLES].reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table.name}`);
+    }
+  }
+};
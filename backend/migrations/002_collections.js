@@ -0,0 +1,45 @@
+/**
+ * Migration 002: Collections
+ * Adds nested collections (folders) and the collection each snippet is filed in.
+ * Personal collections belong to their owner; team collections are shared
+ * with every member of the team.
+ */
+
+module.exports = {
+  /**
+   * Create the collections table and snippets.collection_id
+   * @param {Object} db - Database helpers { run }
+   */
+  up: async (db) => {
+    // Children are deleted with their parent; position orders siblings
+    await db.run(`
+      CREATE TABLE collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(length(name) > 0)
+      )
+    `);
+    await db.run('CREATE INDEX idx_collections_parent ON collections(parent_id, position)');
+    await db.run('CREATE INDEX idx_collections_owner ON collections(owner_id)');
+    await db.run('CREATE INDEX idx_collections_team ON collections(team_id)');
+
+    // Snippets in a deleted collection become unfiled
+    await db.run('ALTER TABLE snippets ADD COLUMN collection_id INTEGER REFERENCES collections(id) ON DELETE SET NULL');
+    await db.run('CREATE INDEX idx_snippets_collection ON snippets(collection_id)');
+  },
+
+  /**
+   * Drop collections and unfile every snippet
+   * @param {Object} db - Database helpers { run }
+   */
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_snippets_collection');
+    await db.run('ALTER TABLE snippets DROP COLUMN collection_id');
+    await db.run('DROP TABLE IF EXISTS collections');
+  }
+};
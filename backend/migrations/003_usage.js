@@ -0,0 +1,65 @@
+/**
+ * Migration 003: Usage tracking and pins
+ * Records every copy of a snippet and lets users pin snippets they use often.
+ * snippets.copy_count and snippets.last_copied_at are kept up to date by a
+ * trigger so that lists can sort by usage without counting events.
+ */
+
+module.exports = {
+  /**
+   * Create snippet_copies and snippet_pins and the usage columns on snippets
+   * @param {Object} db - Database helpers { run }
+   */
+  up: async (db) => {
+    await db.run('ALTER TABLE snippets ADD COLUMN copy_count INTEGER NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE snippets ADD COLUMN last_copied_at DATETIME');
+    await db.run('CREATE INDEX idx_snippets_copy_count ON snippets(copy_count)');
+    await db.run('CREATE INDEX idx_snippets_last_copied ON snippets(last_copied_at)');
+
+    // One row per copy; anonymous copies of public snippets have no user
+    await db.run(`
+      CREATE TABLE snippet_copies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        copied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_snippet_copies_snippet ON snippet_copies(snippet_id, copied_at)');
+
+    await db.run(`
+      CREATE TRIGGER snippet_copies_count
+      AFTER INSERT ON snippet_copies
+      BEGIN
+        UPDATE snippets
+        SET copy_count = copy_count + 1, last_copied_at = NEW.copied_at
+        WHERE id = NEW.snippet_id;
+      END
+    `);
+
+    // Pins are personal: each user has their own favorites
+    await db.run(`
+      CREATE TABLE snippet_pins (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+        pinned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, snippet_id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_snippet_pins_snippet ON snippet_pins(snippet_id)');
+  },
+
+  /**
+   * Drop usage history and pins
+   * @param {Object} db - Database helpers { run }
+   */
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS snippet_pins');
+    await db.run('DROP TRIGGER IF EXISTS snippet_copies_count');
+    await db.run('DROP TABLE IF EXISTS snippet_copies');
+    await db.run('DROP INDEX IF EXISTS idx_snippets_last_copied');
+    await db.run('DROP INDEX IF EXISTS idx_snippets_copy_count');
+    await db.run('ALTER TABLE snippets DROP COLUMN last_copied_at');
+    await db.run('ALTER TABLE snippets DROP COLUMN copy_count');
+  }
+};
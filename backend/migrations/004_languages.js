@@ -0,0 +1,84 @@
+/**
+ * Migration 004: Language registry
+ * Replaces the hard-coded language list with a languages table that users
+ * can add to. Each language has a display name, a category for grouping,
+ * file extensions (a JSON array, without dots), the Prism grammar used to
+ * highlight it and its comment syntax. Disabled languages stay on existing
+ * snippets but cannot be picked for new ones.
+ */
+
+// Built-in languages: id, name, category, extensions, prism, line comment, block comment
+const BUILT_IN = [
+  ['javascript', 'JavaScript', 'Web', ['js', 'mjs', 'cjs', 'jsx'], 'javascript', '//', ['/*', '*/']],
+  ['typescript', 'TypeScript', 'Web', ['ts', 'tsx', 'mts', 'cts'], 'typescript', '//', ['/*', '*/']],
+  ['html', 'HTML', 'Web', ['html', 'htm'], 'markup', null, ['<!--', '-->']],
+  ['css', 'CSS', 'Web', ['css'], 'css', null, ['/*', '*/']],
+  ['php', 'PHP', 'Web', ['php'], 'php', '//', ['/*', '*/']],
+  ['python', 'Python', 'Scripting', ['py', 'pyw'], 'python', '#', null],
+  ['ruby', 'Ruby', 'Scripting', ['rb'], 'ruby', '#', ['=begin', '=end']],
+  ['bash', 'Bash', 'Scripting', ['sh', 'bash', 'zsh'], 'bash', '#', null],
+  ['java', 'Java', 'Application', ['java'], 'java', '//', ['/*', '*/']],
+  ['csharp', 'C#', 'Application', ['cs'], 'csharp', '//', ['/*', '*/']],
+  ['kotlin', 'Kotlin', 'Application', ['kt', 'kts'], 'kotlin', '//', ['/*', '*/']],
+  ['swift', 'Swift', 'Application', ['swift'], 'swift', '//', ['/*', '*/']],
+  ['cpp', 'C++', 'Systems', ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'h'], 'cpp', '//', ['/*', '*/']],
+  ['go', 'Go', 'Systems', ['go'], 'go', '//', ['/*', '*/']],
+  ['rust', 'Rust', 'Systems', ['rs'], 'rust', '//', ['/*', '*/']],
+  ['sql', 'SQL', 'Data', ['sql'], 'sql', '--', ['/*', '*/']],
+  ['json', 'JSON', 'Data', ['json'], 'json', null, null],
+  ['yaml', 'YAML', 'Data', ['yaml', 'yml'], 'yaml', '#', null],
+  ['dockerfile', 'Dockerfile', 'DevOps', ['dockerfile'], 'docker', '#', null],
+  ['terraform', 'Terraform', 'DevOps', ['tf', 'tfvars'], 'hcl', '#', ['/*', '*/']],
+  ['markdown', 'Markdown', 'Documentation', ['md', 'markdown'], 'markdown', null, ['<!--', '-->']]
+];
+
+module.exports = {
+  /**
+   * Create the languages table with the built-in languages
+   * @param {Object} db - Database helpers { run }
+   */
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE languages (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        category TEXT NOT NULL DEFAULT 'Other',
+        extensions TEXT NOT NULL DEFAULT '[]',
+        prism TEXT NOT NULL,
+        line_comment TEXT,
+        block_comment_start TEXT,
+        block_comment_end TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const [id, name, category, extensions, prism, lineComment, blockComment] of BUILT_IN) {
+      await db.run(
+        `INSERT INTO languages
+           (id, name, category, extensions, prism, line_comment, block_comment_start, block_comment_end)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id, name, category, JSON.stringify(extensions), prism, lineComment,
+          blockComment ? blockComment[0] : null, blockComment ? blockComment[1] : null
+        ]
+      );
+    }
+
+    // Keep any other language already on a snippet usable
+    await db.run(`
+      INSERT OR IGNORE INTO languages (id, name, prism)
+      SELECT DISTINCT language, language, language FROM snippets
+      WHERE language IS NOT NULL AND language != ''
+    `);
+  },
+
+  /**
+   * Drop the language registry
+   * @param {Object} db - Database helpers { run }
+   */
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS languages');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 005: Snippet bundles
+ * Lets a snippet hold several named files, such as a component with its CSS
+ * and test. The first file is mirrored into snippets.code and
+ * snippets.language, so search, versions and placeholders work on it as on
+ * any single-file snippet. Snippets without rows here are single-file.
+ */
+
+module.exports = {
+  /**
+   * Create the snippet_files table
+   * @param {Object} db - Database helpers { run }
+   */
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE snippet_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+        filename TEXT NOT NULL,
+        language TEXT NOT NULL,
+        content TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        UNIQUE (snippet_id, filename)
+      )
+    `);
+    await db.run('CREATE INDEX idx_snippet_files_snippet ON snippet_files(snippet_id, position)');
+  },
+
+  /**
+   * Drop bundle files; snippets keep their first file as code
+   * @param {Object} db - Database helpers { run }
+   */
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS snippet_files');
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 006: Trash
+ * Deleting a snippet now sets snippets.deleted_at instead of removing the
+ * row, so it can be restored. Trashed snippets are hidden everywhere except
+ * the owner's trash, and are removed for good by hand or by the purge job
+ * once they are older than the retention period.
+ */
+
+module.exports = {
+  /**
+   * Add the deleted_at column
+   * @param {Object} db - Database helpers { run }
+   */
+  up: async (db) => {
+    await db.run('ALTER TABLE snippets ADD COLUMN deleted_at DATETIME');
+    await db.run('CREATE INDEX idx_snippets_deleted_at ON snippets(deleted_at)');
+  },
+
+  /**
+   * Remove trashed snippets for good and drop the column
+   * @param {Object} db - Database helpers { run }
+   */
+  down: async (db) => {
+    await db.run('DELETE FROM snippets WHERE deleted_at IS NOT NULL');
+    await db.run('DROP INDEX IF EXISTS idx_snippets_deleted_at');
+    await db.run('ALTER TABLE snippets DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Migration 007: Lowercase tags
+ * Tags are saved trimmed and lowercased, but ones saved before that kept
+ * their case, so "React" and "react" could both exist. Each group of tags
+ * that only differ by case or surrounding spaces becomes one lowercase tag
+ * holding all of their snippets. Tags that are blank once trimmed are removed.
+ */
+
+/**
+ * Normalize a tag name the way the tag model does
+ * @param {string} name - Stored tag name
+ * @returns {string} Trimmed, lowercased name
+ */
+const normalize = (name) => String(name).trim().toLowerCase();
+
+module.exports = {
+  /**
+   * Merge each group of tags into its lowercase name
+   * @param {Object} db - Database helpers { run, all }
+   */
+  up: async (db) => {
+    const groups = new Map();
+    for (const tag of await db.all('SELECT id, name FROM tags ORDER BY id')) {
+      const name = normalize(tag.name);
+      groups.set(name, [...(groups.get(name) || []), tag]);
+    }
+
+    for (const [name, tags] of groups) {
+      if (tags.length === 1 && tags[0].name === name) continue;
+
+      // The tag already spelled right keeps its ID, otherwise the oldest one
+      const keeper = name ? tags.find(tag => tag.name === name) || tags[0] : null;
+
+      for (const tag of tags) {
+        if (tag === keeper) continue;
+
+        if (keeper) {
+          await db.run(`
+            INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id, created_at)
+            SELECT snippet_id, ?, created_at FROM snippet_tags WHERE tag_id = ?
+          `, [keeper.id, tag.id]);
+        }
+        await db.run('DELETE FROM snippet_tags WHERE tag_id = ?', [tag.id]);
+        await db.run('DELETE FROM tags WHERE id = ?', [tag.id]);
+      }
+
+      if (keeper && keeper.name !== name) {
+        await db.run('UPDATE tags SET name = ? WHERE id = ?', [name, keeper.id]);
+      }
+    }
+  },
+
+  /**
+   * Nothing to undo; the original spellings are not kept
+   */
+  down: async () => {}
+};
@@ -0,0 +1,256 @@
+/**
+ * Collection Model
+ * Handles nested collections (folders) of snippets
+ */
+
+const { run, get, all, transaction } = require('../config/database');
+const { buildVisibilityCondition } = require('./snippetModel');
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Collections a user may use: their personal ones and their teams' ones
+const ACCESSIBLE = `(
+  (c.team_id IS NULL AND c.owner_id = ?)
+  OR c.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+)`;
+
+/**
+ * Get every collection a user may use, ordered for building a tree
+ * snippet_count counts the snippets filed directly in the collection that
+ * the user can see.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Collections { id, name, parent_id, position, owner_id, team_id, team, snippet_count }
+ */
+const getCollectionsForUser = (userId) => {
+  const visibility = buildVisibilityCondition(userId);
+
+  return all(`
+    SELECT c.id, c.name, c.parent_id, c.position, c.owner_id, c.team_id, c.created_at,
+           (SELECT name FROM teams tm WHERE tm.id = c.team_id) as team,
+           (SELECT COUNT(*) FROM snippets s
+            WHERE s.collection_id = c.id AND ${visibility.condition}) as snippet_count
+    FROM collections c
+    WHERE ${ACCESSIBLE}
+    ORDER BY c.parent_id IS NOT NULL, c.parent_id, c.position, c.id
+  `, [...visibility.params, userId, userId]);
+};
+
+/**
+ * Get a collection if the user may use it
+ * @param {number} id - Collection ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Collection, or null when missing or not accessible
+ */
+const getAccessibleCollection = async (id, userId) => {
+  const collection = await get(
+    `SELECT c.id, c.name, c.parent_id, c.position, c.owner_id, c.team_id, c.created_at
+     FROM collections c
+     WHERE c.id = ? AND ${ACCESSIBLE}`,
+    [id, userId, userId]
+  );
+
+  return collection || null;
+};
+
+/**
+ * Get the IDs of a collection and every collection nested inside it
+ * @param {number} id - Collection ID
+ * @returns {Promise<Array<number>>} IDs, starting with the collection itself
+ */
+const getSubtreeIds = async (id) => {
+  const rows = await all(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT ?
+      UNION
+      SELECT c.id FROM collections c JOIN subtree ON c.parent_id = subtree.id
+    )
+    SELECT id FROM subtree
+  `, [id]);
+
+  return rows.map(row => row.id);
+};
+
+/**
+ * Check that a parent can hold a collection from the given team (or none)
+ * Nested collections always share their parent's team, so a subtree is
+ * either personal or belongs to one team.
+ * @param {number|null} parentId - Parent collection ID, or null for the top level
+ * @param {number|null} teamId - Team of the collection being placed
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Parent collection, or null for the top level
+ * @throws {Error} 404 when the parent is not accessible, 422 on a team mismatch
+ */
+const checkParent = async (parentId, teamId, userId) => {
+  if (parentId === null || parentId === undefined) return null;
+
+  const parent = await getAccessibleCollection(parentId, userId);
+  if (!parent) {
+    throw httpError('Parent collection not found', 404);
+  }
+
+  if ((parent.team_id || null) !== (teamId || null)) {
+    throw httpError('A collection must be in the same workspace as its parent', 422);
+  }
+
+  return parent;
+};
+
+/**
+ * Get the position after the last child of a parent
+ * @param {number|null} parentId - Parent collection ID, or null for the top level
+ * @param {number} ownerId - Owner, used to separate users' top-level collections
+ * @param {number|null} teamId - Team, used to separate teams' top-level collections
+ * @returns {Promise<number>} Next free position
+ */
+const nextPosition = async (parentId, ownerId, teamId) => {
+  const row = parentId
+    ? await get('SELECT MAX(position) as last FROM collections WHERE parent_id = ?', [parentId])
+    : await get(
+      `SELECT MAX(position) as last FROM collections
+       WHERE parent_id IS NULL AND (team_id = ? OR (team_id IS NULL AND ? IS NULL AND owner_id = ?))`,
+      [teamId, teamId, ownerId]
+    );
+
+  return row.last === null ? 0 : row.last + 1;
+};
+
+/**
+ * Create a collection at the end of its parent's children
+ * Sub-collections take their parent's team.
+ * @param {Object} data - { name, parentId, teamId, ownerId }
+ * @returns {Promise<Object>} Created collection
+ */
+const createCollection = ({ name, parentId = null, teamId = null, ownerId }) => {
+  return transaction(async () => {
+    const parent = parentId ? await getAccessibleCollection(parentId, ownerId) : null;
+    if (parentId && !parent) {
+      throw httpError('Parent collection not found', 404);
+    }
+
+    const team = parent ? parent.team_id : teamId;
+    const position = await nextPosition(parentId, ownerId, team);
+
+    const { lastID } = await run(
+      'INSERT INTO collections (name, parent_id, position, owner_id, team_id) VALUES (?, ?, ?, ?, ?)',
+      [name.trim(), parentId, position, ownerId, team]
+    );
+
+    return getAccessibleCollection(lastID, ownerId);
+  });
+};
+
+/**
+ * Rename a collection
+ * @param {number} id - Collection ID
+ * @param {string} name - New name
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Renamed collection, or null if not accessible
+ */
+const renameCollection = (id, name, userId) => {
+  return transaction(async () => {
+    const collection = await getAccessibleCollection(id, userId);
+    if (!collection) return null;
+
+    await run('UPDATE collections SET name = ? WHERE id = ?', [name.trim(), id]);
+    return getAccessibleCollection(id, userId);
+  });
+};
+
+/**
+ * Move a collection under another parent and/or to another position
+ * Siblings at the destination are renumbered so positions stay contiguous.
+ * @param {number} id - Collection ID
+ * @param {Object} target - { parentId (null for the top level, undefined to keep),
+ *   position (index among the new siblings; defaults to the end) }
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Moved collection, or null if not accessible
+ * @throws {Error} 422 when moving a collection into itself or one of its children
+ */
+const moveCollection = (id, { parentId, position }, userId) => {
+  return transaction(async () => {
+    const collection = await getAccessibleCollection(id, userId);
+    if (!collection) return null;
+
+    const newParentId = parentId === undefined ? collection.parent_id : parentId;
+
+    if (newParentId !== null) {
+      const subtree = await getSubtreeIds(collection.id);
+      if (subtree.includes(Number(newParentId))) {
+        throw httpError('A collection cannot be moved into itself or its sub-collections', 422);
+      }
+    }
+
+    await checkParent(newParentId, collection.team_id, userId);
+
+    const siblings = newParentId !== null
+      ? await all(
+        'SELECT id FROM collections WHERE parent_id = ? AND id <> ? ORDER BY position, id',
+        [newParentId, id]
+      )
+      : await all(
+        `SELECT id FROM collections
+         WHERE parent_id IS NULL AND id <> ?
+           AND (team_id = ? OR (team_id IS NULL AND ? IS NULL AND owner_id = ?))
+         ORDER BY position, id`,
+        [id, collection.team_id, collection.team_id, collection.owner_id]
+      );
+
+    const ordered = siblings.map(sibling => sibling.id);
+    const index = position === undefined || position === null
+      ? ordered.length
+      : Math.min(Number(position), ordered.length);
+    ordered.splice(index, 0, collection.id);
+
+    await run('UPDATE collections SET parent_id = ? WHERE id = ?', [newParentId, id]);
+    for (const [order, siblingId] of ordered.entries()) {
+      await run('UPDATE collections SET position = ? WHERE id = ?', [order, siblingId]);
+    }
+
+    return getAccessibleCollection(id, userId);
+  });
+};
+
+/**
+ * Delete a collection and its sub-collections
+ * Snippets filed in them become unfiled.
+ * @param {number} id - Collection ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { success, changes, snippetIds } where
+ *   snippetIds lists the unfiled snippets outside the trash
+ */
+const deleteCollection = (id, userId) => {
+  return transaction(async () => {
+    const collection = await getAccessibleCollection(id, userId);
+    if (!collection) return { success: true, changes: 0, snippetIds: [] };
+
+    const subtree = await getSubtreeIds(collection.id);
+    const snippets = await all(`
+      SELECT id FROM snippets
+      WHERE deleted_at IS NULL AND collection_id IN (${subtree.map(() => '?').join(', ')})
+      ORDER BY id
+    `, subtree);
+
+    const { changes } = await run('DELETE FROM collections WHERE id = ?', [id]);
+    return { success: true, changes, snippetIds: snippets.map(snippet => snippet.id) };
+  });
+};
+
+module.exports = {
+  getCollectionsForUser,
+  getAccessibleCollection,
+  getSubtreeIds,
+  createCollection,
+  renameCollection,
+  moveCollection,
+  deleteCollection
+};
@@ -0,0 +1,167 @@
+/**
+ * Language Model
+ * Handles the registry of programming languages snippets can use
+ */
+
+const { run, get, all, transaction } = require('../config/database');
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Columns that can be set when adding or changing a language
+const EDITABLE_COLUMNS = [
+  'name',
+  'category',
+  'extensions',
+  'prism',
+  'line_comment',
+  'block_comment_start',
+  'block_comment_end',
+  'enabled'
+];
+
+/**
+ * Normalize a list of file extensions: lowercase, without leading dots,
+ * without blanks or duplicates
+ * @param {Array<string>} extensions - Raw extensions
+ * @returns {Array<string>} Extensions
+ */
+const normalizeExtensions = (extensions = []) => {
+  return [...new Set(extensions.map(ext => String(ext).trim().toLowerCase().replace(/^\.+/, '')).filter(Boolean))];
+};
+
+/**
+ * Convert a database row to the API shape
+ * @param {Object} row - Row from the languages table
+ * @returns {Object} Language with extensions as an array and enabled as a boolean
+ */
+const toLanguage = (row) => ({
+  id: row.id,
+  name: row.name,
+  category: row.category,
+  extensions: JSON.parse(row.extensions),
+  prism: row.prism,
+  line_comment: row.line_comment,
+  block_comment_start: row.block_comment_start,
+  block_comment_end: row.block_comment_end,
+  enabled: Boolean(row.enabled)
+});
+
+/**
+ * Get the registered languages, grouped by category and sorted by name
+ * @param {Object} options - { includeDisabled } to list disabled languages too
+ * @returns {Promise<Array>} Languages
+ */
+const getLanguages = async ({ includeDisabled = false } = {}) => {
+  const rows = await all(`
+    SELECT * FROM languages
+    ${includeDisabled ? '' : 'WHERE enabled = 1'}
+    ORDER BY category COLLATE NOCASE, name COLLATE NOCASE
+  `);
+  return rows.map(toLanguage);
+};
+
+/**
+ * Get one language, enabled or not
+ * @param {string} id - Language ID
+ * @returns {Promise<Object|null>} Language, or null if not registered
+ */
+const getLanguageById = async (id) => {
+  const row = await get('SELECT * FROM languages WHERE id = ?', [id]);
+  return row ? toLanguage(row) : null;
+};
+
+/**
+ * Get the user who added a language
+ * @param {string} id - Language ID
+ * @returns {Promise<number|null|undefined>} User ID, null for built-in
+ *   languages, or undefined if not registered
+ */
+const getLanguageCreator = async (id) => {
+  const row = await get('SELECT created_by FROM languages WHERE id = ?', [id]);
+  return row ? row.created_by : undefined;
+};
+
+/**
+ * Convert API fields to column values
+ * @param {Object} fields - Any of the editable fields
+ * @returns {Object} Column values for the fields that were given
+ */
+const toColumns = (fields) => {
+  const columns = {};
+  EDITABLE_COLUMNS.forEach(column => {
+    if (fields[column] === undefined) return;
+
+    if (column === 'extensions') {
+      columns.extensions = JSON.stringify(normalizeExtensions(fields.extensions));
+    } else if (column === 'enabled') {
+      columns.enabled = fields.enabled ? 1 : 0;
+    } else {
+      columns[column] = fields[column];
+    }
+  });
+  return columns;
+};
+
+/**
+ * Register a language
+ * @param {Object} language - { id, name, category, extensions[], prism,
+ *   line_comment, block_comment_start, block_comment_end }; prism defaults
+ *   to the id
+ * @param {number} userId - User adding the language
+ * @returns {Promise<Object>} Created language
+ * @throws {Error} 409 error when the ID is taken
+ */
+const createLanguage = (language, userId) => {
+  return transaction(async () => {
+    if (await get('SELECT id FROM languages WHERE id = ?', [language.id])) {
+      throw httpError(`Language '${language.id}' already exists`, 409);
+    }
+
+    const columns = toColumns({ prism: language.id, ...language, enabled: true });
+    const names = ['id', 'created_by', ...Object.keys(columns)];
+    await run(
+      `INSERT INTO languages (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      [language.id, userId, ...Object.values(columns)]
+    );
+
+    return getLanguageById(language.id);
+  });
+};
+
+/**
+ * Change a language, e.g. to disable it
+ * @param {string} id - Language ID
+ * @param {Object} fields - Any of the fields accepted by createLanguage, and enabled
+ * @returns {Promise<Object|null>} Updated language, or null if not registered
+ */
+const updateLanguage = async (id, fields) => {
+  const columns = toColumns(fields);
+  const names = Object.keys(columns);
+
+  if (names.length > 0) {
+    await run(
+      `UPDATE languages SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(columns), id]
+    );
+  }
+
+  return getLanguageById(id);
+};
+
+module.exports = {
+  getLanguages,
+  getLanguageById,
+  getLanguageCreator,
+  createLanguage,
+  updateLanguage
+};
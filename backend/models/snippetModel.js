@@ -3,211 +3,997 @@
  * Handles all database operations for snippets
  */
 
-const { createConnection } = require('../config/database');
+const { run, get, all, transaction } = require('../config/database');
+const { normalizeTagNames, linkTags } = require('./tagModel');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const { parsePlaceholders } = require('../utils/placeholders');
+const { MAX_TAGS } = require('../../shared/schemas');
+
+// Markers passed to FTS5 highlight()/snippet(); swapped for <mark> after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
 
 /**
- * Get all snippets with their associated tags
- * @param {string} searchQuery - Optional search term to filter snippets
- * @returns {Promise<Array>} Array of snippet objects with tags
+ * Convert a free-text clause into an FTS5 term
+ * Bare words become quoted prefix terms and quoted text becomes a phrase,
+ * so punctuation in code (dots, parentheses, operators) cannot break the
+ * MATCH syntax
+ * @param {Object} clause - Text clause from parseSearchQuery
+ * @returns {string} FTS5 term, or an empty string if it has nothing searchable
  */
-const getAllSnippets = (searchQuery = '') => {
-  return new Promise((resolve, reject) => {
-    const db = createConnection();
-    
-    // Base query to get all snippets
-    let query = `
-      SELECT s.id, s.title, s.code, s.language, s.created_at,
-             GROUP_CONCAT(t.name) as tags
-      FROM snippets s
-      LEFT JOIN snippet_tags st ON s.id = st.snippet_id
-      LEFT JOIN tags t ON st.tag_id = t.id
-    `;
-
-    // Add search filtering if query provided
-    if (searchQuery) {
-      query += `
-        WHERE s.title LIKE ? 
-        OR s.code LIKE ? 
-        OR s.language LIKE ?
-        OR t.name LIKE ?
-      `;
-    }
+const toFtsTerm = (clause) => {
+  if (!/[\p{L}\p{N}]/u.test(clause.value)) return '';
 
-    query += ' GROUP BY s.id ORDER BY s.created_at DESC';
+  const phrase = `"${clause.value.replace(/"/g, '""')}"`;
+  return clause.quoted ? phrase : `${phrase}*`;
+};
 
-    // Prepare search parameters with wildcards
-    const searchParam = searchQuery ? `%${searchQuery}%` : '';
-    const params = searchQuery ? [searchParam, searchParam, searchParam, searchParam] : [];
+/**
+ * Escape LIKE wildcards so user text matches literally
+ * @param {string} value - Text to match
+ * @returns {string} Escaped text for use with ESCAPE '\\'
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
 
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        db.close();
-        reject(err);
-        return;
+/**
+ * Turn parsed search clauses into parameterized SQL conditions
+ * Positive free text is combined into one FTS5 query for ranking;
+ * everything else becomes a WHERE condition on the snippets table.
+ * Multiple lang: filters match any of the languages, other filters must all hold.
+ * @param {Array<Object>} clauses - Clauses from parseSearchQuery
+ * @returns {Object} { ftsQuery, conditions, params }
+ */
+const buildSearchConditions = (clauses) => {
+  const conditions = [];
+  const params = [];
+
+  const ftsQuery = clauses
+    .filter(clause => clause.field === 'text' && !clause.negate)
+    .map(toFtsTerm)
+    .filter(Boolean)
+    .join(' ');
+
+  const languages = clauses.filter(clause => clause.field === 'lang' && !clause.negate);
+  if (languages.length > 0) {
+    conditions.push(`s.language COLLATE NOCASE IN (${languages.map(() => '?').join(', ')})`);
+    params.push(...languages.map(clause => clause.value));
+  }
+
+  clauses.forEach(clause => {
+    switch (clause.field) {
+      case 'text': {
+        const term = clause.negate ? toFtsTerm(clause) : '';
+        if (term) {
+          conditions.push('s.id NOT IN (SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH ?)');
+          params.push(term);
+        }
+        break;
       }
+      case 'lang':
+        if (clause.negate) {
+          conditions.push('s.language <> ? COLLATE NOCASE');
+          params.push(clause.value);
+        }
+        break;
+      case 'tag':
+        conditions.push(`${clause.negate ? 'NOT ' : ''}EXISTS (
+          SELECT 1 FROM snippet_tags st
+          JOIN tags t ON st.tag_id = t.id
+          WHERE st.snippet_id = s.id AND t.name = ? COLLATE NOCASE
+        )`);
+        params.push(clause.value);
+        break;
+      case 'title':
+        conditions.push(`s.title ${clause.negate ? 'NOT ' : ''}LIKE ? ESCAPE '\\'`);
+        params.push(`%${escapeLike(clause.value)}%`);
+        break;
+      case 'before':
+        conditions.push('date(s.created_at) < date(?)');
+        params.push(clause.value);
+        break;
+      case 'after':
+        conditions.push('date(s.created_at) >= date(?)');
+        params.push(clause.value);
+        break;
+      default:
+        break;
+    }
+  });
 
-      // Parse tags from comma-separated string to array
-      const snippets = rows.map(row => ({
-        ...row,
-        tags: row.tags ? row.tags.split(',') : []
-      }));
+  return { ftsQuery, conditions, params };
+};
 
-      db.close();
-      resolve(snippets);
-    });
+/**
+ * Escape highlighted FTS output for HTML and turn match markers into <mark> tags
+ * @param {string} text - Text returned by highlight() or snippet()
+ * @returns {string} Safe HTML fragment
+ */
+const toHighlightHtml = (text) => {
+  if (!text) return '';
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+// Sort keys accepted by the list endpoint, mapped to their SQL expression
+const SORT_EXPRESSIONS = {
+  created: 's.created_at',
+  updated: 'COALESCE(s.updated_at, s.created_at)',
+  title: 's.title COLLATE NOCASE',
+  language: 's.language COLLATE NOCASE',
+  relevance: 'bm25(snippets_fts, 10.0, 1.0, 5.0, 5.0)',
+  most_used: 's.copy_count',
+  // Never-copied snippets sort last; NULL would break the keyset comparison
+  recently_used: "COALESCE(s.last_copied_at, '')"
+};
+
+/**
+ * Create an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Encode the position after a row as an opaque, URL-safe cursor
+ * @param {Object} position - { sort, order, value, id }
+ * @returns {string} Cursor string
+ */
+const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify(position))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Decode a cursor and check it belongs to the requested ordering
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Requested sort key
+ * @param {string} order - Requested direction
+ * @returns {Object} { value, id }
+ */
+const decodeCursor = (cursor, sort, order) => {
+  let position;
+
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    position = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+
+  if (!position || typeof position.id !== 'number' || !('value' in position)) {
+    throw badRequest('Invalid cursor');
+  }
+
+  if (position.sort !== sort || position.order !== order) {
+    throw badRequest('Cursor does not match the requested sort order');
+  }
+
+  return position;
+};
+
+/**
+ * Build the condition limiting snippets to those a user may see
+ * Everyone sees public snippets; users also see their own snippets and
+ * snippets shared with teams they belong to. Snippets in the trash are
+ * hidden from everyone; only getTrashedSnippets lists them.
+ * @param {number|null} viewerId - Logged in user ID, or null when anonymous
+ * @param {Object} options - { includeDeleted } to judge trashed snippets as
+ *   they were before they were deleted
+ * @returns {Object} { condition, params }
+ */
+const buildVisibilityCondition = (viewerId, { includeDeleted = false } = {}) => {
+  const live = includeDeleted ? '' : 's.deleted_at IS NULL AND ';
+
+  if (!viewerId) {
+    return { condition: `${live}s.visibility = 'public'`, params: [] };
+  }
+
+  return {
+    condition: `${live}(s.visibility = 'public' OR s.owner_id = ? OR (s.visibility = 'team' AND s.team_id IN (
+      SELECT team_id FROM team_members WHERE user_id = ?
+    )))`,
+    params: [viewerId, viewerId]
+  };
+};
+
+/**
+ * Build the condition for a workspace
+ * 'personal' is the viewer's own snippets; a team ID is the snippets shared
+ * with that team. Without a workspace every visible snippet is listed.
+ * @param {string|number|undefined} workspace - Workspace to list
+ * @param {number|null} viewerId - Logged in user ID
+ * @returns {Object|null} { condition, params }, or null for all snippets
+ */
+const buildWorkspaceCondition = (workspace, viewerId) => {
+  if (workspace === undefined || workspace === null || workspace === 'all') {
+    return null;
+  }
+
+  if (workspace === 'personal') {
+    return { condition: 's.owner_id = ?', params: [viewerId] };
+  }
+
+  return { condition: "s.visibility = 'team' AND s.team_id = ?", params: [Number(workspace)] };
+};
+
+/**
+ * Build the condition for a collection filter
+ * 'none' lists unfiled snippets. With subcollections, snippets filed in
+ * collections nested under the given one are included too.
+ * @param {string|number|undefined} collection - Collection ID or 'none'
+ * @param {boolean} subcollections - Whether to include nested collections
+ * @returns {Object|null} { condition, params }, or null for every collection
+ */
+const buildCollectionCondition = (collection, subcollections) => {
+  if (collection === undefined || collection === null) {
+    return null;
+  }
+
+  if (collection === 'none') {
+    return { condition: 's.collection_id IS NULL', params: [] };
+  }
+
+  if (!subcollections) {
+    return { condition: 's.collection_id = ?', params: [Number(collection)] };
+  }
+
+  return {
+    condition: `s.collection_id IN (
+      WITH RECURSIVE subtree(id) AS (
+        SELECT ?
+        UNION
+        SELECT c.id FROM collections c JOIN subtree ON c.parent_id = subtree.id
+      )
+      SELECT id FROM subtree
+    )`,
+    params: [Number(collection)]
+  };
+};
+
+/**
+ * Build the condition for the pinned filter
+ * @param {boolean} pinned - Whether to list only the viewer's pinned snippets
+ * @param {number|null} viewerId - Logged in user ID
+ * @returns {Object|null} { condition, params }, or null for every snippet
+ */
+const buildPinnedCondition = (pinned, viewerId) => {
+  if (!pinned) return null;
+
+  return {
+    condition: 's.id IN (SELECT snippet_id FROM snippet_pins WHERE user_id = ?)',
+    params: [viewerId]
+  };
+};
+
+/**
+ * Build the SQL shared by the list queries
+ * Free text is matched through the snippets_fts index and, unless another
+ * sort is requested, ordered by bm25 relevance with highlighted fragments.
+ * Ties on the sort key are broken by id so that keyset paging is stable.
+ * Results are always limited to snippets the viewer may see.
+ * @param {string} searchQuery - Search query (see utils/searchQuery)
+ * @param {Object} options - { sort, order, cursor, viewerId, workspace,
+ *   collection, subcollections, pinned }
+ * @returns {Object} { select, count, params, countParams, sort, order, hasText }
+ */
+const buildListQuery = (searchQuery, options = {}) => {
+  const { ftsQuery, conditions, params } = buildSearchConditions(
+    parseSearchQuery(searchQuery)
+  );
+  const hasText = Boolean(ftsQuery);
+
+  // Relevance only exists when there is free text to rank
+  const sort = options.sort || (hasText ? 'relevance' : 'created');
+  if (sort === 'relevance' && !hasText) {
+    throw badRequest('Sorting by relevance requires search text');
+  }
+
+  // Names read A-Z and dates newest first by default. Relevance is always
+  // best match first, and bm25 scores are lower for better matches.
+  let order = options.order || (sort === 'title' || sort === 'language' ? 'asc' : 'desc');
+  if (sort === 'relevance') {
+    order = 'asc';
+  }
+
+  const sortExpression = SORT_EXPRESSIONS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const from = hasText
+    ? 'FROM snippets_fts JOIN snippets s ON s.id = snippets_fts.rowid'
+    : 'FROM snippets s';
+
+  const filters = hasText ? ['snippets_fts MATCH ?', ...conditions] : [...conditions];
+  const filterParams = hasText ? [ftsQuery, ...params] : [...params];
+
+  const scopes = [
+    buildVisibilityCondition(options.viewerId || null),
+    buildWorkspaceCondition(options.workspace, options.viewerId || null),
+    buildCollectionCondition(options.collection, options.subcollections),
+    buildPinnedCondition(options.pinned, options.viewerId || null)
+  ].filter(Boolean);
+
+  scopes.forEach(scope => {
+    filters.push(scope.condition);
+    filterParams.push(...scope.params);
   });
+  const where = [...filters];
+  const whereParams = [...filterParams];
+
+  // Keyset condition: rows strictly after the cursor in sort order
+  if (options.cursor) {
+    const position = decodeCursor(options.cursor, sort, order);
+    const comparison = order === 'asc' ? '>' : '<';
+    where.push(`(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND s.id ${comparison} ?))`);
+    whereParams.push(position.value, position.value, position.id);
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const countWhere = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+  // Tags come from a subquery so that filtering never drops any of them
+  const select = `
+    SELECT s.id, s.title, s.code, s.language, s.created_at, s.updated_at,
+           s.owner_id, s.visibility, s.team_id, s.collection_id,
+           s.copy_count, s.last_copied_at,
+           EXISTS (SELECT 1 FROM snippet_pins p
+                   WHERE p.snippet_id = s.id AND p.user_id = ?) as pinned,
+           (SELECT username FROM users u WHERE u.id = s.owner_id) as owner,
+           (SELECT name FROM teams tm WHERE tm.id = s.team_id) as team,
+           (SELECT name FROM collections c WHERE c.id = s.collection_id) as collection,
+           (SELECT GROUP_CONCAT(t.name)
+            FROM snippet_tags st
+            JOIN tags t ON st.tag_id = t.id
+            WHERE st.snippet_id = s.id) as tags,
+           ${hasText ? `
+           highlight(snippets_fts, 0, '${MATCH_START}', '${MATCH_END}') as title_highlight,
+           snippet(snippets_fts, 1, '${MATCH_START}', '${MATCH_END}', '…', 16) as code_highlight,
+           ${SORT_EXPRESSIONS.relevance} as rank,` : ''}
+           ${sortExpression} as sort_value
+    ${from}
+    ${whereClause}
+    ORDER BY ${sortExpression} ${direction}, s.id ${direction}
+  `;
+
+  const count = `SELECT COUNT(*) as total ${from} ${countWhere}`;
+
+  return {
+    select,
+    count,
+    params: [options.viewerId || null, ...whereParams],
+    countParams: filterParams,
+    sort,
+    order,
+    hasText
+  };
+};
+
+/**
+ * Convert a list query row into a snippet object
+ * @param {Object} row - Database row
+ * @param {boolean} hasText - Whether the query had free text to highlight
+ * @returns {Object} Snippet with tags array and optional highlights
+ */
+const toListSnippet = (row, hasText) => {
+  const { title_highlight, code_highlight, sort_value, ...snippet } = row;
+
+  // Parse tags from comma-separated string to array
+  snippet.tags = row.tags ? row.tags.split(',') : [];
+  snippet.pinned = Boolean(row.pinned);
+  snippet.placeholders = parsePlaceholders(row.code);
+
+  if (hasText) {
+    snippet.highlights = {
+      title: toHighlightHtml(title_highlight),
+      code: code_highlight && code_highlight.includes(MATCH_START)
+        ? toHighlightHtml(code_highlight)
+        : ''
+    };
+  }
+
+  return snippet;
+};
+
+/**
+ * Get the files of multi-file snippets
+ * @param {Array<number>} snippetIds - Snippet IDs
+ * @returns {Promise<Map>} Snippet ID to files { filename, language, content },
+ *   in order; single-file snippets are not in the map
+ */
+const getSnippetFiles = async (snippetIds) => {
+  const files = new Map();
+  if (snippetIds.length === 0) return files;
+
+  const rows = await all(`
+    SELECT snippet_id, filename, language, content
+    FROM snippet_files
+    WHERE snippet_id IN (${snippetIds.map(() => '?').join(', ')})
+    ORDER BY snippet_id, position
+  `, snippetIds);
+
+  rows.forEach(({ snippet_id, ...file }) => {
+    if (!files.has(snippet_id)) files.set(snippet_id, []);
+    files.get(snippet_id).push(file);
+  });
+  return files;
+};
+
+/**
+ * Add each snippet's files, an empty list for single-file snippets
+ * @param {Array} snippets - Snippets with IDs
+ * @returns {Promise<Array>} The same snippets with files[]
+ */
+const withFiles = async (snippets) => {
+  const files = await getSnippetFiles(snippets.map(snippet => snippet.id));
+  return snippets.map(snippet => ({ ...snippet, files: files.get(snippet.id) || [] }));
+};
+
+/**
+ * Replace the files of a snippet
+ * @param {number} snippetId - Snippet ID
+ * @param {Array|null} files - Files { filename, language, content } in order;
+ *   null makes it a single-file snippet again
+ */
+const replaceSnippetFiles = async (snippetId, files) => {
+  await run('DELETE FROM snippet_files WHERE snippet_id = ?', [snippetId]);
+
+  for (const [position, file] of (files || []).entries()) {
+    await run(
+      'INSERT INTO snippet_files (snippet_id, filename, language, content, position) VALUES (?, ?, ?, ?, ?)',
+      [snippetId, file.filename, file.language, file.content, position]
+    );
+  }
+};
+
+/**
+ * Get all snippets with their associated tags
+ * The search query may combine free text with filters (see utils/searchQuery).
+ * Free text is matched through the snippets_fts index, ordered by bm25
+ * relevance, and returned with highlighted fragments.
+ * Only snippets the viewer may see are returned; anonymous callers get
+ * public snippets only.
+ * @param {string} searchQuery - Optional search query to filter snippets
+ * @param {Object} options - Optional { viewerId, workspace, collection, subcollections, pinned }
+ * @returns {Promise<Array>} Array of snippet objects with tags
+ * @throws {QuerySyntaxError} When the search query is malformed
+ */
+const getAllSnippets = async (searchQuery = '', options = {}) => {
+  const { select, params, hasText } = buildListQuery(searchQuery, options);
+  const rows = await all(select, params);
+
+  return withFiles(rows.map(row => toListSnippet(row, hasText)));
+};
+
+/**
+ * Get one page of snippets using keyset pagination
+ * @param {Object} options - { search, limit, cursor, sort, order, viewerId, workspace,
+ *   collection, subcollections, pinned }
+ *   sort is created, updated, title, language, most_used, recently_used, or
+ *   relevance (default with search text)
+ *   order is asc or desc; cursor is the nextCursor of the previous page
+ *   collection is a collection ID or 'none' for unfiled snippets
+ *   pinned limits the page to the viewer's pinned snippets
+ * @returns {Promise<Object>} { snippets, total, nextCursor }
+ * @throws {Error} 400 errors for malformed queries or cursors
+ */
+const getSnippetPage = async (options = {}) => {
+  const { search = '', limit = 20 } = options;
+  const { select, count, params, countParams, sort, order, hasText } = buildListQuery(search, options);
+
+  // Fetch one extra row to learn whether another page exists
+  const rows = await all(`${select} LIMIT ?`, [...params, limit + 1]);
+  const { total } = await get(count, countParams);
+
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = rows.length > limit
+    ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+    : null;
+
+  return {
+    snippets: await withFiles(pageRows.map(row => toListSnippet(row, hasText))),
+    total,
+    nextCursor
+  };
 };
 
 /**
  * Create a new snippet with associated tags
- * @param {Object} snippetData - Snippet data (title, code, language, tags)
+ * Tag names are normalized (trimmed, lowercased, de-duplicated). The snippet,
+ * its tags and its files are written in one transaction.
+ * @param {Object} snippetData - Snippet data (title, code, language, tags,
+ *   visibility, teamId, collectionId, ownerId, and createdAt to keep an
+ *   imported timestamp). Multi-file snippets also pass files[]
+ *   { filename, language, content }; code and language must then be those
+ *   of the first file.
  * @returns {Promise<Object>} Created snippet with ID
  */
 const createSnippet = (snippetData) => {
-  return new Promise((resolve, reject) => {
-    const db = createConnection();
-    const { title, code, language, tags } = snippetData;
-
-    // Start transaction
-    db.run('BEGIN TRANSACTION');
-
-    // Insert snippet into database
-    db.run(
-      'INSERT INTO snippets (title, code, language) VALUES (?, ?, ?)',
-      [title, code, language || 'javascript'],
-      function(err) {
-        if (err) {
-          db.run('ROLLBACK');
-          db.close();
-          reject(err);
-          return;
-        }
+  const {
+    ownerId = null,
+    teamId = null,
+    collectionId = null,
+    visibility = 'public',
+    createdAt = null,
+    files = null,
+    ...fields
+  } = snippetData;
+  const { title, code, language } = fields;
+  const tags = normalizeTagNames(snippetData.tags);
 
-        const snippetId = this.lastID;
+  return transaction(async () => {
+    const { lastID } = await run(
+      `INSERT INTO snippets (title, code, language, owner_id, visibility, team_id, collection_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+      [title, code, language || 'javascript', ownerId, visibility, teamId, collectionId, createdAt]
+    );
 
-        // If no tags, finish early
-        if (!tags || tags.length === 0) {
-          db.run('COMMIT');
-          db.close();
-          resolve({ id: snippetId, ...snippetData, tags: [] });
-          return;
-        }
+    await linkTags(lastID, tags);
+    await replaceSnippetFiles(lastID, files);
 
-        // Process each tag
-        let processedTags = 0;
-        const tagErrors = [];
-
-        tags.forEach(tagName => {
-          // Insert or get existing tag
-          db.run(
-            'INSERT OR IGNORE INTO tags (name) VALUES (?)',
-            [tagName],
-            function(err) {
-              if (err) {
-                tagErrors.push(err);
-                processedTags++;
-                checkCompletion();
-                return;
-              }
-
-              // Get tag ID (either newly inserted or existing)
-              db.get(
-                'SELECT id FROM tags WHERE name = ?',
-                [tagName],
-                (err, row) => {
-                  if (err) {
-                    tagErrors.push(err);
-                    processedTags++;
-                    checkCompletion();
-                    return;
-                  }
-
-                  // Link snippet to tag
-                  db.run(
-                    'INSERT INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)',
-                    [snippetId, row.id],
-                    (err) => {
-                      if (err) tagErrors.push(err);
-                      processedTags++;
-                      checkCompletion();
-                    }
-                  );
-                }
-              );
-            }
-          );
-        });
+    return {
+      id: lastID,
+      ...fields,
+      owner_id: ownerId,
+      visibility,
+      team_id: teamId,
+      collection_id: collectionId,
+      tags,
+      files: files || [],
+      placeholders: parsePlaceholders(code)
+    };
+  });
+};
+
+/**
+ * Get a single snippet with its tags and files
+ * @param {number} id - Snippet ID
+ * @param {Object} options - { includeDeleted } to also find snippets in the trash
+ * @returns {Promise<Object|null>} Snippet object, or null if not found
+ */
+const getSnippetById = async (id, { includeDeleted = false } = {}) => {
+  const row = await get(`
+    SELECT s.id, s.title, s.code, s.language, s.created_at, s.updated_at,
+           s.owner_id, s.visibility, s.team_id, s.collection_id,
+           s.copy_count, s.last_copied_at, s.deleted_at,
+           u.username as owner, tm.name as team, c.name as collection,
+           GROUP_CONCAT(t.name) as tags
+    FROM snippets s
+    LEFT JOIN users u ON u.id = s.owner_id
+    LEFT JOIN teams tm ON tm.id = s.team_id
+    LEFT JOIN collections c ON c.id = s.collection_id
+    LEFT JOIN snippet_tags st ON s.id = st.snippet_id
+    LEFT JOIN tags t ON st.tag_id = t.id
+    WHERE s.id = ? AND (? OR s.deleted_at IS NULL)
+    GROUP BY s.id
+  `, [id, includeDeleted ? 1 : 0]);
+
+  if (!row) return null;
+
+  const files = await getSnippetFiles([row.id]);
+
+  return {
+    ...row,
+    tags: row.tags ? row.tags.split(',') : [],
+    files: files.get(row.id) || [],
+    placeholders: parsePlaceholders(row.code)
+  };
+};
+
+/**
+ * Get the ID and title of every snippet a user owns
+ * Used to find duplicates when importing.
+ * @param {number} ownerId - User ID
+ * @returns {Promise<Array>} Objects { id, title }
+ */
+const getSnippetTitlesByOwner = (ownerId) => {
+  return all('SELECT id, title FROM snippets WHERE owner_id = ? AND deleted_at IS NULL ORDER BY id', [ownerId]);
+};
+
+/**
+ * Check whether a user may see a snippet
+ * @param {number} id - Snippet ID
+ * @param {number|null} viewerId - Logged in user ID, or null when anonymous
+ * @param {Object} options - { includeDeleted } to check a snippet in the trash
+ *   as it was before it was deleted
+ * @returns {Promise<boolean>} True when the snippet exists and is visible
+ */
+const canViewSnippet = async (id, viewerId, options = {}) => {
+  const { condition, params } = buildVisibilityCondition(viewerId, options);
+  const row = await get(
+    `SELECT s.id FROM snippets s WHERE s.id = ? AND ${condition}`,
+    [id, ...params]
+  );
+
+  return Boolean(row);
+};
+
+/**
+ * Check whether a user may see a live snippet shared a given way, e.g. the
+ * way it was shared before an update
+ * @param {Object} sharing - { owner_id, visibility, team_id }
+ * @param {number|null} viewerId - Logged in user ID, null when anonymous
+ * @returns {Promise<boolean>} True when the viewer may see it
+ */
+const canViewSharing = async ({ owner_id: ownerId, visibility, team_id: teamId }, viewerId) => {
+  if (visibility === 'public') return true;
+  if (!viewerId) return false;
+  if (ownerId === viewerId) return true;
+  if (visibility !== 'team') return false;
+
+  const member = await get(
+    'SELECT 1 FROM team_members WHERE team_id = ? AND user_id = ?',
+    [teamId, viewerId]
+  );
+  return Boolean(member);
+};
 
-        // Check if all tags have been processed
-        function checkCompletion() {
-          if (processedTags === tags.length) {
-            if (tagErrors.length > 0) {
-              db.run('ROLLBACK');
-              db.close();
-              reject(tagErrors[0]);
-            } else {
-              db.run('COMMIT');
-              db.close();
-              resolve({ id: snippetId, ...snippetData });
-            }
-          }
+// Update fields and the snippet columns they are stored in
+const EDITABLE_COLUMNS = {
+  title: 'title',
+  code: 'code',
+  language: 'language',
+  visibility: 'visibility',
+  teamId: 'team_id',
+  collectionId: 'collection_id'
+};
+
+/**
+ * Update a snippet and re-sync its tags
+ * Only the fields present in updates are changed. When tags are given,
+ * they are normalized, links to tags no longer listed are removed and
+ * new ones are added, all inside a single transaction.
+ * files[] replaces a snippet's files (null drops them). Without it, a new
+ * code or language of a multi-file snippet goes to its first file.
+ * @param {number} id - Snippet ID to update
+ * @param {Object} updates - Fields to change (title, code, language, tags,
+ *   visibility, teamId, collectionId, files)
+ * @returns {Promise<Object|null>} Updated snippet, or null if not found
+ */
+const updateSnippet = (id, updates) => {
+  // Build SET clause from the editable columns that were provided
+  const fields = Object.keys(EDITABLE_COLUMNS).filter(field => updates[field] !== undefined);
+  const assignments = fields.map(field => `${EDITABLE_COLUMNS[field]} = ?`);
+  assignments.push('updated_at = CURRENT_TIMESTAMP');
+  const values = fields.map(field => updates[field]);
+
+  return transaction(async () => {
+    const result = await run(
+      `UPDATE snippets SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+      [...values, id]
+    );
+
+    if (result.changes === 0) return null;
+
+    if (Array.isArray(updates.tags)) {
+      const wanted = normalizeTagNames(updates.tags);
+      const currentTags = await all(`
+        SELECT t.id, t.name
+        FROM tags t
+        JOIN snippet_tags st ON st.tag_id = t.id
+        WHERE st.snippet_id = ?
+      `, [id]);
+
+      // Unlink tags that were removed
+      for (const tag of currentTags) {
+        if (!wanted.includes(tag.name)) {
+          await run('DELETE FROM snippet_tags WHERE snippet_id = ? AND tag_id = ?', [id, tag.id]);
         }
       }
-    );
+
+      // Link tags that were added, creating them if needed
+      const currentNames = currentTags.map(tag => tag.name);
+      await linkTags(id, wanted.filter(name => !currentNames.includes(name)));
+    }
+
+    if (updates.files !== undefined) {
+      await replaceSnippetFiles(id, updates.files);
+    } else if (updates.code !== undefined || updates.language !== undefined) {
+      const { code = null, language = null } = updates;
+      await run(`
+        UPDATE snippet_files
+        SET content = COALESCE(?, content), language = COALESCE(?, language)
+        WHERE snippet_id = ? AND position = 0
+      `, [code, language, id]);
+    }
+
+    return getSnippetById(id);
+  });
+};
+
+/**
+ * Get the version history of a snippet, newest first
+ * @param {number} snippetId - Snippet ID
+ * @returns {Promise<Array>} Version objects without code
+ */
+const getSnippetVersions = (snippetId) => {
+  return all(`
+    SELECT version, title, language, created_at
+    FROM snippet_versions
+    WHERE snippet_id = ?
+    ORDER BY version DESC
+  `, [snippetId]);
+};
+
+/**
+ * Get one saved version of a snippet
+ * @param {number} snippetId - Snippet ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version object, or null if not found
+ */
+const getSnippetVersion = async (snippetId, version) => {
+  const row = await get(`
+    SELECT version, title, code, language, created_at
+    FROM snippet_versions
+    WHERE snippet_id = ? AND version = ?
+  `, [snippetId, version]);
+
+  return row || null;
+};
+
+/**
+ * Restore a snippet to the content of an earlier version
+ * The restore is itself saved as a new version, so no history is lost
+ * @param {number} snippetId - Snippet ID
+ * @param {number} version - Version number to restore
+ * @returns {Promise<Object|null>} Updated snippet, or null if the version does not exist
+ */
+const restoreSnippetVersion = (snippetId, version) => {
+  return transaction(async () => {
+    const saved = await getSnippetVersion(snippetId, version);
+    if (!saved) return null;
+
+    return updateSnippet(snippetId, {
+      title: saved.title,
+      code: saved.code,
+      language: saved.language
+    });
   });
 };
 
 /**
- * Delete a snippet by ID
- * Cascade delete will automatically remove related snippet_tags entries
+ * Move a snippet to the trash
+ * The row, its tags, files and versions are kept so it can be restored.
  * @param {number} id - Snippet ID to delete
- * @returns {Promise<Object>} Success status
+ * @returns {Promise<Object>} Success status; changes is 0 when the snippet
+ *   is missing or already in the trash
+ */
+const deleteSnippet = async (id) => {
+  const { changes } = await run(
+    'UPDATE snippets SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+    [id]
+  );
+  return { success: true, changes };
+};
+
+/**
+ * Get the snippets a user has moved to the trash, most recently deleted first
+ * @param {number} ownerId - User ID
+ * @param {number} retentionDays - Days trashed snippets are kept; 0 keeps
+ *   them until they are purged by hand
+ * @returns {Promise<Array>} Snippets { id, title, language, tags, deleted_at,
+ *   purge_at } where purge_at is null when nothing is purged automatically
  */
-const deleteSnippet = (id) => {
-  return new Promise((resolve, reject) => {
-    const db = createConnection();
+const getTrashedSnippets = async (ownerId, retentionDays) => {
+  const rows = await all(`
+    SELECT s.id, s.title, s.language, s.created_at, s.deleted_at,
+           CASE WHEN ? > 0 THEN datetime(s.deleted_at, '+' || ? || ' days') END as purge_at,
+           GROUP_CONCAT(t.name) as tags
+    FROM snippets s
+    LEFT JOIN snippet_tags st ON s.id = st.snippet_id
+    LEFT JOIN tags t ON st.tag_id = t.id
+    WHERE s.owner_id = ? AND s.deleted_at IS NOT NULL
+    GROUP BY s.id
+    ORDER BY s.deleted_at DESC, s.id DESC
+  `, [retentionDays, retentionDays, ownerId]);
 
-    db.run('DELETE FROM snippets WHERE id = ?', [id], function(err) {
-      if (err) {
-        db.close();
-        reject(err);
-        return;
+  return rows.map(row => ({ ...row, tags: row.tags ? row.tags.split(',') : [] }));
+};
+
+/**
+ * Take a snippet back out of the trash
+ * @param {number} id - Snippet ID
+ * @returns {Promise<Object|null>} Restored snippet, or null if it is not in the trash
+ */
+const restoreSnippet = (id) => {
+  return transaction(async () => {
+    const { changes } = await run(
+      'UPDATE snippets SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+      [id]
+    );
+    if (changes === 0) return null;
+
+    return getSnippetById(id);
+  });
+};
+
+/**
+ * Permanently delete a snippet from the trash
+ * Cascade delete removes its tags links, files, versions, copies and pins.
+ * @param {number} id - Snippet ID
+ * @returns {Promise<Object>} { changes } which is 0 when it is not in the trash
+ */
+const purgeSnippet = async (id) => {
+  const { changes } = await run('DELETE FROM snippets WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+  return { changes };
+};
+
+/**
+ * Permanently delete trashed snippets
+ * @param {Object} options - { ownerId } to empty one user's trash, and/or
+ *   { olderThanDays } to only remove snippets trashed at least that long ago
+ * @returns {Promise<number>} Number of snippets removed
+ */
+const purgeTrash = async ({ ownerId = null, olderThanDays = null } = {}) => {
+  const conditions = ['deleted_at IS NOT NULL'];
+  const params = [];
+
+  if (ownerId !== null) {
+    conditions.push('owner_id = ?');
+    params.push(ownerId);
+  }
+
+  if (olderThanDays !== null) {
+    conditions.push("deleted_at <= datetime('now', '-' || ? || ' days')");
+    params.push(olderThanDays);
+  }
+
+  const { changes } = await run(`DELETE FROM snippets WHERE ${conditions.join(' AND ')}`, params);
+  return changes;
+};
+
+/**
+ * Work out the change one bulk operation makes to a snippet
+ * @param {Object} snippet - Current snippet
+ * @param {Object} change - { operation, tags, language, collectionId }
+ * @returns {Object} { updates } for updateSnippet, null updates when the
+ *   snippet already matches, or { error } when it cannot take the change
+ */
+const planBulkUpdate = (snippet, { operation, tags, language, collectionId }) => {
+  if (operation === 'add_tags') {
+    const merged = normalizeTagNames([...snippet.tags, ...tags]);
+    if (merged.length > MAX_TAGS) {
+      return { error: `A snippet can have at most ${MAX_TAGS} tags` };
+    }
+    return { updates: merged.length > snippet.tags.length ? { tags: merged } : null };
+  }
+
+  if (operation === 'remove_tags') {
+    const removed = normalizeTagNames(tags);
+    const kept = snippet.tags.filter(tag => !removed.includes(tag));
+    return { updates: kept.length < snippet.tags.length ? { tags: kept } : null };
+  }
+
+  if (operation === 'set_language') {
+    return { updates: snippet.language !== language ? { language } : null };
+  }
+
+  // move
+  return { updates: snippet.collection_id !== collectionId ? { collectionId } : null };
+};
+
+/**
+ * Apply one operation to many snippets in a single transaction
+ * Snippets that are missing or belong to someone else are reported and
+ * skipped; any other failure rolls back the whole batch.
+ * @param {Array<number>} ids - Snippet IDs; duplicates are handled once
+ * @param {number} ownerId - User making the change
+ * @param {Object} change - { operation } ('delete', 'add_tags', 'remove_tags',
+ *   'set_language' or 'move') plus the tags, language or collectionId it uses
+ * @returns {Promise<Array>} One result per ID in request order: { id, success,
+ *   changed } or { id, success: false, status, message }
+ */
+const bulkUpdateSnippets = (ids, ownerId, change) => {
+  const uniqueIds = [...new Set(ids.map(Number))];
+
+  return transaction(async () => {
+    const results = [];
+
+    for (const id of uniqueIds) {
+      const snippet = await getSnippetById(id);
+
+      if (!snippet || snippet.owner_id !== ownerId) {
+        // Same rule as single updates: hidden snippets look missing
+        const visible = Boolean(snippet) && await canViewSnippet(id, ownerId);
+        results.push({
+          id,
+          success: false,
+          status: visible ? 403 : 404,
+          message: visible ? 'You can only change your own snippets' : 'Snippet not found'
+        });
+        continue;
       }
 
-      db.close();
-      resolve({ success: true, changes: this.changes });
-    });
+      if (change.operation === 'delete') {
+        await deleteSnippet(id);
+        results.push({ id, success: true, changed: true });
+        continue;
+      }
+
+      const plan = planBulkUpdate(snippet, change);
+      if (plan.error) {
+        results.push({ id, success: false, status: 422, message: plan.error });
+        continue;
+      }
+
+      if (plan.updates) {
+        await updateSnippet(id, plan.updates);
+      }
+      results.push({ id, success: true, changed: Boolean(plan.updates) });
+    }
+
+    return results;
+  });
+};
+
+/**
+ * Record that a snippet was copied
+ * The snippet_copies_count trigger updates copy_count and last_copied_at.
+ * @param {number} id - Snippet ID
+ * @param {number|null} userId - Logged in user ID, or null when anonymous
+ * @returns {Promise<Object|null>} { id, copy_count, last_copied_at }, or null if not found
+ */
+const recordCopy = (id, userId) => {
+  return transaction(async () => {
+    const snippet = await get('SELECT id FROM snippets WHERE id = ?', [id]);
+    if (!snippet) return null;
+
+    await run('INSERT INTO snippet_copies (snippet_id, user_id) VALUES (?, ?)', [id, userId]);
+
+    return get('SELECT id, copy_count, last_copied_at FROM snippets WHERE id = ?', [id]);
   });
 };
 
 /**
- * Get all available programming languages
- * Returns a predefined list of supported languages
- * @returns {Array<string>} List of language names
+ * Pin or unpin a snippet for a user
+ * Pinning twice or unpinning a snippet that is not pinned changes nothing.
+ * @param {number} id - Snippet ID
+ * @param {number} userId - User ID
+ * @param {boolean} pinned - Whether the snippet should be pinned
+ * @returns {Promise<Object>} { id, pinned }
  */
-const getLanguages = () => {
-  return [
-    'javascript',
-    'python',
-    'java',
-    'cpp',
-    'csharp',
-    'ruby',
-    'go',
-    'rust',
-    'php',
-    'html',
-    'css',
-    'sql',
-    'typescript',
-    'kotlin',
-    'swift'
-  ];
+const setPinned = async (id, userId, pinned) => {
+  if (pinned) {
+    await run('INSERT OR IGNORE INTO snippet_pins (user_id, snippet_id) VALUES (?, ?)', [userId, id]);
+  } else {
+    await run('DELETE FROM snippet_pins WHERE user_id = ? AND snippet_id = ?', [userId, id]);
+  }
+
+  return { id: Number(id), pinned };
 };
 
 module.exports = {
+  buildVisibilityCondition,
   getAllSnippets,
+  getSnippetPage,
+  getSnippetById,
+  canViewSnippet,
+  canViewSharing,
+  getSnippetTitlesByOwner,
   createSnippet,
+  updateSnippet,
   deleteSnippet,
-  getLanguages
+  getTrashedSnippets,
+  restoreSnippet,
+  purgeSnippet,
+  purgeTrash,
+  bulkUpdateSnippets,
+  getSnippetVersions,
+  getSnippetVersion,
+  restoreSnippetVersion,
+  recordCopy,
+  setPinned
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * Tag Model
+ * Handles all database operations for tags
+ */
+
+const { run, get, all, transaction } = require('../config/database');
+
+/**
+ * Normalize a tag name the same way the snippet form does
+ * @param {string} name - Raw tag name
+ * @returns {string} Trimmed, lowercased tag name
+ */
+const normalizeTagName = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Normalize a list of tag names, dropping blanks and duplicates
+ * @param {Array<string>} names - Raw tag names
+ * @returns {Array<string>} Unique normalized tag names
+ */
+const normalizeTagNames = (names = []) => {
+  return [...new Set(names.map(normalizeTagName).filter(name => name.length > 0))];
+};
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Build the query for tags with the number of snippets using each
+ * Only snippets the viewer may see are counted, so the trash and other
+ * users' private snippets are left out.
+ * @param {number|null} viewerId - Logged in user ID, or null when anonymous
+ * @returns {Object} { sql, params } to extend with WHERE, GROUP BY t.id
+ */
+const tagsWithCount = (viewerId) => {
+  // Required here: snippetModel requires this module while it loads
+  const { buildVisibilityCondition } = require('./snippetModel');
+  const { condition, params } = buildVisibilityCondition(viewerId);
+
+  return {
+    sql: `
+      SELECT t.id, t.name, COUNT(s.id) as count
+      FROM tags t
+      LEFT JOIN snippet_tags st ON st.tag_id = t.id
+      LEFT JOIN snippets s ON s.id = st.snippet_id AND ${condition}
+    `,
+    params
+  };
+};
+
+/**
+ * Get the tags of the snippets a viewer may see, with their counts, sorted by name
+ * @param {number|null} viewerId - Logged in user ID, or null when anonymous
+ * @returns {Promise<Array>} Tag objects { id, name, count }
+ */
+const getAllTags = (viewerId) => {
+  const { sql, params } = tagsWithCount(viewerId);
+  return all(`${sql} GROUP BY t.id HAVING COUNT(s.id) > 0 ORDER BY t.name`, params);
+};
+
+/**
+ * Get a single tag with the number of snippets the viewer may see using it
+ * @param {number} id - Tag ID
+ * @param {number|null} viewerId - Logged in user ID, or null when anonymous
+ * @returns {Promise<Object|null>} Tag object, or null if not found
+ */
+const getTagById = async (id, viewerId) => {
+  const { sql, params } = tagsWithCount(viewerId);
+  const tag = await get(`${sql} WHERE t.id = ? GROUP BY t.id`, [...params, id]);
+  return tag || null;
+};
+
+// IDs of one user's snippets, trash included; tag changes only touch these
+const OWN_SNIPPET_IDS = 'SELECT id FROM snippets WHERE owner_id = ?';
+
+/**
+ * Get a tag the user may change, with how many snippets use it
+ * Users may only change tags on their own snippets.
+ * @param {number} id - Tag ID
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object|null>} { id, name, others, snippetIds } where
+ *   others counts other users' snippets using the tag and snippetIds lists
+ *   the user's snippets outside the trash that use it, or null if the tag
+ *   does not exist
+ * @throws {Error} 403 error when none of the user's snippets use the tag
+ */
+const getOwnTag = async (id, userId) => {
+  const tag = await get(`
+    SELECT t.id, t.name,
+           COUNT(CASE WHEN s.owner_id = ? THEN 1 END) as own,
+           COUNT(CASE WHEN s.id IS NOT NULL AND s.owner_id IS NOT ? THEN 1 END) as others
+    FROM tags t
+    LEFT JOIN snippet_tags st ON st.tag_id = t.id
+    LEFT JOIN snippets s ON s.id = st.snippet_id
+    WHERE t.id = ?
+    GROUP BY t.id
+  `, [userId, userId, id]);
+
+  if (!tag) return null;
+  if (tag.own === 0) {
+    throw httpError('You can only change tags on your own snippets', 403);
+  }
+
+  const snippets = await all(`
+    SELECT s.id FROM snippets s
+    JOIN snippet_tags st ON st.snippet_id = s.id
+    WHERE st.tag_id = ? AND s.owner_id = ? AND s.deleted_at IS NULL
+    ORDER BY s.id
+  `, [id, userId]);
+
+  return { id: tag.id, name: tag.name, others: tag.others, snippetIds: snippets.map(snippet => snippet.id) };
+};
+
+/**
+ * Move a user's snippets from one tag to another
+ * @param {number} sourceId - Tag to take off the snippets
+ * @param {number} targetId - Tag to put on them
+ * @param {number} userId - Owner of the snippets
+ */
+const relinkOwnSnippets = async (sourceId, targetId, userId) => {
+  await run(`
+    INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id)
+    SELECT snippet_id, ? FROM snippet_tags
+    WHERE tag_id = ? AND snippet_id IN (${OWN_SNIPPET_IDS})
+  `, [targetId, sourceId, userId]);
+  await unlinkOwnSnippets(sourceId, userId);
+};
+
+/**
+ * Take a tag off a user's snippets, deleting it once no snippet uses it
+ * @param {number} id - Tag ID
+ * @param {number} userId - Owner of the snippets
+ * @returns {Promise<number>} Number of snippets the tag was taken off
+ */
+const unlinkOwnSnippets = async (id, userId) => {
+  const result = await run(
+    `DELETE FROM snippet_tags WHERE tag_id = ? AND snippet_id IN (${OWN_SNIPPET_IDS})`,
+    [id, userId]
+  );
+  await run('DELETE FROM tags WHERE id = ? AND id NOT IN (SELECT tag_id FROM snippet_tags)', [id]);
+
+  return result.changes;
+};
+
+/**
+ * Rename a tag on the user's snippets
+ * A tag only the user's snippets use is renamed in place; otherwise the
+ * user's snippets move to a new tag and other users keep the old name.
+ * @param {number} id - Tag ID
+ * @param {string} name - New name, normalized before saving
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object|null>} { tag, snippetIds } with the renamed tag
+ *   and the IDs of the snippets it changed, or null if not found
+ * @throws {Error} 409 error when another tag already has the name, 403 when
+ *   none of the user's snippets use the tag
+ */
+const renameTag = (id, name, userId) => {
+  const newName = normalizeTagName(name);
+
+  return transaction(async () => {
+    const tag = await getOwnTag(id, userId);
+    if (!tag) return null;
+
+    const existing = await get('SELECT id FROM tags WHERE name = ?', [newName]);
+    if (existing && String(existing.id) !== String(id)) {
+      throw httpError(`Tag '${newName}' already exists; merge the tags instead`, 409);
+    }
+
+    if (tag.others === 0 || existing) {
+      await run('UPDATE tags SET name = ? WHERE id = ?', [newName, id]);
+      return { tag: await getTagById(id, userId), snippetIds: tag.snippetIds };
+    }
+
+    const { lastID } = await run('INSERT INTO tags (name) VALUES (?)', [newName]);
+    await relinkOwnSnippets(id, lastID, userId);
+    return { tag: await getTagById(lastID, userId), snippetIds: tag.snippetIds };
+  });
+};
+
+/**
+ * Merge one tag into another on the user's snippets
+ * The user's snippets tagged with the source tag get the target tag
+ * instead, and the source tag is deleted once no snippet uses it, all in
+ * one transaction
+ * @param {number} sourceId - Tag to merge away
+ * @param {number} targetId - Tag to keep
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object|null>} { tag, snippetIds } with the target tag and
+ *   the IDs of the snippets it changed, or null if either tag is missing
+ * @throws {Error} 403 error when none of the user's snippets use the source tag
+ */
+const mergeTags = (sourceId, targetId, userId) => {
+  return transaction(async () => {
+    const source = await getOwnTag(sourceId, userId);
+    const target = await get('SELECT id FROM tags WHERE id = ?', [targetId]);
+    if (!source || !target) return null;
+
+    await relinkOwnSnippets(sourceId, targetId, userId);
+
+    return { tag: await getTagById(targetId, userId), snippetIds: source.snippetIds };
+  });
+};
+
+/**
+ * Remove a tag from the user's snippets
+ * The tag itself is deleted once no snippet uses it.
+ * @param {number} id - Tag ID
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object|null>} { success, changes, snippetIds } with the
+ *   number of snippets untagged and the IDs of those outside the trash, or
+ *   null if the tag does not exist
+ * @throws {Error} 403 error when none of the user's snippets use the tag
+ */
+const deleteTag = (id, userId) => {
+  return transaction(async () => {
+    const tag = await getOwnTag(id, userId);
+    if (!tag) return null;
+
+    const changes = await unlinkOwnSnippets(id, userId);
+    return { success: true, changes, snippetIds: tag.snippetIds };
+  });
+};
+
+/**
+ * Delete every tag that no snippet uses
+ * Links left behind by snippets deleted without foreign key cascades
+ * are cleared first, so their tags count as unused. No snippet loses a
+ * tag, so any user may prune.
+ * @returns {Promise<Object>} Number of tags removed { changes }
+ */
+const pruneUnusedTags = () => {
+  return transaction(async () => {
+    await run('DELETE FROM snippet_tags WHERE snippet_id NOT IN (SELECT id FROM snippets)');
+    const result = await run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM snippet_tags)');
+
+    return { success: true, changes: result.changes };
+  });
+};
+
+/**
+ * Link a snippet to tags, creating tags that don't exist yet
+ * Call inside a transaction so a failure leaves no partial tag writes.
+ * @param {number} snippetId - Snippet ID
+ * @param {Array<string>} names - Normalized tag names
+ */
+const linkTags = async (snippetId, names) => {
+  for (const name of names) {
+    await run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+    const tag = await get('SELECT id FROM tags WHERE name = ?', [name]);
+    await run(
+      'INSERT OR IGNORE INTO snippet_tags (snippet_id, tag_id) VALUES (?, ?)',
+      [snippetId, tag.id]
+    );
+  }
+};
+
+module.exports = {
+  normalizeTagName,
+  normalizeTagNames,
+  getAllTags,
+  getTagById,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  pruneUnusedTags,
+  linkTags
+};
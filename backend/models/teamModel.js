@@ -0,0 +1,182 @@
+/**
+ * Team Model
+ * Handles teams and team membership
+ */
+
+const { run, get, all, transaction } = require('../config/database');
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Team columns plus the number of members
+const TEAM_WITH_COUNT = `
+  SELECT t.id, t.name, t.created_at,
+         (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count
+  FROM teams t
+`;
+
+/**
+ * Create a team; its creator becomes the first admin
+ * @param {string} name - Team name
+ * @param {number} userId - ID of the creating user
+ * @returns {Promise<Object>} Created team with the creator's role
+ */
+const createTeam = (name, userId) => {
+  return transaction(async () => {
+    const { lastID } = await run('INSERT INTO teams (name, created_by) VALUES (?, ?)', [name, userId]);
+    await run(
+      "INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, 'admin')",
+      [lastID, userId]
+    );
+
+    const team = await get(`${TEAM_WITH_COUNT} WHERE t.id = ?`, [lastID]);
+    return { ...team, role: 'admin' };
+  });
+};
+
+/**
+ * Get the teams a user belongs to, sorted by name
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Team objects { id, name, created_at, member_count, role }
+ */
+const getTeamsForUser = (userId) => {
+  return all(`
+    SELECT t.id, t.name, t.created_at, me.role,
+           (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count
+    FROM teams t
+    JOIN team_members me ON me.team_id = t.id AND me.user_id = ?
+    ORDER BY t.name COLLATE NOCASE
+  `, [userId]);
+};
+
+/**
+ * Get a single team with its member count
+ * @param {number} id - Team ID
+ * @returns {Promise<Object|null>} Team object, or null if not found
+ */
+const getTeamById = async (id) => {
+  const team = await get(`${TEAM_WITH_COUNT} WHERE t.id = ?`, [id]);
+  return team || null;
+};
+
+/**
+ * Get a user's role in a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} 'admin', 'member', or null when not a member
+ */
+const getMemberRole = async (teamId, userId) => {
+  const row = await get(
+    'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+    [teamId, userId]
+  );
+  return row ? row.role : null;
+};
+
+/**
+ * List the members of a team, admins first
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} Member objects { user_id, username, role, joined_at }
+ */
+const getTeamMembers = (teamId) => {
+  return all(`
+    SELECT m.user_id, u.username, m.role, m.joined_at
+    FROM team_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.team_id = ?
+    ORDER BY m.role = 'admin' DESC, u.username
+  `, [teamId]);
+};
+
+/**
+ * Add a user to a team by username
+ * @param {number} teamId - Team ID
+ * @param {string} username - Username of the user to add
+ * @param {string} role - 'admin' or 'member'
+ * @returns {Promise<Object>} Added member
+ * @throws {Error} 404 error for unknown users, 409 error for existing members
+ */
+const addMember = (teamId, username, role = 'member') => {
+  return transaction(async () => {
+    const user = await get('SELECT id, username FROM users WHERE username = ?', [username]);
+    if (!user) {
+      throw httpError(`User "${username}" not found`, 404);
+    }
+
+    const existing = await getMemberRole(teamId, user.id);
+    if (existing) {
+      throw httpError(`${user.username} is already a member of this team`, 409);
+    }
+
+    await run(
+      'INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)',
+      [teamId, user.id, role]
+    );
+
+    return get(`
+      SELECT m.user_id, u.username, m.role, m.joined_at
+      FROM team_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.team_id = ? AND m.user_id = ?
+    `, [teamId, user.id]);
+  });
+};
+
+/**
+ * Remove a user from a team
+ * Snippets the user shared with the team become private again, since the
+ * team should no longer see them.
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|false>} { snippetIds } of the snippets made
+ *   private, or false when the user was not a member
+ * @throws {Error} 409 error when removing the team's last admin
+ */
+const removeMember = (teamId, userId) => {
+  return transaction(async () => {
+    const role = await getMemberRole(teamId, userId);
+    if (!role) return false;
+
+    if (role === 'admin') {
+      const { admins } = await get(
+        "SELECT COUNT(*) as admins FROM team_members WHERE team_id = ? AND role = 'admin'",
+        [teamId]
+      );
+      if (admins === 1) {
+        throw httpError('A team must keep at least one admin', 409);
+      }
+    }
+
+    const shared = await all(
+      'SELECT id FROM snippets WHERE team_id = ? AND owner_id = ?',
+      [teamId, userId]
+    );
+
+    await run('DELETE FROM team_members WHERE team_id = ? AND user_id = ?', [teamId, userId]);
+    await run(
+      "UPDATE snippets SET visibility = 'private', team_id = NULL WHERE team_id = ? AND owner_id = ?",
+      [teamId, userId]
+    );
+
+    return { snippetIds: shared.map(row => row.id) };
+  });
+};
+
+module.exports = {
+  createTeam,
+  getTeamsForUser,
+  getTeamById,
+  getMemberRole,
+  getTeamMembers,
+  addMember,
+  removeMember
+};
@@ -0,0 +1,133 @@
+/**
+ * Token Model
+ * Handles personal access tokens for scripts and editor plugins
+ */
+
+const crypto = require('crypto');
+const { run, get, all } = require('../config/database');
+const { TOKEN_SCOPES } = require('../../shared/schemas');
+
+// Tokens look like snip_<40 hex chars>; the first characters identify them in lists
+const TOKEN_PREFIX = 'snip_';
+const TOKEN_BYTES = 20;
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain text token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Convert a token row into the public token shape (never the hash)
+ * @param {Object} row - Database row
+ * @returns {Object} { id, name, prefix, scopes[], created_at, expires_at, last_used_at }
+ */
+const toPublicToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.token_prefix,
+  scopes: row.scopes.split(' '),
+  created_at: row.created_at,
+  expires_at: row.expires_at,
+  last_used_at: row.last_used_at
+});
+
+/**
+ * Create a personal access token
+ * The plain text token is only returned here; afterwards just its hash exists.
+ * @param {number} userId - Owner of the token
+ * @param {Object} options - { name, scopes[], expiresAt (Date or null) }
+ * @returns {Promise<Object>} Token details plus the plain text `token`
+ */
+const createToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('hex')}`;
+  const { lastID } = await run(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    userId,
+    name,
+    hashToken(token),
+    token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes.join(' '),
+    expiresAt ? expiresAt.toISOString() : null
+  ]);
+
+  const row = await get('SELECT * FROM api_tokens WHERE id = ?', [lastID]);
+  return { ...toPublicToken(row), token };
+};
+
+/**
+ * List a user's tokens, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Token objects without secrets
+ */
+const getTokensForUser = async (userId) => {
+  const rows = await all(
+    'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+    [userId]
+  );
+  return rows.map(toPublicToken);
+};
+
+/**
+ * Revoke one of a user's tokens
+ * @param {number} id - Token ID
+ * @param {number} userId - User ID; other users' tokens are never touched
+ * @returns {Promise<Object>} Result with changes count
+ */
+const deleteToken = (id, userId) => {
+  return run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+};
+
+/**
+ * Look up the user behind a token and record that it was used
+ * @param {string} token - Plain text token from the Authorization header
+ * @returns {Promise<Object|null>} { id, user, scopes[] } where id is the
+ *   token's ID, or null when unknown or expired
+ */
+const authenticateToken = async (token) => {
+  const now = new Date().toISOString();
+
+  const row = await get(`
+    SELECT t.id as token_id, t.scopes, u.id, u.username, u.created_at
+    FROM api_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > ?)
+  `, [hashToken(token), now]);
+
+  if (!row) return null;
+
+  await run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [now, row.token_id]);
+
+  return {
+    id: row.token_id,
+    user: { id: row.id, username: row.username, created_at: row.created_at },
+    scopes: row.scopes.split(' ')
+  };
+};
+
+/**
+ * Check that a token still exists and has not expired
+ * Unlike authenticateToken, this does not count as a use of the token.
+ * @param {number} id - Token ID
+ * @returns {Promise<boolean>} True while the token can be used
+ */
+const isTokenActive = async (id) => {
+  const row = await get(
+    'SELECT id FROM api_tokens WHERE id = ? AND (expires_at IS NULL OR expires_at > ?)',
+    [id, new Date().toISOString()]
+  );
+  return Boolean(row);
+};
+
+module.exports = {
+  TOKEN_SCOPES,
+  createToken,
+  getTokensForUser,
+  deleteToken,
+  authenticateToken,
+  isTokenActive
+};
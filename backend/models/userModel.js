@@ -0,0 +1,166 @@
+/**
+ * User Model
+ * Handles user accounts, password hashing and login sessions
+ */
+
+const crypto = require('crypto');
+const { run, get, transaction } = require('../config/database');
+
+// scrypt parameters for password hashes
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Session tokens are random and live for a week
+const SESSION_TOKEN_BYTES = 32;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex encoded salt
+ * @returns {Promise<string>} Hex encoded hash
+ */
+const hashPassword = (password, salt) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) reject(err);
+      else resolve(key.toString('hex'));
+    });
+  });
+};
+
+/**
+ * Hash a session token for storage and lookup
+ * @param {string} token - Session token sent by the client
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Convert a user row into the public user shape
+ * @param {Object} row - Database row
+ * @returns {Object} { id, username, created_at }
+ */
+const toPublicUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  created_at: row.created_at
+});
+
+/**
+ * Create a user account
+ * The first account to register takes ownership of snippets created before
+ * accounts existed, so an existing library is not left without an owner.
+ * @param {string} username - Unique username
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} Created user
+ * @throws {Error} 409 error when the username is taken
+ */
+const createUser = async (username, password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const passwordHash = await hashPassword(password, salt);
+
+  try {
+    const user = await transaction(async () => {
+      const { count } = await get('SELECT COUNT(*) as count FROM users');
+      const { lastID } = await run(
+        'INSERT INTO users (username, password_hash, password_salt) VALUES (?, ?, ?)',
+        [username, passwordHash, salt]
+      );
+
+      if (count === 0) {
+        await run('UPDATE snippets SET owner_id = ? WHERE owner_id IS NULL', [lastID]);
+      }
+
+      return get('SELECT * FROM users WHERE id = ?', [lastID]);
+    });
+
+    return toPublicUser(user);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      throw httpError('Username is already taken', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a username and password
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} User, or null when the credentials are wrong
+ */
+const verifyCredentials = async (username, password) => {
+  const user = await get('SELECT * FROM users WHERE username = ?', [username]);
+
+  if (!user) return null;
+
+  const hash = await hashPassword(password, user.password_salt);
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hash, 'hex'),
+    Buffer.from(user.password_hash, 'hex')
+  );
+
+  return matches ? toPublicUser(user) : null;
+};
+
+/**
+ * Start a login session for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { token, expiresAt }; only the token's hash is stored
+ */
+const createSession = async (userId) => {
+  const token = crypto.randomBytes(SESSION_TOKEN_BYTES).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await run(
+    'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [userId, hashToken(token), expiresAt.toISOString()]
+  );
+  return { token, expiresAt };
+};
+
+/**
+ * Look up the user behind a session token
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} User, or null when the session is unknown or expired
+ */
+const getUserBySessionToken = async (token) => {
+  const user = await get(`
+    SELECT u.id, u.username, u.created_at
+    FROM sessions se
+    JOIN users u ON u.id = se.user_id
+    WHERE se.token_hash = ? AND se.expires_at > ?
+  `, [hashToken(token), new Date().toISOString()]);
+
+  return user || null;
+};
+
+/**
+ * End a login session
+ * @param {string} token - Session token
+ * @returns {Promise<Object>} Result with changes count
+ */
+const deleteSession = (token) => {
+  return run('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+};
+
+module.exports = {
+  createUser,
+  verifyCredentials,
+  createSession,
+  getUserBySessionToken,
+  deleteSession
+};
@@ -0,0 +1,23 @@
+/**
+ * Auth Routes
+ * Defines account and session endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { validateRequest } = require('../middleware/validate');
+
+// POST /api/auth/register - Create an account and log in
+router.post('/auth/register', validateRequest('register'), authController.register);
+
+// POST /api/auth/login - Log in with username and password
+router.post('/auth/login', validateRequest('login'), authController.login);
+
+// POST /api/auth/logout - End the current session
+router.post('/auth/logout', authController.logout);
+
+// GET /api/auth/me - Get the logged in user
+router.get('/auth/me', authController.getCurrentUser);
+
+module.exports = router;
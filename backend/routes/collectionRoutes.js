@@ -0,0 +1,31 @@
+/**
+ * Collection Routes
+ * Defines collection (folder) endpoints and maps them to controller functions
+ */
+
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collectionController');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Collections organize snippets, so tokens need the snippet scopes
+const canRead = [requireAuth, requireScope('snippets:read')];
+const canEdit = [requireAuth, requireScope('snippets:write')];
+
+// GET /api/collections - List personal and team collections
+router.get('/collections', canRead, collectionController.getCollections);
+
+// POST /api/collections - Create collection ({ name, parent_id, team_id })
+router.post('/collections', canEdit, validateRequest('collection'), collectionController.createCollection);
+
+// PATCH /api/collections/:id - Rename collection ({ name })
+router.patch('/collections/:id', canEdit, validateRequest('collectionRename'), collectionController.renameCollection);
+
+// POST /api/collections/:id/move - Move or reorder collection ({ parent_id, position })
+router.post('/collections/:id/move', canEdit, validateRequest('collectionMove'), collectionController.moveCollection);
+
+// DELETE /api/collections/:id - Delete collection and its sub-collections
+router.delete('/collections/:id', canEdit, collectionController.deleteCollection);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+/**
+ * Event Routes
+ * Defines the live update stream and maps it to the controller
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { requireScope } = require('../middleware/auth');
+
+// GET /api/events - Stream snippet changes as Server-Sent Events
+router.get('/events', requireScope('snippets:read'), eventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Language Routes
+ * Defines the language registry endpoints and maps them to controller functions
+ */
+
+const express = require('express');
+const router = express.Router();
+const languageController = require('../controllers/languageController');
+const { requireAuth, requireScope, requireLanguageEditor } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Any logged in user may add a language; only its creator or an admin may change it
+const canRead = requireScope('snippets:read');
+const canEdit = [requireAuth, requireScope('snippets:write')];
+
+// GET /api/languages - Get enabled languages (all=true includes disabled ones)
+router.get('/languages', canRead, validateRequest('languageQuery', 'query'), languageController.getLanguages);
+
+// POST /api/languages - Add a language
+router.post('/languages', canEdit, validateRequest('language'), languageController.createLanguage);
+
+// PATCH /api/languages/:id - Change or disable a language
+router.patch('/languages/:id', canEdit, validateRequest('languagePatch'), requireLanguageEditor, languageController.updateLanguage);
+
+// POST /api/detect-language - Guess the language of some code
+router.post('/detect-language', canRead, validateRequest('detectLanguage'), languageController.detectSnippetLanguage);
+
+module.exports = router;
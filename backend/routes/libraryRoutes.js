@@ -0,0 +1,18 @@
+/**
+ * Library Routes
+ * Defines import and export endpoints and maps them to controller functions
+ */
+
+const express = require('express');
+const router = express.Router();
+const libraryController = require('../controllers/libraryController');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// GET /api/export - Download visible snippets (format, search)
+router.get('/export', requireScope('snippets:read'), libraryController.exportLibrary);
+
+// POST /api/import - Import snippets ({ format, data, duplicates, dry_run })
+router.post('/import', requireAuth, requireScope('snippets:write'), validateRequest('import'), libraryController.importLibrary);
+
+module.exports = router;
@@ -6,17 +6,83 @@
 const express = require('express');
 const router = express.Router();
 const snippetController = require('../controllers/snippetController');
+const {
+  requireAuth,
+  requireScope,
+  requireSnippetOwner,
+  requireSnippetAccess
+} = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
 
-// GET /api/snippets - Get all snippets (with optional search)
-router.get('/snippets', snippetController.getSnippets);
+// Personal access tokens need the matching scope; browser sessions have all scopes
+const canRead = requireScope('snippets:read');
+const canWrite = requireScope('snippets:write');
+const canDelete = requireScope('snippets:delete');
+
+// Only the owner of a snippet may change it
+const ownerOnly = [requireAuth, requireSnippetOwner];
+
+// Bulk deletes need the delete scope; every other bulk operation edits
+const canBulkEdit = (req, res, next) => {
+  requireScope(req.body.operation === 'delete' ? 'snippets:delete' : 'snippets:write')(req, res, next);
+};
+
+// GET /api/snippets - Get a page of visible snippets
+// (search, limit, cursor, sort, order, workspace, collection, subcollections, pinned, highlight)
+router.get('/snippets', canRead, validateRequest('snippetQuery', 'query'), snippetController.getSnippets);
+
+// GET /api/snippets/:id - Get one visible snippet
+router.get('/snippets/:id', canRead, requireSnippetAccess, snippetController.getSnippet);
 
 // POST /api/snippets - Create new snippet
-router.post('/snippets', snippetController.createSnippet);
+router.post('/snippets', requireAuth, canWrite, validateRequest('snippet'), snippetController.createSnippet);
+
+// POST /api/snippets/bulk - Apply one operation to many snippets ({ ids, operation, ... })
+router.post('/snippets/bulk', requireAuth, validateRequest('snippetBulk'), canBulkEdit, snippetController.bulkUpdateSnippets);
+
+// PUT /api/snippets/:id - Replace snippet by ID
+router.put('/snippets/:id', canWrite, ownerOnly, validateRequest('snippet'), snippetController.updateSnippet);
+
+// PATCH /api/snippets/:id - Partially update snippet by ID
+router.patch('/snippets/:id', canWrite, ownerOnly, validateRequest('snippetPatch'), snippetController.updateSnippet);
+
+// DELETE /api/snippets/:id - Move snippet to the trash
+router.delete('/snippets/:id', canDelete, ownerOnly, snippetController.deleteSnippet);
+
+// POST /api/snippets/:id/restore - Take a snippet back out of the trash
+router.post('/snippets/:id/restore', canWrite, ownerOnly, snippetController.restoreSnippet);
+
+// GET /api/trash - List the logged in user's trashed snippets
+router.get('/trash', requireAuth, canRead, snippetController.getTrash);
+
+// DELETE /api/trash - Permanently delete everything in the trash
+router.delete('/trash', requireAuth, canDelete, snippetController.emptyTrash);
+
+// DELETE /api/trash/:id - Permanently delete one trashed snippet
+router.delete('/trash/:id', canDelete, ownerOnly, snippetController.purgeSnippet);
+
+// GET /api/snippets/:id/versions - List saved versions of a snippet
+router.get('/snippets/:id/versions', canRead, requireSnippetAccess, snippetController.getSnippetVersions);
+
+// GET /api/snippets/:id/versions/:v/diff - Diff a version against another (?against=w)
+router.get('/snippets/:id/versions/:v/diff', canRead, requireSnippetAccess, snippetController.getVersionDiff);
+
+// POST /api/snippets/:id/versions/:v/restore - Restore a snippet to a version
+router.post('/snippets/:id/versions/:v/restore', canWrite, ownerOnly, snippetController.restoreSnippetVersion);
+
+// POST /api/snippets/:id/render - Fill in a snippet's placeholders
+router.post('/snippets/:id/render', canRead, requireSnippetAccess, validateRequest('snippetRender'), snippetController.renderSnippet);
+
+// GET /api/snippets/:id/zip - Download a snippet's files as a zip archive
+router.get('/snippets/:id/zip', canRead, requireSnippetAccess, snippetController.downloadSnippetZip);
+
+// POST /api/snippets/:id/copy - Record a copy of a snippet
+router.post('/snippets/:id/copy', canRead, requireSnippetAccess, snippetController.recordCopy);
 
-// DELETE /api/snippets/:id - Delete snippet by ID
-router.delete('/snippets/:id', snippetController.deleteSnippet);
+// PUT /api/snippets/:id/pin - Pin a snippet for the logged in user
+router.put('/snippets/:id/pin', requireAuth, canRead, requireSnippetAccess, snippetController.setPinned);
 
-// GET /api/languages - Get supported languages
-router.get('/languages', snippetController.getLanguages);
+// DELETE /api/snippets/:id/pin - Unpin a snippet
+router.delete('/snippets/:id/pin', requireAuth, canRead, requireSnippetAccess, snippetController.setPinned);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Tag Routes
+ * Defines tag management endpoints and maps them to controller functions
+ */
+
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Tag changes touch snippets, so tokens need the write scope
+const canEdit = [requireAuth, requireScope('snippets:write')];
+
+// GET /api/tags - Get all tags with snippet counts
+router.get('/tags', requireScope('snippets:read'), tagController.getTags);
+
+// DELETE /api/tags/unused - Delete tags no snippet uses
+// (registered before /tags/:id so "unused" is not taken as an ID)
+router.delete('/tags/unused', canEdit, tagController.pruneUnusedTags);
+
+// PATCH /api/tags/:id - Rename tag
+router.patch('/tags/:id', canEdit, validateRequest('tagRename'), tagController.renameTag);
+
+// POST /api/tags/:id/merge - Merge tag into another ({ into })
+router.post('/tags/:id/merge', canEdit, validateRequest('tagMerge'), tagController.mergeTag);
+
+// DELETE /api/tags/:id - Delete tag
+router.delete('/tags/:id', canEdit, tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Team Routes
+ * Defines team and membership endpoints and maps them to controller functions
+ */
+
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const { requireAuth, requireSession, requireTeamMember, requireTeamAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Tokens cannot create teams or change who is in them
+const sessionOnly = [requireAuth, requireSession];
+
+// GET /api/teams - List the caller's teams
+router.get('/teams', requireAuth, teamController.getTeams);
+
+// POST /api/teams - Create a team ({ name })
+router.post('/teams', sessionOnly, validateRequest('team'), teamController.createTeam);
+
+// GET /api/teams/:id/members - List team members
+router.get('/teams/:id/members', requireAuth, requireTeamMember, teamController.getMembers);
+
+// POST /api/teams/:id/members - Invite a user ({ username, role })
+router.post('/teams/:id/members', sessionOnly, requireTeamAdmin, validateRequest('teamMember'), teamController.inviteMember);
+
+// DELETE /api/teams/:id/members/:userId - Remove a member, or leave the team
+router.delete('/teams/:id/members/:userId', sessionOnly, requireTeamMember, teamController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Token Routes
+ * Defines personal access token endpoints; they need a browser login
+ */
+
+const express = require('express');
+const router = express.Router();
+const tokenController = require('../controllers/tokenController');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Tokens cannot manage tokens
+const sessionOnly = [requireAuth, requireSession];
+
+// GET /api/tokens - List your tokens
+router.get('/tokens', sessionOnly, tokenController.getTokens);
+
+// POST /api/tokens - Create a token ({ name, scopes[], expires_at })
+router.post('/tokens', sessionOnly, validateRequest('token'), tokenController.createToken);
+
+// DELETE /api/tokens/:id - Revoke a token
+router.delete('/tokens/:id', sessionOnly, tokenController.deleteToken);
+
+module.exports = router;
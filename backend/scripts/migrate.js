@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Migration Command Line
+ * Usage:
+ *   node scripts/migrate.js migrate           Apply pending migrations
+ *   node scripts/migrate.js rollback [steps]  Roll back the last migrations (default 1)
+ *   node scripts/migrate.js status            List migrations and when they were applied
+ */
+
+require('dotenv').config();
+
+const { defaultDatabase } = require('../config/database');
+const { migrate, rollback, getStatus } = require('../config/migrator');
+
+const USAGE = 'Usage: node scripts/migrate.js <migrate|rollback [steps]|status>';
+
+/**
+ * Format a migration for output
+ * @param {Object} migration - { version, name }
+ * @returns {string} e.g. "001 initial_schema"
+ */
+const describe = ({ version, name }) => `${String(version).padStart(3, '0')} ${name}`;
+
+const commands = {
+  /**
+   * Apply pending migrations
+   */
+  migrate: async () => {
+    const applied = await migrate();
+    if (applied.length === 0) {
+      console.log('Database is up to date');
+    }
+    applied.forEach(migration => console.log(`Applied ${describe(migration)}`));
+  },
+
+  /**
+   * Roll back the most recent migrations
+   * @param {string} steps - Number of migrations to roll back
+   */
+  rollback: async (steps = '1') => {
+    const count = Number(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Steps must be a positive whole number');
+    }
+
+    const rolledBack = await rollback(defaultDatabase, count);
+    if (rolledBack.length === 0) {
+      console.log('No migrations to roll back');
+    }
+    rolledBack.forEach(migration => console.log(`Rolled back ${describe(migration)}`));
+  },
+
+  /**
+   * Print every migration and whether it is applied
+   */
+  status: async () => {
+    const migrations = await getStatus();
+    migrations.forEach(migration => {
+      const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${describe(migration)}  ${state}`);
+    });
+  }
+};
+
+const [command = 'migrate', ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+commands[command](...args)
+  .then(() => defaultDatabase.close())
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+    return defaultDatabase.close();
+  });
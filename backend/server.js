@@ -8,27 +8,53 @@ const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
 
-const { initializeDatabase } = require('./config/database');
+const { migrate } = require('./config/migrator');
+const authRoutes = require('./routes/authRoutes');
 const snippetRoutes = require('./routes/snippetRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const tokenRoutes = require('./routes/tokenRoutes');
+const libraryRoutes = require('./routes/libraryRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const languageRoutes = require('./routes/languageRoutes');
+const eventRoutes = require('./routes/eventRoutes');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
+const { startTrashPurge } = require('./jobs/trashPurge');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize database on startup
-initializeDatabase();
+// Largest accepted import request body
+const IMPORT_SIZE_LIMIT = process.env.IMPORT_SIZE_LIMIT || '25mb';
+
+// Origins allowed to call the API with credentials (comma separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || `http://localhost:${PORT}`)
+  .split(',')
+  .map(origin => origin.trim());
 
 // Middleware
-app.use(cors()); // Enable CORS for all origins
+app.use(cors({ origin: CORS_ORIGINS, credentials: true })); // Allow configured origins only
+app.use('/api/import', express.json({ limit: IMPORT_SIZE_LIMIT })); // Imports carry whole libraries
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, '../frontend/public')));
+app.use('/shared', express.static(path.join(__dirname, '../shared'))); // Validation schemas used by the forms
 
 // API Routes
+app.use('/api', authenticate); // Attach req.user from the session cookie or bearer token
+app.use('/api', authRoutes);
 app.use('/api', snippetRoutes);
+app.use('/api', tagRoutes);
+app.use('/api', teamRoutes);
+app.use('/api', tokenRoutes);
+app.use('/api', libraryRoutes);
+app.use('/api', collectionRoutes);
+app.use('/api', languageRoutes);
+app.use('/api', eventRoutes); // Live snippet changes for open tabs
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -44,9 +70,24 @@ app.get('*', (req, res) => {
 app.use(notFound);
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Bring the database schema up to date, then start the server and the
+// trash purge job. Tests import the app without starting either.
+if (require.main === module) {
+  migrate()
+    .then((applied) => {
+      applied.forEach(({ version, name }) => console.log(`Applied migration ${version} ${name}`));
+
+      app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+      });
+
+      // Remove snippets that have outlived the trash retention period
+      startTrashPurge();
+    })
+    .catch((error) => {
+      console.error('Error migrating database:', error.message);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -6,12 +6,24 @@
 
 const request = require('supertest');
 const app = require('../server');
-const { initializeDatabase } = require('../config/database');
+const { closeDatabase, run } = require('../config/database');
+const { purgeExpiredTrash, getTrashSettings } = require('../jobs/trashPurge');
+const { setupTestDatabase } = require('./fixtures');
+const { createZip, readZip } = require('../utils/zip');
+
+// Logged in client used for all requests; a fresh account per run
+const api = request.agent(app);
+const credentials = { username: `tester_${Date.now()}`, password: 'correct horse' };
 
 // Test suite setup
-beforeAll(() => {
-  // Initialize test database
-  initializeDatabase();
+beforeAll(async () => {
+  // Fresh in-memory database with the sample snippets
+  await setupTestDatabase();
+  await api.post('/api/auth/register').send(credentials).expect(201);
+});
+
+afterAll(() => {
+  return closeDatabase();
 });
 
 describe('API Endpoints', () => {
@@ -23,7 +35,7 @@ describe('API Endpoints', () => {
    */
   describe('GET /api/snippets', () => {
     test('should return all snippets', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/snippets')
         .expect(200);
 
@@ -32,13 +44,74 @@ describe('API Endpoints', () => {
     });
 
     test('should filter snippets by search query', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/snippets?search=javascript')
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
     });
+
+    test('should apply structured filters', async () => {
+      const response = await api
+        .get('/api/snippets')
+        .query({ search: 'lang:javascript -tag:nonexistent after:2000-01-01' })
+        .expect(200);
+
+      expect(response.body.data.every(s => s.language === 'javascript')).toBe(true);
+    });
+
+    test('should page through snippets with a cursor', async () => {
+      // Make sure there are at least three snippets to page through
+      for (const title of ['Page A', 'Page B', 'Page C']) {
+        await api
+          .post('/api/snippets')
+          .send({ title, code: `// ${title}`, language: 'javascript' });
+      }
+
+      const first = await api
+        .get('/api/snippets?limit=2&sort=title&order=asc')
+        .expect(200);
+
+      expect(first.body.data).toHaveLength(2);
+      expect(first.body.total).toBeGreaterThanOrEqual(3);
+      expect(first.body.nextCursor).toBeTruthy();
+
+      const second = await api
+        .get('/api/snippets')
+        .query({ limit: 2, sort: 'title', order: 'asc', cursor: first.body.nextCursor })
+        .expect(200);
+
+      const firstIds = first.body.data.map(s => s.id);
+      expect(second.body.data.some(s => firstIds.includes(s.id))).toBe(false);
+      expect(second.body.data[0].title.toLowerCase() >= first.body.data[1].title.toLowerCase()).toBe(true);
+    });
+
+    test('should reject invalid paging parameters', async () => {
+      const response = await api.get('/api/snippets?limit=0&sort=random').expect(422);
+      expect(Object.keys(response.body.details).sort()).toEqual(['limit', 'sort']);
+
+      await api.get('/api/snippets?cursor=not-a-cursor').expect(400);
+    });
+
+    test('should reject a cursor from a different sort', async () => {
+      const page = await api.get('/api/snippets?limit=1&sort=title');
+
+      await api
+        .get('/api/snippets')
+        .query({ limit: 1, sort: 'created', cursor: page.body.nextCursor })
+        .expect(400);
+    });
+
+    test('should return 400 pointing at a bad token', async () => {
+      const response = await api
+        .get('/api/snippets')
+        .query({ search: 'lang:go after:yesterday' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.details).toEqual({ token: 'after:yesterday', position: 8 });
+    });
   });
 
   /**
@@ -53,7 +126,7 @@ describe('API Endpoints', () => {
         tags: ['test', 'example']
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/snippets')
         .send(newSnippet)
         .expect(201);
@@ -71,21 +144,206 @@ describe('API Endpoints', () => {
         // Missing 'code' field
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/snippets')
         .send(invalidSnippet)
-        .expect(400);
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.details).toEqual({ code: 'Code is required' });
+    });
+
+    test('should report every invalid field', async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({
+          title: 'x'.repeat(201),
+          code: 'ok',
+          language: 'Not a language!',
+          tags: 'not-a-list'
+        })
+        .expect(422);
+
+      expect(response.body.details).toEqual({
+        title: 'Title must be at most 200 characters',
+        language: expect.stringContaining('Language must be a language ID'),
+        tags: 'Tags must be a list'
+      });
+    });
+  });
+
+  /**
+   * Test PUT/PATCH /api/snippets/:id
+   */
+  describe('PUT/PATCH /api/snippets/:id', () => {
+    test('should replace a snippet and re-sync its tags', async () => {
+      const response = await api
+        .put(`/api/snippets/${createdSnippetId}`)
+        .send({
+          title: 'Updated Snippet',
+          code: 'console.log("updated");',
+          language: 'javascript',
+          tags: ['test', 'updated']
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.title).toBe('Updated Snippet');
+      expect(response.body.data.tags.sort()).toEqual(['test', 'updated']);
+      expect(response.body.data.updated_at).toBeTruthy();
+    });
+
+    test('should patch only the provided fields', async () => {
+      const response = await api
+        .patch(`/api/snippets/${createdSnippetId}`)
+        .send({ title: 'Patched Snippet' })
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Patched Snippet');
+      expect(response.body.data.code).toBe('console.log("updated");');
+      expect(response.body.data.tags.sort()).toEqual(['test', 'updated']);
+    });
+
+    test('should fail PUT without required fields', async () => {
+      const response = await api
+        .put(`/api/snippets/${createdSnippetId}`)
+        .send({ title: 'Missing Code' })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should not let PATCH blank out required fields', async () => {
+      const response = await api
+        .patch(`/api/snippets/${createdSnippetId}`)
+        .send({ code: '   ', tags: ['ok', ''] })
+        .expect(422);
+
+      expect(response.body.details).toEqual({
+        code: 'Code cannot be empty',
+        tags: 'Each tag cannot be empty'
+      });
+    });
+
+    test('should return 404 for non-existent snippet', async () => {
+      const response = await api
+        .patch('/api/snippets/999999')
+        .send({ title: 'Nothing here' })
+        .expect(404);
 
       expect(response.body.success).toBe(false);
     });
   });
 
+  /**
+   * Test version history endpoints
+   */
+  describe('Snippet versions', () => {
+    test('should list a version for every edit', async () => {
+      const response = await api
+        .get(`/api/snippets/${createdSnippetId}/versions`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.map(v => v.version)).toEqual([3, 2, 1]);
+    });
+
+    test('should diff a version against the previous one', async () => {
+      const response = await api
+        .get(`/api/snippets/${createdSnippetId}/versions/2/diff`)
+        .expect(200);
+
+      expect(response.body.data.against).toBe(1);
+      expect(response.body.data.diff).toContain('-console.log("test");');
+      expect(response.body.data.diff).toContain('+console.log("updated");');
+    });
+
+    test('should diff against a chosen version', async () => {
+      const response = await api
+        .get(`/api/snippets/${createdSnippetId}/versions/3/diff?against=2`)
+        .expect(200);
+
+      // Only the title changed between versions 2 and 3
+      expect(response.body.data.diff).toBe('');
+    });
+
+    test('should restore an earlier version as a new version', async () => {
+      const response = await api
+        .post(`/api/snippets/${createdSnippetId}/versions/1/restore`)
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Test Snippet');
+      expect(response.body.data.code).toBe('console.log("test");');
+
+      const versions = await api
+        .get(`/api/snippets/${createdSnippetId}/versions`);
+      expect(versions.body.data[0].version).toBe(4);
+    });
+
+    test('should return 404 for a missing version', async () => {
+      await api
+        .get(`/api/snippets/${createdSnippetId}/versions/99/diff`)
+        .expect(404);
+    });
+  });
+
+  /**
+   * Test templated snippets
+   */
+  describe('Snippet placeholders', () => {
+    let templateId;
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title: 'Service template', code: 'class ${1:Name}Service {}\n// ${ENV:dev} ${2}' })
+        .expect(201);
+      templateId = response.body.data.id;
+
+      expect(response.body.data.placeholders.map(p => p.key)).toEqual(['1', '2', 'ENV']);
+    });
+
+    test('should return placeholder metadata with snippets', async () => {
+      const response = await api.get('/api/snippets?search=title:"Service template"').expect(200);
+
+      expect(response.body.data[0].placeholders).toEqual([
+        { key: '1', default: 'Name', occurrences: 1 },
+        { key: '2', default: null, occurrences: 1 },
+        { key: 'ENV', default: 'dev', occurrences: 1 }
+      ]);
+    });
+
+    test('should render a snippet with values', async () => {
+      const response = await request(app)
+        .post(`/api/snippets/${templateId}/render`)
+        .send({ values: { 1: 'User', 2: 'ready' } })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        id: templateId,
+        code: 'class UserService {}\n// dev ready',
+        missing: []
+      });
+
+      const partial = await api.post(`/api/snippets/${templateId}/render`).expect(200);
+      expect(partial.body.data.missing).toEqual(['2']);
+    });
+
+    test('should validate render values', async () => {
+      await api
+        .post(`/api/snippets/${templateId}/render`)
+        .send({ values: ['User'] })
+        .expect(422);
+      await api.post('/api/snippets/999999/render').send({ values: {} }).expect(404);
+    });
+  });
+
   /**
    * Test DELETE /api/snippets/:id
    */
   describe('DELETE /api/snippets/:id', () => {
     test('should delete an existing snippet', async () => {
-      const response = await request(app)
+      const response = await api
         .delete(`/api/snippets/${createdSnippetId}`)
         .expect(200);
 
@@ -93,7 +351,7 @@ describe('API Endpoints', () => {
     });
 
     test('should return 404 for non-existent snippet', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/snippets/999999')
         .expect(404);
 
@@ -102,17 +360,1353 @@ describe('API Endpoints', () => {
   });
 
   /**
-   * Test GET /api/languages
+   * Test the trash: restoring, purging and the scheduled purge
    */
-  describe('GET /api/languages', () => {
-    test('should return list of languages', async () => {
-      const response = await request(app)
-        .get('/api/languages')
+  describe('Trash', () => {
+    const outsider = request.agent(app);
+
+    /**
+     * Create a snippet and move it to the trash
+     * @param {string} title - Snippet title
+     * @returns {Promise<number>} Snippet ID
+     */
+    const createTrashed = async (title) => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title, code: `// ${title}`, tags: ['trash-only'] })
+        .expect(201);
+      await api.delete(`/api/snippets/${response.body.data.id}`).expect(200);
+      return response.body.data.id;
+    };
+
+    beforeAll(async () => {
+      await outsider
+        .post('/api/auth/register')
+        .send({ username: `outsider_${Date.now()}`, password: 'not mine' })
+        .expect(201);
+    });
+
+    test('should hide trashed snippets and list them in the trash', async () => {
+      const id = await createTrashed('Trashed');
+
+      await api.get(`/api/snippets/${id}`).expect(404);
+      const list = await api.get('/api/snippets').query({ search: 'Trashed' }).expect(200);
+      expect(list.body.data.some(s => s.id === id)).toBe(false);
+      const tags = await api.get('/api/tags').expect(200);
+      expect(tags.body.data.some(tag => tag.name === 'trash-only')).toBe(false);
+
+      const trash = await api.get('/api/trash').expect(200);
+      expect(trash.body.retention_days).toBe(30);
+      const item = trash.body.data.find(s => s.id === id);
+      expect(item).toMatchObject({ title: 'Trashed', tags: ['trash-only'] });
+      expect(item.deleted_at).toBeTruthy();
+      expect(new Date(item.purge_at) > new Date(item.deleted_at)).toBe(true);
+
+      const other = await outsider.get('/api/trash').expect(200);
+      expect(other.body.data).toEqual([]);
+    });
+
+    test('should restore a snippet with its tags', async () => {
+      const id = await createTrashed('Restored');
+
+      await outsider.post(`/api/snippets/${id}/restore`).expect(404);
+      const response = await api.post(`/api/snippets/${id}/restore`).expect(200);
+      expect(response.body.data).toMatchObject({ id, title: 'Restored', tags: ['trash-only'] });
+
+      await api.get(`/api/snippets/${id}`).expect(200);
+      await api.post(`/api/snippets/${id}/restore`).expect(404);
+    });
+
+    test('should only purge snippets that are in the trash', async () => {
+      const kept = await api
+        .post('/api/snippets')
+        .send({ title: 'Not trashed', code: 'x' })
+        .expect(201);
+      await api.delete(`/api/trash/${kept.body.data.id}`).expect(404);
+
+      const id = await createTrashed('Purged');
+      await api.delete(`/api/trash/${id}`).expect(200);
+      await api.post(`/api/snippets/${id}/restore`).expect(404);
+      await api.delete(`/api/snippets/${id}`).expect(404);
+    });
+
+    test('should empty the trash', async () => {
+      await createTrashed('Emptied 1');
+      await createTrashed('Emptied 2');
+
+      const response = await api.delete('/api/trash').expect(200);
+      expect(response.body.count).toBeGreaterThanOrEqual(2);
+
+      const trash = await api.get('/api/trash').expect(200);
+      expect(trash.body.data).toEqual([]);
+    });
+
+    test('should purge snippets trashed longer than the retention period', async () => {
+      const expired = await createTrashed('Expired');
+      const recent = await createTrashed('Recent');
+      await run("UPDATE snippets SET deleted_at = datetime('now', '-31 days') WHERE id = ?", [expired]);
+
+      expect(await purgeExpiredTrash(30)).toBe(1);
+
+      const trash = await api.get('/api/trash').expect(200);
+      expect(trash.body.data.map(s => s.id)).toEqual([recent]);
+    });
+
+    test('should ignore purge intervals too long for a timer', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        process.env.TRASH_PURGE_INTERVAL_MINUTES = '35791';
+        expect(getTrashSettings().intervalMinutes).toBe(35791);
+
+        process.env.TRASH_PURGE_INTERVAL_MINUTES = '40000';
+        expect(getTrashSettings().intervalMinutes).toBe(60);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('TRASH_PURGE_INTERVAL_MINUTES=40000'));
+      } finally {
+        delete process.env.TRASH_PURGE_INTERVAL_MINUTES;
+        warn.mockRestore();
+      }
+    });
+  });
+
+  /**
+   * Test POST /api/snippets/bulk
+   */
+  describe('Bulk operations', () => {
+    const outsider = request.agent(app);
+    let ids;
+    let othersId;
+
+    /**
+     * Get the current copy of a snippet
+     * @param {number} id - Snippet ID
+     * @returns {Promise<Object>} Snippet
+     */
+    const fetchSnippet = async (id) => (await api.get(`/api/snippets/${id}`).expect(200)).body.data;
+
+    beforeAll(async () => {
+      ids = [];
+      for (const title of ['Bulk one', 'Bulk two', 'Bulk three']) {
+        const response = await api
+          .post('/api/snippets')
+          .send({ title, code: `// ${title}`, language: 'javascript', tags: ['bulk'] })
+          .expect(201);
+        ids.push(response.body.data.id);
+      }
+
+      await outsider
+        .post('/api/auth/register')
+        .send({ username: `bulk_outsider_${Date.now()}`, password: 'hands off' })
+        .expect(201);
+      const response = await outsider
+        .post('/api/snippets')
+        .send({ title: 'Not yours', code: 'x', tags: ['bulk'] })
+        .expect(201);
+      othersId = response.body.data.id;
+    });
+
+    test('should add and remove tags, reporting each snippet', async () => {
+      const response = await api
+        .post('/api/snippets/bulk')
+        .send({ ids: [...ids, othersId, 999999], operation: 'add_tags', tags: ['Cleanup', 'bulk'] })
         .expect(200);
 
-      expect(response.body.success).toBe(true);
-      expect(Array.isArray(response.body.data)).toBe(true);
-      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body).toMatchObject({ operation: 'add_tags', succeeded: 3, failed: 2 });
+      expect(response.body.data).toEqual([
+        ...ids.map(id => ({ id, success: true, changed: true })),
+        { id: othersId, success: false, status: 403, message: 'You can only change your own snippets' },
+        { id: 999999, success: false, status: 404, message: 'Snippet not found' }
+      ]);
+      expect((await fetchSnippet(ids[0])).tags.sort()).toEqual(['bulk', 'cleanup']);
+      expect((await outsider.get(`/api/snippets/${othersId}`)).body.data.tags).toEqual(['bulk']);
+
+      const removed = await api
+        .post('/api/snippets/bulk')
+        .send({ ids: [ids[0], ids[0], ids[1]], operation: 'remove_tags', tags: ['cleanup'] })
+        .expect(200);
+      expect(removed.body.data.map(result => result.id)).toEqual([ids[0], ids[1]]);
+      expect((await fetchSnippet(ids[1])).tags).toEqual(['bulk']);
+      expect((await fetchSnippet(ids[2])).tags.sort()).toEqual(['bulk', 'cleanup']);
+
+      // Snippets that already match are left alone
+      const again = await api
+        .post('/api/snippets/bulk')
+        .send({ ids: [ids[0]], operation: 'remove_tags', tags: ['cleanup'] })
+        .expect(200);
+      expect(again.body.data).toEqual([{ id: ids[0], success: true, changed: false }]);
+    });
+
+    test('should change the language of every snippet', async () => {
+      await api
+        .post('/api/snippets/bulk')
+        .send({ ids, operation: 'set_language', language: 'klingon' })
+        .expect(422);
+
+      await api
+        .post('/api/snippets/bulk')
+        .send({ ids, operation: 'set_language', language: 'typescript' })
+        .expect(200);
+
+      for (const id of ids) {
+        expect((await fetchSnippet(id)).language).toBe('typescript');
+      }
+    });
+
+    test('should move snippets into a collection and out again', async () => {
+      const collection = await api.post('/api/collections').send({ name: 'Bulk folder' }).expect(201);
+      const collectionId = collection.body.data.id;
+
+      await api
+        .post('/api/snippets/bulk')
+        .send({ ids, operation: 'move', collection_id: 999999 })
+        .expect(422);
+
+      await api
+        .post('/api/snippets/bulk')
+        .send({ ids: ids.slice(0, 2), operation: 'move', collection_id: collectionId })
+        .expect(200);
+      expect((await fetchSnippet(ids[0])).collection_id).toBe(collectionId);
+      expect((await fetchSnippet(ids[2])).collection_id).toBeNull();
+
+      await api
+        .post('/api/snippets/bulk')
+        .send({ ids: ids.slice(0, 2), operation: 'move', collection_id: null })
+        .expect(200);
+      expect((await fetchSnippet(ids[0])).collection_id).toBeNull();
+    });
+
+    test('should roll back every change when one fails', async () => {
+      await run(`
+        CREATE TEMP TRIGGER fail_bulk BEFORE UPDATE OF language ON snippets
+        WHEN NEW.title = 'Bulk three'
+        BEGIN SELECT RAISE(ABORT, 'Bulk test failure'); END
+      `);
+
+      try {
+        await api
+          .post('/api/snippets/bulk')
+          .send({ ids, operation: 'set_language', language: 'python' })
+          .expect(500);
+      } finally {
+        await run('DROP TRIGGER fail_bulk');
+      }
+
+      for (const id of ids) {
+        expect((await fetchSnippet(id)).language).toBe('typescript');
+      }
+    });
+
+    test('should need the delete scope to move snippets to the trash', async () => {
+      const created = await api
+        .post('/api/tokens')
+        .send({ name: 'Bulk', scopes: ['snippets:read', 'snippets:write'] })
+        .expect(201);
+      const withToken = (body) => request(app)
+        .post('/api/snippets/bulk')
+        .set('Authorization', `Bearer ${created.body.data.token}`)
+        .send(body);
+
+      await withToken({ ids, operation: 'delete' }).expect(403);
+      await withToken({ ids, operation: 'add_tags', tags: ['scoped'] }).expect(200);
+
+      const response = await api
+        .post('/api/snippets/bulk')
+        .send({ ids: ids.slice(0, 2), operation: 'delete' })
+        .expect(200);
+      expect(response.body.succeeded).toBe(2);
+
+      await api.get(`/api/snippets/${ids[0]}`).expect(404);
+      const trash = await api.get('/api/trash').expect(200);
+      expect(trash.body.data.map(s => s.id)).toEqual(expect.arrayContaining(ids.slice(0, 2)));
+    });
+
+    test('should reject requests without the operation\'s field', async () => {
+      await request(app).post('/api/snippets/bulk').send({ ids, operation: 'delete' }).expect(401);
+
+      const response = await api
+        .post('/api/snippets/bulk')
+        .send({ ids, operation: 'add_tags' })
+        .expect(422);
+      expect(response.body.details).toEqual({ tags: 'Tags is required' });
+    });
+  });
+
+  /**
+   * Test tag management endpoints
+   */
+  describe('Tag management', () => {
+    let tags;
+
+    // Find a tag by name in the latest listing
+    const findTag = (name) => tags.find(tag => tag.name === name);
+
+    const refreshTags = async () => {
+      const response = await api.get('/api/tags').expect(200);
+      tags = response.body.data;
+    };
+
+    beforeAll(async () => {
+      await api
+        .post('/api/snippets')
+        .send({ title: 'Tagged', code: 'x', tags: ['  JS ', 'js', 'ecmascript'] });
+      await api
+        .post('/api/snippets')
+        .send({ title: 'Also tagged', code: 'y', tags: ['javascript'] });
+      await refreshTags();
+    });
+
+    test('should list tags with snippet counts and normalized names', () => {
+      expect(findTag('js').count).toBeGreaterThanOrEqual(1);
+      expect(findTag('JS')).toBeUndefined();
+    });
+
+    test('should only count snippets the caller can see', async () => {
+      await api
+        .post('/api/snippets')
+        .send({ title: 'Hidden tag', code: 'h', visibility: 'private', tags: ['private-only', 'js'] })
+        .expect(201);
+
+      const other = request.agent(app);
+      await other
+        .post('/api/auth/register')
+        .send({ username: `tag_viewer_${Date.now()}`, password: 'just looking' })
+        .expect(201);
+
+      for (const viewer of [other, request(app)]) {
+        const response = await viewer.get('/api/tags').expect(200);
+        const names = response.body.data.map(tag => tag.name);
+        expect(names).not.toContain('private-only');
+        // The public 'Tagged' snippet is counted, the private one is not
+        expect(response.body.data.find(tag => tag.name === 'js').count).toBe(1);
+      }
+
+      await refreshTags();
+      expect(findTag('private-only').count).toBe(1);
+      expect(findTag('js').count).toBe(2);
+    });
+
+    test('should rename a tag', async () => {
+      const response = await api
+        .patch(`/api/tags/${findTag('ecmascript').id}`)
+        .send({ name: ' ES ' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('es');
+    });
+
+    test('should validate tag bodies', async () => {
+      await refreshTags();
+
+      const rename = await api
+        .patch(`/api/tags/${findTag('es').id}`)
+        .send({})
+        .expect(422);
+      expect(rename.body.details).toEqual({ name: 'Name is required' });
+
+      const merge = await api
+        .post(`/api/tags/${findTag('es').id}/merge`)
+        .send({ into: 'js' })
+        .expect(422);
+      expect(merge.body.details).toEqual({ into: 'Target tag must be a whole number' });
+    });
+
+    test('should refuse to rename onto an existing tag', async () => {
+      await refreshTags();
+
+      await api
+        .patch(`/api/tags/${findTag('es').id}`)
+        .send({ name: 'js' })
+        .expect(409);
+    });
+
+    test('should merge a tag into another', async () => {
+      await refreshTags();
+      const target = findTag('javascript');
+
+      const response = await api
+        .post(`/api/tags/${findTag('js').id}/merge`)
+        .send({ into: target.id })
+        .expect(200);
+
+      expect(response.body.data.count).toBe(target.count + findTag('js').count);
+
+      await refreshTags();
+      expect(findTag('js')).toBeUndefined();
+    });
+
+    test('should delete a tag', async () => {
+      await api
+        .delete(`/api/tags/${findTag('es').id}`)
+        .expect(200);
+
+      await api
+        .delete('/api/tags/999999')
+        .expect(404);
+    });
+
+    test('should only change tags on the caller\'s own snippets', async () => {
+      const bob = request.agent(app);
+      await bob
+        .post('/api/auth/register')
+        .send({ username: `bob_${Date.now()}`, password: 'not alice' })
+        .expect(201);
+
+      const secret = await api
+        .post('/api/snippets')
+        .send({ title: 'Alice only', code: 'a', visibility: 'private', tags: ['alice-only', 'shared-tag'] })
+        .expect(201);
+      await refreshTags();
+      const aliceOnly = findTag('alice-only');
+
+      await bob.patch(`/api/tags/${aliceOnly.id}`).send({ name: 'taken' }).expect(403);
+      await bob.post(`/api/tags/${aliceOnly.id}/merge`).send({ into: findTag('shared-tag').id }).expect(403);
+      await bob.delete(`/api/tags/${aliceOnly.id}`).expect(403);
+
+      // A tag both use is renamed and removed on Bob's snippets only
+      const own = await bob
+        .post('/api/snippets')
+        .send({ title: 'Bob too', code: 'b', tags: ['shared-tag'] })
+        .expect(201);
+      const renamed = await bob.patch(`/api/tags/${findTag('shared-tag').id}`).send({ name: 'bobs-tag' }).expect(200);
+      expect(renamed.body.data.id).not.toBe(findTag('shared-tag').id);
+      expect((await bob.get(`/api/snippets/${own.body.data.id}`)).body.data.tags).toEqual(['bobs-tag']);
+      await bob.delete(`/api/tags/${renamed.body.data.id}`).expect(200);
+
+      const { body } = await api.get(`/api/snippets/${secret.body.data.id}`).expect(200);
+      expect(body.data.tags.sort()).toEqual(['alice-only', 'shared-tag']);
+    });
+
+    test('should prune unused tags', async () => {
+      const snippet = await api
+        .post('/api/snippets')
+        .send({ title: 'Temporary', code: 'z', tags: ['orphan-to-be'] });
+      await api.delete(`/api/snippets/${snippet.body.data.id}`);
+      // Trashed snippets keep their tags until they are purged
+      await api.delete(`/api/trash/${snippet.body.data.id}`).expect(200);
+
+      const response = await api
+        .delete('/api/tags/unused')
+        .expect(200);
+
+      expect(response.body.count).toBeGreaterThanOrEqual(1);
+
+      await refreshTags();
+      expect(findTag('orphan-to-be')).toBeUndefined();
+      expect(tags.every(tag => tag.count > 0)).toBe(true);
+    });
+  });
+
+  /**
+   * Test accounts, sessions and snippet ownership
+   */
+  describe('Authentication', () => {
+    let ownSnippetId;
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title: 'Owned snippet', code: 'const mine = true;' })
+        .expect(201);
+      ownSnippetId = response.body.data.id;
+    });
+
+    test('should return the logged in user', async () => {
+      const response = await api.get('/api/auth/me').expect(200);
+
+      expect(response.body.data.username).toBe(credentials.username);
+    });
+
+    test('should reject duplicate usernames and weak passwords', async () => {
+      await request(app).post('/api/auth/register').send(credentials).expect(409);
+      const weak = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `short_${Date.now()}`, password: 'short' })
+        .expect(422);
+      expect(weak.body.details).toEqual({ password: 'Password must be at least 8 characters' });
+
+      const bad = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'no spaces allowed', password: 'correct horse' })
+        .expect(422);
+      expect(Object.keys(bad.body.details)).toEqual(['username']);
+
+      const missing = await request(app).post('/api/auth/login').send({ username: credentials.username }).expect(422);
+      expect(missing.body.details).toEqual({ password: 'Password is required' });
+    });
+
+    test('should log in with correct credentials only', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ ...credentials, password: 'wrong password' })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      expect(response.headers['set-cookie'][0]).toMatch(/snippet_session=.+HttpOnly/);
+    });
+
+    test('should require login for changes', async () => {
+      await request(app)
+        .post('/api/snippets')
+        .send({ title: 'Anonymous', code: 'nope' })
+        .expect(401);
+      await request(app).delete(`/api/snippets/${ownSnippetId}`).expect(401);
+      await request(app).get('/api/snippets').expect(200);
+    });
+
+    test('should only let owners change their snippets', async () => {
+      const other = request.agent(app);
+      await other
+        .post('/api/auth/register')
+        .send({ username: `other_${Date.now()}`, password: 'another secret' })
+        .expect(201);
+
+      await other
+        .patch(`/api/snippets/${ownSnippetId}`)
+        .send({ title: 'Hijacked' })
+        .expect(403);
+      await other.delete(`/api/snippets/${ownSnippetId}`).expect(403);
+
+      const snippet = await api.get('/api/snippets?search=title:"Owned snippet"');
+      expect(snippet.body.data.some(s => s.id === ownSnippetId)).toBe(true);
+    });
+
+    test('should end the session on logout', async () => {
+      const session = request.agent(app);
+      await session.post('/api/auth/login').send(credentials).expect(200);
+      await session.post('/api/auth/logout').expect(200);
+
+      const response = await session.get('/api/auth/me').expect(200);
+      expect(response.body.data).toBeNull();
+    });
+  });
+
+  /**
+   * Test snippet visibility and team workspaces
+   */
+  describe('Visibility and teams', () => {
+    const marker = `vis${Date.now()}`;
+    const member = request.agent(app);
+    let team;
+    let memberId;
+    const ids = {};
+
+    // Titles of the marked snippets a client can see
+    const visibleTitles = async (client, query = '') => {
+      const response = await client
+        .get(`/api/snippets?search=${marker}${query}`)
+        .expect(200);
+      return response.body.data.map(snippet => snippet.title).sort();
+    };
+
+    beforeAll(async () => {
+      const registered = await member
+        .post('/api/auth/register')
+        .send({ username: `member_${Date.now()}`, password: 'team player' })
+        .expect(201);
+      memberId = registered.body.data.id;
+
+      const created = await api.post('/api/teams').send({ name: 'Core' }).expect(201);
+      team = created.body.data;
+
+      await api
+        .post(`/api/teams/${team.id}/members`)
+        .send({ username: registered.body.data.username })
+        .expect(201);
+
+      for (const visibility of ['private', 'team', 'public']) {
+        const response = await api
+          .post('/api/snippets')
+          .send({
+            title: `${marker} ${visibility}`,
+            code: `// ${visibility}`,
+            visibility,
+            team_id: visibility === 'team' ? team.id : undefined
+          })
+          .expect(201);
+        ids[visibility] = response.body.data.id;
+      }
+    });
+
+    test('should scope results to what the caller can see', async () => {
+      expect(await visibleTitles(api)).toEqual([
+        `${marker} private`, `${marker} public`, `${marker} team`
+      ]);
+      expect(await visibleTitles(member)).toEqual([`${marker} public`, `${marker} team`]);
+      expect(await visibleTitles(request(app))).toEqual([`${marker} public`]);
+
+      await member.get(`/api/snippets/${ids.private}/versions`).expect(404);
+      await member.delete(`/api/snippets/${ids.private}`).expect(404);
+      await member.delete(`/api/snippets/${ids.team}`).expect(403);
+    });
+
+    test('should list a workspace', async () => {
+      expect(await visibleTitles(member, `&workspace=${team.id}`)).toEqual([`${marker} team`]);
+      expect(await visibleTitles(member, '&workspace=personal')).toEqual([]);
+      await request(app).get('/api/snippets?workspace=personal').expect(401);
+
+      const teams = await member.get('/api/teams').expect(200);
+      expect(teams.body.data).toEqual([
+        expect.objectContaining({ id: team.id, role: 'member', member_count: 2 })
+      ]);
+    });
+
+    test('should validate sharing settings', async () => {
+      await api
+        .post('/api/snippets')
+        .send({ title: 'No team', code: 'x', visibility: 'team' })
+        .expect(422);
+      await api
+        .post('/api/snippets')
+        .send({ title: 'Secret', code: 'x', visibility: 'hidden' })
+        .expect(422);
+
+      const response = await api
+        .patch(`/api/snippets/${ids.public}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+      expect(response.body.data.visibility).toBe('private');
+      expect(await visibleTitles(request(app))).toEqual([]);
+    });
+
+    test('should let only admins manage members', async () => {
+      await member
+        .post(`/api/teams/${team.id}/members`)
+        .send({ username: credentials.username })
+        .expect(403);
+
+      const invalid = await api
+        .post(`/api/teams/${team.id}/members`)
+        .send({ username: credentials.username, role: 'owner' })
+        .expect(422);
+      expect(invalid.body.details).toEqual({ role: 'Role must be one of: admin, member' });
+      await api.post('/api/teams').send({ name: '  ' }).expect(422);
+
+      const admin = await api.get('/api/auth/me');
+      await api.delete(`/api/teams/${team.id}/members/${admin.body.data.id}`).expect(409);
+
+      await api.delete(`/api/teams/${team.id}/members/${memberId}`).expect(200);
+      expect(await visibleTitles(member)).toEqual([]);
+      await member.get(`/api/teams/${team.id}/members`).expect(404);
+    });
+  });
+
+  /**
+   * Test personal access tokens and scopes
+   */
+  describe('Personal access tokens', () => {
+    let token;
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/tokens')
+        .send({ name: 'CLI', scopes: ['snippets:read', 'snippets:write'] })
+        .expect(201);
+      token = response.body.data;
+    });
+
+    test('should return the token once and list it without the secret', async () => {
+      expect(token.token).toMatch(/^snip_[0-9a-f]{40}$/);
+      expect(token.token.startsWith(token.prefix)).toBe(true);
+
+      const response = await api.get('/api/tokens').expect(200);
+      const listed = response.body.data.find(t => t.id === token.id);
+      expect(listed.scopes).toEqual(['snippets:read', 'snippets:write']);
+      expect(listed.token).toBeUndefined();
+    });
+
+    test('should authenticate requests and enforce scopes', async () => {
+      const created = await request(app)
+        .post('/api/snippets')
+        .set('Authorization', `Bearer ${token.token}`)
+        .send({ title: 'From a script', code: "puts 'hi'", language: 'ruby' })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/snippets/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${token.token}`)
+        .expect(403);
+
+      const response = await api.get('/api/tokens').expect(200);
+      expect(response.body.data.find(t => t.id === token.id).last_used_at).toBeTruthy();
+    });
+
+    test('should reject unknown tokens and token management by tokens', async () => {
+      await request(app)
+        .get('/api/snippets')
+        .set('Authorization', 'Bearer snip_unknown')
+        .expect(401);
+      await request(app)
+        .get('/api/tokens')
+        .set('Authorization', `Bearer ${token.token}`)
+        .expect(403);
+    });
+
+    test('should not manage teams with a token', async () => {
+      const reader = await api
+        .post('/api/tokens')
+        .send({ name: 'Reader', scopes: ['snippets:read'] })
+        .expect(201);
+      const team = await api.post('/api/teams').send({ name: 'Token team' }).expect(201);
+      const bearer = `Bearer ${reader.body.data.token}`;
+
+      await request(app).post('/api/teams').set('Authorization', bearer).send({ name: 'Sneaky' }).expect(403);
+      await request(app)
+        .post(`/api/teams/${team.body.data.id}/members`)
+        .set('Authorization', bearer)
+        .send({ username: 'anyone' })
+        .expect(403);
+      await request(app)
+        .delete(`/api/teams/${team.body.data.id}/members/1`)
+        .set('Authorization', bearer)
+        .expect(403);
+      await request(app).get('/api/teams').set('Authorization', bearer).expect(200);
+    });
+
+    test('should validate scopes and expiry', async () => {
+      const scopes = await api.post('/api/tokens').send({ name: 'Bad', scopes: ['admin'] }).expect(422);
+      expect(scopes.body.details.scopes).toMatch(/Each scope must be one of/);
+      await api.post('/api/tokens').send({ name: ' ', scopes: ['snippets:read'] }).expect(422);
+
+      const expired = await api
+        .post('/api/tokens')
+        .send({ name: 'Old', scopes: ['snippets:read'], expires_at: '2000-01-01' })
+        .expect(422);
+      expect(expired.body.details).toEqual({ expires_at: 'Expiry must be a date in the future' });
+      await api
+        .post('/api/tokens')
+        .send({ name: 'Vague', scopes: ['snippets:read'], expires_at: 'next week' })
+        .expect(422);
+    });
+
+    test('should stop working once revoked', async () => {
+      await api.delete(`/api/tokens/${token.id}`).expect(200);
+      await request(app)
+        .get('/api/snippets')
+        .set('Authorization', `Bearer ${token.token}`)
+        .expect(401);
+    });
+  });
+
+  /**
+   * Test collections
+   */
+  describe('Collections', () => {
+    const outsider = request.agent(app);
+    const folders = {};
+    const snippets = {};
+
+    // Titles listed for a collection filter
+    const titlesIn = async (query) => {
+      const response = await api.get(`/api/snippets?${query}&sort=title&order=asc`).expect(200);
+      return response.body.data.map(snippet => snippet.title);
+    };
+
+    beforeAll(async () => {
+      await outsider
+        .post('/api/auth/register')
+        .send({ username: `outsider_${Date.now()}`, password: 'not invited' })
+        .expect(201);
+
+      // Backend > Auth > JWT
+      for (const [key, name, parent] of [['backend', 'Backend'], ['auth', 'Auth', 'backend'], ['jwt', 'JWT', 'auth']]) {
+        const response = await api
+          .post('/api/collections')
+          .send({ name, parent_id: parent ? folders[parent].id : null })
+          .expect(201);
+        folders[key] = response.body.data;
+      }
+
+      for (const key of ['auth', 'jwt']) {
+        const response = await api
+          .post('/api/snippets')
+          .send({ title: `In ${key}`, code: `// ${key}`, collection_id: folders[key].id })
+          .expect(201);
+        snippets[key] = response.body.data;
+      }
+    });
+
+    test('should list the tree with parents, positions and counts', async () => {
+      const response = await api.get('/api/collections').expect(200);
+      const byId = Object.fromEntries(response.body.data.map(c => [c.id, c]));
+
+      expect(byId[folders.auth.id]).toMatchObject({ parent_id: folders.backend.id, snippet_count: 1 });
+      expect(byId[folders.jwt.id]).toMatchObject({ parent_id: folders.auth.id, position: 0 });
+      expect(snippets.jwt.collection_id).toBe(folders.jwt.id);
+
+      await request(app).get('/api/collections').expect(401);
+      const other = await outsider.get('/api/collections').expect(200);
+      expect(other.body.data).toEqual([]);
+    });
+
+    test('should filter snippets by collection, optionally with sub-collections', async () => {
+      expect(await titlesIn(`collection=${folders.auth.id}`)).toEqual(['In auth']);
+      expect(await titlesIn(`collection=${folders.backend.id}&subcollections=true`)).toEqual(['In auth', 'In jwt']);
+      expect(await titlesIn('collection=none')).not.toContain('In auth');
+
+      await outsider.get(`/api/snippets?collection=${folders.auth.id}`).expect(404);
+      await api.get('/api/snippets?collection=abc').expect(422);
+    });
+
+    test('should move snippets between collections', async () => {
+      const moved = await api
+        .patch(`/api/snippets/${snippets.jwt.id}`)
+        .send({ collection_id: folders.backend.id })
+        .expect(200);
+      expect(moved.body.data).toMatchObject({ collection_id: folders.backend.id, collection: 'Backend' });
+
+      const outsiderFolder = await outsider.post('/api/collections').send({ name: 'Mine' }).expect(201);
+      const rejected = await api
+        .patch(`/api/snippets/${snippets.jwt.id}`)
+        .send({ collection_id: outsiderFolder.body.data.id })
+        .expect(422);
+      expect(rejected.body.details).toEqual({ collection_id: 'Collection not found' });
+    });
+
+    test('should move and reorder collections without creating cycles', async () => {
+      const cycle = await api
+        .post(`/api/collections/${folders.backend.id}/move`)
+        .send({ parent_id: folders.jwt.id })
+        .expect(422);
+      expect(cycle.body.message).toMatch(/into itself/);
+
+      // JWT becomes Auth's sibling, placed first under Backend
+      await api
+        .post(`/api/collections/${folders.jwt.id}/move`)
+        .send({ parent_id: folders.backend.id, position: 0 })
+        .expect(200);
+
+      const response = await api.get('/api/collections').expect(200);
+      const children = response.body.data
+        .filter(c => c.parent_id === folders.backend.id)
+        .sort((a, b) => a.position - b.position)
+        .map(c => c.name);
+      expect(children).toEqual(['JWT', 'Auth']);
+
+      await api.patch(`/api/collections/${folders.jwt.id}`).send({ name: 'Tokens' }).expect(200);
+      await outsider.patch(`/api/collections/${folders.jwt.id}`).send({ name: 'Mine now' }).expect(404);
+      await api.patch(`/api/collections/${folders.jwt.id}`).send({ name: ' ' }).expect(422);
+    });
+
+    test('should delete sub-collections and unfile their snippets', async () => {
+      await outsider.delete(`/api/collections/${folders.backend.id}`).expect(404);
+      await api.delete(`/api/collections/${folders.backend.id}`).expect(200);
+
+      const response = await api.get('/api/collections').expect(200);
+      expect(response.body.data.map(c => c.id)).not.toContain(folders.auth.id);
+
+      const snippet = await api.get(`/api/snippets?collection=none&search=${encodeURIComponent('"In auth"')}`).expect(200);
+      expect(snippet.body.data[0]).toMatchObject({ title: 'In auth', collection_id: null });
+    });
+  });
+
+  /**
+   * Test copy tracking, usage sorting and pins
+   */
+  describe('Usage and pins', () => {
+    const reader = request.agent(app);
+    const snippets = {};
+
+    beforeAll(async () => {
+      await reader
+        .post('/api/auth/register')
+        .send({ username: `reader_${Date.now()}`, password: 'copy that' })
+        .expect(201);
+
+      for (const key of ['often', 'once', 'secret']) {
+        const response = await api
+          .post('/api/snippets')
+          .send({ title: `Usage ${key}`, code: `// ${key}`, visibility: key === 'secret' ? 'private' : 'public' })
+          .expect(201);
+        snippets[key] = response.body.data;
+      }
+    });
+
+    test('should record copies and count them', async () => {
+      await request(app).post(`/api/snippets/${snippets.often.id}/copy`).expect(201);
+      await reader.post(`/api/snippets/${snippets.often.id}/copy`).expect(201);
+      const response = await api.post(`/api/snippets/${snippets.once.id}/copy`).expect(201);
+
+      expect(response.body.data).toMatchObject({ id: snippets.once.id, copy_count: 1 });
+      expect(response.body.data.last_copied_at).toBeTruthy();
+
+      // Copies count for snippets the caller can see only
+      await reader.post(`/api/snippets/${snippets.secret.id}/copy`).expect(404);
+    });
+
+    test('should sort by most and most recently used', async () => {
+      const mostUsed = await api.get('/api/snippets?sort=most_used&limit=2').expect(200);
+      expect(mostUsed.body.data.map(s => s.title)).toEqual(['Usage often', 'Usage once']);
+      expect(mostUsed.body.data[0].copy_count).toBe(2);
+
+      const next = await api
+        .get(`/api/snippets?sort=most_used&limit=2&cursor=${mostUsed.body.nextCursor}`)
+        .expect(200);
+      expect(next.body.data.every(s => s.copy_count === 0)).toBe(true);
+
+      const recent = await api.get('/api/snippets?sort=recently_used&limit=1').expect(200);
+      expect(recent.body.data[0].title).toBe('Usage once');
+
+      await api.get('/api/snippets?sort=popular').expect(422);
+    });
+
+    test('should pin and unpin snippets per user', async () => {
+      await reader.put(`/api/snippets/${snippets.once.id}/pin`).expect(200);
+      await reader.put(`/api/snippets/${snippets.once.id}/pin`).expect(200);
+
+      const pinned = await reader.get('/api/snippets?pinned=true').expect(200);
+      expect(pinned.body.data.map(s => s.id)).toEqual([snippets.once.id]);
+      expect(pinned.body.data[0].pinned).toBe(true);
+
+      // Pins are personal
+      const own = await api.get('/api/snippets?pinned=true').expect(200);
+      expect(own.body.data).toEqual([]);
+      await request(app).get('/api/snippets?pinned=true').expect(401);
+      await request(app).put(`/api/snippets/${snippets.once.id}/pin`).expect(401);
+      await reader.put(`/api/snippets/${snippets.secret.id}/pin`).expect(404);
+
+      const unpinned = await reader.delete(`/api/snippets/${snippets.once.id}/pin`).expect(200);
+      expect(unpinned.body.data).toEqual({ id: snippets.once.id, pinned: false });
+      const after = await reader.get('/api/snippets?pinned=true').expect(200);
+      expect(after.body.total).toBe(0);
+    });
+  });
+
+  /**
+   * Test library import and export
+   */
+  describe('Import and export', () => {
+    const marker = `imp${Date.now()}`;
+    const records = [
+      { title: `${marker} existing`, code: 'print("imported")', language: 'python' },
+      { title: `${marker} new`, code: 'SELECT 1;', language: 'sql', tags: ['imported'], created_at: '2020-01-01T00:00:00Z' },
+      { title: '', code: 'no title' }
+    ];
+
+    // Snippets carrying this suite's marker
+    const markedSnippets = async () => {
+      const response = await api.get(`/api/snippets?search=${marker}&sort=title&order=asc`);
+      return response.body.data;
+    };
+
+    beforeAll(async () => {
+      await api
+        .post('/api/snippets')
+        .send({ title: `${marker} existing`, code: 'print("original")', language: 'python' })
+        .expect(201);
+    });
+
+    test('should only return the plan on a dry run', async () => {
+      const response = await api
+        .post('/api/import')
+        .send({ format: 'json', data: records, dry_run: true })
+        .expect(200);
+
+      expect(response.body.dry_run).toBe(true);
+      expect(response.body.summary).toMatchObject({ create: 1, skip: 1, invalid: 1 });
+      expect(response.body.data.map(item => item.action)).toEqual(['skip', 'create', 'invalid']);
+      expect(await markedSnippets()).toHaveLength(1);
+    });
+
+    test('should rename duplicates and keep imported timestamps', async () => {
+      const response = await api
+        .post('/api/import')
+        .send({ format: 'json', data: { snippets: records }, duplicates: 'rename' })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ create: 1, rename: 1, invalid: 1 });
+
+      const titles = (await markedSnippets()).map(s => s.title);
+      expect(titles).toEqual([`${marker} existing`, `${marker} existing (2)`, `${marker} new`]);
+
+      const imported = (await markedSnippets()).find(s => s.title === `${marker} new`);
+      expect(imported).toMatchObject({ created_at: '2020-01-01 00:00:00', tags: ['imported'] });
+    });
+
+    test('should overwrite duplicates when asked', async () => {
+      const markdown = `## ${marker} existing\n\n- Tags: md\n\n\`\`\`python\nprint("from markdown")\n\`\`\`\n`;
+
+      const response = await api
+        .post('/api/import')
+        .send({ format: 'markdown', data: markdown, duplicates: 'overwrite' })
+        .expect(200);
+
+      expect(response.body.summary.overwrite).toBe(1);
+      const original = (await markedSnippets()).find(s => s.title === `${marker} existing`);
+      expect(original).toMatchObject({ code: 'print("from markdown")', tags: ['md'] });
+    });
+
+    test('should export filtered snippets in every format', async () => {
+      const json = await api.get(`/api/export?format=json&search=${marker}`).expect(200);
+      expect(json.headers['content-disposition']).toMatch(/attachment; filename="snippets-.*\.json"/);
+      expect(json.body.count).toBe(3);
+      expect(json.body.snippets[0]).toHaveProperty('created_at');
+
+      const markdown = await api.get(`/api/export?format=markdown&search=${marker}`).expect(200);
+      expect(markdown.text).toContain(`## ${marker} new`);
+
+      const zip = await api
+        .get(`/api/export?format=zip&search=${marker}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+      expect(zip.body.subarray(0, 2).toString()).toBe('PK');
+
+      await api.get('/api/export?format=docx').expect(400);
+    });
+
+    test('should reject bad imports', async () => {
+      await request(app).post('/api/import').send({ format: 'json', data: [] }).expect(401);
+      const format = await api.post('/api/import').send({ format: 'csv', data: '' }).expect(422);
+      expect(format.body.details.format).toMatch(/Format must be one of/);
+      await api.post('/api/import').send({ format: 'json' }).expect(422);
+      await api.post('/api/import').send({ format: 'json', data: [], duplicates: 'merge' }).expect(422);
+
+      // Data that does not parse in its format is still a 400
+      await api.post('/api/import').send({ format: 'json', data: '{not json' }).expect(400);
+      await api.post('/api/import').send({ format: 'zip', data: 'bm90IGEgemlw' }).expect(400);
+    });
+
+    test('should reject zip entries that inflate past the code limit', async () => {
+      const data = createZip([{ name: 'bomb.js', content: 'x'.repeat(400000) }]).toString('base64');
+
+      const response = await api.post('/api/import').send({ format: 'zip', data }).expect(400);
+      expect(response.body.message).toMatch(/bomb\.js is larger than/);
+    });
+
+    test('should shorten renamed titles to fit', async () => {
+      const title = `${marker} ${'x'.repeat(200)}`.slice(0, 200);
+      const data = [{ title, code: 'SELECT 2;', language: 'sql' }];
+      await api.post('/api/import').send({ format: 'json', data }).expect(200);
+
+      const response = await api
+        .post('/api/import')
+        .send({ format: 'json', data, duplicates: 'rename' })
+        .expect(200);
+
+      expect(response.body.summary.rename).toBe(1);
+      expect(response.body.data[0].title).toHaveLength(200);
+      expect(response.body.data[0].title.endsWith('x (2)')).toBe(true);
+    });
+
+    test('should import nothing when saving a snippet fails', async () => {
+      await run(`
+        CREATE TEMP TRIGGER fail_import BEFORE INSERT ON snippets
+        WHEN NEW.title = '${marker} broken'
+        BEGIN SELECT RAISE(ABORT, 'Import test failure'); END
+      `);
+
+      try {
+        await api
+          .post('/api/import')
+          .send({
+            format: 'json',
+            data: [
+              { title: `${marker} saved first`, code: 'SELECT 3;', language: 'sql' },
+              { title: `${marker} broken`, code: 'SELECT 4;', language: 'sql' }
+            ]
+          })
+          .expect(500);
+      } finally {
+        await run('DROP TRIGGER fail_import');
+      }
+
+      const titles = (await markedSnippets()).map(s => s.title);
+      expect(titles).not.toContain(`${marker} saved first`);
+    });
+
+    test('should keep the files of multi-file snippets', async () => {
+      const files = [
+        { filename: 'index.js', language: 'javascript', content: 'console.log(1);' },
+        { filename: 'style.css', language: 'css', content: 'body { margin: 0; }' }
+      ];
+      await api.post('/api/snippets').send({ title: `${marker} bundle`, files }).expect(201);
+
+      for (const format of ['json', 'markdown', 'zip']) {
+        const exported = await api
+          .get(`/api/export?format=${format}&search=${marker} bundle`)
+          .buffer(true)
+          .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+          })
+          .expect(200);
+        const data = format === 'zip' ? exported.body.toString('base64') : exported.body.toString('utf8');
+
+        const response = await api
+          .post('/api/import')
+          .send({ format, data, duplicates: 'rename' })
+          .expect(200);
+        expect(response.body.summary.rename).toBe(1);
+
+        const copy = await api.get(`/api/snippets/${response.body.data[0].id}`).expect(200);
+        expect(copy.body.data.files.map(({ filename, language, content }) => ({ filename, language, content })))
+          .toEqual(files);
+        await api.delete(`/api/snippets/${copy.body.data.id}`).expect(200);
+      }
+    });
+  });
+
+  /**
+   * Test the language registry
+   */
+  describe('Language registry', () => {
+    test('should return list of languages', async () => {
+      const response = await api
+        .get('/api/languages')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data.find(language => language.id === 'terraform')).toMatchObject({
+        name: 'Terraform',
+        category: 'DevOps',
+        extensions: ['tf', 'tfvars'],
+        prism: 'hcl',
+        line_comment: '#',
+        enabled: true
+      });
+    });
+
+    test('should add languages and reject duplicates', async () => {
+      const response = await api
+        .post('/api/languages')
+        .send({ id: 'elixir', name: 'Elixir', category: 'Functional', extensions: ['.ex', 'EXS'], line_comment: '#' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ id: 'elixir', extensions: ['ex', 'exs'], prism: 'elixir', enabled: true });
+
+      await api.post('/api/languages').send({ id: 'elixir', name: 'Elixir again' }).expect(409);
+      await request(app).post('/api/languages').send({ id: 'zig', name: 'Zig' }).expect(401);
+
+      const reserved = await api.post('/api/languages').send({ id: 'auto', name: 'Auto' }).expect(422);
+      expect(reserved.body.details).toEqual({ id: "ID 'auto' is reserved" });
+
+      const created = await api
+        .post('/api/snippets')
+        .send({ title: 'Pipe it (pipe.ex)', code: 'x |> f()', language: 'auto' })
+        .expect(201);
+      expect(created.body.data.language).toBe('elixir');
+    });
+
+    test('should reject snippet languages that are not registered', async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title: 'Legacy', code: 'DISPLAY "HI".', language: 'cobol' })
+        .expect(422);
+
+      expect(response.body.details).toEqual({ language: "Language 'cobol' is not available; see GET /api/languages" });
+    });
+
+    test('should disable languages but let snippets keep them', async () => {
+      const created = await api
+        .post('/api/snippets')
+        .send({ title: 'Before disabling', code: 'IO.puts "hi"', language: 'elixir' })
+        .expect(201);
+
+      const disabled = await api.patch('/api/languages/elixir').send({ enabled: false }).expect(200);
+      expect(disabled.body.data.enabled).toBe(false);
+
+      const enabledList = await api.get('/api/languages').expect(200);
+      expect(enabledList.body.data.some(language => language.id === 'elixir')).toBe(false);
+      const fullList = await api.get('/api/languages?all=true').expect(200);
+      expect(fullList.body.data.some(language => language.id === 'elixir')).toBe(true);
+
+      await api.post('/api/snippets').send({ title: 'After', code: 'x', language: 'elixir' }).expect(422);
+      await api
+        .put(`/api/snippets/${created.body.data.id}`)
+        .send({ title: 'Still elixir', code: 'IO.puts "bye"', language: 'elixir' })
+        .expect(200);
+
+      await api.patch('/api/languages/cobol').send({ enabled: true }).expect(404);
+      await api.patch('/api/languages/elixir').send({ enabled: 'no' }).expect(422);
+    });
+
+    test('should only let the creator or an admin change a language', async () => {
+      const other = request.agent(app);
+      const username = `linguist_${Date.now()}`;
+      await other.post('/api/auth/register').send({ username, password: 'many tongues' }).expect(201);
+
+      await other.patch('/api/languages/elixir').send({ enabled: true }).expect(403);
+      await other.patch('/api/languages/javascript').send({ enabled: false }).expect(403);
+      await api.patch('/api/languages/javascript').send({ name: 'JS' }).expect(403);
+
+      process.env.ADMIN_USERNAMES = `someone, ${username.toUpperCase()}`;
+      try {
+        await other.patch('/api/languages/javascript').send({ name: 'JavaScript' }).expect(200);
+        await other.patch('/api/languages/elixir').send({ enabled: true }).expect(200);
+      } finally {
+        delete process.env.ADMIN_USERNAMES;
+      }
+    });
+  });
+
+  /**
+   * Test language detection and server-side highlighting
+   */
+  describe('Snippet bundles', () => {
+    const files = [
+      { filename: 'Button.jsx', content: 'export const Button = () => <button className="btn" />;' },
+      { filename: 'button.css', language: 'css', content: '.btn { color: red; }' },
+      { filename: 'Dockerfile', content: 'FROM node:20\nRUN npm ci' }
+    ];
+    let bundleId;
+
+    test('should create a snippet from several files', async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title: 'Button bundle', files, tags: ['ui'] })
+        .expect(201);
+
+      bundleId = response.body.data.id;
+      expect(response.body.data.code).toBe(files[0].content);
+      expect(response.body.data.language).toBe('javascript');
+      expect(response.body.data.files.map(file => [file.filename, file.language])).toEqual([
+        ['Button.jsx', 'javascript'],
+        ['button.css', 'css'],
+        ['Dockerfile', 'dockerfile']
+      ]);
+
+      const listed = await api.get('/api/snippets').query({ search: 'Button bundle' }).expect(200);
+      expect(listed.body.data[0].files).toHaveLength(3);
+
+      const plain = await api.get('/api/snippets').query({ search: 'Detected query' }).expect(200);
+      plain.body.data.forEach(snippet => expect(snippet.files).toEqual([]));
+    });
+
+    test('should reject invalid file lists', async () => {
+      const both = await api
+        .post('/api/snippets')
+        .send({ title: 'Both', code: 'x', files })
+        .expect(422);
+      expect(both.body.details).toEqual({ files: 'Send either code and language or files, not both' });
+
+      const twice = await api
+        .post('/api/snippets')
+        .send({ title: 'Twice', files: [files[1], { ...files[1], filename: 'BUTTON.css' }] })
+        .expect(422);
+      expect(twice.body.details.files).toBe("File name 'BUTTON.css' is used twice");
+
+      const nested = await api
+        .post('/api/snippets')
+        .send({ title: 'Nested', files: [{ filename: 'src/app.js', content: 'x' }] })
+        .expect(422);
+      expect(nested.body.details.files).toBe('File name must be a plain name without slashes');
+
+      const empty = await api.post('/api/snippets').send({ title: 'Empty', files: [] }).expect(422);
+      expect(empty.body.details.files).toBe('Files must have at least 1 entry');
+
+      await api.post('/api/snippets').send({ title: 'Nothing' }).expect(422);
+    });
+
+    test('should update bundles and keep the first file as code', async () => {
+      const patched = await api
+        .patch(`/api/snippets/${bundleId}`)
+        .send({ code: 'export const Button = () => null;' })
+        .expect(200);
+      expect(patched.body.data.files[0].content).toBe('export const Button = () => null;');
+      expect(patched.body.data.files).toHaveLength(3);
+
+      const replaced = await api
+        .patch(`/api/snippets/${bundleId}`)
+        .send({ files: [files[1], files[0]] })
+        .expect(200);
+      expect(replaced.body.data.code).toBe(files[1].content);
+      expect(replaced.body.data.language).toBe('css');
+      expect(replaced.body.data.files.map(file => file.filename)).toEqual(['button.css', 'Button.jsx']);
+
+      const single = await api
+        .put(`/api/snippets/${bundleId}`)
+        .send({ title: 'Button bundle', code: '.btn {}', language: 'css' })
+        .expect(200);
+      expect(single.body.data.files).toEqual([]);
+    });
+
+    test('should download a snippet as a zip archive', async () => {
+      await api.patch(`/api/snippets/${bundleId}`).send({ files }).expect(200);
+
+      const response = await api
+        .get(`/api/snippets/${bundleId}/zip`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toContain('button-bundle.zip');
+      expect(readZip(response.body).map(entry => entry.name)).toEqual(['Button.jsx', 'button.css', 'Dockerfile']);
+
+      await api.get('/api/snippets/999999/zip').expect(404);
+    });
+  });
+
+  describe('Language detection and highlighting', () => {
+    test('should detect the language of posted code', async () => {
+      const response = await request(app)
+        .post('/api/detect-language')
+        .send({ code: 'def greet(name):\n    print(name)\n', title: 'Greeting' })
+        .expect(200);
+
+      expect(response.body.data.language).toBe('python');
+      expect(response.body.data.confidence).toBeGreaterThan(0);
+      expect(response.body.data.candidates[0].language).toBe('python');
+
+      const invalid = await request(app).post('/api/detect-language').send({}).expect(422);
+      expect(invalid.body.details).toEqual({ code: 'Code is required' });
+    });
+
+    test('should detect languages on create and when updated with auto', async () => {
+      const created = await api
+        .post('/api/snippets')
+        .send({ title: 'Detected query', code: 'SELECT * FROM users WHERE active = 1;' })
+        .expect(201);
+
+      expect(created.body.data.language).toBe('sql');
+      expect(created.body.detection.language).toBe('sql');
+
+      const id = created.body.data.id;
+      const chosen = await api.patch(`/api/snippets/${id}`).send({ language: 'python' }).expect(200);
+      expect(chosen.body.data.language).toBe('python');
+      expect(chosen.body.detection).toBeUndefined();
+
+      const redetected = await api
+        .patch(`/api/snippets/${id}`)
+        .send({ code: 'package main\n\nfunc main() {}', language: 'auto' })
+        .expect(200);
+      expect(redetected.body.data.language).toBe('go');
+    });
+
+    test('should fall back to javascript when nothing is recognized', async () => {
+      const response = await api
+        .post('/api/snippets')
+        .send({ title: 'Shopping list', code: 'milk, eggs', language: 'auto' })
+        .expect(201);
+
+      expect(response.body.data.language).toBe('javascript');
+      expect(response.body.detection).toEqual({ language: null, confidence: 0, candidates: [] });
+    });
+
+    test('should add highlighted HTML to listed snippets on request', async () => {
+      const response = await api
+        .get('/api/snippets')
+        .query({ search: 'Detected query', highlight: 'true' })
+        .expect(200);
+
+      expect(response.body.data[0].code_html).toContain('<span class="token keyword">package</span> main');
+
+      const plain = await api.get('/api/snippets').query({ search: 'Detected query' }).expect(200);
+      expect(plain.body.data[0].code_html).toBeUndefined();
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Shared API Client Tests
+ * Runs the client used by the frontend and the CLI against a live test server
+ * Run with: npm test
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { closeDatabase } = require('../config/database');
+const { setupTestDatabase } = require('./fixtures');
+const { createApiClient } = require('../../shared/apiClient');
+
+const credentials = { username: `client_${Date.now()}`, password: 'correct horse' };
+
+let server;
+let client;
+
+beforeAll(async () => {
+  await setupTestDatabase();
+
+  const agent = request.agent(app);
+  await agent.post('/api/auth/register').send(credentials).expect(201);
+  const response = await agent
+    .post('/api/tokens')
+    .send({ name: 'Client tests', scopes: ['snippets:read', 'snippets:write', 'snippets:delete'] })
+    .expect(201);
+
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  client = createApiClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}/api`,
+    token: response.body.data.token
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDatabase();
+});
+
+describe('Shared API client', () => {
+
+  /**
+   * Create a snippet that has never been edited
+   * @returns {Promise<Object>} Created snippet
+   */
+  const createSnippet = async () => {
+    const { data } = await client.createSnippet({ title: 'Offline delete', code: 'echo 1', language: 'bash' });
+    const snippet = await client.getSnippet(data.id);
+    expect(snippet.updated_at).toBeNull();
+    return snippet;
+  };
+
+  test('should delete a never-edited snippet that is still unchanged', async () => {
+    const snippet = await createSnippet();
+
+    expect(await client.deleteSnippetIfUnchanged(snippet.id, null)).toEqual({ deleted: true, snippet: null });
+    await expect(client.getSnippet(snippet.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should keep a never-edited snippet that was edited since', async () => {
+    const snippet = await createSnippet();
+    await client.patchSnippet(snippet.id, { code: 'echo 2' });
+
+    const result = await client.deleteSnippetIfUnchanged(snippet.id, null);
+
+    expect(result.deleted).toBe(false);
+    expect(result.snippet).toMatchObject({ id: snippet.id, code: 'echo 2' });
+    expect(result.snippet.updated_at).not.toBeNull();
+    await client.getSnippet(snippet.id);
+  });
+
+  test('should treat a snippet already gone as deleted', async () => {
+    const snippet = await createSnippet();
+    await client.deleteSnippet(snippet.id);
+
+    expect(await client.deleteSnippetIfUnchanged(snippet.id, null)).toEqual({ deleted: true, snippet: null });
+  });
+});
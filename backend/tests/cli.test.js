@@ -0,0 +1,201 @@
+/**
+ * CLI Tests
+ * Runs the snip command-line client against a live test server
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { closeDatabase } = require('../config/database');
+const { setupTestDatabase } = require('./fixtures');
+const { run, languageForFile, buildSearchQuery, splitCommand } = require('../../cli/lib/cli');
+
+const credentials = { username: `cli_${Date.now()}`, password: 'correct horse' };
+
+let server;
+let tmpDir;
+let env;
+
+/**
+ * Run snip with captured output
+ * @param {Array<string>} args - Arguments after "snip"
+ * @param {Function} openEditor - Optional fake editor (command, file) => Promise
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+const snip = async (args, openEditor) => {
+  const output = { stdout: '', stderr: '' };
+  const code = await run(args, {
+    env,
+    stdout: { write: text => { output.stdout += text; } },
+    stderr: { write: text => { output.stderr += text; } },
+    openEditor
+  });
+  return { code, ...output };
+};
+
+beforeAll(async () => {
+  await setupTestDatabase();
+
+  const agent = request.agent(app);
+  await agent.post('/api/auth/register').send(credentials).expect(201);
+  const response = await agent
+    .post('/api/tokens')
+    .send({ name: 'CLI tests', scopes: ['snippets:read', 'snippets:write', 'snippets:delete'] })
+    .expect(201);
+
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snip-test-'));
+  env = {
+    SNIP_CONFIG: path.join(tmpDir, 'config.json'),
+    SNIP_SERVER: `http://127.0.0.1:${server.address().port}`,
+    SNIP_TOKEN: response.body.data.token
+  };
+});
+
+afterAll(async () => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  await new Promise(resolve => server.close(resolve));
+  await closeDatabase();
+});
+
+describe('snip CLI', () => {
+  let snippetId;
+
+  test('should add a file with the language of its extension', async () => {
+    const file = path.join(tmpDir, 'retry.py');
+    fs.writeFileSync(file, 'def retry(fn):\n    return fn()\n');
+
+    const result = await snip(['add', file, '--tag', 'cli-test', '--json']);
+
+    expect(result.code).toBe(0);
+    const { data } = JSON.parse(result.stdout);
+    expect(data.title).toBe('retry.py');
+    expect(data.language).toBe('python');
+    expect(data.tags).toEqual(['cli-test']);
+    snippetId = data.id;
+  });
+
+  test('should list snippets filtered by language and tag', async () => {
+    const result = await snip(['ls', '--lang', 'python', '--tag', 'cli-test']);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toMatch(/^ID\s+LANGUAGE\s+TITLE\s+TAGS/);
+    expect(result.stdout).toContain('retry.py');
+
+    const json = JSON.parse((await snip(['ls', '--lang', 'go', '--tag', 'cli-test', '--json'])).stdout);
+    expect(json.snippets).toEqual([]);
+  });
+
+  test('should search snippets', async () => {
+    const result = await snip(['search', 'retry', '--json']);
+
+    expect(result.code).toBe(0);
+    expect(JSON.parse(result.stdout).snippets.map(s => s.id)).toContain(snippetId);
+  });
+
+  test('should print raw code for piping', async () => {
+    const result = await snip(['show', String(snippetId)]);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('def retry(fn):\n    return fn()\n');
+  });
+
+  test('should save changes made in the editor', async () => {
+    const editor = jest.fn(async (command, file) => {
+      expect(path.extname(file)).toBe('.py');
+      fs.appendFileSync(file, '# edited\n');
+    });
+
+    const result = await snip(['edit', String(snippetId)], editor);
+
+    expect(result.code).toBe(0);
+    expect(editor).toHaveBeenCalledTimes(1);
+    expect((await snip(['show', String(snippetId)])).stdout).toContain('# edited');
+
+    const unchanged = await snip(['edit', String(snippetId)], async () => {});
+    expect(unchanged.stderr).toBe('No changes\n');
+  });
+
+  test('should add several files as a multi-file snippet', async () => {
+    const files = ['index.js', 'style.css'].map(name => path.join(tmpDir, name));
+    fs.writeFileSync(files[0], 'console.log(1);\n');
+    fs.writeFileSync(files[1], 'body { margin: 0; }\n');
+
+    const added = JSON.parse((await snip(['add', ...files, '--title', 'Page', '--json'])).stdout);
+    expect(added.data.files.map(f => [f.filename, f.language])).toEqual([
+      ['index.js', 'javascript'],
+      ['style.css', 'css']
+    ]);
+
+    const shown = await snip(['show', String(added.data.id), '--file', 'style.css']);
+    expect(shown.stdout).toBe('body { margin: 0; }\n');
+  });
+
+  test('should not use server file names for the editor temp file', async () => {
+    const files = ['$(touch pwned).js', 'page.css'].map(name => path.join(tmpDir, name));
+    fs.writeFileSync(files[0], 'console.log(1);\n');
+    fs.writeFileSync(files[1], 'body { margin: 0; }\n');
+    const added = JSON.parse((await snip(['add', ...files, '--title', 'Bundle', '--json'])).stdout);
+
+    const editor = jest.fn(async (command, file) => {
+      expect(path.basename(file)).toBe(`snippet-${added.data.id}.js`);
+    });
+    expect((await snip(['edit', String(added.data.id)], editor)).code).toBe(0);
+    expect(editor).toHaveBeenCalledTimes(1);
+  });
+
+  test('should delete a snippet and report API errors', async () => {
+    expect((await snip(['rm', String(snippetId)])).code).toBe(0);
+
+    const result = await snip(['show', String(snippetId)]);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toBe('snip: Snippet not found\n');
+  });
+
+  test('should reject bad command lines with the usage', async () => {
+    const result = await snip(['show', 'abc']);
+
+    expect(result.code).toBe(2);
+    expect(result.stderr).toContain('Expected a snippet ID');
+    expect(result.stderr).toContain('Usage: snip');
+    expect((await snip(['frobnicate'])).code).toBe(2);
+  });
+
+  test('should store settings in the config file', async () => {
+    const result = await snip(['config', 'set', 'server', 'http://snippets.example.com']);
+
+    expect(result.code).toBe(0);
+    expect(JSON.parse(fs.readFileSync(env.SNIP_CONFIG, 'utf8'))).toEqual({
+      server: 'http://snippets.example.com'
+    });
+  });
+});
+
+describe('CLI helpers', () => {
+  const languages = [
+    { id: 'go', extensions: ['go'] },
+    { id: 'docker', extensions: ['dockerfile'] }
+  ];
+
+  test('should map file names to languages', () => {
+    expect(languageForFile('src/main.GO', languages)).toBe('go');
+    expect(languageForFile('Dockerfile', languages)).toBe('docker');
+    expect(languageForFile('notes.txt', languages)).toBeNull();
+  });
+
+  test('should build search queries from options', () => {
+    expect(buildSearchQuery({ lang: 'go', tag: ['http client', 'net'] }, ['retry']))
+      .toBe('lang:go tag:"http client" tag:net retry');
+  });
+
+  test('should split editor commands into words', () => {
+    expect(splitCommand('code --wait')).toEqual(['code', '--wait']);
+    expect(splitCommand('"/opt/My Editor/bin/edit" -w')).toEqual(['/opt/My Editor/bin/edit', '-w']);
+  });
+});
@@ -4,12 +4,20 @@
  * Run with: npm test
  */
 
-const { createConnection, initializeDatabase } = require('../config/database');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../config/database');
 const snippetModel = require('../models/snippetModel');
+const { setupTestDatabase } = require('./fixtures');
 
 // Test suite setup
 beforeAll(() => {
-  initializeDatabase();
+  return setupTestDatabase();
+});
+
+afterAll(() => {
+  return database.closeDatabase();
 });
 
 describe('Database Operations', () => {
@@ -17,10 +25,89 @@ describe('Database Operations', () => {
   /**
    * Test database connection
    */
-  test('should connect to database', () => {
-    const db = createConnection();
-    expect(db).toBeDefined();
-    db.close();
+  test('should share one connection', () => {
+    expect(database.getConnection()).toBe(database.getConnection());
+  });
+
+  test('should open file databases in WAL mode', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-wal-'));
+    const fileDatabase = database.createDatabase(path.join(dir, 'wal.db'));
+
+    try {
+      const { journal_mode } = await fileDatabase.get('PRAGMA journal_mode');
+      expect(journal_mode).toBe('wal');
+    } finally {
+      await fileDatabase.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Test database location
+   */
+  test('should run tests against a seeded in-memory database', async () => {
+    expect(database.DB_PATH).toBe(':memory:');
+
+    const sample = await database.get("SELECT id FROM snippets WHERE title = 'Array Map Example'");
+    expect(sample).toBeDefined();
+
+    const tags = await database.all('SELECT t.name FROM snippet_tags st JOIN tags t ON t.id = st.tag_id WHERE st.snippet_id = ? ORDER BY t.name', [sample.id]);
+    expect(tags.map(tag => tag.name)).toEqual(['array', 'functional']);
+  });
+
+  test('should resolve the database path from DB_PATH, then the config file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-config-'));
+    const configFile = path.join(dir, 'snippets.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ database: { path: 'data/library.db' } }));
+
+    try {
+      expect(database.resolveDatabasePath({ DB_PATH: ':memory:' })).toBe(':memory:');
+      expect(database.resolveDatabasePath({ DB_PATH: '/tmp/x.db', SNIPPETS_CONFIG: configFile })).toBe('/tmp/x.db');
+      expect(database.resolveDatabasePath({ DB_PATH: '../database/snippets.db' }))
+        .toBe(path.join(__dirname, '../../database/snippets.db'));
+
+      // Relative paths in the config file are relative to the file
+      expect(database.resolveDatabasePath({ SNIPPETS_CONFIG: configFile }))
+        .toBe(path.join(dir, 'data/library.db'));
+
+      expect(database.resolveDatabasePath({ SNIPPETS_CONFIG: path.join(dir, 'missing.json') }))
+        .toBe(path.join(__dirname, '../../database/snippets.db'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Test transactions
+   */
+  test('should roll back every write when a transaction fails', async () => {
+    const title = `Rolled back ${Date.now()}`;
+
+    await expect(database.transaction(async () => {
+      await snippetModel.createSnippet({ title, code: 'x', language: 'go', tags: ['rollback-tag'] });
+      throw new Error('Abort');
+    })).rejects.toThrow('Abort');
+
+    const snippet = await database.get('SELECT id FROM snippets WHERE title = ?', [title]);
+    const tag = await database.get("SELECT id FROM tags WHERE name = 'rollback-tag'");
+    expect(snippet).toBeUndefined();
+    expect(tag).toBeUndefined();
+  });
+
+  test('should keep concurrent writes from interleaving', async () => {
+    const created = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+      snippetModel.createSnippet({
+        title: `Concurrent ${i}`,
+        code: `console.log(${i});`,
+        language: 'javascript',
+        tags: ['concurrent', `n${i}`]
+      })
+    ));
+
+    const stored = await Promise.all(created.map(snippet => snippetModel.getSnippetById(snippet.id)));
+    stored.forEach((snippet, i) => {
+      expect(snippet.tags.sort()).toEqual(['concurrent', `n${i}`]);
+    });
   });
 
   /**
@@ -59,6 +146,107 @@ describe('Database Operations', () => {
     expect(Array.isArray(results)).toBe(true);
   });
 
+  /**
+   * Test full-text search ranking, highlights and tags
+   */
+  test('should rank title matches first and keep all tags', async () => {
+    await snippetModel.createSnippet({
+      title: 'Debounce helper',
+      code: 'const debounce = (fn, ms) => fn;',
+      language: 'javascript',
+      tags: ['timing', 'events']
+    });
+    await snippetModel.createSnippet({
+      title: 'Input handler',
+      code: '// uses debounce from utils\ninput.onchange = handler;',
+      language: 'javascript',
+      tags: []
+    });
+
+    const results = await snippetModel.getAllSnippets('debounce');
+
+    expect(results[0].title).toBe('Debounce helper');
+    expect(results[0].highlights.title).toBe('<mark>Debounce</mark> helper');
+    expect(results[1].highlights.code).toContain('<mark>debounce</mark>');
+
+    const byTag = await snippetModel.getAllSnippets('timing');
+    const match = byTag.find(snippet => snippet.title === 'Debounce helper');
+    expect(match.tags.sort()).toEqual(['events', 'timing']);
+  });
+
+  /**
+   * Test that search text cannot break the FTS query syntax
+   */
+  test('should search for code punctuation safely', async () => {
+    const results = await snippetModel.getAllSnippets('console.log( "x" OR');
+
+    expect(Array.isArray(results)).toBe(true);
+  });
+
+  /**
+   * Test structured filters combined with free text
+   */
+  test('should combine filters with free text', async () => {
+    await snippetModel.createSnippet({
+      title: 'Async retry',
+      code: 'async def retry(fn):\n    return await fn()',
+      language: 'python',
+      tags: ['async']
+    });
+    await snippetModel.createSnippet({
+      title: 'Old async retry',
+      code: 'def retry(fn):\n    return fn()',
+      language: 'python',
+      tags: ['async', 'deprecated']
+    });
+
+    const results = await snippetModel.getAllSnippets(
+      'lang:python tag:async -tag:deprecated title:"retry" retry'
+    );
+
+    expect(results.map(snippet => snippet.title)).toEqual(['Async retry']);
+  });
+
+  /**
+   * Test that keyset pages cover every snippet exactly once
+   */
+  test('should page through all snippets without gaps or repeats', async () => {
+    const all = await snippetModel.getAllSnippets();
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const page = await snippetModel.getSnippetPage({ limit: 2, cursor, sort: 'updated' });
+      expect(page.total).toBe(all.length);
+      seen.push(...page.snippets.map(snippet => snippet.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen.sort()).toEqual(all.map(snippet => snippet.id).sort());
+  });
+
+  /**
+   * Test snippet update
+   */
+  test('should update a snippet and its tags', async () => {
+    const created = await snippetModel.createSnippet({
+      title: 'To Update',
+      code: 'let a = 1;',
+      language: 'javascript',
+      tags: ['keep', 'drop']
+    });
+
+    const updated = await snippetModel.updateSnippet(created.id, {
+      code: 'let a = 2;',
+      tags: ['keep', 'add']
+    });
+
+    expect(updated.title).toBe('To Update');
+    expect(updated.code).toBe('let a = 2;');
+    expect(updated.tags.sort()).toEqual(['add', 'keep']);
+    expect(updated.updated_at).toBeTruthy();
+  });
+
   /**
    * Test snippet deletion
    */
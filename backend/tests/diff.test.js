@@ -0,0 +1,69 @@
+/**
+ * Diff Utility Unit Tests
+ * Tests for line-based unified diffs
+ * Run with: npm test
+ */
+
+const { computeEdits, createUnifiedDiff } = require('../utils/diff');
+
+describe('Line Diff', () => {
+
+  /**
+   * Test edit script computation
+   */
+  test('should find the shortest edit script', () => {
+    const edits = computeEdits(['a', 'b', 'c'], ['a', 'c', 'd']);
+
+    expect(edits).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: ' ', line: 'c' },
+      { type: '+', line: 'd' }
+    ]);
+  });
+
+  /**
+   * Test unified output with context and separate hunks
+   */
+  test('should produce unified hunks with context', () => {
+    const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+    const newText = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\n';
+
+    const result = createUnifiedDiff(oldText, newText, { oldLabel: 'v1', newLabel: 'v2' });
+
+    expect(result.additions).toBe(2);
+    expect(result.deletions).toBe(1);
+    expect(result.diff).toBe([
+      '--- v1',
+      '+++ v2',
+      '@@ -1,5 +1,5 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ' d',
+      ' e',
+      '@@ -9,3 +9,4 @@',
+      ' i',
+      ' j',
+      ' k',
+      '+l',
+      ''
+    ].join('\n'));
+  });
+
+  /**
+   * Test diffs against empty text
+   */
+  test('should handle empty old or new text', () => {
+    expect(createUnifiedDiff('', 'x\ny').diff).toContain('@@ -0,0 +1,2 @@');
+    expect(createUnifiedDiff('x\ny', '').diff).toContain('@@ -1,2 +0,0 @@');
+  });
+
+  /**
+   * Test identical input
+   */
+  test('should return an empty diff for identical text', () => {
+    expect(createUnifiedDiff('same\n', 'same').diff).toBe('');
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Live Update Tests
+ * Tests for the Server-Sent Events stream of snippet changes
+ * Run with: npm test
+ */
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { closeDatabase } = require('../config/database');
+const { setupTestDatabase } = require('./fixtures');
+
+let server;
+const streams = [];
+
+/**
+ * Register a user and create a personal access token for them
+ * @param {string} name - Username prefix
+ * @returns {Promise<Object>} { agent, cookie, token, tokenId, user } where
+ *   agent and cookie hold the browser session
+ */
+const createUser = async (name) => {
+  const agent = request.agent(app);
+  const registered = await agent
+    .post('/api/auth/register')
+    .send({ username: `${name}_${Date.now()}`, password: 'correct horse' })
+    .expect(201);
+
+  const response = await agent
+    .post('/api/tokens')
+    .send({ name: 'events', scopes: ['snippets:read', 'snippets:write', 'snippets:delete'] })
+    .expect(201);
+  return {
+    agent,
+    cookie: registered.headers['set-cookie'][0].split(';')[0],
+    token: response.body.data.token,
+    tokenId: response.body.data.id,
+    user: registered.body.data
+  };
+};
+
+/**
+ * Open the event stream as a user
+ * @param {string} token - Personal access token
+ * @param {Object} headers - Other credentials to send instead, e.g. a Cookie
+ * @returns {Promise<Object>} Stream with next() resolving to the next
+ *   event { type, data } and ended resolving when the server ends it
+ */
+const openStream = (token, headers = { Authorization: `Bearer ${token}` }) => {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+
+    const req = http.get({
+      port: server.address().port,
+      path: '/api/events',
+      headers
+    }, (res) => {
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+      res.setEncoding('utf8');
+
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach(block => {
+          const type = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = (block.match(/^data: (.*)$/m) || [])[1];
+          if (!type) return;
+
+          events.push({ type, data: JSON.parse(data) });
+          if (waiting.length > 0) waiting.shift()(events.shift());
+        });
+      });
+
+      const stream = {
+        next: () => (events.length > 0
+          ? Promise.resolve(events.shift())
+          : new Promise(done => waiting.push(done))),
+        close: () => req.destroy(),
+        ended: new Promise(done => res.on('end', done))
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+
+    req.on('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  await setupTestDatabase();
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+});
+
+afterAll(async () => {
+  streams.forEach(stream => stream.close());
+  await new Promise(resolve => server.close(resolve));
+  await closeDatabase();
+});
+
+describe('GET /api/events', () => {
+  let ownerToken;
+  let ownerStream;
+  let viewerStream;
+
+  beforeAll(async () => {
+    ownerToken = (await createUser('owner')).token;
+    ownerStream = await openStream(ownerToken);
+    viewerStream = await openStream((await createUser('viewer')).token);
+  });
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${ownerToken}`);
+
+  test('should push created snippets to users who can see them', async () => {
+    const hidden = await api('post', '/api/snippets')
+      .send({ title: 'Secret', code: 'x', language: 'javascript', visibility: 'private' })
+      .expect(201);
+    const shared = await api('post', '/api/snippets')
+      .send({ title: 'Shared', code: 'y', language: 'javascript', tags: ['live'] })
+      .expect(201);
+
+    const ownerEvents = [await ownerStream.next(), await ownerStream.next()];
+    expect(ownerEvents.map(event => event.data.snippet.id)).toEqual([hidden.body.data.id, shared.body.data.id]);
+
+    // The viewer never hears about the private snippet
+    const event = await viewerStream.next();
+    expect(event.type).toBe('created');
+    expect(event.data.snippet).toMatchObject({ id: shared.body.data.id, title: 'Shared', tags: ['live'] });
+    expect(event.data.snippet.owner).toBeTruthy();
+  });
+
+  test('should push updates, and removals when a snippet is hidden', async () => {
+    const { body } = await api('post', '/api/snippets')
+      .send({ title: 'Draft', code: 'z', language: 'javascript' })
+      .expect(201);
+    await viewerStream.next();
+    await ownerStream.next();
+
+    await api('patch', `/api/snippets/${body.data.id}`).send({ title: 'Final' }).expect(200);
+    const updated = await viewerStream.next();
+    expect(updated.type).toBe('updated');
+    expect(updated.data.snippet.title).toBe('Final');
+    await ownerStream.next();
+
+    await api('patch', `/api/snippets/${body.data.id}`).send({ visibility: 'private' }).expect(200);
+    expect(await viewerStream.next()).toEqual({ type: 'deleted', data: { id: body.data.id } });
+    expect((await ownerStream.next()).type).toBe('updated');
+  });
+
+  test('should not push removals to users who could not see the snippet before', async () => {
+    const anonymousStream = await openStream(null, {});
+    const hidden = await api('post', '/api/snippets')
+      .send({ title: 'Still private', code: 'h', language: 'javascript', visibility: 'private' })
+      .expect(201);
+    await ownerStream.next();
+
+    await api('patch', `/api/snippets/${hidden.body.data.id}`).send({ visibility: 'private', title: 'Renamed' }).expect(200);
+    expect((await ownerStream.next()).type).toBe('updated');
+
+    // Neither stream hears about the private snippet, only the later public one
+    const shown = await api('post', '/api/snippets')
+      .send({ title: 'Announced', code: 'a', language: 'javascript' })
+      .expect(201);
+    await ownerStream.next();
+    for (const stream of [viewerStream, anonymousStream]) {
+      const event = await stream.next();
+      expect(event.type).toBe('created');
+      expect(event.data.snippet.id).toBe(shown.body.data.id);
+    }
+    anonymousStream.close();
+  });
+
+  test('should push removals to the team when a member leaves', async () => {
+    const admin = await createUser('teamadmin');
+    const member = await createUser('teammate');
+    const team = await admin.agent.post('/api/teams').send({ name: 'Live team' }).expect(201);
+    await admin.agent
+      .post(`/api/teams/${team.body.data.id}/members`)
+      .send({ username: member.user.username })
+      .expect(201);
+
+    const adminStream = await openStream(admin.token);
+    const { body } = await member.agent
+      .post('/api/snippets')
+      .send({ title: 'Team note', code: 'n', language: 'javascript', visibility: 'team', team_id: team.body.data.id })
+      .expect(201);
+    expect((await adminStream.next()).data.snippet.id).toBe(body.data.id);
+
+    await member.agent.delete(`/api/teams/${team.body.data.id}/members/${member.user.id}`).expect(200);
+    expect(await adminStream.next()).toEqual({ type: 'deleted', data: { id: body.data.id } });
+
+    // The viewer was never in the team and hears about the next public snippet instead
+    const shown = await api('post', '/api/snippets')
+      .send({ title: 'After the team', code: 'b', language: 'javascript' })
+      .expect(201);
+    await ownerStream.next();
+    const event = await viewerStream.next();
+    expect(event.type).toBe('created');
+    expect(event.data.snippet.id).toBe(shown.body.data.id);
+  });
+
+  test('should push deletions', async () => {
+    const { body } = await api('post', '/api/snippets')
+      .send({ title: 'Temporary', code: 'w', language: 'javascript' })
+      .expect(201);
+    await viewerStream.next();
+
+    await api('delete', `/api/snippets/${body.data.id}`).expect(200);
+    expect(await viewerStream.next()).toEqual({ type: 'deleted', data: { id: body.data.id } });
+  });
+
+  test('should only push deletions to users who could see the snippet', async () => {
+    const hidden = await api('post', '/api/snippets')
+      .send({ title: 'Private draft', code: 'p', language: 'javascript', visibility: 'private' })
+      .expect(201);
+    await api('delete', `/api/snippets/${hidden.body.data.id}`).expect(200);
+
+    // The next thing the viewer hears about is a later public snippet
+    const shown = await api('post', '/api/snippets')
+      .send({ title: 'Public note', code: 'q', language: 'javascript' })
+      .expect(201);
+    const event = await viewerStream.next();
+    expect(event.type).toBe('created');
+    expect(event.data.snippet.id).toBe(shown.body.data.id);
+  });
+
+  test('should push snippets changed by tag and collection changes', async () => {
+    const owner = await createUser('organizer');
+    const stream = await openStream(owner.token);
+    const collection = await owner.agent.post('/api/collections').send({ name: 'Live' }).expect(201);
+    const { body } = await owner.agent
+      .post('/api/snippets')
+      .send({ title: 'Tagged', code: 't', language: 'javascript', tags: ['livetag'], collection_id: collection.body.data.id })
+      .expect(201);
+    await stream.next();
+
+    const tags = await owner.agent.get('/api/tags').expect(200);
+    const tag = tags.body.data.find(entry => entry.name === 'livetag');
+    await owner.agent.patch(`/api/tags/${tag.id}`).send({ name: 'renamedtag' }).expect(200);
+    const renamed = await stream.next();
+    expect(renamed.type).toBe('updated');
+    expect(renamed.data.snippet).toMatchObject({ id: body.data.id, tags: ['renamedtag'] });
+
+    await owner.agent.delete(`/api/collections/${collection.body.data.id}`).expect(200);
+    const unfiled = await stream.next();
+    expect(unfiled.type).toBe('updated');
+    expect(unfiled.data.snippet).toMatchObject({ id: body.data.id, collection_id: null });
+  });
+
+  test('should end streams when the token is revoked or the session logs out', async () => {
+    const user = await createUser('leaver');
+    const tokenStream = await openStream(user.token);
+    const sessionStream = await openStream(null, { Cookie: user.cookie });
+
+    await user.agent.delete(`/api/tokens/${user.tokenId}`).expect(200);
+    await tokenStream.ended;
+
+    await user.agent.post('/api/auth/logout').expect(200);
+    await sessionStream.ended;
+  });
+});
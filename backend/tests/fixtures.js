@@ -0,0 +1,43 @@
+/**
+ * Test Fixtures
+ * Builds a suite's database: applies the migrations and loads the sample
+ * data from database/schema.sql.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultDatabase } = require('../config/database');
+const { migrate } = require('../config/migrator');
+
+// Reference schema whose last section holds the sample snippets and tags
+const SCHEMA_FILE = path.join(__dirname, '../../database/schema.sql');
+
+// Heading that starts the sample data section of schema.sql
+const SAMPLE_DATA_HEADING = '-- Sample Data';
+
+/**
+ * Read the sample data statements from schema.sql
+ * @returns {string} SQL inserting the sample snippets, tags and links
+ */
+const readSampleData = () => {
+  const schema = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const start = schema.indexOf(SAMPLE_DATA_HEADING);
+  if (start === -1) {
+    throw new Error(`No "${SAMPLE_DATA_HEADING}" section in ${SCHEMA_FILE}`);
+  }
+  return schema.slice(start);
+};
+
+/**
+ * Migrate a database and seed it with the sample data
+ * @param {Object} db - Database from createDatabase (defaults to the app's)
+ * @returns {Promise<void>} Resolves once the data is loaded
+ */
+const setupTestDatabase = async (db = defaultDatabase) => {
+  await migrate(db);
+  await db.exec(readSampleData());
+};
+
+module.exports = {
+  setupTestDatabase
+};
@@ -0,0 +1,63 @@
+/**
+ * Syntax Highlighting Unit Tests
+ * Tests for the Prism-style HTML produced on the server
+ * Run with: npm test
+ */
+
+const { highlightCode } = require('../utils/highlight');
+
+describe('Syntax Highlighting', () => {
+
+  /**
+   * Test tokens for a C-style language
+   */
+  test('should wrap keywords, strings, numbers and comments in token spans', () => {
+    const html = highlightCode('const total = 42; // "answer"\nlog("hi")', 'javascript');
+
+    expect(html).toBe(
+      '<span class="token keyword">const</span> total <span class="token operator">=</span> ' +
+      '<span class="token number">42</span><span class="token punctuation">;</span> ' +
+      '<span class="token comment">// &quot;answer&quot;</span>\n' +
+      '<span class="token function">log</span><span class="token punctuation">(</span>' +
+      '<span class="token string">&quot;hi&quot;</span><span class="token punctuation">)</span>'
+    );
+  });
+
+  /**
+   * Test that keywords only match whole words
+   */
+  test('should not highlight keywords inside names', () => {
+    expect(highlightCode('format = None', 'python'))
+      .toBe('format <span class="token operator">=</span> <span class="token boolean">None</span>');
+  });
+
+  /**
+   * Test nested tokens and escaping
+   */
+  test('should tokenize HTML tags and escape unknown languages', () => {
+    expect(highlightCode('<a href="/x">&amp;</a>', 'html')).toBe(
+      '<span class="token tag"><span class="token punctuation">&lt;</span><span class="token tag">a</span> ' +
+      '<span class="token attr-name">href</span><span class="token attr-value">=&quot;/x&quot;</span>' +
+      '<span class="token punctuation">&gt;</span></span><span class="token entity">&amp;amp;</span>' +
+      '<span class="token tag"><span class="token punctuation">&lt;/</span><span class="token tag">a</span>' +
+      '<span class="token punctuation">&gt;</span></span>'
+    );
+
+    expect(highlightCode('<script>', 'cobol')).toBe('&lt;script&gt;');
+  });
+
+  /**
+   * Test CSS selectors and that long inputs without a brace stay fast
+   */
+  test('should highlight CSS selectors in linear time', () => {
+    expect(highlightCode('a.b > c {color: red}', 'css')).toBe(
+      '<span class="token selector">a.b &gt; c</span> <span class="token punctuation">{</span>' +
+      '<span class="token property">color</span><span class="token punctuation">:</span> red' +
+      '<span class="token punctuation">}</span>'
+    );
+
+    const started = Date.now();
+    highlightCode('a '.repeat(50000), 'css');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
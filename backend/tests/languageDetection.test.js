@@ -0,0 +1,81 @@
+/**
+ * Language Detection Unit Tests
+ * Tests for guessing snippet languages from code and titles
+ * Run with: npm test
+ */
+
+const { detectLanguage, chooseLanguage } = require('../utils/languageDetection');
+
+// Enabled registry entries: ID and file extensions
+const languages = [
+  ['javascript', 'js'], ['typescript', 'ts'], ['python', 'py'], ['ruby', 'rb'], ['java', 'java'],
+  ['csharp', 'cs'], ['go', 'go'], ['rust', 'rs'], ['sql', 'sql'], ['html', 'html'], ['css', 'css'],
+  ['php', 'php'], ['bash', 'sh'], ['yaml', 'yml'], ['dockerfile', 'dockerfile'], ['terraform', 'tf'],
+  ['elixir', 'ex']
+].map(([id, extension]) => ({ id, extensions: [extension] }));
+
+describe('Language Detection', () => {
+
+  /**
+   * Test keyword heuristics
+   */
+  test('should recognize common languages from their code', () => {
+    const samples = {
+      python: 'def add(a, b):\n    return a + b\n',
+      javascript: 'const add = (a, b) => a + b;\nconsole.log(add(1, 2));',
+      typescript: 'interface User {\n  name: string;\n}\nconst user: User = { name: "Ada" };',
+      go: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("hi")\n}',
+      rust: 'fn main() {\n    let mut count = 1;\n    println!("{}", count);\n}',
+      sql: 'SELECT id, title FROM snippets WHERE id = 1;',
+      html: '<!DOCTYPE html>\n<div class="card">Hi</div>',
+      php: '<?php\n$name = "Ada";\necho $name;',
+      dockerfile: 'FROM node:20-alpine\nWORKDIR /app\nRUN npm ci',
+      terraform: 'resource "aws_s3_bucket" "logs" {\n  bucket = "logs"\n}'
+    };
+
+    Object.entries(samples).forEach(([language, code]) => {
+      expect(detectLanguage(code, { languages }).language).toBe(language);
+    });
+  });
+
+  /**
+   * Test the strong hints: shebangs and file names in the title
+   */
+  test('should use shebangs and file extensions in the title', () => {
+    expect(detectLanguage('#!/usr/bin/env ruby\nx = 1', { languages }).language).toBe('ruby');
+    expect(detectLanguage('#!/bin/bash\nset -e', { languages }).language).toBe('bash');
+
+    const result = detectLanguage('x = 1', { languages, title: 'Retry helper (retry.py)' });
+    expect(result.language).toBe('python');
+    expect(result.confidence).toBe(1);
+
+    // Added languages are found from file names without any patterns
+    expect(detectLanguage('x = 1', { languages, title: 'mix task (deploy.ex)' }).language).toBe('elixir');
+  });
+
+  /**
+   * Test confidence scores and the unrecognized case
+   */
+  test('should report candidates with confidence, or null when unsure', () => {
+    const result = detectLanguage('public class App {\n  public static void main(String[] args) {\n' +
+      '    System.out.println("hi");\n  }\n}', { languages });
+
+    expect(result.language).toBe('java');
+    expect(result.candidates[0]).toEqual({ language: 'java', confidence: result.confidence });
+    expect(result.confidence).toBeGreaterThan(0.5);
+    expect(result.confidence).toBeLessThanOrEqual(1);
+
+    expect(detectLanguage('hello world', { languages })).toEqual({ language: null, confidence: 0, candidates: [] });
+  });
+
+  /**
+   * Test that only enabled languages are chosen
+   */
+  test('should only choose enabled languages', () => {
+    const withoutPython = languages.filter(language => language.id !== 'python');
+
+    expect(detectLanguage('def add(a, b):\n    return a + b\n', { languages: withoutPython }).language).toBeNull();
+    expect(chooseLanguage('auto', 'SELECT 1 FROM t;', '', languages)).toMatchObject({ language: 'sql', error: null });
+    expect(chooseLanguage('python', 'x', '', withoutPython).error).toContain("'python' is not available");
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Migration Tests
+ * Tests for applying and rolling back schema migrations
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../config/database');
+const { migrate, rollback, getStatus, loadMigrations } = require('../config/migrator');
+
+// Scratch database laid out the way early versions of the app created it
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-migrations-'));
+const db = createDatabase(path.join(dir, 'legacy.db'));
+
+beforeAll(async () => {
+  await db.run(`
+    CREATE TABLE snippets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      code TEXT NOT NULL,
+      language TEXT DEFAULT 'javascript',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL)');
+  await db.run('CREATE TABLE snippet_tags (snippet_id INTEGER, tag_id INTEGER, PRIMARY KEY (snippet_id, tag_id))');
+
+  await db.run("INSERT INTO snippets (id, title, code, language) VALUES (1, 'Legacy sort', 'arr.sort()', 'javascript')");
+  await db.run("INSERT INTO tags (id, name) VALUES (1, 'arrays')");
+  await db.run('INSERT INTO snippet_tags (snippet_id, tag_id) VALUES (1, 1)');
+  // Link to a snippet that was deleted without a cascade
+  await db.run('INSERT INTO snippet_tags (snippet_id, tag_id) VALUES (99, 1)');
+});
+
+afterAll(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Get the column names of a table
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} Column names
+ */
+const columnsOf = async (table) => (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+describe('Schema Migrations', () => {
+  test('should list every migration as pending on a legacy database', async () => {
+    const status = await getStatus(db);
+
+    expect(status.length).toBe(loadMigrations().length);
+    expect(status[0]).toMatchObject({ version: 1, name: 'initial_schema', applied_at: null });
+  });
+
+  test('should bring a legacy database to the full schema and keep its data', async () => {
+    const applied = await migrate(db);
+    expect(applied.map(m => m.version)).toContain(1);
+
+    expect(await columnsOf('snippets')).toEqual(expect.arrayContaining(['updated_at', 'owner_id', 'visibility', 'team_id', 'deleted_at']));
+    expect(await columnsOf('tags')).toContain('created_at');
+    expect(await columnsOf('users')).toContain('password_hash');
+
+    const snippet = await db.get('SELECT * FROM snippets WHERE id = 1');
+    expect(snippet).toMatchObject({ title: 'Legacy sort', visibility: 'public' });
+
+    // Orphaned links are dropped and the remaining one is kept
+    const links = await db.all('SELECT snippet_id, tag_id FROM snippet_tags');
+    expect(links).toEqual([{ snippet_id: 1, tag_id: 1 }]);
+
+    // Existing snippets are searchable, including by tag
+    const found = await db.all("SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH 'arrays'");
+    expect(found.map(row => row.rowid)).toEqual([1]);
+
+    const index = await db.get("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_snippet_tags_tag'");
+    expect(index).toBeDefined();
+  });
+
+  test('should enforce the constraints legacy tables lacked', async () => {
+    await expect(db.run("INSERT INTO snippets (title, code) VALUES ('', 'x')")).rejects.toThrow(/CHECK/);
+    await expect(db.run('INSERT INTO snippet_tags (snippet_id, tag_id) VALUES (NULL, 1)')).rejects.toThrow(/NOT NULL/);
+  });
+
+  test('should keep version history and search triggers working', async () => {
+    await db.run("UPDATE snippets SET code = 'arr.sort((a, b) => a - b)' WHERE id = 1");
+
+    const versions = await db.all('SELECT version FROM snippet_versions WHERE snippet_id = 1 ORDER BY version');
+    expect(versions.map(v => v.version)).toEqual([1, 2]);
+
+    const found = await db.all("SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH 'sort'");
+    expect(found.map(row => row.rowid)).toEqual([1]);
+  });
+
+  test('should do nothing when every migration is applied', async () => {
+    expect(await migrate(db)).toEqual([]);
+
+    const status = await getStatus(db);
+    expect(status.every(m => m.applied_at !== null)).toBe(true);
+  });
+
+  test('should roll back and reapply a migration', async () => {
+    const latest = loadMigrations().pop();
+
+    const rolledBack = await rollback(db);
+    expect(rolledBack).toEqual([{ version: latest.version, name: latest.name }]);
+
+    const status = await getStatus(db);
+    expect(status.find(m => m.version === latest.version).applied_at).toBeNull();
+
+    const reapplied = await migrate(db);
+    expect(reapplied).toEqual([{ version: latest.version, name: latest.name }]);
+  });
+
+  test('should lowercase tags and merge the ones that only differ by case', async () => {
+    expect(await rollback(db)).toEqual([{ version: 7, name: 'lowercase_tags' }]);
+
+    await db.run("INSERT INTO snippets (id, title, code) VALUES (2, 'Legacy search', 'arr.find()')");
+    await db.run("INSERT INTO tags (id, name) VALUES (2, 'ARRAYS'), (3, ' Sorting '), (4, 'Search'), (5, 'search'), (6, '  ')");
+    await db.run('INSERT INTO snippet_tags (snippet_id, tag_id) VALUES (1, 2), (1, 3), (2, 2), (2, 4), (2, 5), (2, 6)');
+
+    await migrate(db);
+
+    const tags = await db.all('SELECT id, name FROM tags ORDER BY id');
+    expect(tags).toEqual([{ id: 1, name: 'arrays' }, { id: 3, name: 'sorting' }, { id: 5, name: 'search' }]);
+
+    const links = await db.all('SELECT snippet_id, tag_id FROM snippet_tags ORDER BY snippet_id, tag_id');
+    expect(links).toEqual([
+      { snippet_id: 1, tag_id: 1 },
+      { snippet_id: 1, tag_id: 3 },
+      { snippet_id: 2, tag_id: 1 },
+      { snippet_id: 2, tag_id: 5 }
+    ]);
+
+    const index = await db.all('SELECT rowid, tags FROM snippets_fts ORDER BY rowid');
+    expect(index.map(row => [row.rowid, row.tags.split(' ').sort()])).toEqual([
+      [1, ['arrays', 'sorting']],
+      [2, ['arrays', 'search']]
+    ]);
+  });
+
+  test('should not roll back the tables it adopted from a legacy database', async () => {
+    const migrations = loadMigrations();
+
+    await expect(rollback(db, migrations.length)).rejects.toThrow(
+      'Migration 1 cannot be rolled back: snippet_tags, snippets, tags existed before it ran'
+    );
+
+    // Later migrations were rolled back; the legacy data is still there
+    const status = await getStatus(db);
+    expect(status.filter(m => m.applied_at !== null).map(m => m.version)).toEqual([1]);
+    expect(await db.get('SELECT title FROM snippets WHERE id = 1')).toEqual({ title: 'Legacy sort' });
+
+    await migrate(db);
+  });
+
+  test('should drop everything on a database it created', async () => {
+    const fresh = createDatabase(path.join(dir, 'fresh.db'));
+
+    try {
+      const migrations = loadMigrations();
+      await migrate(fresh);
+      expect(await rollback(fresh, migrations.length)).toHaveLength(migrations.length);
+
+      const tables = await fresh.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+      expect(tables.map(table => table.name)).toEqual(['schema_migrations']);
+    } finally {
+      await fresh.close();
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Placeholder Utility Unit Tests
+ * Tests for finding and filling snippet placeholders
+ * Run with: npm test
+ */
+
+const { parsePlaceholders, renderPlaceholders } = require('../utils/placeholders');
+
+describe('Snippet Placeholders', () => {
+
+  /**
+   * Test placeholder metadata
+   */
+  test('should list numbered placeholders first, then named ones', () => {
+    const code = 'const ${ENV:dev} = ${2:value};\nclass ${1:Name} extends ${1} {}';
+
+    expect(parsePlaceholders(code)).toEqual([
+      { key: '1', default: 'Name', occurrences: 2 },
+      { key: '2', default: 'value', occurrences: 1 },
+      { key: 'ENV', default: 'dev', occurrences: 1 }
+    ]);
+  });
+
+  /**
+   * Test that ordinary ${...} code is not mistaken for a placeholder
+   */
+  test('should ignore template literals and shell expansions', () => {
+    const code = [
+      'echo "${HOME}" "${PORT:-8080}" "${NAME:=x}"',
+      'const greeting = `Hello ${user.name} ${count}`;'
+    ].join('\n');
+
+    expect(parsePlaceholders(code)).toEqual([]);
+    expect(parsePlaceholders('')).toEqual([]);
+  });
+
+  /**
+   * Test rendering with values and defaults
+   */
+  test('should fill values, then defaults, everywhere a placeholder appears', () => {
+    const code = 'class ${1:Name} {}\nexport default ${1};\n// env: ${ENV:dev} ${HOME}';
+
+    expect(renderPlaceholders(code, { 1: 'UserService' })).toEqual({
+      code: 'class UserService {}\nexport default UserService;\n// env: dev ${HOME}',
+      missing: []
+    });
+
+    expect(renderPlaceholders(code, { 1: 'A', ENV: '' }).code).toBe(
+      'class A {}\nexport default A;\n// env:  ${HOME}'
+    );
+  });
+
+  /**
+   * Test placeholders without a value or default
+   */
+  test('should keep and report placeholders that have no value', () => {
+    expect(renderPlaceholders('${1} + ${2:two} + ${1}')).toEqual({
+      code: '${1} + two + ${1}',
+      missing: ['1']
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Validation Schema Unit Tests
+ * Tests for the schemas shared by the API and the frontend
+ * Run with: npm test
+ */
+
+const {
+  schemas,
+  validate,
+  TITLE_MAX_LENGTH,
+  CODE_MAX_LENGTH,
+  MAX_TAGS
+} = require('../../shared/schemas');
+
+describe('Validation Schemas', () => {
+
+  test('should accept a complete snippet', () => {
+    const result = validate(schemas.snippet, {
+      title: 'Debounce',
+      code: 'const debounce = () => {};',
+      language: 'javascript',
+      tags: ['utility'],
+      visibility: 'team',
+      team_id: '3'
+    });
+
+    expect(result).toEqual({ isValid: true, errors: {} });
+  });
+
+  test('should require title and code only when creating', () => {
+    expect(validate(schemas.snippet, {}).errors).toEqual({
+      title: 'Title is required',
+      code: 'Code is required'
+    });
+    expect(validate(schemas.snippetPatch, {}).isValid).toBe(true);
+    expect(validate(schemas.snippetPatch, { title: null }).errors).toEqual({
+      title: 'Title cannot be empty'
+    });
+  });
+
+  test('should enforce size limits', () => {
+    const { errors } = validate(schemas.snippet, {
+      title: 't'.repeat(TITLE_MAX_LENGTH + 1),
+      code: 'c'.repeat(CODE_MAX_LENGTH + 1),
+      tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`)
+    });
+
+    expect(Object.keys(errors).sort()).toEqual(['code', 'tags', 'title']);
+  });
+
+  test('should check types instead of crashing on them', () => {
+    const { errors } = validate(schemas.snippet, {
+      title: 42,
+      code: { text: 'x' },
+      tags: 'a,b',
+      team_id: 1.5
+    });
+
+    expect(errors).toEqual({
+      title: 'Title must be text',
+      code: 'Code must be text',
+      tags: 'Tags must be a list',
+      team_id: 'Team must be a whole number'
+    });
+  });
+
+  test('should validate list query strings', () => {
+    expect(validate(schemas.snippetQuery, { limit: '20', workspace: '7' }).isValid).toBe(true);
+    expect(validate(schemas.snippetQuery, {
+      limit: '500',
+      order: 'sideways',
+      sort: ['title', 'created'],
+      workspace: 'everyone'
+    }).errors).toEqual({
+      limit: 'Limit must be from 1 to 100',
+      order: 'Order must be one of: asc, desc',
+      sort: 'Sort must be text',
+      workspace: 'Workspace must be all, personal, or a team ID'
+    });
+  });
+
+  test('should check each value of an object', () => {
+    expect(validate(schemas.snippetRender, { values: { 1: 'Users', ENV: '' } }).isValid).toBe(true);
+    expect(validate(schemas.snippetRender, {}).isValid).toBe(true);
+
+    expect(validate(schemas.snippetRender, { values: ['Users'] }).errors).toEqual({
+      values: 'Values must be an object'
+    });
+    expect(validate(schemas.snippetRender, { values: { 1: 42 } }).errors).toEqual({
+      values: 'Each value must be text'
+    });
+  });
+
+  test('should accept files in place of code', () => {
+    const files = [{ filename: 'app.js', content: 'run();' }, { filename: '.env', language: 'bash', content: 'A=1' }];
+
+    expect(validate(schemas.snippet, { title: 'Bundle', files }).isValid).toBe(true);
+    expect(validate(schemas.snippet, { title: 'Bundle', files: [{ filename: 'app.js' }] }).errors).toEqual({
+      files: 'File content is required'
+    });
+    expect(validate(schemas.snippet, { title: 'Bundle', files: [{ filename: '..', content: 'x' }] }).errors).toEqual({
+      files: 'File name must be a plain name without slashes'
+    });
+    expect(validate(schemas.snippet, { title: 'Bundle', files: ['app.js'] }).errors).toEqual({
+      files: 'Each file must be an object'
+    });
+  });
+
+  test('should require the field each bulk operation uses', () => {
+    expect(validate(schemas.snippetBulk, { ids: [1, '2'], operation: 'delete' }).isValid).toBe(true);
+    expect(validate(schemas.snippetBulk, { ids: [1], operation: 'move', collection_id: null }).isValid).toBe(true);
+
+    expect(validate(schemas.snippetBulk, { ids: [], operation: 'add_tags' }).errors).toEqual({
+      ids: 'Snippet IDs must have at least 1 entry',
+      tags: 'Tags is required'
+    });
+    expect(validate(schemas.snippetBulk, { ids: [0], operation: 'set_language' }).errors).toEqual({
+      ids: 'Each snippet ID must be at least 1',
+      language: 'Language is required'
+    });
+    expect(validate(schemas.snippetBulk, { ids: [1], operation: 'move' }).errors).toEqual({
+      collection_id: 'Collection is required'
+    });
+    expect(validate(schemas.snippetBulk, { ids: [1], operation: 'archive' }).errors.operation)
+      .toMatch(/^Operation must be one of/);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Search Query Parser Unit Tests
+ * Tests for the structured search query language
+ * Run with: npm test
+ */
+
+const { parseSearchQuery, QuerySyntaxError } = require('../utils/searchQuery');
+
+describe('Search Query Parser', () => {
+
+  /**
+   * Test a query using every filter
+   */
+  test('should parse filters, negation, quotes and free text', () => {
+    const clauses = parseSearchQuery(
+      'lang:python tag:async -tag:deprecated title:"retry loop" after:2026-01-01 some words'
+    );
+
+    expect(clauses.map(({ field, value, negate }) => ({ field, value, negate }))).toEqual([
+      { field: 'lang', value: 'python', negate: false },
+      { field: 'tag', value: 'async', negate: false },
+      { field: 'tag', value: 'deprecated', negate: true },
+      { field: 'title', value: 'retry loop', negate: false },
+      { field: 'after', value: '2026-01-01', negate: false },
+      { field: 'text', value: 'some', negate: false },
+      { field: 'text', value: 'words', negate: false }
+    ]);
+  });
+
+  /**
+   * Test that code containing colons stays free text
+   */
+  test('should treat std::vector and URLs as text', () => {
+    const clauses = parseSearchQuery('std::vector http://example.com');
+
+    expect(clauses.every(clause => clause.field === 'text')).toBe(true);
+  });
+
+  /**
+   * Test that errors point at the bad token
+   */
+  test.each([
+    ['lang:go foo:bar', 'foo:bar', 8],
+    ['tag:', 'tag:', 0],
+    ['after:2026-02-30', 'after:2026-02-30', 0],
+    ['words title:"open', 'title:"open', 6],
+    ['-before:2026-01-01', '-before:2026-01-01', 0]
+  ])('should reject %p at the bad token', (query, token, position) => {
+    try {
+      parseSearchQuery(query);
+      throw new Error('expected a syntax error');
+    } catch (error) {
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual({ token, position });
+    }
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Test Environment Setup
+ * Runs before each test file. Every suite gets its own in-memory database,
+ * so tests never touch database/snippets.db or see each other's data.
+ */
+
+process.env.DB_PATH = ':memory:';
@@ -0,0 +1,160 @@
+/**
+ * Snippet Format Unit Tests
+ * Tests for import/export serializers and the zip reader and writer
+ * Run with: npm test
+ */
+
+const formats = require('../utils/snippetFormats');
+const { createZip, readZip, crc32 } = require('../utils/zip');
+const { languageFromFilename, fileNameFor } = require('../utils/languageFiles');
+
+// Registry entries the formats need: ID and file extensions
+const languages = [
+  { id: 'javascript', extensions: ['js', 'mjs'] },
+  { id: 'python', extensions: ['py'] },
+  { id: 'typescript', extensions: ['ts', 'tsx'] },
+  { id: 'kotlin', extensions: ['kt', 'kts'] },
+  { id: 'dockerfile', extensions: ['dockerfile'] },
+  { id: 'notes', extensions: [] }
+];
+
+const snippets = [
+  {
+    title: 'Debounce',
+    code: 'const debounce = (fn, ms) => fn;\n// ``` inside code',
+    language: 'javascript',
+    tags: ['utility', 'timing'],
+    visibility: 'public',
+    created_at: '2026-01-02 03:04:05',
+    updated_at: null
+  },
+  {
+    title: 'Hello Python',
+    code: 'print("hi")',
+    language: 'python',
+    tags: [],
+    visibility: 'private',
+    created_at: '2026-02-03 04:05:06',
+    updated_at: '2026-02-04 00:00:00'
+  }
+];
+
+describe('Snippet Formats', () => {
+
+  test('should round-trip JSON exports', () => {
+    const records = formats.parseJsonImport(formats.toJsonExport(snippets));
+
+    expect(records.map(r => [r.title, r.code, r.language, r.tags])).toEqual(
+      snippets.map(s => [s.title, s.code, s.language, s.tags])
+    );
+  });
+
+  test('should round-trip Markdown, including code with backtick fences', () => {
+    const markdown = formats.toMarkdown(snippets);
+    const records = formats.parseMarkdown(markdown);
+
+    expect(markdown).toContain('````javascript');
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      title: 'Debounce',
+      code: snippets[0].code,
+      language: 'javascript',
+      tags: ['utility', 'timing'],
+      created_at: '2026-01-02 03:04:05'
+    });
+    expect(records[1].updated_at).toBe('2026-02-04 00:00:00');
+  });
+
+  test('should read gists with hashtags as tags', () => {
+    const records = formats.parseGists(formats.toGists(snippets, languages), languages);
+
+    expect(records[0]).toMatchObject({ title: 'Debounce', tags: ['utility', 'timing'], language: 'javascript' });
+    expect(records[1]).toMatchObject({ title: 'Hello Python', visibility: 'private', language: 'python' });
+  });
+
+  test('should read a folder of files by extension', () => {
+    const records = formats.parseFiles([
+      { path: 'scripts/cleanup.py', content: 'import os' },
+      { path: 'notes.xyz', content: '???' }
+    ], languages);
+
+    expect(records[0]).toMatchObject({ title: 'cleanup', language: 'python', code: 'import os' });
+    expect(records[1].error).toBe('Unknown file extension');
+  });
+
+  test('should round-trip zip exports through the manifest', () => {
+    const records = formats.parseZip(formats.toZip([...snippets, snippets[0]], languages), languages);
+
+    expect(records).toHaveLength(3);
+    expect(records[2]).toMatchObject({ title: 'Debounce', code: snippets[0].code, source: 'debounce-2.js' });
+  });
+
+  test('should round-trip the files of multi-file snippets', () => {
+    const bundle = {
+      ...snippets[1],
+      title: 'Page',
+      code: 'console.log(1);',
+      language: 'javascript',
+      files: [
+        { filename: 'index.js', language: 'javascript', content: 'console.log(1);' },
+        { filename: 'app.py', language: 'python', content: 'print("```")' }
+      ]
+    };
+    const expected = [bundle.files, bundle.files];
+
+    const json = formats.parseJsonImport(JSON.parse(JSON.stringify(formats.toJsonExport([bundle, snippets[0]]))));
+    const markdown = formats.parseMarkdown(formats.toMarkdown([bundle, snippets[0]]));
+    const zip = formats.parseZip(formats.toZip([bundle, bundle, snippets[0]], languages), languages);
+
+    expect([json[0].files, markdown[0].files]).toEqual(expected);
+    expect([zip[0].files, zip[1].files]).toEqual(expected);
+    [json, markdown].forEach(records => {
+      expect(records[0]).toMatchObject({ code: 'console.log(1);', language: 'javascript' });
+      expect(records[1]).toMatchObject({ code: snippets[0].code, files: null });
+    });
+    expect(zip[2]).toMatchObject({ code: snippets[0].code, files: null });
+  });
+
+  test('should map languages and file names', () => {
+    expect(languageFromFilename('Main.KT', languages)).toBe('kotlin');
+    expect(languageFromFilename('images/app/Dockerfile', languages)).toBe('dockerfile');
+    expect(languageFromFilename('Makefile', languages)).toBeNull();
+    expect(fileNameFor('Fetch & Retry!', 'typescript', languages)).toBe('fetch-retry.ts');
+    expect(fileNameFor('Todo', 'notes', languages)).toBe('todo.txt');
+  });
+});
+
+describe('Zip', () => {
+
+  test('should compute standard CRC-32 checksums', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('should read back the files it writes', () => {
+    const zip = createZip([
+      { name: 'a.txt', content: 'alpha' },
+      { name: 'dir/ü.js', content: 'x'.repeat(5000) }
+    ]);
+
+    expect(readZip(zip).map(file => [file.name, file.content.toString()])).toEqual([
+      ['a.txt', 'alpha'],
+      ['dir/ü.js', 'x'.repeat(5000)]
+    ]);
+  });
+
+  test('should reject data that is not a zip archive', () => {
+    expect(() => readZip(Buffer.from('not a zip at all, just some text'))).toThrow(/Invalid zip/);
+  });
+
+  test('should stop inflating entries at the size limit', () => {
+    const zip = createZip([{ name: 'bomb.txt', content: '0'.repeat(1000000) }]);
+    expect(zip.length).toBeLessThan(5000);
+    expect(() => readZip(zip, { entryLimit: () => 1000 })).toThrow(/bomb\.txt is larger than 1000 bytes/);
+
+    // An archive that understates the size is still cut off while inflating
+    const centralOffset = zip.readUInt32LE(zip.length - 6);
+    zip.writeUInt32LE(10, centralOffset + 24);
+    expect(() => readZip(zip, { entryLimit: () => 1000 })).toThrow(/bomb\.txt is larger than 1000 bytes/);
+    expect(() => readZip(zip, { totalLimit: 1000 })).toThrow(/larger than/);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Line Diff Utility
+ * Computes line-based diffs between two texts and formats them as unified diffs
+ */
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines of text
+ */
+const splitLines = (text) => {
+  if (!text) return [];
+
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers algorithm)
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Operations { type: ' ' | '-' | '+', line }
+ */
+const computeEdits = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  // Forward pass: find the furthest reaching path for each edit distance
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      // Follow the diagonal while lines match
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        break outer;
+      }
+    }
+  }
+
+  // Backward pass: walk the trace to recover the operations
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]))
+      ? k + 1
+      : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: '+', line: b[y - 1] });
+      } else {
+        edits.push({ type: '-', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Group operations into hunks surrounded by unchanged context lines
+ * @param {Array<Object>} edits - Operations from computeEdits
+ * @param {number} context - Number of context lines around each change
+ * @returns {Array<Object>} Hunks { oldStart, oldCount, newStart, newCount, lines }
+ */
+const buildHunks = (edits, context) => {
+  // Record line positions before each operation
+  let oldLine = 1;
+  let newLine = 1;
+  const positioned = edits.map(edit => {
+    const entry = { ...edit, oldLine, newLine };
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+
+  positioned.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(positioned.length - 1, index + context);
+
+    // Extend the current hunk when contexts overlap, otherwise start a new one
+    if (current && start <= current.end + 1) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => {
+    const slice = positioned.slice(start, end + 1);
+    const oldCount = slice.filter(edit => edit.type !== '+').length;
+    const newCount = slice.filter(edit => edit.type !== '-').length;
+
+    // Unified diffs point at the preceding line when a side is empty
+    return {
+      oldStart: oldCount === 0 ? slice[0].oldLine - 1 : slice[0].oldLine,
+      oldCount,
+      newStart: newCount === 0 ? slice[0].newLine - 1 : slice[0].newLine,
+      newCount,
+      lines: slice.map(edit => `${edit.type}${edit.line}`)
+    };
+  });
+};
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @param {Object} options - { oldLabel, newLabel, context }
+ * @returns {Object} { diff, additions, deletions }
+ */
+const createUnifiedDiff = (oldText, newText, options = {}) => {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+
+  const edits = computeEdits(splitLines(oldText), splitLines(newText));
+  const hunks = buildHunks(edits, context);
+
+  const additions = edits.filter(edit => edit.type === '+').length;
+  const deletions = edits.filter(edit => edit.type === '-').length;
+
+  if (hunks.length === 0) {
+    return { diff: '', additions, deletions };
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  hunks.forEach(hunk => {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`);
+    lines.push(...hunk.lines);
+  });
+
+  return {
+    diff: lines.join('\n') + '\n',
+    additions,
+    deletions
+  };
+};
+
+module.exports = {
+  splitLines,
+  computeEdits,
+  createUnifiedDiff
+};
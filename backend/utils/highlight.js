@@ -0,0 +1,374 @@
+/**
+ * Syntax Highlighting
+ * Turns snippet code into HTML for clients that cannot run Prism
+ *
+ * Output uses Prism's markup (<span class="token keyword">...</span>), so any
+ * Prism theme styles it. Each language is a list of rules tried in order at
+ * the current position; the first match becomes a token and text no rule
+ * matches is copied as plain, escaped text. A rule may tokenize its match
+ * again with rules of its own ("inside"), as HTML tags do for attributes.
+ * Grammars are named like Prism's, which the language registry stores.
+ */
+
+/**
+ * Build a tokenizer rule
+ * @param {string} type - Token class, e.g. 'keyword'
+ * @param {RegExp} pattern - Pattern matched at the current position
+ * @param {Array<Object>} inside - Optional rules for the matched text
+ * @returns {Object} Rule with a sticky copy of the pattern
+ */
+const rule = (type, pattern, inside = null) => ({
+  type,
+  pattern: new RegExp(pattern.source, `${pattern.flags.replace(/[gy]/g, '')}y`),
+  inside
+});
+
+/**
+ * Build a tokenizer rule that finds its match with a function instead of a
+ * pattern, for tokens a regex could only find by rescanning the input
+ * @param {string} type - Token class, e.g. 'selector'
+ * @param {Function} find - (code, index) => matched text, or null
+ * @returns {Object} Rule
+ */
+const scanRule = (type, find) => ({ type, find, inside: null });
+
+/**
+ * Build a pattern matching whole words from a space-separated list
+ * @param {string} list - Words
+ * @param {string} flags - Extra regex flags
+ * @returns {RegExp} Pattern
+ */
+const words = (list, flags = '') => new RegExp(`(?:${list.trim().split(/\s+/).join('|')})\\b`, flags);
+
+// Text between tokens: whole words, so keywords never match inside a name
+const PLAIN = /[A-Za-z_$][\w$]*|\s+|[\s\S]/y;
+
+const C_COMMENT = rule('comment', /\/\/.*|\/\*[\s\S]*?\*\//);
+const HASH_COMMENT = rule('comment', /#.*/);
+const DOUBLE_STRING = rule('string', /"(?:\\[\s\S]|[^"\\\n])*"/);
+const SINGLE_STRING = rule('string', /'(?:\\[\s\S]|[^'\\\n])*'/);
+const BACKTICK_STRING = rule('string', /`(?:\\[\s\S]|[^`\\])*`/);
+const NUMBER = rule('number', /(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/i);
+const FUNCTION = rule('function', /[A-Za-z_$][\w$]*(?=\s*\()/);
+const OPERATOR = rule('operator', /[-+*/%=!<>&|^~?:]+/);
+const PUNCTUATION = rule('punctuation', /[{}[\]();,.]/);
+
+/**
+ * Build the rules for a C-style language
+ * @param {Object} options - { keywords, constants, comments, strings, extra }
+ *   where extra rules are tried before keywords
+ * @returns {Array<Object>} Rules
+ */
+const grammar = ({
+  keywords,
+  constants = words('true false null'),
+  comments = [C_COMMENT],
+  strings = [DOUBLE_STRING, SINGLE_STRING],
+  extra = []
+}) => [
+  ...comments,
+  ...strings,
+  ...extra,
+  rule('keyword', keywords),
+  rule('boolean', constants),
+  NUMBER,
+  FUNCTION,
+  OPERATOR,
+  PUNCTUATION
+];
+
+const JS_KEYWORDS = 'as async await break case catch class const continue debugger default delete do else export ' +
+  'extends finally for from function if import in instanceof let new of return static super switch this throw try ' +
+  'typeof var void while with yield';
+
+const javascript = grammar({
+  keywords: words(JS_KEYWORDS),
+  constants: words('true false null undefined NaN Infinity'),
+  strings: [BACKTICK_STRING, DOUBLE_STRING, SINGLE_STRING]
+});
+
+const HTML_TAG_INSIDE = [
+  rule('punctuation', /<\/?|\/?>/),
+  rule('tag', /(?<=<\/?)[A-Za-z][\w:-]*/),
+  rule('attr-value', /=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+)/),
+  rule('attr-name', /[^\s>/=]+/)
+];
+
+const MARKUP_RULES = [
+  rule('comment', /<!--[\s\S]*?-->/),
+  rule('doctype', /<!DOCTYPE[^>]*>/i),
+  rule('tag', /<\/?[A-Za-z][\w:-]*(?:\s+[^\s>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+))?)*\s*\/?>/, HTML_TAG_INSIDE),
+  rule('entity', /&(?:#\d+|#x[\da-f]+|\w+);/i)
+];
+
+// Where the next '{', '}' or ';' is, remembered so positions before it do
+// not scan again; keeps selector matching linear in the length of the code
+const nextDelimiter = { code: null, from: 0, at: -1 };
+
+/**
+ * Match a CSS selector: text up to the next '{', without trailing spaces
+ * @param {string} code - Text being tokenized
+ * @param {number} index - Current position
+ * @returns {string|null} Selector, or null when the next delimiter is not '{'
+ */
+const findSelector = (code, index) => {
+  if (/[{}\s;]/.test(code[index])) return null;
+
+  if (nextDelimiter.code !== code || index < nextDelimiter.from || index > nextDelimiter.at) {
+    const rest = code.slice(index).search(/[{};]/);
+    nextDelimiter.code = code;
+    nextDelimiter.from = index;
+    nextDelimiter.at = rest === -1 ? code.length : index + rest;
+  }
+
+  if (code[nextDelimiter.at] !== '{') return null;
+  return code.slice(index, nextDelimiter.at).trimEnd();
+};
+
+const CSS_RULES = [
+  rule('comment', /\/\*[\s\S]*?\*\//),
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  rule('atrule', /@[\w-]+/),
+  scanRule('selector', findSelector),
+  rule('property', /-?[A-Za-z][\w-]*(?=\s*:)/),
+  rule('important', /!important\b/i),
+  rule('number', /-?(?:\d*\.)?\d+(?:%|[a-z]+\b)?|#[\da-f]{3,8}\b/i),
+  FUNCTION,
+  rule('punctuation', /[{}();:,]/)
+];
+
+const GRAMMARS = {
+  javascript,
+
+  typescript: grammar({
+    keywords: words(`${JS_KEYWORDS} abstract declare enum implements interface keyof namespace private protected ` +
+      'public readonly type'),
+    constants: words('true false null undefined NaN Infinity'),
+    strings: [BACKTICK_STRING, DOUBLE_STRING, SINGLE_STRING],
+    extra: [rule('builtin', words('string number boolean any unknown never object symbol bigint'))]
+  }),
+
+  python: grammar({
+    keywords: words('and as assert async await break class continue def del elif else except finally for from ' +
+      'global if import in is lambda nonlocal not or pass raise return try while with yield'),
+    constants: words('True False None'),
+    comments: [HASH_COMMENT],
+    strings: [
+      rule('string', /[rbfu]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')/i),
+      rule('string', /[rbfu]{0,2}(?:"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*')/i)
+    ],
+    extra: [rule('decorator', /@[\w.]+/)]
+  }),
+
+  java: grammar({
+    keywords: words('abstract assert boolean break byte case catch char class continue default do double else ' +
+      'enum extends final finally float for if implements import instanceof int interface long new package private ' +
+      'protected public return short static super switch synchronized this throw throws try var void volatile while'),
+    extra: [rule('annotation', /@\w+/)]
+  }),
+
+  cpp: grammar({
+    keywords: words('auto bool break case catch char class const constexpr continue default delete do double else ' +
+      'enum explicit extern float for friend goto if inline int long namespace new noexcept operator private ' +
+      'protected public return short signed sizeof static static_cast struct switch template this throw try ' +
+      'typedef typename union unsigned using virtual void volatile while'),
+    constants: words('true false nullptr NULL'),
+    extra: [rule('macro', /#\s*\w+(?:[ \t]*<[^>\n]*>)?/)]
+  }),
+
+  csharp: grammar({
+    keywords: words('abstract as async await base bool break byte case catch char class const continue decimal ' +
+      'default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit ' +
+      'in int interface internal is lock long namespace new object operator out override params private protected ' +
+      'public readonly ref return sealed set short static string struct switch this throw try typeof uint ulong ' +
+      'using var virtual void volatile while'),
+    strings: [rule('string', /[$@]{0,2}"(?:\\[\s\S]|[^"\\\n])*"/), SINGLE_STRING],
+    extra: [rule('preprocessor', /#\s*\w+/)]
+  }),
+
+  ruby: grammar({
+    keywords: words('alias and begin break case class def do else elsif end ensure for if in module next not or ' +
+      'redo rescue retry return self super then undef unless until when while yield'),
+    constants: words('true false nil'),
+    comments: [HASH_COMMENT],
+    extra: [
+      rule('variable', /@{1,2}\w+|\$\w+/),
+      rule('symbol', /:[A-Za-z_]\w*[?!]?/)
+    ]
+  }),
+
+  go: grammar({
+    keywords: words('break case chan const continue default defer else fallthrough for func go goto if import ' +
+      'interface map package range return select struct switch type var'),
+    constants: words('true false nil iota'),
+    strings: [BACKTICK_STRING, DOUBLE_STRING, SINGLE_STRING]
+  }),
+
+  rust: grammar({
+    keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop ' +
+      'match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+    constants: words('true false'),
+    strings: [
+      DOUBLE_STRING,
+      rule('char', /'(?:\\[\s\S]|[^'\\\n])'/),
+      rule('lifetime-annotation', /'[A-Za-z_]\w*/)
+    ],
+    extra: [rule('macro', /[A-Za-z_]\w*!/)]
+  }),
+
+  php: grammar({
+    keywords: words('abstract and array as break case catch class clone const continue declare default do echo ' +
+      'else elseif empty extends final finally fn for foreach function global if implements include include_once ' +
+      'instanceof interface isset list namespace new or print private protected public require require_once ' +
+      'return static switch throw trait try unset use var while yield'),
+    constants: words('true false null', 'i'),
+    comments: [C_COMMENT, HASH_COMMENT],
+    extra: [
+      rule('delimiter', /<\?(?:php\b|=)?|\?>/),
+      rule('variable', /\$\w+/)
+    ]
+  }),
+
+  markup: MARKUP_RULES,
+  html: MARKUP_RULES,
+
+  css: CSS_RULES,
+
+  sql: grammar({
+    keywords: words('add all alter and as asc begin between by case check column commit constraint create cross ' +
+      'default delete desc distinct drop else end exists foreign from full group having if in index inner insert ' +
+      'into is join key left like limit not null offset on or order outer primary references right rollback select ' +
+      'set table then transaction trigger union unique update values view when where with', 'i'),
+    constants: words('true false', 'i'),
+    comments: [rule('comment', /--.*|\/\*[\s\S]*?\*\//)]
+  }),
+
+  kotlin: grammar({
+    keywords: words('abstract as break by catch class companion constructor continue data do else enum for fun if ' +
+      'import in init interface internal is object open override package private protected public return sealed ' +
+      'super this throw try typealias val var when while'),
+    strings: [rule('string', /"""[\s\S]*?"""/), DOUBLE_STRING, SINGLE_STRING],
+    extra: [rule('annotation', /@\w+/)]
+  }),
+
+  swift: grammar({
+    keywords: words('as associatedtype break case catch class continue default defer deinit do else enum ' +
+      'extension fallthrough fileprivate for func guard if import in init inout internal is let mutating open ' +
+      'operator private protocol public repeat rethrows return self Self some static struct subscript super switch ' +
+      'throw throws try typealias var where while'),
+    constants: words('true false nil'),
+    strings: [rule('string', /"""[\s\S]*?"""/), DOUBLE_STRING],
+    extra: [rule('attribute', /@\w+/)]
+  }),
+
+  bash: grammar({
+    keywords: words('if then else elif fi for while until do done case esac in function return local export ' +
+      'source select readonly'),
+    constants: words('true false'),
+    comments: [rule('comment', /(?:^|(?<=\s))#.*/)],
+    extra: [rule('variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*])/)]
+  }),
+
+  json: [
+    rule('property', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/),
+    DOUBLE_STRING,
+    rule('number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i),
+    rule('boolean', words('true false null')),
+    rule('punctuation', /[{}[\],:]/)
+  ],
+
+  yaml: [
+    rule('comment', /(?:^|(?<=\s))#.*/),
+    rule('key', /[\w.-]+(?=\s*:(?:\s|$))/),
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    rule('boolean', words('true false null yes no')),
+    NUMBER,
+    rule('punctuation', /[-:[\]{},|>]/)
+  ]
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Find the first rule matching at a position
+ * @param {string} code - Text being tokenized
+ * @param {number} index - Current position
+ * @param {Array<Object>} rules - Rules in priority order
+ * @returns {Object|null} { rule, text } or null when nothing matches
+ */
+const matchRule = (code, index, rules) => {
+  for (const current of rules) {
+    let text;
+    if (current.find) {
+      text = current.find(code, index);
+    } else {
+      current.pattern.lastIndex = index;
+      const match = current.pattern.exec(code);
+      text = match && match[0];
+    }
+    if (text) {
+      return { rule: current, text };
+    }
+  }
+  return null;
+};
+
+/**
+ * Tokenize text into highlighted HTML
+ * @param {string} code - Text to highlight
+ * @param {Array<Object>} rules - Rules in priority order
+ * @returns {string} HTML
+ */
+const tokenize = (code, rules) => {
+  let html = '';
+  let plain = '';
+  let index = 0;
+
+  while (index < code.length) {
+    const token = matchRule(code, index, rules);
+
+    if (token) {
+      const content = token.rule.inside
+        ? tokenize(token.text, token.rule.inside)
+        : escapeHtml(token.text);
+      html += `${escapeHtml(plain)}<span class="token ${token.rule.type}">${content}</span>`;
+      plain = '';
+      index += token.text.length;
+    } else {
+      PLAIN.lastIndex = index;
+      const text = PLAIN.exec(code)[0];
+      plain += text;
+      index += text.length;
+    }
+  }
+
+  return html + escapeHtml(plain);
+};
+
+/**
+ * Highlight snippet code
+ * @param {string} code - Snippet code
+ * @param {string} grammar - Prism grammar name, the prism field of a language
+ * @returns {string} HTML for the inside of a <code> element; grammars
+ *   without rules here come back escaped but without tokens
+ */
+const highlightCode = (code, grammar) => {
+  const rules = GRAMMARS[grammar];
+  return rules ? tokenize(code || '', rules) : escapeHtml(code || '');
+};
+
+module.exports = {
+  highlightCode
+};
@@ -0,0 +1,386 @@
+/**
+ * Language Detection
+ * Guesses the language of a snippet from its code and title
+ *
+ * Every language has weighted patterns; the language with the highest total
+ * wins. A shebang line or a file name in the title ("retry.py") counts for
+ * more than any single keyword, and a language named in the title
+ * ("Python retry loop") gives a smaller boost. Only languages enabled in the
+ * registry are suggested, and file names are matched with their extensions,
+ * so added languages are found from file names even without patterns.
+ */
+
+const { languageFromFilename } = require('./languageFiles');
+const { AUTO_LANGUAGE } = require('../../shared/schemas');
+
+// Stored when no language is given and none can be detected
+const DEFAULT_LANGUAGE = 'javascript';
+
+// Scores for the strongest hints
+const SHEBANG_SCORE = 10;
+const EXTENSION_SCORE = 8;
+const TITLE_NAME_SCORE = 4;
+
+// Below this score the code is considered unrecognized
+const MIN_SCORE = 2;
+
+// Interpreters named on a shebang line
+const SHEBANGS = [
+  [/python/, 'python'],
+  [/\b(?:ba|z|k)?sh\b/, 'bash'],
+  [/ruby/, 'ruby'],
+  [/php/, 'php'],
+  [/node|deno|bun/, 'javascript'],
+  [/ts-node/, 'typescript'],
+  [/swift/, 'swift'],
+  [/kotlin/, 'kotlin']
+];
+
+// Words in titles that name a language
+const TITLE_NAMES = {
+  javascript: ['javascript', 'js', 'node', 'nodejs', 'react', 'express'],
+  python: ['python', 'py', 'django', 'flask', 'pandas'],
+  java: ['java', 'spring'],
+  cpp: ['c++', 'cpp'],
+  csharp: ['c#', 'csharp', '.net', 'dotnet'],
+  ruby: ['ruby', 'rails'],
+  go: ['golang'],
+  rust: ['rust'],
+  php: ['php', 'laravel'],
+  html: ['html'],
+  css: ['css', 'scss'],
+  sql: ['sql', 'sqlite', 'postgres', 'mysql'],
+  typescript: ['typescript', 'ts'],
+  kotlin: ['kotlin'],
+  swift: ['swift', 'swiftui'],
+  bash: ['bash', 'shell', 'zsh'],
+  json: ['json'],
+  yaml: ['yaml', 'yml', 'kubernetes', 'k8s'],
+  dockerfile: ['dockerfile', 'docker'],
+  terraform: ['terraform', 'hcl'],
+  markdown: ['markdown']
+};
+
+// [pattern, weight] per language; each pattern counts once
+const PATTERNS = {
+  javascript: [
+    [/\b(?:const|let)\s+[\w$]+\s*=/, 1],
+    [/=>/, 1],
+    [/\bfunction\s*[\w$]*\s*\(/, 1],
+    [/\bconsole\.log\(/, 2],
+    [/\brequire\(['"]/, 2],
+    [/\bmodule\.exports\b|\bexport\s+(?:default|const|function)\b/, 2],
+    [/===|!==/, 1],
+    [/\bdocument\.|\bwindow\./, 2],
+    [/\basync\s+function\b|\bawait\s+[\w$.]+\(/, 1]
+  ],
+  typescript: [
+    [/:\s*(?:string|number|boolean|void|any|unknown|never)\b/, 3],
+    [/\binterface\s+\w+\s*\{/, 3],
+    [/\btype\s+\w+\s*=/, 2],
+    [/\b(?:const|let)\s+\w+\s*:\s*\w+/, 2],
+    [/<\w+(?:\[\])?>\s*\(/, 1],
+    [/\bas\s+const\b|\bimplements\s+\w+/, 2],
+    [/\b(?:public|private|readonly)\s+\w+\s*:/, 2]
+  ],
+  python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(?:->\s*[\w\[\], .]+)?:\s*$/m, 3],
+    [/^\s*(?:from\s+[\w.]+\s+import\s+|import\s+[\w.]+\s*$)/m, 2],
+    [/^\s*class\s+\w+(?:\(.*\))?:\s*$/m, 2],
+    [/\bself\./, 2],
+    [/\belif\b/, 2],
+    [/\b(?:None|True|False)\b/, 1],
+    [/^\s*(?:if|for|while|with|try|except)\b.*:\s*$/m, 1],
+    [/^\s*@\w+/m, 1],
+    [/\bprint\(/, 1]
+  ],
+  java: [
+    [/\bpublic\s+(?:final\s+)?class\s+\w+/, 2],
+    [/\bSystem\.out\.print(?:ln)?\(/, 4],
+    [/\bpublic\s+static\s+void\s+main\s*\(\s*String/, 4],
+    [/@Override\b/, 2],
+    [/^\s*import\s+java\./m, 4],
+    [/\b(?:private|public|protected)\s+(?:static\s+)?(?:final\s+)?[A-Z]\w*(?:<[\w<>, ?]+>)?\s+\w+\s*[=;(]/, 1],
+    [/\bnew\s+[A-Z]\w*(?:<[\w<>, ]*>)?\(/, 1]
+  ],
+  cpp: [
+    [/^\s*#include\s*[<"]/m, 4],
+    [/\bstd::/, 3],
+    [/\b(?:cout|cin)\s*(?:<<|>>)/, 3],
+    [/\bint\s+main\s*\(/, 2],
+    [/\btemplate\s*</, 2],
+    [/\bnullptr\b/, 2],
+    [/->\w+/, 1]
+  ],
+  csharp: [
+    [/^\s*using\s+System(?:\.\w+)*\s*;/m, 4],
+    [/\bnamespace\s+[\w.]+/, 1],
+    [/\bConsole\.Write(?:Line)?\(/, 4],
+    [/\{\s*get;\s*(?:set;\s*)?\}/, 3],
+    [/\basync\s+Task\b/, 3],
+    [/\bvar\s+\w+\s*=\s*new\b/, 1],
+    [/\bpublic\s+(?:static\s+)?(?:partial\s+)?class\s+\w+/, 1]
+  ],
+  ruby: [
+    [/^\s*def\s+[\w?!]+(?:\(.*\))?\s*$/m, 2],
+    [/^\s*end\s*$/m, 2],
+    [/\bputs\b/, 2],
+    [/^\s*require\s+['"]/m, 1],
+    [/\bdo\s*\|[\w, ]+\|/, 3],
+    [/\battr_(?:accessor|reader|writer)\b/, 3],
+    [/:\w+\s*=>/, 1],
+    [/\.each\b/, 1]
+  ],
+  go: [
+    [/^\s*package\s+\w+\s*$/m, 4],
+    [/\bfunc\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 3],
+    [/:=/, 1],
+    [/\bfmt\.\w+\(/, 3],
+    [/^\s*import\s*\(/m, 2],
+    [/\bgo\s+func\b|\bchan\s+\w+/, 2],
+    [/\berr\s*!=\s*nil\b/, 3]
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/, 3],
+    [/\blet\s+mut\b/, 3],
+    [/\b\w+!\(/, 2],
+    [/\bimpl\b(?:\s*<[^>]*>)?\s+\w+/, 2],
+    [/\bpub\s+(?:fn|struct|enum)\b/, 2],
+    [/^\s*use\s+(?:std|crate)::/m, 3],
+    [/&(?:mut\s+)?(?:str|self)\b|\bOption<|\bResult</, 2]
+  ],
+  php: [
+    [/<\?php/, 8],
+    [/\$\w+\s*=/, 2],
+    [/\becho\b/, 1],
+    [/\$this->/, 3],
+    [/^\s*namespace\s+[\w\\]+;/m, 2],
+    [/\bfunction\s+\w+\s*\(\s*(?:\??\w+\s+)?\$/, 3]
+  ],
+  html: [
+    [/<!DOCTYPE\s+html/i, 8],
+    [/<html[\s>]/i, 4],
+    [/<(?:div|span|head|body|section|p|a|ul|li)\b[^>]*>/i, 2],
+    [/<\/\w+>/, 1]
+  ],
+  css: [
+    [/^\s*[.#]?[\w-]+(?:\s*[.#:>+~,\s][\w-]+)*\s*\{/m, 1],
+    [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2],
+    [/@media\b|@import\b|@keyframes\b/, 3],
+    [/\b(?:color|margin|padding|display|font-size|background)\s*:/, 2]
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 4],
+    [/\bINSERT\s+INTO\b/i, 4],
+    [/\bCREATE\s+(?:TABLE|INDEX|VIEW)\b/i, 4],
+    [/\bUPDATE\s+\w+\s+SET\b/i, 4],
+    [/\b(?:WHERE|JOIN|GROUP\s+BY|ORDER\s+BY)\b/i, 1]
+  ],
+  kotlin: [
+    [/\bfun\s+\w+\s*\(/, 3],
+    [/\bval\s+\w+/, 2],
+    [/\bdata\s+class\b/, 3],
+    [/\bcompanion\s+object\b/, 3],
+    [/\bprintln\(/, 1],
+    [/\bvar\s+\w+\s*:\s*\w+/, 1]
+  ],
+  swift: [
+    [/\bfunc\s+\w+\s*\(/, 2],
+    [/^\s*import\s+(?:UIKit|Foundation|SwiftUI)\b/m, 4],
+    [/\bguard\s+let\b|\bif\s+let\b/, 3],
+    [/\bstruct\s+\w+\s*:\s*View\b/, 3],
+    [/\blet\s+\w+\s*=/, 1],
+    [/\bvar\s+\w+\s*:\s*\w+/, 1]
+  ],
+  bash: [
+    [/^\s*(?:if|while)\s+\[\[?\s/m, 3],
+    [/^\s*(?:fi|done|esac)\s*$/m, 3],
+    [/^\s*(?:echo|export|source|set -e)\b/m, 2],
+    [/\$\{?\w+\}?|\$\(/, 1],
+    [/\|\s*(?:grep|awk|sed|xargs)\b/, 2]
+  ],
+  json: [
+    [/^\s*[[{]\s*"[^"\n]*"\s*:/, 4],
+    [/^\s*"[^"\n]*"\s*:\s*(?:"|\d|true|false|null|\[|\{)/m, 2]
+  ],
+  yaml: [
+    [/^---\s*$/m, 2],
+    [/^[\w-]+:\s*$/m, 2],
+    [/^\s+[\w-]+:\s+\S/m, 1],
+    [/^\s*-\s+[\w-]+:\s/m, 2]
+  ],
+  dockerfile: [
+    [/^FROM\s+\S+/m, 4],
+    [/^(?:RUN|COPY|ADD|CMD|ENTRYPOINT|WORKDIR|EXPOSE|ENV|ARG)\s/m, 3]
+  ],
+  terraform: [
+    [/^\s*(?:resource|data|module)\s+"[\w-]+"(?:\s+"[\w-]+")?\s*\{/m, 5],
+    [/^\s*(?:provider|variable|output|terraform)\b[^\n]*\{/m, 3]
+  ],
+  markdown: [
+    [/^#{1,6}\s+\S/m, 2],
+    [/\[[^\]\n]+\]\([^)\n]+\)/, 2],
+    [/^```/m, 2],
+    [/^\s*[-*]\s+\S/m, 1]
+  ]
+};
+
+/**
+ * Find a language from a shebang on the first line
+ * @param {string} code - Snippet code
+ * @returns {string|null} Language, or null without a known shebang
+ */
+const languageFromShebang = (code) => {
+  const firstLine = code.split('\n', 1)[0];
+  if (!firstLine.startsWith('#!')) return null;
+
+  const match = SHEBANGS.find(([pattern]) => pattern.test(firstLine));
+  return match ? match[1] : null;
+};
+
+/**
+ * Score the hints in a title
+ * @param {string} title - Snippet title
+ * @param {Array<Object>} languages - Registered languages
+ * @returns {Object} Scores by language
+ */
+const scoreTitle = (title, languages) => {
+  const scores = {};
+  const words = title.toLowerCase().split(/[\s()[\],:;]+/).filter(Boolean);
+
+  words.forEach(word => {
+    // File names such as "retry.py" or "App.tsx"
+    const fromExtension = word.includes('.') ? languageFromFilename(word, languages) : null;
+    if (fromExtension) {
+      scores[fromExtension] = Math.max(scores[fromExtension] || 0, EXTENSION_SCORE);
+    }
+
+    Object.entries(TITLE_NAMES).forEach(([language, names]) => {
+      if (names.includes(word)) {
+        scores[language] = Math.max(scores[language] || 0, TITLE_NAME_SCORE);
+      }
+    });
+  });
+
+  return scores;
+};
+
+/**
+ * Guess the language of a snippet
+ * Confidence is the winner's share of all points scored, so it drops when
+ * several languages look alike (JavaScript and TypeScript, say).
+ * @param {string} code - Snippet code
+ * @param {Object} options - { languages, title } where languages are the
+ *   enabled languages from the registry and title is optional
+ * @returns {Object} { language, confidence, candidates } where language is
+ *   null when nothing was recognized and candidates lists up to three
+ *   { language, confidence }, best first
+ */
+const detectLanguage = (code, { languages, title = '' }) => {
+  code = typeof code === 'string' ? code : '';
+  const enabled = new Set(languages.map(language => language.id));
+  const scores = scoreTitle(typeof title === 'string' ? title : '', languages);
+  const add = (language, points) => {
+    scores[language] = (scores[language] || 0) + points;
+  };
+
+  const shebang = languageFromShebang(code);
+  if (shebang) add(shebang, SHEBANG_SCORE);
+
+  Object.entries(PATTERNS).forEach(([language, patterns]) => {
+    patterns.forEach(([pattern, weight]) => {
+      if (pattern.test(code)) add(language, weight);
+    });
+  });
+
+  // TypeScript is a superset of JavaScript: JavaScript hints count for both
+  if (scores.typescript && scores.javascript) {
+    scores.typescript += scores.javascript;
+  }
+
+  const ranked = Object.entries(scores)
+    .filter(([language]) => enabled.has(language))
+    .sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  const candidates = ranked.slice(0, 3).map(([language, score]) => ({
+    language,
+    confidence: Math.round((score / total) * 100) / 100
+  }));
+
+  if (ranked.length === 0 || ranked[0][1] < MIN_SCORE) {
+    return { language: null, confidence: 0, candidates };
+  }
+
+  return {
+    language: candidates[0].language,
+    confidence: candidates[0].confidence,
+    candidates
+  };
+};
+
+/**
+ * Pick the language to store for a snippet
+ * A missing language or 'auto' is detected from the code and title.
+ * @param {string} language - Requested language
+ * @param {string} code - Snippet code
+ * @param {string} title - Snippet title
+ * @param {Array<Object>} languages - Enabled languages from the registry
+ * @returns {Object} { language, detection, error } where detection is the
+ *   detectLanguage result (null when the language was given) and error is
+ *   set when the language is not enabled
+ */
+const chooseLanguage = (language, code, title, languages) => {
+  let detection = null;
+  let chosen = language;
+
+  if (!language || language === AUTO_LANGUAGE) {
+    detection = detectLanguage(code, { languages, title });
+    chosen = detection.language || DEFAULT_LANGUAGE;
+  }
+
+  const error = languages.some(entry => entry.id === chosen)
+    ? null
+    : `Language '${chosen}' is not available; see GET /api/languages`;
+
+  return { language: chosen, detection, error };
+};
+
+/**
+ * Pick the language of each file of a multi-file snippet
+ * Files without a language (or with 'auto') get one detected from their
+ * name and content. File names must be unique within the snippet.
+ * @param {Array} files - Files { filename, language, content } from the request
+ * @param {Array} languages - Enabled languages
+ * @param {Array<string>} kept - Languages the snippet already uses, allowed
+ *   even when disabled
+ * @returns {Object} { error } when invalid, otherwise { files }
+ */
+const resolveFiles = (files, languages, kept = []) => {
+  const names = new Set();
+  const resolved = [];
+
+  for (const file of files) {
+    const key = file.filename.toLowerCase();
+    if (names.has(key)) {
+      return { error: `File name '${file.filename}' is used twice` };
+    }
+    names.add(key);
+
+    const chosen = chooseLanguage(file.language, file.content, file.filename, languages);
+    if (chosen.error && !kept.includes(chosen.language)) {
+      return { error: `${file.filename}: ${chosen.error}` };
+    }
+
+    resolved.push({ filename: file.filename, language: chosen.language, content: file.content });
+  }
+
+  return { files: resolved };
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  chooseLanguage,
+  resolveFiles
+};
@@ -0,0 +1,71 @@
+/**
+ * Language File Utilities
+ * Maps file names to registered languages and back
+ *
+ * Each function takes the registry's languages ({ id, extensions }, from
+ * languageModel.getLanguages). Extensions are stored without the dot; a file
+ * without an extension is matched by its whole name, so "Dockerfile" finds
+ * the language listing the extension "dockerfile".
+ */
+
+const path = require('path');
+
+/**
+ * Find the language of a file from its extension
+ * @param {string} filename - File name or path
+ * @param {Array<Object>} languages - Registered languages
+ * @returns {string|null} Language ID, or null for unknown extensions
+ */
+const languageFromFilename = (filename, languages) => {
+  const base = path.basename(filename).toLowerCase();
+  const extension = path.extname(base).slice(1) || base;
+  if (!extension) return null;
+
+  const match = languages.find(language => language.extensions.includes(extension));
+  return match ? match.id : null;
+};
+
+/**
+ * Get the file extension used for a language
+ * @param {string} languageId - Language ID
+ * @param {Array<Object>} languages - Registered languages
+ * @returns {string} Its first extension, without the dot ('txt' when it has none)
+ */
+const extensionForLanguage = (languageId, languages) => {
+  const language = languages.find(entry => entry.id === languageId);
+  return language && language.extensions.length > 0 ? language.extensions[0] : 'txt';
+};
+
+/**
+ * Turn a snippet title into a safe file name without extension
+ * @param {string} title - Snippet title
+ * @returns {string} Name such as "debounce-function"
+ */
+const titleSlug = (title) => {
+  return title
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .slice(0, 60) || 'snippet';
+};
+
+/**
+ * Turn a snippet title into a safe file name
+ * @param {string} title - Snippet title
+ * @param {string} languageId - Snippet language, used for the extension
+ * @param {Array<Object>} languages - Registered languages
+ * @returns {string} File name such as "debounce-function.js"
+ */
+const fileNameFor = (title, languageId, languages) => {
+  return `${titleSlug(title)}.${extensionForLanguage(languageId, languages)}`;
+};
+
+module.exports = {
+  languageFromFilename,
+  extensionForLanguage,
+  titleSlug,
+  fileNameFor
+};
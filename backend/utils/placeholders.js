@@ -0,0 +1,99 @@
+/**
+ * Snippet Placeholders
+ * Finds editor-style placeholders in snippet code and fills them in
+ *
+ * Supported forms:
+ *   ${1}, ${1:default}   numbered tab stops, listed first in number order
+ *   ${NAME:default}      named variables, listed in order of appearance
+ *
+ * ${NAME} without a default is left alone, as are shell expansions such as
+ * ${NAME:-fallback}, because shell scripts and JavaScript template literals
+ * use the same syntax. A placeholder used several times gets the same value
+ * everywhere. Defaults run to the first closing brace.
+ */
+
+const PLACEHOLDER_PATTERN = /\$\{(\d+|[A-Za-z_][A-Za-z0-9_]*)(?::([^}\n]*))?\}/g;
+
+// Shell parameter expansions: ${VAR:-x}, ${VAR:=x}, ${VAR:?x}, ${VAR:+x}
+const SHELL_OPERATORS = ['-', '=', '?', '+'];
+
+/**
+ * Check whether a ${...} match is a placeholder rather than ordinary code
+ * @param {string} key - Number or name inside the braces
+ * @param {string|undefined} defaultValue - Text after the colon, if any
+ * @returns {boolean} True for placeholders
+ */
+const isPlaceholder = (key, defaultValue) => {
+  if (/^\d+$/.test(key)) return true;
+  if (defaultValue === undefined) return false;
+
+  return !SHELL_OPERATORS.includes(defaultValue.charAt(0));
+};
+
+/**
+ * List the placeholders in a piece of code
+ * @param {string} code - Snippet code
+ * @returns {Array<Object>} Placeholders { key, default, occurrences }; default
+ *   is the first default given for the key, or null when it has none
+ */
+const parsePlaceholders = (code) => {
+  const found = new Map();
+
+  for (const match of (code || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const [, key, defaultValue] = match;
+    if (!isPlaceholder(key, defaultValue)) continue;
+
+    const placeholder = found.get(key);
+    if (placeholder) {
+      placeholder.occurrences += 1;
+      if (placeholder.default === null && defaultValue !== undefined) {
+        placeholder.default = defaultValue;
+      }
+    } else {
+      found.set(key, { key, default: defaultValue === undefined ? null : defaultValue, occurrences: 1 });
+    }
+  }
+
+  const placeholders = [...found.values()];
+  const numbered = placeholders
+    .filter(placeholder => /^\d+$/.test(placeholder.key))
+    .sort((a, b) => Number(a.key) - Number(b.key));
+  const named = placeholders.filter(placeholder => !/^\d+$/.test(placeholder.key));
+
+  return [...numbered, ...named];
+};
+
+/**
+ * Fill the placeholders in a piece of code
+ * Each placeholder takes its value, else its default. Placeholders with
+ * neither are kept as written and reported as missing.
+ * @param {string} code - Snippet code
+ * @param {Object} values - Values by placeholder key, e.g. { 1: 'UserService', ENV: 'prod' }
+ * @returns {Object} { code, missing } where missing lists keys left unfilled
+ */
+const renderPlaceholders = (code, values = {}) => {
+  const defaults = new Map(parsePlaceholders(code).map(placeholder => [placeholder.key, placeholder.default]));
+  const missing = new Set();
+
+  const rendered = (code || '').replace(PLACEHOLDER_PATTERN, (text, key, defaultValue) => {
+    if (!isPlaceholder(key, defaultValue)) return text;
+
+    if (Object.prototype.hasOwnProperty.call(values, key)) {
+      return String(values[key]);
+    }
+
+    if (defaults.get(key) !== null) {
+      return defaults.get(key);
+    }
+
+    missing.add(key);
+    return text;
+  });
+
+  return { code: rendered, missing: [...missing] };
+};
+
+module.exports = {
+  parsePlaceholders,
+  renderPlaceholders
+};
@@ -0,0 +1,155 @@
+/**
+ * Search Query Parser
+ * Parses structured search queries such as
+ *   lang:python tag:async -tag:deprecated title:"retry" after:2026-01-01 some words
+ * into a list of clauses that the snippet model turns into SQL
+ */
+
+// Supported filter names, with aliases mapped to their canonical field
+const FIELDS = {
+  lang: 'lang',
+  language: 'lang',
+  tag: 'tag',
+  title: 'title',
+  before: 'before',
+  after: 'after'
+};
+
+const DATE_FIELDS = ['before', 'after'];
+
+/**
+ * Error raised for malformed search queries
+ * Carries the offending token and its position so clients can point at it
+ */
+class QuerySyntaxError extends Error {
+  constructor(message, token, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.statusCode = 400;
+    this.details = { token, position };
+  }
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+const isValidDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Parse a search query into clauses
+ * Each clause is { field, value, negate, quoted, position } where field is
+ * 'text' for free words or one of lang, tag, title, before, after.
+ * A leading '-' negates a clause; double quotes group words into one value.
+ * @param {string} query - Raw search query
+ * @returns {Array<Object>} Parsed clauses
+ * @throws {QuerySyntaxError} When the query cannot be parsed
+ */
+const parseSearchQuery = (query = '') => {
+  const clauses = [];
+  const length = query.length;
+  let i = 0;
+
+  // Read a quoted or bare value starting at the current position
+  const readValue = (tokenStart) => {
+    if (query[i] === '"') {
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new QuerySyntaxError(
+          `Unterminated quote starting at position ${i}`,
+          query.slice(tokenStart),
+          tokenStart
+        );
+      }
+
+      const value = query.slice(i + 1, close);
+      i = close + 1;
+
+      if (i < length && !/\s/.test(query[i])) {
+        throw new QuerySyntaxError(
+          `Unexpected text after closing quote at position ${i}`,
+          query.slice(tokenStart).split(/\s/)[0],
+          tokenStart
+        );
+      }
+
+      return { value, quoted: true };
+    }
+
+    const start = i;
+    while (i < length && !/\s/.test(query[i])) i++;
+    return { value: query.slice(start, i), quoted: false };
+  };
+
+  while (i < length) {
+    // Skip whitespace between tokens
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const tokenStart = i;
+    let negate = false;
+
+    if (query[i] === '-' && i + 1 < length && !/\s/.test(query[i + 1])) {
+      negate = true;
+      i++;
+    }
+
+    // "name:" starts a filter, unless it is code such as std::vector or http://
+    const filterMatch = /^([A-Za-z]+):(?![:/])/.exec(query.slice(i));
+
+    if (!filterMatch) {
+      const { value, quoted } = readValue(tokenStart);
+      clauses.push({ field: 'text', value, negate, quoted, position: tokenStart });
+      continue;
+    }
+
+    const name = filterMatch[1].toLowerCase();
+    const field = FIELDS[name];
+    i += filterMatch[0].length;
+
+    if (!field) {
+      throw new QuerySyntaxError(
+        `Unknown filter '${filterMatch[1]}:'. Use lang:, tag:, title:, before: or after:, or quote the text to search for it`,
+        query.slice(tokenStart).split(/\s/)[0],
+        tokenStart
+      );
+    }
+
+    const { value, quoted } = readValue(tokenStart);
+    const token = query.slice(tokenStart, i);
+
+    if (value.trim().length === 0) {
+      throw new QuerySyntaxError(`Missing value for '${name}:'`, token, tokenStart);
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      if (negate) {
+        throw new QuerySyntaxError(`'${name}:' cannot be negated`, token, tokenStart);
+      }
+      if (!isValidDate(value)) {
+        throw new QuerySyntaxError(
+          `Invalid date '${value}' for '${name}:', expected YYYY-MM-DD`,
+          token,
+          tokenStart
+        );
+      }
+    }
+
+    clauses.push({ field, value, negate, quoted, position: tokenStart });
+  }
+
+  return clauses;
+};
+
+module.exports = {
+  QuerySyntaxError,
+  parseSearchQuery
+};
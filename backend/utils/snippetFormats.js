@@ -0,0 +1,470 @@
+/**
+ * Snippet Formats
+ * Converts snippets to and from the JSON, Markdown, GitHub Gist and zip
+ * formats used by import and export.
+ *
+ * Parsers return plain records { title, code, language, tags, visibility,
+ * created_at, updated_at, files, source }, where files[] { filename, language,
+ * content } is null for single-file snippets; anything they cannot read
+ * becomes a record with an `error` so the import plan can report it.
+ *
+ * Formats that name files (gists, folders, zips) also take the registered
+ * languages to map extensions to languages.
+ */
+
+const { createZip, readZip } = require('./zip');
+const { languageFromFilename, titleSlug, fileNameFor } = require('./languageFiles');
+const { CODE_MAX_LENGTH } = require('../../shared/schemas');
+
+// Version of the JSON export layout
+const EXPORT_VERSION = 1;
+
+// Name of the metadata file inside zip exports
+const ZIP_MANIFEST = 'snippets.json';
+
+// Largest inflated zip entry: the longest allowed code in UTF-8 (up to 3
+// bytes per character), and for the manifest and whole archive a cap well
+// above any library that fits an import request
+const ZIP_ENTRY_LIMIT = CODE_MAX_LENGTH * 3;
+const ZIP_TOTAL_LIMIT = 64 * 1024 * 1024;
+
+/**
+ * Create an error for import data that cannot be read
+ * @param {string} message - Error message
+ * @returns {Error} Error with a 400 statusCode
+ */
+const invalidImport = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Pick the exported fields of a snippet
+ * @param {Object} snippet - Snippet from the model
+ * @returns {Object} Export record
+ */
+const toRecord = (snippet) => ({
+  title: snippet.title,
+  language: snippet.language,
+  tags: snippet.tags || [],
+  visibility: snippet.visibility,
+  created_at: snippet.created_at,
+  updated_at: snippet.updated_at || null,
+  code: snippet.code,
+  files: (snippet.files || []).map(({ filename, language, content }) => ({ filename, language, content }))
+});
+
+/**
+ * Read the files of a multi-file record
+ * @param {*} files - files[] from the import data
+ * @returns {Array|null} Files { filename, language, content }, or null when
+ *   there are none
+ */
+const filesFromRaw = (files) => {
+  if (!Array.isArray(files) || files.length === 0) return null;
+
+  return files.map(file => ({
+    filename: file && typeof file.filename === 'string' ? file.filename : '',
+    language: file && typeof file.language === 'string' && file.language ? file.language.toLowerCase() : null,
+    content: file && typeof file.content === 'string' ? file.content : ''
+  }));
+};
+
+/**
+ * Normalize a record read from import data
+ * @param {Object} raw - Record with any subset of snippet fields
+ * @param {string} source - Where the record came from, for reporting
+ * @returns {Object} Import record
+ */
+const fromRaw = (raw, source) => {
+  const files = filesFromRaw(raw.files);
+
+  // The code and language of a multi-file snippet are those of its first file
+  return {
+    title: typeof raw.title === 'string' ? raw.title.trim() : '',
+    code: files ? files[0].content : typeof raw.code === 'string' ? raw.code : '',
+    language: files ? files[0].language
+      : typeof raw.language === 'string' && raw.language ? raw.language.toLowerCase() : null,
+    tags: Array.isArray(raw.tags) ? raw.tags.filter(tag => typeof tag === 'string') : [],
+    visibility: raw.visibility,
+    created_at: raw.created_at || null,
+    updated_at: raw.updated_at || null,
+    files,
+    source
+  };
+};
+
+/**
+ * Build the JSON export document
+ * @param {Array} snippets - Snippets to export
+ * @returns {Object} { version, exported_at, count, snippets[] }
+ */
+const toJsonExport = (snippets) => ({
+  version: EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  count: snippets.length,
+  snippets: snippets.map(toRecord)
+});
+
+/**
+ * Read a JSON export document, or a bare array of snippets
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Array} Import records
+ * @throws {Error} 400 error when there is no snippet list
+ */
+const parseJsonImport = (data) => {
+  const list = Array.isArray(data) ? data : data && data.snippets;
+
+  if (!Array.isArray(list)) {
+    throw invalidImport('JSON imports need a snippets array');
+  }
+
+  return list.map((raw, index) => fromRaw(raw || {}, `snippets[${index}]`));
+};
+
+/**
+ * Pick a code fence longer than any backtick run in the code
+ * @param {string} code - Code to fence
+ * @returns {string} Fence of three or more backticks
+ */
+const fenceFor = (code) => {
+  const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+};
+
+/**
+ * Render code as a fenced block
+ * @param {string} code - Code
+ * @param {string} language - Language for the info string
+ * @returns {Array<string>} Lines of the block
+ */
+const fencedBlock = (code, language) => {
+  const fence = fenceFor(code);
+  return [`${fence}${language}`, code, fence];
+};
+
+/**
+ * Render snippets as a Markdown document
+ * Each snippet is a level-two heading, a metadata list and a fenced code block;
+ * multi-file snippets get a level-three heading and code block per file.
+ * @param {Array} snippets - Snippets to export
+ * @returns {string} Markdown text
+ */
+const toMarkdown = (snippets) => {
+  const sections = snippets.map(snippet => {
+    const meta = [
+      `- Language: ${snippet.language}`,
+      `- Tags: ${(snippet.tags || []).join(', ')}`,
+      `- Created: ${snippet.created_at}`
+    ];
+    if (snippet.updated_at) {
+      meta.push(`- Updated: ${snippet.updated_at}`);
+    }
+
+    const body = (snippet.files || []).length > 0
+      ? snippet.files.flatMap((file, index) => [
+        ...(index > 0 ? [''] : []),
+        `### ${file.filename}`,
+        '',
+        ...fencedBlock(file.content, file.language)
+      ])
+      : fencedBlock(snippet.code, snippet.language);
+
+    return [
+      `## ${snippet.title}`,
+      '',
+      ...meta,
+      '',
+      ...body
+    ].join('\n');
+  });
+
+  return ['# Snippets', '', ...sections.map(section => `${section}\n`)].join('\n');
+};
+
+/**
+ * Read snippets from a Markdown document written by toMarkdown
+ * Any "## Title" heading followed by a fenced code block is a snippet;
+ * "- Language:", "- Tags:", "- Created:" and "- Updated:" lines are optional.
+ * A "### name" heading before a code block makes it one file of a
+ * multi-file snippet.
+ * @param {string} text - Markdown text
+ * @returns {Array} Import records
+ */
+const parseMarkdown = (text) => {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const records = [];
+  let current = null;
+  let file = null;
+  let fence = null;
+  let codeLines = [];
+
+  lines.forEach((line, index) => {
+    if (fence) {
+      // A closing fence is a run of backticks at least as long as the opening
+      const trimmed = line.trim();
+      if (/^`+$/.test(trimmed) && trimmed.length >= fence.length) {
+        if (file) {
+          file.content = codeLines.join('\n');
+          file = null;
+        } else {
+          current.code = codeLines.join('\n');
+        }
+        fence = null;
+      } else {
+        codeLines.push(line);
+      }
+      return;
+    }
+
+    const heading = /^##\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      current = { title: heading[1], tags: [], source: `line ${index + 1}` };
+      file = null;
+      records.push(current);
+      return;
+    }
+
+    if (!current || current.code !== undefined) return;
+
+    const fileHeading = /^###\s+(.+?)\s*$/.exec(line);
+    if (fileHeading) {
+      file = { filename: fileHeading[1], language: null, content: '' };
+      current.files = [...(current.files || []), file];
+      return;
+    }
+
+    const meta = /^[-*]\s+(Language|Tags|Created|Updated):\s*(.*)$/i.exec(line);
+    if (meta) {
+      const [, key, value] = meta;
+      const field = key.toLowerCase();
+      if (field === 'tags') {
+        current.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      } else if (field === 'language') {
+        current.language = value.trim();
+      } else {
+        current[field === 'created' ? 'created_at' : 'updated_at'] = value.trim() || null;
+      }
+      return;
+    }
+
+    // Once a snippet has files, only code blocks under a file heading count
+    const opening = /^(`{3,})\s*([\w+#-]*)/.exec(line);
+    if (opening && (file || !current.files)) {
+      fence = opening[1];
+      codeLines = [];
+      if (file) {
+        file.language = opening[2] || null;
+      } else if (!current.language && opening[2]) {
+        current.language = opening[2];
+      }
+    }
+  });
+
+  // A fence left open runs to the end of the document
+  if (fence && file) {
+    file.content = codeLines.join('\n');
+  } else if (fence && current) {
+    current.code = codeLines.join('\n');
+  }
+
+  return records.map(record => fromRaw(record, record.source));
+};
+
+/**
+ * Convert snippets to GitHub Gist objects
+ * Gists have no tags, so they are appended to the description as #hashtags.
+ * @param {Array} snippets - Snippets to export
+ * @param {Array} languages - Registered languages
+ * @returns {Array} Gists { description, public, files }
+ */
+const toGists = (snippets, languages) => snippets.map(snippet => ({
+  description: [snippet.title, ...(snippet.tags || []).map(tag => `#${tag.replace(/\s+/g, '-')}`)].join(' '),
+  public: snippet.visibility === 'public',
+  created_at: snippet.created_at,
+  updated_at: snippet.updated_at || null,
+  files: (snippet.files || []).length > 0
+    ? Object.fromEntries(snippet.files.map(file => [file.filename, { content: file.content }]))
+    : { [fileNameFor(snippet.title, snippet.language, languages)]: { content: snippet.code } }
+}));
+
+/**
+ * Read GitHub Gists, as returned by the Gist API or by toGists
+ * Every file of a gist becomes a snippet; gists with several files get the
+ * file name appended to the title.
+ * @param {Object|Array} data - One gist or a list of gists
+ * @param {Array} languages - Registered languages
+ * @returns {Array} Import records
+ * @throws {Error} 400 error when a gist has no files
+ */
+const parseGists = (data, languages) => {
+  const gists = Array.isArray(data) ? data : [data];
+
+  return gists.flatMap((gist, index) => {
+    if (!gist || typeof gist.files !== 'object' || gist.files === null) {
+      throw invalidImport(`Gist ${index} has no files`);
+    }
+
+    // Trailing #hashtags in the description are tags
+    const words = String(gist.description || '').trim().split(/\s+/).filter(Boolean);
+    const tags = [];
+    while (words.length > 0 && /^#\S+$/.test(words[words.length - 1])) {
+      tags.unshift(words.pop().slice(1));
+    }
+
+    const files = Object.entries(gist.files);
+    return files.map(([filename, file]) => {
+      const description = words.join(' ');
+      let title = description || filename;
+      if (description && files.length > 1) {
+        title = `${description} (${filename})`;
+      }
+
+      return fromRaw({
+        title,
+        code: file && file.content,
+        language: languageFromFilename(filename, languages) ||
+          (file && typeof file.language === 'string' ? file.language : null),
+        tags,
+        visibility: gist.public === false ? 'private' : 'public',
+        created_at: gist.created_at,
+        updated_at: gist.updated_at
+      }, `gist ${index}: ${filename}`);
+    });
+  });
+};
+
+/**
+ * Read a folder of code files
+ * The title is the file name without its extension and the language comes
+ * from the extension. Files with unknown extensions are reported as errors.
+ * @param {Array} files - Files { path, content }
+ * @param {Array} languages - Registered languages
+ * @returns {Array} Import records
+ */
+const parseFiles = (files, languages) => {
+  if (!Array.isArray(files)) {
+    throw invalidImport('Folder imports need a list of { path, content } files');
+  }
+
+  return files.map((file, index) => {
+    const filePath = file && typeof file.path === 'string' ? file.path : `files[${index}]`;
+    const language = languageFromFilename(filePath, languages);
+    const name = filePath.split('/').pop().replace(/\.[^.]+$/, '');
+
+    const record = fromRaw({
+      title: name,
+      code: file && file.content,
+      language
+    }, filePath);
+
+    if (!language) {
+      record.error = 'Unknown file extension';
+    }
+    return record;
+  });
+};
+
+/**
+ * Build a zip export: one file per snippet, or a folder per multi-file
+ * snippet, plus a snippets.json manifest holding titles, tags and timestamps
+ * @param {Array} snippets - Snippets to export
+ * @param {Array} languages - Registered languages
+ * @returns {Buffer} Zip archive
+ */
+const toZip = (snippets, languages) => {
+  const used = new Set([ZIP_MANIFEST]);
+  const manifest = toJsonExport(snippets);
+
+  const files = snippets.flatMap((snippet, index) => {
+    const { code, files: bundle, ...meta } = manifest.snippets[index];
+    const nameFor = title => (bundle.length > 0 ? titleSlug(title) : fileNameFor(title, snippet.language, languages));
+
+    // Snippets with the same title get numbered file or folder names
+    let name = nameFor(snippet.title);
+    for (let n = 2; used.has(name); n++) {
+      name = nameFor(`${snippet.title} ${n}`);
+    }
+    used.add(name);
+
+    if (bundle.length === 0) {
+      manifest.snippets[index] = { ...meta, file: name };
+      return [{ name, content: code }];
+    }
+
+    manifest.snippets[index] = {
+      ...meta,
+      files: bundle.map(({ filename, language }) => ({ filename, language, file: `${name}/${filename}` }))
+    };
+    return bundle.map(file => ({ name: `${name}/${file.filename}`, content: file.content }));
+  });
+
+  return createZip([
+    { name: ZIP_MANIFEST, content: JSON.stringify(manifest, null, 2) },
+    ...files
+  ]);
+};
+
+/**
+ * Read a zip archive
+ * Archives with a snippets.json manifest restore titles, tags and timestamps;
+ * any other archive is read as a folder of code files.
+ * @param {Buffer} buffer - Zip archive
+ * @param {Array} languages - Registered languages
+ * @returns {Array} Import records
+ */
+const parseZip = (buffer, languages) => {
+  const files = readZip(buffer, {
+    entryLimit: name => (name === ZIP_MANIFEST ? ZIP_TOTAL_LIMIT : ZIP_ENTRY_LIMIT),
+    totalLimit: ZIP_TOTAL_LIMIT
+  });
+  const manifestFile = files.find(file => file.name === ZIP_MANIFEST);
+
+  if (!manifestFile) {
+    return parseFiles(files
+      .filter(file => !file.name.startsWith('__MACOSX/'))
+      .map(file => ({ path: file.name, content: file.content.toString('utf8') })), languages);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestFile.content.toString('utf8'));
+  } catch (error) {
+    throw invalidImport(`${ZIP_MANIFEST} is not valid JSON`);
+  }
+
+  const contents = new Map(files.map(file => [file.name, file.content.toString('utf8')]));
+
+  return parseJsonImport(manifest).map((record, index) => {
+    const entry = manifest.snippets[index] || {};
+
+    if (record.files) {
+      const missing = entry.files.find(file => !contents.has(file && file.file));
+      if (missing) {
+        return { ...record, error: 'File missing from archive' };
+      }
+      const files = record.files.map((file, position) => ({ ...file, content: contents.get(entry.files[position].file) }));
+      return { ...record, code: files[0].content, files };
+    }
+
+    const file = entry.file;
+    if (!contents.has(file)) {
+      return { ...record, source: file || record.source, error: 'File missing from archive' };
+    }
+    return { ...record, code: contents.get(file), source: file };
+  });
+};
+
+module.exports = {
+  ZIP_MANIFEST,
+  toJsonExport,
+  parseJsonImport,
+  toMarkdown,
+  parseMarkdown,
+  toGists,
+  parseGists,
+  parseFiles,
+  toZip,
+  parseZip
+};
@@ -0,0 +1,232 @@
+/**
+ * Zip Utilities
+ * Minimal zip archive writer and reader for snippet import and export.
+ * Supports stored and deflated entries without encryption or zip64, which
+ * covers archives made by this app and by common zip tools.
+ */
+
+const zlib = require('zlib');
+
+// Record signatures from the zip specification
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a Date into MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a zip archive
+ * @param {Array} entries - Files { name, content (string or Buffer), date (optional) }
+ * @returns {Buffer} Zip archive
+ */
+const createZip = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const { time, date } = toDosDateTime(entry.date || new Date());
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed to extract
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // extra length, comment length, disk number, attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Create an error for archives that cannot be read
+ * @param {string} message - Error message
+ * @returns {Error} Error with a 400 statusCode
+ */
+const invalidZip = (message) => {
+  const error = new Error(`Invalid zip archive: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Inflate a deflated entry without producing more than `limit` bytes
+ * @param {Buffer} data - Compressed data
+ * @param {number} limit - Largest allowed output in bytes
+ * @returns {Buffer|null} Inflated data, or null when it exceeds the limit
+ */
+const inflateLimited = (data, limit) => {
+  try {
+    return zlib.inflateRawSync(data, Number.isFinite(limit) ? { maxOutputLength: Math.max(limit, 1) } : {});
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    throw invalidZip(error.message);
+  }
+};
+
+/**
+ * Read the files in a zip archive
+ * Directory entries are skipped. Size limits are checked against both the
+ * declared and the inflated size, so small archives cannot expand unbounded.
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} options - Size limits in bytes
+ * @param {Function} options.entryLimit - (name) => largest size of that entry
+ * @param {number} options.totalLimit - Largest size of all entries together
+ * @returns {Array} Files { name, content (Buffer) }
+ * @throws {Error} 400 error for malformed, unsupported or oversized archives
+ */
+const readZip = (buffer, { entryLimit = () => Infinity, totalLimit = Infinity } = {}) => {
+  // The end record sits at the end, after an optional comment of up to 64KB
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw invalidZip('end of central directory not found');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw invalidZip('corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const declaredSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & 0x0001) {
+      throw invalidZip(`${name} is encrypted`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw invalidZip(`missing local header for ${name}`);
+    }
+
+    const limit = Math.min(entryLimit(name), totalLimit - total);
+    const tooLarge = () => invalidZip(`${name} is larger than ${limit} bytes`);
+    if (declaredSize > limit) {
+      throw tooLarge();
+    }
+
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === STORED) {
+      content = Buffer.from(data);
+    } else if (method === DEFLATED) {
+      content = inflateLimited(data, limit);
+    } else {
+      throw invalidZip(`${name} uses unsupported compression method ${method}`);
+    }
+
+    if (!content || content.length > limit) {
+      throw tooLarge();
+    }
+    total += content.length;
+    files.push({ name, content });
+  }
+
+  return files;
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
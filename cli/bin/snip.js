@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * snip - command-line client for CodeSnippet Manager
+ * Run `snip --help` for the commands.
+ */
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,434 @@
+/**
+ * snip Command Line Client
+ * Parses arguments and runs commands against the REST API through the
+ * shared API client, so requests and responses match the web frontend's.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { createApiClient } = require('../../shared/apiClient');
+const { CONFIG_KEYS, configPath, loadConfig, saveConfigValue } = require('./config');
+const { formatSnippetTable, formatSnippetCode, withNewline } = require('./output');
+
+const USAGE = `Usage: snip <command> [options]
+
+Commands:
+  add <file...>             Save files as a snippet; several files make a
+                            multi-file snippet, - reads stdin
+  ls                        List snippets
+  search <query...>         Search snippets (same syntax as the web search bar)
+  show <id>                 Print a snippet's code
+  edit <id>                 Open a snippet in $EDITOR and save the changes
+  rm <id>                   Move a snippet to the trash
+  config [set <key> <value>]
+                            Show the settings, or set server or token
+
+Options:
+  --json                    Print API responses as JSON
+  -t, --tag <name>          Tag to add (add) or filter by (ls, search); repeatable
+  -l, --lang <id>           Language (add; default: from the file extension)
+                            or filter (ls, search)
+      --title <title>       Title (add; default: the first file name)
+      --visibility <value>  private, team or public (add)
+      --mine                Only your own snippets (ls, search)
+  -n, --limit <count>       Number of snippets to list (default 20)
+  -f, --file <name>         File of a multi-file snippet (show, edit)
+  -h, --help                Show this help
+`;
+
+// Options accepted by every command; commands ignore the ones they do not use
+const OPTIONS = {
+  json: { type: 'boolean' },
+  tag: { type: 'string', short: 't', multiple: true },
+  lang: { type: 'string', short: 'l' },
+  title: { type: 'string' },
+  visibility: { type: 'string' },
+  mine: { type: 'boolean' },
+  limit: { type: 'string', short: 'n' },
+  file: { type: 'string', short: 'f' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error for bad command lines; reported with the usage and exit code 2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Find the registered language of a file from its extension
+ * Files without an extension are matched by their whole name (Dockerfile).
+ * @param {string} filename - File name or path
+ * @param {Array} languages - Languages from GET /api/languages
+ * @returns {string|null} Language ID, or null when no language lists the extension
+ */
+const languageForFile = (filename, languages) => {
+  const base = path.basename(filename).toLowerCase();
+  const extension = path.extname(base).slice(1) || base;
+  const match = languages.find(language => language.extensions.includes(extension));
+  return match ? match.id : null;
+};
+
+/**
+ * Build a search query from filter options and free text
+ * @param {Object} options - Parsed options { lang, tag }
+ * @param {Array<string>} words - Free text
+ * @returns {string} Query such as 'lang:go tag:"http client" retry'
+ */
+const buildSearchQuery = (options, words = []) => {
+  const filter = (name, value) => (/\s/.test(value) ? `${name}:"${value}"` : `${name}:${value}`);
+
+  return [
+    ...(options.lang ? [filter('lang', options.lang)] : []),
+    ...(options.tag || []).map(tag => filter('tag', tag)),
+    ...words
+  ].join(' ');
+};
+
+/**
+ * Read all of a stream as text
+ * @param {Readable} stream - Input stream
+ * @returns {Promise<string>} Contents
+ */
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Split an editor command into words, honouring simple quotes
+ * @param {string} command - Editor command, e.g. "code --wait"
+ * @returns {Array<string>} Program followed by its arguments
+ */
+const splitCommand = (command) => {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command)) !== null) {
+    words.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return words;
+};
+
+/**
+ * Open a file in the user's editor and wait for it to close
+ * The command is split into words and run without a shell, so values
+ * such as "code --wait" work but the file name is never interpreted.
+ * @param {string} editor - Editor command
+ * @param {string} file - File to edit
+ * @returns {Promise<void>} Resolves when the editor exits successfully
+ */
+const openEditor = (editor, file) => {
+  return new Promise((resolve, reject) => {
+    const [command, ...args] = splitCommand(editor);
+    const child = spawn(command, [...args, file], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`Editor exited with code ${code}`));
+    });
+  });
+};
+
+/**
+ * Parse a snippet ID argument
+ * @param {string} value - Positional argument
+ * @returns {number} Snippet ID
+ * @throws {UsageError} When it is not a positive whole number
+ */
+const parseId = (value) => {
+  if (!/^\d+$/.test(value || '') || Number(value) < 1) {
+    throw new UsageError('Expected a snippet ID');
+  }
+  return Number(value);
+};
+
+/**
+ * Find the file of a multi-file snippet picked with --file
+ * @param {Object} snippet - Snippet with files
+ * @param {string} name - File name
+ * @returns {Object} File
+ * @throws {Error} When the snippet has no such file
+ */
+const findFile = (snippet, name) => {
+  const file = snippet.files.find(entry => entry.filename === name);
+  if (!file) {
+    throw new Error(`Snippet ${snippet.id} has no file '${name}'`);
+  }
+  return file;
+};
+
+const commands = {
+  /**
+   * Save one or more files as a snippet
+   */
+  add: async ({ client, options, args, io }) => {
+    if (args.length === 0) {
+      throw new UsageError('add needs a file name, or - to read stdin');
+    }
+    if (args.length > 1 && args.includes('-')) {
+      throw new UsageError('Stdin (-) can only be added on its own');
+    }
+    if (args.length > 1 && options.lang) {
+      throw new UsageError('--lang applies to a single file; files of a multi-file snippet get their own');
+    }
+
+    const languages = await client.getLanguages();
+    const files = [];
+    for (const arg of args) {
+      files.push(arg === '-'
+        ? { filename: null, content: await readStream(io.stdin) }
+        : { filename: path.basename(arg), content: fs.readFileSync(arg, 'utf8') });
+    }
+
+    const [first] = files;
+    const snippetData = {
+      title: options.title || first.filename || 'Untitled',
+      tags: options.tag || [],
+      ...(options.visibility && { visibility: options.visibility })
+    };
+
+    if (files.length === 1) {
+      snippetData.code = first.content;
+      snippetData.language = options.lang ||
+        (first.filename && languageForFile(first.filename, languages)) ||
+        'auto';
+    } else {
+      snippetData.files = files.map(file => ({
+        filename: file.filename,
+        language: languageForFile(file.filename, languages) || 'auto',
+        content: file.content
+      }));
+    }
+
+    const response = await client.createSnippet(snippetData);
+    const snippet = response.data;
+    return options.json
+      ? response
+      : `Created snippet ${snippet.id}: ${snippet.title} (${snippet.language})\n`;
+  },
+
+  /**
+   * List snippets, newest first
+   */
+  ls: async ({ client, options, args }) => {
+    return listSnippets(client, options, buildSearchQuery(options, args));
+  },
+
+  /**
+   * List snippets matching a search, best matches first
+   */
+  search: async ({ client, options, args }) => {
+    if (args.length === 0) {
+      throw new UsageError('search needs something to search for');
+    }
+    return listSnippets(client, options, buildSearchQuery(options, args));
+  },
+
+  /**
+   * Print a snippet's code, ready to pipe into other tools
+   */
+  show: async ({ client, options, args }) => {
+    const snippet = await client.getSnippet(parseId(args[0]));
+
+    if (options.json) return snippet;
+    if (options.file) return withNewline(findFile(snippet, options.file).content);
+    return formatSnippetCode(snippet);
+  },
+
+  /**
+   * Edit a snippet's code, or one file of a multi-file snippet, in $EDITOR
+   */
+  edit: async ({ client, options, args, io }) => {
+    const id = parseId(args[0]);
+    const snippet = await client.getSnippet(id);
+    const isBundle = snippet.files.length > 0;
+    const target = isBundle ? (options.file ? findFile(snippet, options.file) : snippet.files[0]) : null;
+
+    // Name the file so the editor picks the right syntax highlighting, but
+    // never use the server's file name as-is: only its extension is kept
+    let extension = target ? path.extname(target.filename).slice(1) : '';
+    if (!/^[A-Za-z0-9]+$/.test(extension)) {
+      const language = (await client.getLanguages()).find(entry => entry.id === (target ? target.language : snippet.language));
+      extension = language && language.extensions.length > 0 ? language.extensions[0] : 'txt';
+    }
+    const filename = `snippet-${id}.${extension}`;
+
+    const original = target ? target.content : snippet.code;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snip-'));
+    const file = path.join(dir, filename);
+    let edited;
+
+    try {
+      fs.writeFileSync(file, original);
+      await io.openEditor(io.env.VISUAL || io.env.EDITOR || 'vi', file);
+      edited = fs.readFileSync(file, 'utf8');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    if (edited === original) {
+      io.stderr.write('No changes\n');
+      return options.json ? { success: true, data: snippet } : '';
+    }
+
+    const changes = isBundle
+      ? {
+        files: snippet.files.map(({ filename: name, language, content }) => ({
+          filename: name,
+          language,
+          content: name === target.filename ? edited : content
+        }))
+      }
+      : { code: edited };
+
+    const response = await client.patchSnippet(id, changes);
+    return options.json ? response : `Updated snippet ${id}\n`;
+  },
+
+  /**
+   * Delete a snippet
+   */
+  rm: async ({ client, options, args }) => {
+    const id = parseId(args[0]);
+    const response = await client.deleteSnippet(id);
+    return options.json ? response : `Moved snippet ${id} to the trash\n`;
+  },
+
+  /**
+   * Show the settings in use, or change one in the config file
+   */
+  config: async ({ options, args, io }) => {
+    if (args.length === 0) {
+      const config = loadConfig(io.env);
+      const settings = {
+        file: configPath(io.env),
+        server: config.server,
+        token: config.token ? `${config.token.slice(0, 9)}…` : null
+      };
+      return options.json
+        ? settings
+        : Object.entries(settings).map(([key, value]) => `${key}: ${value || '(not set)'}\n`).join('');
+    }
+
+    const [action, key, value] = args;
+    if (action !== 'set' || !CONFIG_KEYS.includes(key) || value === undefined) {
+      throw new UsageError(`Use: snip config set <${CONFIG_KEYS.join('|')}> <value>`);
+    }
+
+    const file = saveConfigValue(io.env, key, value);
+    return options.json ? { file, [key]: key === 'token' ? `${value.slice(0, 9)}…` : value } : `Saved ${key} to ${file}\n`;
+  }
+};
+
+/**
+ * Fetch and format a list of snippets for ls and search
+ * @param {Object} client - API client
+ * @param {Object} options - Parsed options { limit, mine, json }
+ * @param {string} searchQuery - Search query
+ * @returns {Promise<Object|string>} The page for --json, otherwise a table
+ */
+const listSnippets = async (client, options, searchQuery) => {
+  const limit = options.limit !== undefined ? Number(options.limit) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError('--limit must be a positive whole number');
+  }
+
+  const page = await client.getSnippets(searchQuery, {
+    limit,
+    workspace: options.mine ? 'personal' : undefined
+  });
+
+  if (options.json) return page;
+  if (page.snippets.length === 0) return 'No snippets found\n';
+  return formatSnippetTable(page.snippets);
+};
+
+/**
+ * Describe a failed command for stderr
+ * @param {Error} error - Error thrown by a command
+ * @param {string} server - Server URL in use
+ * @returns {string} Message lines
+ */
+const describeError = (error, server) => {
+  // fetch rejects with a TypeError when the server cannot be reached
+  if (error instanceof TypeError && error.message === 'fetch failed') {
+    const reason = error.cause ? error.cause.code || error.cause.message : error.message;
+    return `snip: cannot reach ${server} (${reason})\n`;
+  }
+
+  const details = error.details
+    ? Object.entries(error.details).map(([field, message]) => `  ${field}: ${message}\n`).join('')
+    : '';
+  const hint = error.status === 401 ? 'Set a personal access token with: snip config set token <token>\n' : '';
+  return `snip: ${error.message}\n${details}${hint}`;
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after "snip"
+ * @param {Object} io - Optional { stdout, stderr, stdin, env, openEditor }
+ *   to run without the real process, e.g. in tests
+ * @returns {Promise<number>} Exit code: 0 on success, 1 for failed
+ *   requests, 2 for bad command lines
+ */
+const run = async (argv, io = {}) => {
+  const streams = {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin: process.stdin,
+    env: process.env,
+    openEditor,
+    ...io
+  };
+  let server = null;
+
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help || !command) {
+      streams.stdout.write(USAGE);
+      return 0;
+    }
+    if (!commands[command]) {
+      throw new UsageError(`Unknown command '${command}'`);
+    }
+
+    const config = loadConfig(streams.env);
+    server = config.server;
+    const client = createApiClient({ baseUrl: `${config.server}/api`, token: config.token });
+
+    const result = await commands[command]({ client, options: parsed.values, args, io: streams });
+    streams.stdout.write(typeof result === 'string' ? result : `${JSON.stringify(result, null, 2)}\n`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      streams.stderr.write(`snip: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    streams.stderr.write(describeError(error, server));
+    return 1;
+  }
+};
+
+module.exports = {
+  run,
+  languageForFile,
+  buildSearchQuery,
+  splitCommand
+};
@@ -0,0 +1,90 @@
+/**
+ * CLI Configuration
+ * Reads and writes the snip config file, a JSON object such as
+ * { "server": "http://localhost:5000", "token": "snip_..." }.
+ *
+ * The file lives at $SNIP_CONFIG, or config.json in $XDG_CONFIG_HOME/snip
+ * (~/.config/snip by default). SNIP_SERVER and SNIP_TOKEN override it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_SERVER = 'http://localhost:5000';
+
+// Keys that `snip config set` accepts
+const CONFIG_KEYS = ['server', 'token'];
+
+/**
+ * Get the path of the config file
+ * @param {Object} env - Environment variables
+ * @returns {string} Config file path
+ */
+const configPath = (env) => {
+  if (env.SNIP_CONFIG) return env.SNIP_CONFIG;
+
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'snip', 'config.json');
+};
+
+/**
+ * Read the config file
+ * @param {Object} env - Environment variables
+ * @returns {Object} Stored settings; empty when there is no file yet
+ * @throws {Error} When the file is not a JSON object
+ */
+const readConfigFile = (env) => {
+  const file = configPath(env);
+  if (!fs.existsSync(file)) return {};
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+  return settings;
+};
+
+/**
+ * Get the settings to use, with environment overrides applied
+ * @param {Object} env - Environment variables
+ * @returns {Object} { server, token } where token may be null
+ */
+const loadConfig = (env) => {
+  const settings = readConfigFile(env);
+
+  return {
+    server: (env.SNIP_SERVER || settings.server || DEFAULT_SERVER).replace(/\/+$/, ''),
+    token: env.SNIP_TOKEN || settings.token || null
+  };
+};
+
+/**
+ * Change one setting in the config file
+ * The file is only readable by its owner since it holds a token.
+ * @param {Object} env - Environment variables
+ * @param {string} key - One of CONFIG_KEYS
+ * @param {string} value - New value
+ * @returns {string} Path of the written file
+ */
+const saveConfigValue = (env, key, value) => {
+  const file = configPath(env);
+  const settings = { ...readConfigFile(env), [key]: value };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(settings, null, 2)}\n`, { mode: 0o600 });
+  return file;
+};
+
+module.exports = {
+  CONFIG_KEYS,
+  configPath,
+  loadConfig,
+  saveConfigValue
+};
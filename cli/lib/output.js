@@ -0,0 +1,72 @@
+/**
+ * CLI Output
+ * Formats snippets for the terminal
+ */
+
+// Longest title shown in lists before it is cut short
+const TITLE_WIDTH = 50;
+
+/**
+ * Cut text to a width, marking the cut with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} width - Maximum length
+ * @returns {string} Text of at most width characters
+ */
+const truncate = (text, width) => {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+};
+
+/**
+ * Format snippets as an aligned table
+ * @param {Array} snippets - Snippets { id, language, title, tags, files }
+ * @returns {string} Table with a header row, ending in a newline
+ */
+const formatSnippetTable = (snippets) => {
+  const rows = [
+    ['ID', 'LANGUAGE', 'TITLE', 'TAGS'],
+    ...snippets.map(snippet => [
+      String(snippet.id),
+      snippet.language,
+      truncate(snippet.files && snippet.files.length > 1
+        ? `${snippet.title} (${snippet.files.length} files)`
+        : snippet.title, TITLE_WIDTH),
+      snippet.tags.join(', ')
+    ])
+  ];
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+
+  return rows
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n') + '\n';
+};
+
+/**
+ * End text with exactly one newline, as shell tools expect
+ * @param {string} text - Code or other output
+ * @returns {string} Text ending in a newline
+ */
+const withNewline = (text) => (text.endsWith('\n') ? text : `${text}\n`);
+
+/**
+ * Format the code of a snippet for printing
+ * Multi-file snippets print each file under a "==> name <==" header, like
+ * head(1) does for several files.
+ * @param {Object} snippet - Snippet with code and files
+ * @returns {string} Code ending in a newline
+ */
+const formatSnippetCode = (snippet) => {
+  if (!snippet.files || snippet.files.length === 0) {
+    return withNewline(snippet.code);
+  }
+
+  return snippet.files
+    .map(file => `==> ${file.filename} <==\n${withNewline(file.content)}`)
+    .join('\n');
+};
+
+module.exports = {
+  formatSnippetTable,
+  formatSnippetCode,
+  withNewline
+};
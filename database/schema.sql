@@ -1,13 +1,128 @@
 -- CodeSnippet Manager Database Schema
 -- SQLite Database Structure
+--
+-- Reference copy of the schema built by backend/migrations. The app creates
+-- and upgrades its database with `npm run migrate`; change the schema by
+-- adding a migration and then updating this file to match.
 
 -- Enable foreign key constraints
 PRAGMA foreign_keys = ON;
 
 -- Drop existing tables if they exist (for fresh install)
+DROP TABLE IF EXISTS snippets_fts;
+DROP TABLE IF EXISTS snippet_files;
+DROP TABLE IF EXISTS languages;
+DROP TABLE IF EXISTS snippet_pins;
+DROP TABLE IF EXISTS snippet_copies;
+DROP TABLE IF EXISTS snippet_versions;
 DROP TABLE IF EXISTS snippet_tags;
 DROP TABLE IF EXISTS tags;
 DROP TABLE IF EXISTS snippets;
+DROP TABLE IF EXISTS collections;
+DROP TABLE IF EXISTS team_members;
+DROP TABLE IF EXISTS teams;
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS users;
+
+-- ===========================================
+-- Users Table
+-- ===========================================
+-- Accounts that own snippets; passwords are salted scrypt hashes
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    password_salt TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    CHECK(length(username) > 0)
+);
+
+-- ===========================================
+-- Sessions Table
+-- ===========================================
+-- Login sessions; only a SHA-256 hash of each session token is stored
+CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ===========================================
+-- API Tokens Table
+-- ===========================================
+-- Personal access tokens for scripts and editor plugins.
+-- scopes is a space separated list such as 'snippets:read snippets:write';
+-- only a SHA-256 hash of each token is stored, plus a prefix to recognize it
+CREATE TABLE api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_api_tokens_user ON api_tokens(user_id);
+
+-- ===========================================
+-- Teams Tables
+-- ===========================================
+-- Teams share snippets whose visibility is 'team'
+CREATE TABLE teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    CHECK(length(name) > 0)
+);
+
+-- Team membership; admins invite and remove members
+CREATE TABLE team_members (
+    team_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('admin', 'member')),
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (team_id, user_id),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_team_members_user ON team_members(user_id);
+
+-- ===========================================
+-- Collections Table
+-- ===========================================
+-- Nested folders of snippets. Personal collections belong to their owner;
+-- team collections are shared with the team. Sub-collections take their
+-- parent's team and are deleted with it; position orders siblings.
+CREATE TABLE collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    parent_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    CHECK(length(name) > 0)
+);
+
+CREATE INDEX idx_collections_parent ON collections(parent_id, position);
+CREATE INDEX idx_collections_owner ON collections(owner_id);
+CREATE INDEX idx_collections_team ON collections(team_id);
 
 -- ===========================================
 -- Snippets Table
@@ -19,6 +134,14 @@ CREATE TABLE snippets (
     code TEXT NOT NULL,
     language TEXT DEFAULT 'javascript',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    owner_id INTEGER REFERENCES users(id),
+    visibility TEXT NOT NULL DEFAULT 'public' CHECK(visibility IN ('private', 'team', 'public')),
+    team_id INTEGER REFERENCES teams(id),
+    collection_id INTEGER REFERENCES collections(id) ON DELETE SET NULL,
+    copy_count INTEGER NOT NULL DEFAULT 0,
+    last_copied_at DATETIME,
+    deleted_at DATETIME, -- Set while the snippet is in the trash
     
     -- Add constraints
     CHECK(length(title) > 0),
@@ -29,6 +152,12 @@ CREATE TABLE snippets (
 CREATE INDEX idx_snippets_title ON snippets(title);
 CREATE INDEX idx_snippets_language ON snippets(language);
 CREATE INDEX idx_snippets_created_at ON snippets(created_at DESC);
+CREATE INDEX idx_snippets_owner ON snippets(owner_id);
+CREATE INDEX idx_snippets_team ON snippets(team_id);
+CREATE INDEX idx_snippets_collection ON snippets(collection_id);
+CREATE INDEX idx_snippets_copy_count ON snippets(copy_count);
+CREATE INDEX idx_snippets_last_copied ON snippets(last_copied_at);
+CREATE INDEX idx_snippets_deleted_at ON snippets(deleted_at);
 
 -- ===========================================
 -- Tags Table
@@ -67,6 +196,208 @@ CREATE TABLE snippet_tags (
 CREATE INDEX idx_snippet_tags_snippet ON snippet_tags(snippet_id);
 CREATE INDEX idx_snippet_tags_tag ON snippet_tags(tag_id);
 
+-- ===========================================
+-- Snippet_Versions Table
+-- ===========================================
+-- Every saved state of a snippet, numbered per snippet from 1
+CREATE TABLE snippet_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    code TEXT NOT NULL,
+    language TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (snippet_id) REFERENCES snippets(id) ON DELETE CASCADE,
+    UNIQUE (snippet_id, version)
+);
+
+-- Record version 1 when a snippet is created
+CREATE TRIGGER snippets_version_insert
+AFTER INSERT ON snippets
+BEGIN
+    INSERT INTO snippet_versions (snippet_id, version, title, code, language)
+    VALUES (NEW.id, 1, NEW.title, NEW.code, NEW.language);
+END;
+
+-- Record a new version whenever the content of a snippet changes
+CREATE TRIGGER snippets_version_update
+AFTER UPDATE OF title, code, language ON snippets
+WHEN OLD.title IS NOT NEW.title
+  OR OLD.code IS NOT NEW.code
+  OR OLD.language IS NOT NEW.language
+BEGIN
+    INSERT INTO snippet_versions (snippet_id, version, title, code, language, created_at)
+    SELECT OLD.id, 1, OLD.title, OLD.code, OLD.language, COALESCE(OLD.updated_at, OLD.created_at)
+    WHERE NOT EXISTS (SELECT 1 FROM snippet_versions WHERE snippet_id = OLD.id);
+
+    INSERT INTO snippet_versions (snippet_id, version, title, code, language)
+    SELECT NEW.id, COALESCE(MAX(version), 0) + 1, NEW.title, NEW.code, NEW.language
+    FROM snippet_versions
+    WHERE snippet_id = NEW.id;
+END;
+
+-- ===========================================
+-- Snippet_Copies Table
+-- ===========================================
+-- One row each time a snippet is copied; anonymous copies have no user
+CREATE TABLE snippet_copies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    copied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_snippet_copies_snippet ON snippet_copies(snippet_id, copied_at);
+
+-- Keep snippets.copy_count and last_copied_at up to date for sorting
+CREATE TRIGGER snippet_copies_count
+AFTER INSERT ON snippet_copies
+BEGIN
+    UPDATE snippets
+    SET copy_count = copy_count + 1, last_copied_at = NEW.copied_at
+    WHERE id = NEW.snippet_id;
+END;
+
+-- ===========================================
+-- Snippet_Pins Table
+-- ===========================================
+-- Snippets each user pinned as favorites
+CREATE TABLE snippet_pins (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+    pinned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, snippet_id)
+);
+
+CREATE INDEX idx_snippet_pins_snippet ON snippet_pins(snippet_id);
+
+-- ===========================================
+-- Languages Table
+-- ===========================================
+-- Registry of languages snippets can use; extensions is a JSON array
+-- without dots and prism names the grammar used for highlighting
+CREATE TABLE languages (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'Other',
+    extensions TEXT NOT NULL DEFAULT '[]',
+    prism TEXT NOT NULL,
+    line_comment TEXT,
+    block_comment_start TEXT,
+    block_comment_end TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Built-in languages
+INSERT INTO languages (id, name, category, extensions, prism, line_comment, block_comment_start, block_comment_end) VALUES
+('javascript', 'JavaScript', 'Web', '["js","mjs","cjs","jsx"]', 'javascript', '//', '/*', '*/'),
+('typescript', 'TypeScript', 'Web', '["ts","tsx","mts","cts"]', 'typescript', '//', '/*', '*/'),
+('html', 'HTML', 'Web', '["html","htm"]', 'markup', NULL, '<!--', '-->'),
+('css', 'CSS', 'Web', '["css"]', 'css', NULL, '/*', '*/'),
+('php', 'PHP', 'Web', '["php"]', 'php', '//', '/*', '*/'),
+('python', 'Python', 'Scripting', '["py","pyw"]', 'python', '#', NULL, NULL),
+('ruby', 'Ruby', 'Scripting', '["rb"]', 'ruby', '#', '=begin', '=end'),
+('bash', 'Bash', 'Scripting', '["sh","bash","zsh"]', 'bash', '#', NULL, NULL),
+('java', 'Java', 'Application', '["java"]', 'java', '//', '/*', '*/'),
+('csharp', 'C#', 'Application', '["cs"]', 'csharp', '//', '/*', '*/'),
+('kotlin', 'Kotlin', 'Application', '["kt","kts"]', 'kotlin', '//', '/*', '*/'),
+('swift', 'Swift', 'Application', '["swift"]', 'swift', '//', '/*', '*/'),
+('cpp', 'C++', 'Systems', '["cpp","cc","cxx","hpp","hh","h"]', 'cpp', '//', '/*', '*/'),
+('go', 'Go', 'Systems', '["go"]', 'go', '//', '/*', '*/'),
+('rust', 'Rust', 'Systems', '["rs"]', 'rust', '//', '/*', '*/'),
+('sql', 'SQL', 'Data', '["sql"]', 'sql', '--', '/*', '*/'),
+('json', 'JSON', 'Data', '["json"]', 'json', NULL, NULL, NULL),
+('yaml', 'YAML', 'Data', '["yaml","yml"]', 'yaml', '#', NULL, NULL),
+('dockerfile', 'Dockerfile', 'DevOps', '["dockerfile"]', 'docker', '#', NULL, NULL),
+('terraform', 'Terraform', 'DevOps', '["tf","tfvars"]', 'hcl', '#', '/*', '*/'),
+('markdown', 'Markdown', 'Documentation', '["md","markdown"]', 'markdown', NULL, '<!--', '-->');
+
+-- ===========================================
+-- Snippet_Files Table
+-- ===========================================
+-- Files of multi-file snippets (bundles), ordered by position. The first
+-- file is mirrored into snippets.code and snippets.language.
+CREATE TABLE snippet_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL REFERENCES snippets(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    language TEXT NOT NULL,
+    content TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (snippet_id, filename)
+);
+
+CREATE INDEX idx_snippet_files_snippet ON snippet_files(snippet_id, position);
+
+-- ===========================================
+-- Full-Text Search Index
+-- ===========================================
+-- FTS5 index over snippets; rowid is the snippet id and tags are
+-- stored space-separated so that tag names are searchable too
+CREATE VIRTUAL TABLE snippets_fts USING fts5(
+    title,
+    code,
+    language,
+    tags,
+    prefix = '2 3'
+);
+
+-- Keep the index in sync with snippets, their tag links, and tag names
+CREATE TRIGGER snippets_fts_insert
+AFTER INSERT ON snippets
+BEGIN
+    INSERT INTO snippets_fts (rowid, title, code, language, tags)
+    VALUES (NEW.id, NEW.title, NEW.code, NEW.language, '');
+END;
+
+CREATE TRIGGER snippets_fts_update
+AFTER UPDATE OF title, code, language ON snippets
+BEGIN
+    UPDATE snippets_fts
+    SET title = NEW.title, code = NEW.code, language = NEW.language
+    WHERE rowid = NEW.id;
+END;
+
+CREATE TRIGGER snippets_fts_delete
+AFTER DELETE ON snippets
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER snippet_tags_fts_insert
+AFTER INSERT ON snippet_tags
+BEGIN
+    UPDATE snippets_fts
+    SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                WHERE st.snippet_id = NEW.snippet_id)
+    WHERE rowid = NEW.snippet_id;
+END;
+
+CREATE TRIGGER snippet_tags_fts_delete
+AFTER DELETE ON snippet_tags
+BEGIN
+    UPDATE snippets_fts
+    SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                WHERE st.snippet_id = OLD.snippet_id)
+    WHERE rowid = OLD.snippet_id;
+END;
+
+CREATE TRIGGER tags_fts_update
+AFTER UPDATE OF name ON tags
+BEGIN
+    UPDATE snippets_fts
+    SET tags = (SELECT COALESCE(GROUP_CONCAT(t.name, ' '), '')
+                FROM snippet_tags st JOIN tags t ON st.tag_id = t.id
+                WHERE st.snippet_id = snippets_fts.rowid)
+    WHERE rowid IN (SELECT snippet_id FROM snippet_tags WHERE tag_id = NEW.id);
+END;
+
 -- ===========================================
 -- Sample Data (Optional)
 -- ===========================================
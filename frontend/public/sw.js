@@ -0,0 +1,63 @@
+/**
+ * Service Worker
+ * Keeps the app shell (page, styles, scripts and CDN assets) cached so the
+ * app opens without a connection. API requests are left to the page, which
+ * falls back to its IndexedDB copy of the library (src/js/offlineStore.js).
+ */
+
+// Bump to drop files cached by older versions
+const CACHE_NAME = 'codesnippet-manager-v1';
+
+// Cached on install; everything else is cached the first time it loads
+const APP_SHELL = ['/', '/styles/main.css'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Answer from the network, refreshing the cache, and fall back to the
+ * cached copy when offline
+ * Page navigations fall back to the cached app page.
+ * @param {Request} request - GET request for a static file
+ * @returns {Promise<Response>} Network or cached response
+ */
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+
+    // CDN files loaded by <link> and <script> come back opaque
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) ||
+      (request.mode === 'navigate' ? await cache.match('/') : undefined);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(networkFirst(request));
+});
@@ -1,8 +1,19 @@
 /**
  * SearchBar Component
- * Handles search and filter functionality
+ * Handles search and filter functionality, with autocomplete for
+ * the lang: and tag: filters of the search query language
  */
 
+// Filters that offer suggestions, mapped to their suggestion source
+const SUGGESTION_FILTERS = {
+  lang: 'languages',
+  language: 'languages',
+  tag: 'tags'
+};
+
+// Maximum number of suggestions shown at once
+const MAX_SUGGESTIONS = 8;
+
 export class SearchBar {
   /**
    * Constructor for SearchBar
@@ -14,24 +25,172 @@ export class SearchBar {
     this.debounceDelay = debounceDelay;
     this.debounceTimer = null;
     this.searchInput = document.getElementById('searchInput');
+    this.suggestionList = document.getElementById('searchSuggestions');
+    this.sources = { languages: [], tags: [] };
+    this.suggestions = [];
+    this.activeIndex = -1;
     this.attachListeners();
   }
 
+  /**
+   * Set the values offered by autocomplete
+   * @param {Object} sources - { languages: string[], tags: string[] }
+   */
+  setSuggestionSources(sources) {
+    this.sources = { ...this.sources, ...sources };
+  }
+
   /**
    * Attach event listeners
    */
   attachListeners() {
     // Input event with debouncing
     this.searchInput.addEventListener('input', (e) => {
+      this.updateSuggestions();
       this.handleInput(e.target.value);
     });
 
-    // Clear button (if needed)
+    // Keyboard navigation for suggestions; Escape closes them, then clears
     this.searchInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.clear();
+      const isOpen = this.suggestions.length > 0;
+
+      if (isOpen && e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.moveActive(1);
+      } else if (isOpen && e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveActive(-1);
+      } else if (isOpen && (e.key === 'Enter' || e.key === 'Tab') && this.activeIndex >= 0) {
+        e.preventDefault();
+        this.acceptSuggestion(this.suggestions[this.activeIndex]);
+      } else if (e.key === 'Escape') {
+        if (isOpen) {
+          this.hideSuggestions();
+        } else {
+          this.clear();
+        }
       }
     });
+
+    // Hide suggestions when focus leaves the input
+    this.searchInput.addEventListener('blur', () => {
+      // Delay so a click on a suggestion is handled first
+      setTimeout(() => this.hideSuggestions(), 150);
+    });
+  }
+
+  /**
+   * Find the filter token under the cursor, if it takes suggestions
+   * @returns {Object|null} { start, end, prefix, filter, partial }
+   */
+  getFilterToken() {
+    const value = this.searchInput.value;
+    const cursor = this.searchInput.selectionStart ?? value.length;
+
+    // Token boundaries around the cursor
+    const start = value.lastIndexOf(' ', cursor - 1) + 1;
+    const nextSpace = value.indexOf(' ', cursor);
+    const end = nextSpace === -1 ? value.length : nextSpace;
+
+    const match = /^(-?)([A-Za-z]+):(.*)$/.exec(value.slice(start, cursor));
+    if (!match || !SUGGESTION_FILTERS[match[2].toLowerCase()]) {
+      return null;
+    }
+
+    return {
+      start,
+      end,
+      prefix: `${match[1]}${match[2]}:`,
+      filter: match[2].toLowerCase(),
+      partial: match[3].toLowerCase()
+    };
+  }
+
+  /**
+   * Refresh the suggestion list for the token under the cursor
+   */
+  updateSuggestions() {
+    const token = this.getFilterToken();
+
+    if (!token) {
+      this.hideSuggestions();
+      return;
+    }
+
+    const source = this.sources[SUGGESTION_FILTERS[token.filter]] || [];
+    this.suggestions = source
+      .filter(value => value.toLowerCase().startsWith(token.partial))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(value => ({ ...token, value }));
+    this.activeIndex = this.suggestions.length > 0 ? 0 : -1;
+
+    this.renderSuggestions();
+  }
+
+  /**
+   * Render the suggestion dropdown
+   */
+  renderSuggestions() {
+    this.suggestionList.innerHTML = '';
+
+    if (this.suggestions.length === 0) {
+      this.suggestionList.classList.add('is-hidden');
+      return;
+    }
+
+    this.suggestions.forEach((suggestion, index) => {
+      const item = document.createElement('a');
+      item.className = `dropdown-item${index === this.activeIndex ? ' is-active' : ''}`;
+      item.textContent = `${suggestion.prefix}${suggestion.value}`;
+
+      // mousedown fires before the input loses focus
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.acceptSuggestion(suggestion);
+      });
+
+      this.suggestionList.appendChild(item);
+    });
+
+    this.suggestionList.classList.remove('is-hidden');
+  }
+
+  /**
+   * Move the highlighted suggestion up or down
+   * @param {number} step - 1 for down, -1 for up
+   */
+  moveActive(step) {
+    const count = this.suggestions.length;
+    this.activeIndex = (this.activeIndex + step + count) % count;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Replace the token under the cursor with a suggestion and search
+   * @param {Object} suggestion - Suggestion to insert
+   */
+  acceptSuggestion(suggestion) {
+    const value = this.searchInput.value;
+    const quoted = /\s/.test(suggestion.value) ? `"${suggestion.value}"` : suggestion.value;
+    const replacement = `${suggestion.prefix}${quoted} `;
+
+    this.searchInput.value = value.slice(0, suggestion.start) + replacement
+      + value.slice(suggestion.end).trimStart();
+
+    const cursor = suggestion.start + replacement.length;
+    this.searchInput.setSelectionRange(cursor, cursor);
+
+    this.hideSuggestions();
+    this.performSearch(this.searchInput.value);
+  }
+
+  /**
+   * Hide the suggestion dropdown
+   */
+  hideSuggestions() {
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.suggestionList.classList.add('is-hidden');
   }
 
   /**
@@ -50,10 +209,17 @@ export class SearchBar {
 
   /**
    * Perform the search
+   * Skipped while a filter is still missing its value (e.g. "tag:")
    * @param {string} query - Search query
    */
   performSearch(query) {
     const trimmedQuery = query.trim();
+
+    if (/(^|\s)-?[A-Za-z]+:$/.test(trimmedQuery)) {
+      return;
+    }
+
+    clearTimeout(this.debounceTimer);
     this.onSearch(trimmedQuery);
   }
 
@@ -62,6 +228,7 @@ export class SearchBar {
    */
   clear() {
     this.searchInput.value = '';
+    this.hideSuggestions();
     this.performSearch('');
   }
 
@@ -88,4 +255,4 @@ export class SearchBar {
     this.searchInput.value = value;
     this.performSearch(value);
   }
-}
\ No newline at end of file
+}
@@ -10,11 +10,13 @@ export class SnippetCard {
    * @param {Object} snippet - Snippet data
    * @param {Function} onDelete - Callback for delete action
    * @param {Function} onCopy - Callback for copy action
+   * @param {Function} onEdit - Callback for edit action
    */
-  constructor(snippet, onDelete, onCopy) {
+  constructor(snippet, onDelete, onCopy, onEdit) {
     this.snippet = snippet;
     this.onDelete = onDelete;
     this.onCopy = onCopy;
+    this.onEdit = onEdit;
     this.element = null;
   }
 
@@ -78,6 +80,9 @@ export class SnippetCard {
             <span class="language-tag">${this.escapeHtml(this.snippet.language.toUpperCase())}</span>
             <span>•</span>
             <span>${this.formatDate(this.snippet.created_at)}</span>
+            <span class="copy-count" data-id="${this.snippet.id}" title="Copied ${this.snippet.copy_count || 0} times">
+              <i class="fas fa-clipboard"></i> <span class="copy-count-value">${this.snippet.copy_count || 0}</span>
+            </span>
           </div>
         </div>
         
@@ -95,6 +100,11 @@ export class SnippetCard {
               </span>
               <span>Copy Code</span>
             </button>
+            <button class="button is-info edit-btn">
+              <span class="icon">
+                <i class="fas fa-edit"></i>
+              </span>
+            </button>
             <button class="button is-danger delete-btn">
               <span class="icon">
                 <i class="fas fa-trash"></i>
@@ -129,6 +139,11 @@ export class SnippetCard {
       const success = await this.onCopy(this.snippet.code);
       
       if (success) {
+        // Let the app record the copy, as the grid cards do
+        document.dispatchEvent(new CustomEvent('snippetCopied', {
+          detail: { id: this.snippet.id }
+        }));
+        
         // Visual feedback
         const originalHtml = copyBtn.innerHTML;
         copyBtn.innerHTML = `
@@ -144,6 +159,12 @@ export class SnippetCard {
       }
     });
 
+    // Edit button
+    const editBtn = this.element.querySelector('.edit-btn');
+    editBtn.addEventListener('click', () => {
+      this.onEdit(this.snippet);
+    });
+
     // Delete button
     const deleteBtn = this.element.querySelector('.delete-btn');
     deleteBtn.addEventListener('click', () => {
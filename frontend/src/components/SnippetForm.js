@@ -1,17 +1,22 @@
 /**
  * SnippetForm Component
- * Handles the snippet creation form logic
+ * Handles the snippet creation and editing form logic
  */
 
+import { validateSnippetData, renderLanguageOptions } from '../js/utils.js';
+
 export class SnippetForm {
   /**
    * Constructor for SnippetForm
-   * @param {Function} onSubmit - Callback when form is submitted
+   * @param {Function} onSubmit - Callback when form is submitted,
+   *   called with (data, snippetId) where snippetId is null when creating
    */
   constructor(onSubmit) {
     this.onSubmit = onSubmit;
     this.tags = [];
     this.languages = [];
+    this.files = [];
+    this.editingId = null;
     this.initializeElements();
   }
 
@@ -20,16 +25,19 @@ export class SnippetForm {
    */
   initializeElements() {
     this.modal = document.getElementById('snippetModal');
+    this.modalTitle = document.getElementById('modalTitle');
     this.titleInput = document.getElementById('snippetTitle');
     this.codeInput = document.getElementById('snippetCode');
     this.languageSelect = document.getElementById('snippetLanguage');
+    this.languageFilter = document.getElementById('languageFilter');
     this.tagInput = document.getElementById('tagInput');
     this.tagContainer = document.getElementById('tagContainer');
   }
 
   /**
    * Set available languages
-   * @param {Array} languages - Array of language strings
+   * @param {Array} languages - Languages from GET /api/languages
+   *   { id, name, category, extensions }
    */
   setLanguages(languages) {
     this.languages = languages;
@@ -37,17 +45,18 @@ export class SnippetForm {
   }
 
   /**
-   * Populate language dropdown
+   * Populate language dropdown, grouped by category
+   * @param {string} query - Optional search text to narrow the languages
    */
-  populateLanguageDropdown() {
-    this.languageSelect.innerHTML = '';
-    
-    this.languages.forEach(lang => {
-      const option = document.createElement('option');
-      option.value = lang;
-      option.textContent = lang.toUpperCase();
-      this.languageSelect.appendChild(option);
-    });
+  populateLanguageDropdown(query = '') {
+    renderLanguageOptions(this.languageSelect, this.languages, query);
+  }
+
+  /**
+   * Show only the languages matching the search box
+   */
+  filterLanguages() {
+    this.populateLanguageDropdown(this.languageFilter.value);
   }
 
   /**
@@ -58,6 +67,38 @@ export class SnippetForm {
     this.titleInput.focus();
   }
 
+  /**
+   * Open the form modal pre-filled with an existing snippet
+   * @param {Object} snippet - Snippet to edit
+   */
+  openForEdit(snippet) {
+    this.reset();
+    this.editingId = snippet.id;
+    this.modalTitle.textContent = 'Edit Snippet';
+    this.titleInput.value = snippet.title;
+    this.codeInput.value = snippet.code;
+    
+    // Multi-file snippets are edited through their first file; the others are kept
+    this.files = snippet.files || [];
+    this.languageSelect.value = snippet.language;
+    
+    // Disabled languages are not listed but stay on existing snippets
+    if (this.languageSelect.value !== snippet.language) {
+      this.languageSelect.appendChild(new Option(`${snippet.language} (disabled)`, snippet.language));
+      this.languageSelect.value = snippet.language;
+    }
+    (snippet.tags || []).forEach(tag => this.addTag(tag));
+    this.open();
+  }
+
+  /**
+   * Check whether the form is editing an existing snippet
+   * @returns {boolean} True in edit mode
+   */
+  isEditing() {
+    return this.editingId !== null;
+  }
+
   /**
    * Close the form modal
    */
@@ -70,9 +111,14 @@ export class SnippetForm {
    * Reset form to initial state
    */
   reset() {
+    this.editingId = null;
+    this.modalTitle.textContent = 'Add New Snippet';
     this.titleInput.value = '';
     this.codeInput.value = '';
-    this.languageSelect.selectedIndex = 0;
+    this.files = [];
+    this.languageFilter.value = '';
+    this.populateLanguageDropdown();
+    this.languageSelect.value = 'auto';
     this.tagInput.value = '';
     this.tags = [];
     this.renderTags();
@@ -140,38 +186,32 @@ export class SnippetForm {
    * @returns {Object} Form data object
    */
   getData() {
+    const code = this.codeInput.value.trim();
+    const language = this.languageSelect.value;
+    
+    if (this.files.length > 0) {
+      const [first, ...rest] = this.files;
+      return {
+        title: this.titleInput.value.trim(),
+        files: [{ filename: first.filename, language, content: code }, ...rest],
+        tags: [...this.tags]
+      };
+    }
+    
     return {
       title: this.titleInput.value.trim(),
-      code: this.codeInput.value.trim(),
-      language: this.languageSelect.value,
+      code,
+      language,
       tags: [...this.tags]
     };
   }
 
   /**
-   * Validate form data
+   * Validate form data with the shared snippet schema
    * @returns {Object} Validation result { isValid, errors }
    */
   validate() {
-    const errors = [];
-    const data = this.getData();
-
-    if (!data.title) {
-      errors.push('Title is required');
-    }
-
-    if (!data.code) {
-      errors.push('Code is required');
-    }
-
-    if (!data.language) {
-      errors.push('Language is required');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+    return validateSnippetData(this.getData());
   }
 
   /**
@@ -191,7 +231,7 @@ export class SnippetForm {
 
     // Call submit callback
     try {
-      await this.onSubmit(data);
+      await this.onSubmit(data, this.editingId);
       this.close();
     } catch (error) {
       console.error('Form submission error:', error);
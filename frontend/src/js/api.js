@@ -3,86 +3,674 @@
  * Handles all HTTP requests to the backend API
  */
 
+import '../../../shared/apiClient.js';
+import * as offlineStore from './offlineStore.js';
+import { searchCachedSnippets } from './utils.js';
+
 // Base API URL - change this for production deployment
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Requests and responses follow the contract in shared/apiClient.js,
+// which the snip command-line client uses too
+const client = globalThis.SnippetApiClient.createApiClient({
+  baseUrl: API_BASE_URL,
+  credentials: 'include', // Send the session cookie
+  onError: (error) => console.error('API Error:', error)
+});
+
 /**
- * Generic fetch wrapper with error handling
- * @param {string} url - API endpoint URL
+ * Send a request to the API and parse the JSON response
+ * Failed requests throw an Error with status and details (see shared/apiClient.js)
+ * @param {string} path - API path below API_BASE_URL, e.g. /tags
  * @param {Object} options - Fetch options (method, headers, body, etc.)
  * @returns {Promise<Object>} Response data
  */
-const fetchAPI = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
-    });
+const fetchAPI = client.request;
 
-    // Parse JSON response
-    const data = await response.json();
+/**
+ * Check whether a request failed because the server could not be reached
+ * fetch rejects with a TypeError then; API errors carry a status instead.
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True when the request never got a response
+ */
+const isNetworkError = (error) => error instanceof TypeError;
 
-    // Check if request was successful
-    if (!response.ok) {
-      throw new Error(data.message || 'API request failed');
-    }
+/**
+ * Update the offline mirror without holding up or failing the request
+ * Browsers without IndexedDB (or with storage turned off) just work online only.
+ * @param {Promise} promise - Offline store operation
+ */
+const updateMirror = (promise) => {
+  promise.catch(error => console.warn('Failed to update offline copy:', error));
+};
+
+/**
+ * Format a date the way the API does (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+const toApiTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
 
-    return data;
+/**
+ * Get one page of snippets from the API
+ * Every snippet fetched is kept for offline use. When the server cannot be
+ * reached, the first page is answered from that copy with offline: true;
+ * it holds every match, so there is no next page.
+ * @param {string} searchQuery - Optional search query, e.g. "lang:python tag:async retry"
+ * @param {Object} options - Optional paging { limit, cursor, sort, order },
+ *   workspace ('personal' or a team ID; all visible snippets when omitted),
+ *   collection (a collection ID or 'none'), subcollections (true to
+ *   include nested collections) and pinned (true for pinned snippets only)
+ * @returns {Promise<Object>} Page { snippets, total, nextCursor, offline }
+ */
+export const getSnippets = async (searchQuery = '', options = {}) => {
+  try {
+    const page = await client.getSnippets(searchQuery, options);
+    updateMirror(offlineStore.saveSnippets(page.snippets));
+    return { ...page, offline: false };
   } catch (error) {
-    console.error('API Error:', error);
-    throw error;
+    if (!isNetworkError(error) || options.cursor) throw error;
+
+    const cached = await offlineStore.getSnippets().catch(() => { throw error; });
+    const user = offlineStore.recall('user');
+    const snippets = searchCachedSnippets(cached, searchQuery, { ...options, userId: user && user.id });
+    return { snippets, total: snippets.length, nextCursor: null, offline: true };
   }
 };
 
 /**
- * Get all snippets from the API
- * @param {string} searchQuery - Optional search term to filter snippets
- * @returns {Promise<Array>} Array of snippet objects
+ * Copy the whole library into the offline mirror
+ * Run while online so everything can be browsed and searched offline.
+ * @returns {Promise<number>} Number of snippets copied
  */
-export const getSnippets = async (searchQuery = '') => {
-  const url = searchQuery 
-    ? `${API_BASE_URL}/snippets?search=${encodeURIComponent(searchQuery)}`
-    : `${API_BASE_URL}/snippets`;
-  
-  const response = await fetchAPI(url);
-  return response.data;
+export const syncOfflineLibrary = async () => {
+  const { MAX_PAGE_SIZE } = globalThis.SnippetSchemas;
+  const snippets = [];
+  let cursor = null;
+
+  do {
+    const page = await client.getSnippets('', { limit: MAX_PAGE_SIZE, cursor });
+    snippets.push(...page.snippets);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  await offlineStore.replaceSnippets(snippets);
+  return snippets.length;
 };
 
 /**
  * Create a new snippet
- * @param {Object} snippetData - Snippet data (title, code, language, tags)
+ * Without a connection the snippet is queued in the outbox and shown from
+ * the offline copy with a temporary negative ID and pending: true.
+ * @param {Object} snippetData - Snippet data (title, code, language, tags),
+ *   or files[] { filename, language, content } in place of code and language
  * @returns {Promise<Object>} Created snippet object
  */
 export const createSnippet = async (snippetData) => {
-  const response = await fetchAPI(`${API_BASE_URL}/snippets`, {
-    method: 'POST',
-    body: JSON.stringify(snippetData)
-  });
-  
+  try {
+    const response = await client.createSnippet(snippetData);
+    return response.data;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    const user = offlineStore.recall('user');
+    const files = snippetData.files || [];
+    const snippet = {
+      visibility: 'public',
+      team_id: null,
+      collection_id: null,
+      ...snippetData,
+      id: -Date.now(),
+      code: files.length > 0 ? files[0].content : snippetData.code,
+      language: files.length > 0 ? files[0].language : snippetData.language,
+      files,
+      owner_id: user ? user.id : null,
+      owner: user ? user.username : null,
+      created_at: toApiTimestamp(new Date()),
+      copy_count: 0,
+      placeholders: [],
+      pending: true
+    };
+
+    await offlineStore.addToOutbox({ type: 'create', localId: snippet.id, snippet: snippetData });
+    await offlineStore.saveSnippets([snippet]);
+    return snippet;
+  }
+};
+
+/**
+ * Update an existing snippet
+ * @param {number} snippetId - ID of snippet to update
+ * @param {Object} snippetData - Snippet data (title, code, language, tags),
+ *   or files[] { filename, language, content } in place of code and language
+ * @returns {Promise<Object>} Updated snippet object
+ */
+export const updateSnippet = async (snippetId, snippetData) => {
+  const response = await client.updateSnippet(snippetId, snippetData);
+  updateMirror(offlineStore.saveSnippets([response.data]));
   return response.data;
 };
 
 /**
  * Delete a snippet by ID
+ * Without a connection the delete is queued in the outbox and the snippet
+ * leaves the offline copy; the confirmation then has queued: true.
  * @param {number} snippetId - ID of snippet to delete
  * @returns {Promise<Object>} Deletion confirmation
  */
 export const deleteSnippet = async (snippetId) => {
-  const response = await fetchAPI(`${API_BASE_URL}/snippets/${snippetId}`, {
-    method: 'DELETE'
+  // Snippets created offline only need to leave the outbox
+  if (Number(snippetId) < 0) {
+    const entry = (await offlineStore.getOutbox()).find(item => item.localId === Number(snippetId));
+    if (entry) await offlineStore.removeFromOutbox(entry.id);
+    await offlineStore.deleteSnippet(snippetId);
+    return { success: true, message: 'Snippet deleted successfully' };
+  }
+
+  try {
+    const response = await client.deleteSnippet(snippetId);
+    updateMirror(offlineStore.deleteSnippet(snippetId));
+    return response;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    // The cached version tells whether the snippet changed before the delete is sent
+    const cached = await offlineStore.getSnippet(snippetId);
+    await offlineStore.addToOutbox({
+      type: 'delete',
+      snippetId: Number(snippetId),
+      title: cached ? cached.title : `#${snippetId}`,
+      updatedAt: cached ? cached.updated_at : null
+    });
+    await offlineStore.deleteSnippet(snippetId);
+    return { success: true, queued: true, message: 'Snippet will be deleted once back online' };
+  }
+};
+
+/**
+ * Apply one operation to many of the user's snippets in one request
+ * @param {Array<number>} snippetIds - IDs of the snippets to change
+ * @param {string} operation - 'delete', 'add_tags', 'remove_tags',
+ *   'set_language' or 'move'
+ * @param {Object} fields - What the operation needs: { tags },
+ *   { language } or { collection_id } (null to unfile)
+ * @returns {Promise<Object>} { succeeded, failed, data } where data has one
+ *   result { id, success, changed, message } per snippet
+ */
+export const bulkUpdateSnippets = async (snippetIds, operation, fields = {}) => {
+  const response = await fetchAPI('/snippets/bulk', {
+    method: 'POST',
+    body: JSON.stringify({ ids: snippetIds, operation, ...fields })
   });
   
+  if (operation === 'delete') {
+    response.data
+      .filter(result => result.changed)
+      .forEach(result => updateMirror(offlineStore.deleteSnippet(result.id)));
+  }
   return response;
 };
 
 /**
- * Get list of supported programming languages
- * @returns {Promise<Array>} Array of language strings
+ * Get the logged in user's trashed snippets, most recently deleted first
+ * @returns {Promise<Object>} { data, retention_days }; each snippet has
+ *   deleted_at and purge_at (null when the trash is never purged)
+ */
+export const getTrash = async () => {
+  const response = await fetchAPI('/trash');
+  return { data: response.data, retention_days: response.retention_days };
+};
+
+/**
+ * Take a snippet back out of the trash
+ * @param {number} snippetId - ID of the trashed snippet
+ * @returns {Promise<Object>} Restored snippet
+ */
+export const restoreSnippet = async (snippetId) => {
+  const response = await fetchAPI(`/snippets/${snippetId}/restore`, { method: 'POST' });
+  updateMirror(offlineStore.saveSnippets([response.data]));
+  return response.data;
+};
+
+/**
+ * Permanently delete a trashed snippet
+ * @param {number} snippetId - ID of the trashed snippet
+ * @returns {Promise<Object>} Response data
+ */
+export const purgeSnippet = async (snippetId) => {
+  return fetchAPI(`/trash/${snippetId}`, { method: 'DELETE' });
+};
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<Object>} Response data { count }
+ */
+export const emptyTrash = async () => {
+  return fetchAPI('/trash', { method: 'DELETE' });
+};
+
+/**
+ * Send a delete queued while offline
+ * The snippet is kept when it changed on the server after it was cached.
+ * @param {Object} entry - Outbox entry { snippetId, title, updatedAt }
+ * @returns {Promise<string|null>} Conflict message, or null when handled
+ */
+const replayDelete = async (entry) => {
+  const { deleted, snippet } = await client.deleteSnippetIfUnchanged(entry.snippetId, entry.updatedAt);
+  if (deleted) return null;
+
+  await offlineStore.saveSnippets([snippet]);
+  return `"${snippet.title}" changed on the server after you deleted it offline, so it was kept`;
+};
+
+/**
+ * Count the changes waiting to be sent
+ * @returns {Promise<number>} Number of outbox entries
+ */
+export const countQueuedChanges = async () => {
+  return (await offlineStore.getOutbox()).length;
+};
+
+/**
+ * Send the changes queued while offline, oldest first
+ * Stops at the first change that cannot reach the server (or needs a login)
+ * and leaves it and later ones queued. Changes the server rejects are
+ * dropped and reported as conflicts.
+ * @returns {Promise<Object>} { sent, conflicts: [message], pending }
+ */
+export const replayOutbox = async () => {
+  const entries = await offlineStore.getOutbox();
+  const result = { sent: 0, conflicts: [], pending: 0 };
+
+  for (const [index, entry] of entries.entries()) {
+    const title = entry.type === 'create' ? entry.snippet.title : entry.title;
+
+    try {
+      let conflict = null;
+      if (entry.type === 'create') {
+        await client.createSnippet(entry.snippet);
+      } else {
+        conflict = await replayDelete(entry);
+      }
+
+      if (conflict) result.conflicts.push(conflict);
+      else result.sent += 1;
+    } catch (error) {
+      if (isNetworkError(error) || error.status === 401) {
+        result.pending = entries.length - index;
+        break;
+      }
+
+      result.conflicts.push(`"${title}" could not be ${entry.type === 'create' ? 'saved' : 'deleted'}: ${error.message}`);
+    }
+
+    await offlineStore.removeFromOutbox(entry.id);
+    if (entry.type === 'create') await offlineStore.deleteSnippet(entry.localId);
+  }
+
+  return result;
+};
+
+/**
+ * Get the saved versions of a snippet, newest first
+ * @param {number} snippetId - ID of the snippet
+ * @returns {Promise<Array>} Array of version objects
+ */
+export const getSnippetVersions = async (snippetId) => {
+  const response = await fetchAPI(`/snippets/${snippetId}/versions`);
+  return response.data;
+};
+
+/**
+ * Get a unified diff between two versions of a snippet
+ * @param {number} snippetId - ID of the snippet
+ * @param {number} version - Version to inspect
+ * @param {number} against - Optional version to compare with (defaults to the previous one)
+ * @returns {Promise<Object>} Diff data { version, against, additions, deletions, diff }
+ */
+export const getVersionDiff = async (snippetId, version, against) => {
+  const query = against !== undefined ? `?against=${encodeURIComponent(against)}` : '';
+  const response = await fetchAPI(
+    `/snippets/${snippetId}/versions/${version}/diff${query}`
+  );
+  return response.data;
+};
+
+/**
+ * Restore a snippet to an earlier version
+ * @param {number} snippetId - ID of the snippet
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Updated snippet object
+ */
+export const restoreSnippetVersion = async (snippetId, version) => {
+  const response = await fetchAPI(
+    `/snippets/${snippetId}/versions/${version}/restore`,
+    { method: 'POST' }
+  );
+  return response.data;
+};
+
+/**
+ * Fill in a templated snippet's placeholders
+ * @param {number} snippetId - ID of the snippet
+ * @param {Object} values - Values by placeholder key, e.g. { 1: 'UserService' }
+ * @returns {Promise<Object>} { id, code, missing } where missing lists unfilled keys
+ */
+export const renderSnippet = async (snippetId, values) => {
+  const response = await fetchAPI(`/snippets/${snippetId}/render`, {
+    method: 'POST',
+    body: JSON.stringify({ values })
+  });
+  return response.data;
+};
+
+/**
+ * Record that a snippet was copied
+ * @param {number} snippetId - ID of the snippet
+ * @returns {Promise<Object>} Usage { id, copy_count, last_copied_at }
+ */
+export const recordCopy = async (snippetId) => {
+  const response = await fetchAPI(`/snippets/${snippetId}/copy`, {
+    method: 'POST'
+  });
+  return response.data;
+};
+
+/**
+ * Pin or unpin a snippet for the logged in user
+ * @param {number} snippetId - ID of the snippet
+ * @param {boolean} pinned - Whether the snippet should be pinned
+ * @returns {Promise<Object>} { id, pinned }
+ */
+export const setPinned = async (snippetId, pinned) => {
+  const response = await fetchAPI(`/snippets/${snippetId}/pin`, {
+    method: pinned ? 'PUT' : 'DELETE'
+  });
+  return response.data;
+};
+
+/**
+ * File a snippet in a collection
+ * @param {number} snippetId - ID of the snippet
+ * @param {number|null} collectionId - Collection ID, or null to unfile it
+ * @returns {Promise<Object>} Updated snippet object
+ */
+export const moveSnippetToCollection = async (snippetId, collectionId) => {
+  const response = await client.patchSnippet(snippetId, { collection_id: collectionId });
+  return response.data;
+};
+
+/**
+ * Guess the language of some code
+ * @param {string} code - Code to inspect
+ * @param {string} title - Snippet title, which may name a file or language
+ * @returns {Promise<Object>} { language, confidence, candidates }; language is
+ *   null when nothing was recognized
+ */
+export const detectLanguage = (code, title = '') => {
+  return client.detectLanguage(code, title);
+};
+
+/**
+ * Get the logged in user's personal and team collections
+ * @returns {Promise<Array>} Collection objects { id, name, parent_id, position, team_id, snippet_count }
+ */
+export const getCollections = async () => {
+  const response = await fetchAPI('/collections');
+  return response.data;
+};
+
+/**
+ * Create a collection
+ * @param {Object} collectionData - { name, parent_id, team_id }
+ * @returns {Promise<Object>} Created collection
+ */
+export const createCollection = async (collectionData) => {
+  const response = await fetchAPI('/collections', {
+    method: 'POST',
+    body: JSON.stringify(collectionData)
+  });
+  return response.data;
+};
+
+/**
+ * Rename a collection
+ * @param {number} collectionId - Collection ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Renamed collection
+ */
+export const renameCollection = async (collectionId, name) => {
+  const response = await fetchAPI(`/collections/${collectionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ name })
+  });
+  return response.data;
+};
+
+/**
+ * Move a collection under another parent or to another position
+ * @param {number} collectionId - Collection ID
+ * @param {Object} target - { parent_id (null for the top level), position }
+ * @returns {Promise<Object>} Moved collection
+ */
+export const moveCollection = async (collectionId, target) => {
+  const response = await fetchAPI(`/collections/${collectionId}/move`, {
+    method: 'POST',
+    body: JSON.stringify(target)
+  });
+  return response.data;
+};
+
+/**
+ * Delete a collection and its sub-collections; their snippets become unfiled
+ * @param {number} collectionId - Collection ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+export const deleteCollection = async (collectionId) => {
+  return await fetchAPI(`/collections/${collectionId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Get all tags with the number of snippets using each
+ * @returns {Promise<Array>} Array of tag objects { id, name, count }
+ */
+export const getTags = async () => {
+  const response = await fetchAPI('/tags');
+  return response.data;
+};
+
+/**
+ * Get the enabled languages from the language registry
+ * Offline, the list last fetched is returned.
+ * @returns {Promise<Array>} Languages { id, name, category, extensions, prism, ... }
  */
 export const getLanguages = async () => {
-  const response = await fetchAPI(`${API_BASE_URL}/languages`);
+  try {
+    const languages = await client.getLanguages();
+    offlineStore.remember('languages', languages);
+    return languages;
+  } catch (error) {
+    const languages = isNetworkError(error) && offlineStore.recall('languages');
+    if (!languages) throw error;
+    return languages;
+  }
+};
+
+/**
+ * Get the logged in user
+ * Offline, the last user seen is returned.
+ * @returns {Promise<Object|null>} User { id, username }, or null when logged out
+ */
+export const getCurrentUser = async () => {
+  try {
+    const response = await fetchAPI('/auth/me');
+    offlineStore.remember('user', response.data);
+    return response.data;
+  } catch (error) {
+    // Offline, the user last seen stays logged in so their snippets keep their controls
+    if (!isNetworkError(error)) throw error;
+    return offlineStore.recall('user');
+  }
+};
+
+/**
+ * Log in with a username and password
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} Logged in user
+ */
+export const login = async (credentials) => {
+  const response = await fetchAPI('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify(credentials)
+  });
+  offlineStore.remember('user', response.data);
+  return response.data;
+};
+
+/**
+ * Create an account and log in
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} Created user
+ */
+export const register = async (credentials) => {
+  const response = await fetchAPI('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(credentials)
+  });
+  offlineStore.remember('user', response.data);
   return response.data;
-};
\ No newline at end of file
+};
+
+/**
+ * End the current session
+ * @returns {Promise<Object>} Response with success message
+ */
+export const logout = async () => {
+  const response = await fetchAPI('/auth/logout', {
+    method: 'POST'
+  });
+  offlineStore.remember('user', null);
+  return response;
+};
+
+/**
+ * Get the teams the logged in user belongs to
+ * @returns {Promise<Array>} Team objects { id, name, role, member_count }
+ */
+export const getTeams = async () => {
+  const response = await fetchAPI('/teams');
+  return response.data;
+};
+
+/**
+ * Create a team with the logged in user as admin
+ * @param {string} name - Team name
+ * @returns {Promise<Object>} Created team
+ */
+export const createTeam = async (name) => {
+  const response = await fetchAPI('/teams', {
+    method: 'POST',
+    body: JSON.stringify({ name })
+  });
+  return response.data;
+};
+
+/**
+ * Get the members of a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} Member objects { user_id, username, role }
+ */
+export const getTeamMembers = async (teamId) => {
+  const response = await fetchAPI(`/teams/${teamId}/members`);
+  return response.data;
+};
+
+/**
+ * Invite a user into a team (team admins only)
+ * @param {number} teamId - Team ID
+ * @param {string} username - Username to invite
+ * @param {string} role - 'member' or 'admin'
+ * @returns {Promise<Object>} Added member
+ */
+export const inviteTeamMember = async (teamId, username, role = 'member') => {
+  const response = await fetchAPI(`/teams/${teamId}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ username, role })
+  });
+  return response.data;
+};
+
+/**
+ * Remove a member from a team, or leave it when userId is your own
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID to remove
+ * @returns {Promise<Object>} Response with success message
+ */
+export const removeTeamMember = async (teamId, userId) => {
+  return await fetchAPI(`/teams/${teamId}/members/${userId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Build the download URL for an export
+ * @param {string} format - json, markdown, gist, or zip
+ * @param {string} searchQuery - Optional search query limiting the export
+ * @returns {string} Export URL
+ */
+export const getExportUrl = (format, searchQuery = '') => {
+  const params = new URLSearchParams({ format });
+  if (searchQuery) params.set('search', searchQuery);
+  
+  return `${API_BASE_URL}/export?${params.toString()}`;
+};
+
+/**
+ * Get the URL that downloads a snippet's files as a zip archive
+ * @param {number} snippetId - Snippet ID
+ * @returns {string} Download URL
+ */
+export const getSnippetZipUrl = (snippetId) => {
+  return `${API_BASE_URL}/snippets/${snippetId}/zip`;
+};
+
+/**
+ * Import snippets into the logged in user's library
+ * @param {Object} options - { format, data, duplicates (skip|overwrite|rename), dryRun }
+ * @returns {Promise<Object>} { dry_run, summary, data } where data is the plan
+ */
+export const importSnippets = async ({ format, data, duplicates = 'skip', dryRun = false }) => {
+  return await fetchAPI('/import', {
+    method: 'POST',
+    body: JSON.stringify({ format, data, duplicates, dry_run: dryRun })
+  });
+};
+
+/**
+ * Listen for snippet changes made in other tabs and by other users
+ * The browser reconnects by itself when the stream drops; onReconnect is
+ * called once it is back, since changes made meanwhile were missed.
+ * @param {Object} handlers - { created(snippet), updated(snippet), deleted(id), onReconnect() }
+ * @returns {EventSource} Open stream; call close() to stop listening
+ */
+export const subscribeToChanges = (handlers) => {
+  const source = new EventSource(`${API_BASE_URL}/events`, { withCredentials: true });
+  let dropped = false;
+
+  source.addEventListener('created', (e) => handlers.created(JSON.parse(e.data).snippet));
+  source.addEventListener('updated', (e) => handlers.updated(JSON.parse(e.data).snippet));
+  source.addEventListener('deleted', (e) => handlers.deleted(JSON.parse(e.data).id));
+
+  source.addEventListener('error', () => {
+    dropped = true;
+  });
+
+  source.addEventListener('open', () => {
+    if (dropped) handlers.onReconnect();
+    dropped = false;
+  });
+
+  return source;
+};
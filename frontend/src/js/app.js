@@ -6,7 +6,8 @@
 
 import * as API from './api.js';
 import * as UI from './ui.js';
-import { debounce, validateSnippetData } from './utils.js';
+import { validateSnippetData, readImportFiles, buildCollectionTree, copyToClipboard, debounce } from './utils.js';
+import { SearchBar } from '../components/SearchBar.js';
 
 /**
  * Application state
@@ -14,9 +15,44 @@ import { debounce, validateSnippetData } from './utils.js';
  */
 const state = {
   snippets: [],
-  currentTags: []
+  languages: [],
+  tags: [],
+  activeTag: null,
+  currentTags: [],
+  editingSnippetId: null,
+  searchQuery: '',
+  nextCursor: null,
+  total: 0,
+  isLoadingMore: false,
+  currentUser: null,
+  teams: [],
+  workspace: 'all',
+  collections: [],
+  collection: null,
+  includeSubcollections: true,
+  sort: '',
+  pinned: [],
+  offline: false
 };
 
+// Most pinned snippets shown above the grid
+const PINNED_LIMIT = 100;
+
+// Number of snippets fetched per page
+const PAGE_SIZE = 20;
+
+/**
+ * Search bar with filter autocomplete
+ * Created once the DOM is ready in setupEventListeners
+ */
+let searchBar = null;
+
+/**
+ * Stream of snippet changes made elsewhere
+ * Reopened when the user logs in or out, since it only carries what they may see
+ */
+let changeStream = null;
+
 /**
  * Initialize the application
  * Called when DOM is fully loaded
@@ -24,14 +60,32 @@ const state = {
 const initApp = async () => {
   console.log('Initializing CodeSnippet Manager...');
   
+  // Cache the app so it opens without a connection
+  registerServiceWorker();
+
   try {
-    // Load initial data
+    // Load initial data; the user decides which cards show edit controls
+    await loadCurrentUser();
+    await loadTeams();
+    await loadCollections();
     await loadLanguages();
+    await loadPinnedSnippets();
     await loadSnippets();
     
     // Set up event listeners
     setupEventListeners();
     
+    // Load the tag sidebar and search suggestions
+    await loadTags();
+    
+    // Keep the grid current as other tabs and users change snippets
+    connectLiveUpdates();
+
+    // Send changes left from an earlier offline session and refresh the offline copy
+    if (await syncOfflineChanges()) {
+      await loadSnippets();
+    }
+
     console.log('Application initialized successfully');
   } catch (error) {
     console.error('Failed to initialize app:', error);
@@ -39,12 +93,452 @@ const initApp = async () => {
   }
 };
 
+/**
+ * Load the logged in user, if any, and update the navbar
+ */
+const loadCurrentUser = async () => {
+  try {
+    state.currentUser = await API.getCurrentUser();
+  } catch (error) {
+    console.error('Failed to load current user:', error);
+    state.currentUser = null;
+  }
+  
+  UI.setCurrentUser(state.currentUser);
+};
+
+/**
+ * Load the user's teams into the workspace switcher and snippet form
+ * Logged out users only have the "All snippets" workspace.
+ */
+const loadTeams = async () => {
+  state.teams = [];
+  
+  if (state.currentUser) {
+    try {
+      state.teams = await API.getTeams();
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  }
+  
+  // Fall back to all snippets if the active team is gone
+  const workspaces = ['all', 'personal', ...state.teams.map(team => String(team.id))];
+  if (!state.currentUser || !workspaces.includes(state.workspace)) {
+    state.workspace = 'all';
+  }
+  
+  UI.renderWorkspaceSwitcher(state.teams, state.workspace);
+  UI.populateTeamDropdown(state.teams);
+};
+
+/**
+ * Load the user's collections into the sidebar tree and snippet form
+ * Logged out users have no collections.
+ */
+const loadCollections = async () => {
+  state.collections = [];
+  
+  if (state.currentUser) {
+    try {
+      state.collections = await API.getCollections();
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    }
+  }
+  
+  // Fall back to all snippets if the active collection is gone
+  const ids = ['none', ...state.collections.map(collection => String(collection.id))];
+  if (!state.currentUser || !ids.includes(state.collection)) {
+    state.collection = null;
+  }
+  
+  const tree = buildCollectionTree(state.collections);
+  UI.renderCollectionTree(tree, state.collection);
+  UI.populateCollectionDropdown(tree);
+};
+
+/**
+ * Get the sort order and the workspace and collection filters for snippet requests
+ * @returns {Object} { sort, workspace, collection, subcollections }
+ */
+const getFilterOptions = () => {
+  const nested = state.includeSubcollections && state.collection && state.collection !== 'none';
+  
+  return {
+    sort: state.sort,
+    workspace: state.workspace,
+    collection: state.collection,
+    subcollections: nested ? 'true' : null
+  };
+};
+
+/**
+ * Load the logged in user's pinned snippets into the section above the grid
+ */
+const loadPinnedSnippets = async () => {
+  state.pinned = [];
+  
+  if (state.currentUser) {
+    try {
+      const page = await API.getSnippets('', { pinned: 'true', sort: 'most_used', limit: PINNED_LIMIT });
+      state.pinned = page.snippets;
+    } catch (error) {
+      console.error('Failed to load pinned snippets:', error);
+    }
+  }
+  
+  UI.renderPinnedSnippets(state.pinned);
+};
+
+/**
+ * Pin or unpin a snippet
+ * @param {number} snippetId - ID of the snippet
+ * @param {boolean} pinned - Whether the snippet should be pinned
+ */
+const handleTogglePin = async (snippetId, pinned) => {
+  try {
+    await API.setPinned(snippetId, pinned);
+    
+    state.snippets
+      .filter(snippet => String(snippet.id) === String(snippetId))
+      .forEach(snippet => { snippet.pinned = pinned; });
+    UI.setPinnedState(snippetId, pinned);
+    await loadPinnedSnippets();
+  } catch (error) {
+    console.error('Failed to pin snippet:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(pinned ? 'Failed to pin snippet' : 'Failed to unpin snippet', 'danger');
+  }
+};
+
+/**
+ * Record a copy so the snippet's counter and usage sorting stay current
+ * Failures are only logged; the code is already on the clipboard.
+ * @param {number} snippetId - ID of the copied snippet
+ */
+const handleSnippetCopied = async (snippetId) => {
+  try {
+    const usage = await API.recordCopy(snippetId);
+    
+    [...state.snippets, ...state.pinned]
+      .filter(snippet => String(snippet.id) === String(snippetId))
+      .forEach(snippet => { snippet.copy_count = usage.copy_count; });
+    UI.updateCopyCount(snippetId, usage.copy_count);
+  } catch (error) {
+    console.error('Failed to record copy:', error);
+  }
+};
+
+/**
+ * Open the placeholder form for a templated snippet
+ * @param {number} snippetId - ID of the snippet being copied
+ */
+const handleFillPlaceholders = (snippetId) => {
+  const snippet = [...state.snippets, ...state.pinned]
+    .find(s => String(s.id) === String(snippetId));
+  if (!snippet) return;
+  
+  UI.openPlaceholderModal(snippet);
+};
+
+/**
+ * Render the snippet with the values from the placeholder form and copy it
+ */
+const handleCopyRendered = async () => {
+  const { id, values } = UI.getPlaceholderValues();
+  
+  try {
+    const rendered = await API.renderSnippet(id, values);
+    const success = await copyToClipboard(rendered.code);
+    if (!success) {
+      UI.showNotification('Failed to copy to clipboard', 'danger');
+      return;
+    }
+    
+    UI.closePlaceholderModal();
+    UI.showNotification(
+      rendered.missing.length > 0
+        ? `Copied; left unfilled: ${rendered.missing.join(', ')}`
+        : 'Copied to clipboard',
+      rendered.missing.length > 0 ? 'warning' : 'success'
+    );
+    await handleSnippetCopied(id);
+  } catch (error) {
+    console.error('Failed to fill placeholders:', error);
+    
+    if (error.status === 422 && error.details) {
+      UI.showNotification(Object.values(error.details).join(', '), 'warning');
+      return;
+    }
+    
+    UI.showNotification('Failed to fill placeholders', 'danger');
+  }
+};
+
+/**
+ * Show another collection's snippets, or all snippets for null
+ * @param {string|null} collection - Collection ID, 'none' for unfiled, or null
+ */
+const handleSelectCollection = async (collection) => {
+  state.collection = collection;
+  UI.renderCollectionTree(buildCollectionTree(state.collections), collection);
+  await loadSnippets();
+};
+
+/**
+ * Create a collection, nested under parentId when given
+ * New top-level collections belong to the team of the active workspace.
+ * @param {number|null} parentId - Parent collection ID
+ */
+const handleCreateCollection = async (parentId = null) => {
+  const name = prompt(parentId ? 'Name of the new sub-collection:' : 'Name of the new collection:');
+  if (!name || !name.trim()) return;
+  
+  const isTeamWorkspace = !['all', 'personal'].includes(state.workspace);
+  
+  try {
+    await API.createCollection({
+      name: name.trim(),
+      parent_id: parentId,
+      team_id: !parentId && isTeamWorkspace ? Number(state.workspace) : null
+    });
+    await loadCollections();
+    
+    UI.showNotification('Collection created', 'success');
+  } catch (error) {
+    console.error('Failed to create collection:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(error.details ? Object.values(error.details).join(', ') : error.message, 'danger');
+  }
+};
+
+/**
+ * Rename a collection
+ * @param {number} collectionId - Collection ID
+ * @param {string} currentName - Name shown as the default
+ */
+const handleRenameCollection = async (collectionId, currentName) => {
+  const name = prompt('Rename collection:', currentName);
+  if (!name || !name.trim() || name.trim() === currentName) return;
+  
+  try {
+    await API.renameCollection(collectionId, name.trim());
+    await loadCollections();
+    await loadSnippets();
+  } catch (error) {
+    console.error('Failed to rename collection:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(error.details ? Object.values(error.details).join(', ') : error.message, 'danger');
+  }
+};
+
+/**
+ * Delete a collection after confirmation; its snippets become unfiled
+ * @param {number} collectionId - Collection ID
+ * @param {string} name - Collection name for the confirmation
+ */
+const handleDeleteCollection = async (collectionId, name) => {
+  const confirmed = confirm(`Delete "${name}" and its sub-collections? Their snippets will be kept, unfiled.`);
+  if (!confirmed) return;
+  
+  try {
+    await API.deleteCollection(collectionId);
+    await loadCollections();
+    await loadSnippets();
+    
+    UI.showNotification('Collection deleted', 'success');
+  } catch (error) {
+    console.error('Failed to delete collection:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to delete collection', 'danger');
+  }
+};
+
+/**
+ * File a snippet dropped onto a collection
+ * @param {number} snippetId - Snippet ID
+ * @param {number|null} collectionId - Collection ID, or null to unfile it
+ */
+const handleMoveSnippet = async (snippetId, collectionId) => {
+  try {
+    await API.moveSnippetToCollection(snippetId, collectionId);
+    await loadCollections();
+    await loadSnippets();
+  } catch (error) {
+    console.error('Failed to move snippet:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(error.details ? Object.values(error.details).join(', ') : error.message, 'danger');
+  }
+};
+
+/**
+ * Nest a collection dropped onto another one, or move it to the top level
+ * @param {number} collectionId - Collection ID
+ * @param {number|null} parentId - New parent, or null for the top level
+ */
+const handleMoveCollection = async (collectionId, parentId) => {
+  try {
+    await API.moveCollection(collectionId, { parent_id: parentId });
+    await loadCollections();
+    await loadSnippets();
+  } catch (error) {
+    console.error('Failed to move collection:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(error.message, 'danger');
+  }
+};
+
+/**
+ * Switch to another workspace and reload the grid
+ * @param {string} workspace - 'all', 'personal', or a team ID
+ */
+const handleWorkspaceChange = async (workspace) => {
+  state.workspace = workspace;
+  await loadSnippets();
+};
+
+/**
+ * Ask the user to log in when the API rejected a request as unauthenticated
+ * @param {Error} error - Error thrown by the API module
+ * @returns {boolean} True when the error was a 401 and has been handled
+ */
+const handleUnauthorized = (error) => {
+  if (error.status !== 401) return false;
+  
+  state.currentUser = null;
+  UI.setCurrentUser(null);
+  connectLiveUpdates();
+  loadTeams();
+  loadCollections();
+  UI.openAuthModal('login');
+  UI.showNotification('Please log in to continue', 'warning');
+  return true;
+};
+
+/**
+ * Log in or register with the values from the login modal
+ */
+const handleAuthSubmit = async () => {
+  const { mode, username, password } = UI.getAuthFormData();
+  
+  if (!username || !password) {
+    UI.showNotification('Username and password are required', 'warning');
+    return;
+  }
+  
+  try {
+    const user = mode === 'register'
+      ? await API.register({ username, password })
+      : await API.login({ username, password });
+    
+    state.currentUser = user;
+    UI.setCurrentUser(user);
+    UI.closeAuthModal();
+    connectLiveUpdates();
+    await loadTeams();
+    await loadCollections();
+    await loadPinnedSnippets();
+    await loadSnippets();
+    
+    UI.showNotification(`Welcome, ${user.username}!`, 'success');
+  } catch (error) {
+    console.error('Failed to log in:', error);
+    UI.showNotification(error.details ? Object.values(error.details).join(', ') : error.message, 'danger');
+  }
+};
+
+/**
+ * Log out and re-render the grid without edit controls
+ */
+const handleLogout = async () => {
+  try {
+    await API.logout();
+    state.currentUser = null;
+    UI.setCurrentUser(null);
+    closeSnippetModal();
+    connectLiveUpdates();
+    await loadTeams();
+    await loadCollections();
+    await loadPinnedSnippets();
+    await loadSnippets();
+    
+    UI.showNotification('Logged out', 'info');
+  } catch (error) {
+    console.error('Failed to log out:', error);
+    UI.showNotification('Failed to log out', 'danger');
+  }
+};
+
+/**
+ * Download the library in the format picked in the import/export modal
+ */
+const handleExport = () => {
+  const format = document.getElementById('exportFormat').value;
+  const filtered = document.getElementById('exportFiltered').checked;
+  
+  const link = document.createElement('a');
+  link.href = API.getExportUrl(format, filtered ? state.searchQuery : '');
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Download the files of a snippet as a zip archive
+ * @param {number} snippetId - Snippet ID
+ */
+const handleDownloadBundle = (snippetId) => {
+  const link = document.createElement('a');
+  link.href = API.getSnippetZipUrl(snippetId);
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Import the picked files, or only preview the plan on a dry run
+ * @param {boolean} dryRun - Whether to only show what would happen
+ */
+const handleImport = async (dryRun) => {
+  const fileInput = document.getElementById('importFile');
+  const folderInput = document.getElementById('importFolder');
+  const files = folderInput.files.length > 0 ? folderInput.files : fileInput.files;
+  
+  if (files.length === 0) {
+    UI.showNotification('Pick a file or folder to import', 'warning');
+    return;
+  }
+  
+  try {
+    const { format, data } = await readImportFiles(files);
+    const duplicates = document.getElementById('importDuplicates').value;
+    const result = await API.importSnippets({ format, data, duplicates, dryRun });
+    
+    UI.renderImportPlan(result);
+    
+    if (!dryRun) {
+      await loadSnippets();
+      await loadTags();
+      await loadCollections();
+      UI.showNotification('Import finished', 'success');
+    }
+  } catch (error) {
+    console.error('Failed to import:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(`Import failed: ${error.details ? Object.values(error.details).join(', ') : error.message}`, 'danger');
+  }
+};
+
 /**
  * Load supported programming languages from API
  */
 const loadLanguages = async () => {
   try {
     const languages = await API.getLanguages();
+    state.languages = languages;
     UI.populateLanguageDropdown(languages);
   } catch (error) {
     console.error('Failed to load languages:', error);
@@ -53,38 +547,200 @@ const loadLanguages = async () => {
 };
 
 /**
- * Load all snippets from API
- * @param {string} searchQuery - Optional search term
+ * Load tags with snippet counts for the sidebar
+ * Tag and language names also feed lang: and tag: search autocomplete
  */
-const loadSnippets = async (searchQuery = '') => {
+const loadTags = async () => {
+  try {
+    state.tags = await API.getTags();
+    UI.renderTagSidebar(state.tags, state.activeTag);
+    searchBar.setSuggestionSources({
+      languages: state.languages.map(language => language.id),
+      tags: state.tags.map(tag => tag.name)
+    });
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+  }
+};
+
+/**
+ * Filter snippets by a tag from the sidebar; clicking the active tag clears it
+ * @param {string} tagName - Tag to filter by
+ */
+const handleFilterByTag = (tagName) => {
+  if (state.activeTag === tagName) {
+    searchBar.setValue('');
+    return;
+  }
+  
+  // Quote names with spaces so the search query parser keeps them whole
+  const value = /\s/.test(tagName) ? `"${tagName}"` : tagName;
+  searchBar.setValue(`tag:${value}`);
+};
+
+/**
+ * Highlight the sidebar tag when the search is exactly one tag filter
+ * @param {string} searchQuery - Current search query
+ */
+const syncActiveTag = (searchQuery) => {
+  const match = /^tag:(?:"([^"]+)"|(\S+))$/.exec(searchQuery);
+  const activeTag = match ? (match[1] || match[2]) : null;
+  
+  if (activeTag !== state.activeTag) {
+    state.activeTag = activeTag;
+    UI.renderTagSidebar(state.tags, activeTag);
+  }
+};
+
+/**
+ * Load the first page of snippets from API
+ * Later pages are fetched by loadMoreSnippets as the user scrolls
+ * @param {string} searchQuery - Optional search term (defaults to the current search)
+ */
+const loadSnippets = async (searchQuery = state.searchQuery) => {
   try {
     UI.showLoading();
     
-    const snippets = await API.getSnippets(searchQuery);
-    state.snippets = snippets;
+    state.searchQuery = searchQuery;
+    syncActiveTag(searchQuery);
+    const filters = getFilterOptions();
+    const page = await API.getSnippets(searchQuery, { limit: PAGE_SIZE, ...filters });
+    
+    // Ignore responses for searches or filters that were replaced while loading
+    const current = getFilterOptions();
+    const isStale = searchQuery !== state.searchQuery ||
+      Object.keys(filters).some(key => filters[key] !== current[key]);
+    if (isStale) return;
     
-    UI.renderSnippets(snippets);
+    state.snippets = page.snippets;
+    state.nextCursor = page.nextCursor;
+    state.total = page.total;
     
-    console.log(`Loaded ${snippets.length} snippets`);
+    UI.renderSnippets(page.snippets);
+    updateOfflineState(page.offline);
+    
+    console.log(`Loaded ${page.snippets.length} of ${page.total} snippets`);
   } catch (error) {
     console.error('Failed to load snippets:', error);
+    
+    // Malformed search queries come back with a message naming the bad token
+    if (searchQuery && error.status === 400) {
+      UI.renderSnippets([]);
+      UI.showNotification(error.message, 'warning');
+      return;
+    }
+    
     UI.showNotification('Failed to load snippets', 'danger');
   }
 };
 
 /**
- * Handle snippet creation
+ * Append the next page of snippets, if there is one
+ */
+const loadMoreSnippets = async () => {
+  if (!state.nextCursor || state.isLoadingMore) return;
+  
+  const { searchQuery, nextCursor } = state;
+  state.isLoadingMore = true;
+  UI.setLoadingMore(true);
+  
+  try {
+    const page = await API.getSnippets(searchQuery, {
+      limit: PAGE_SIZE,
+      cursor: nextCursor,
+      ...getFilterOptions()
+    });
+    
+    // Drop the page if a new search started meanwhile
+    if (searchQuery !== state.searchQuery || nextCursor !== state.nextCursor) return;
+    
+    state.snippets = [...state.snippets, ...page.snippets];
+    state.nextCursor = page.nextCursor;
+    state.total = page.total;
+    
+    UI.appendSnippets(page.snippets);
+  } catch (error) {
+    console.error('Failed to load more snippets:', error);
+    UI.showNotification('Failed to load more snippets', 'danger');
+  } finally {
+    state.isLoadingMore = false;
+    UI.setLoadingMore(false);
+  }
+};
+
+/**
+ * Load the next page whenever the end of the grid scrolls into view
  */
-const handleCreateSnippet = async () => {
+const setupInfiniteScroll = () => {
+  const sentinel = document.getElementById('loadMoreSentinel');
+  
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadMoreSnippets();
+    }
+  }, { rootMargin: '400px' });
+  
+  observer.observe(sentinel);
+};
+
+/**
+ * Preview the detected language while the form is set to auto-detect
+ * Debounced so typing in the code box sends one request per pause
+ */
+const handleDetectLanguage = debounce(async () => {
+  const language = document.getElementById('snippetLanguage').value;
+  const code = document.getElementById('snippetCode').value.trim();
+  const title = document.getElementById('snippetTitle').value.trim();
+  
+  if (language !== 'auto' || !code) {
+    UI.showDetectedLanguage(null);
+    return;
+  }
+  
+  try {
+    const detection = await API.detectLanguage(code, title);
+    
+    // Ignore answers that arrive after the user picked a language
+    if (document.getElementById('snippetLanguage').value === 'auto') {
+      UI.showDetectedLanguage(detection);
+    }
+  } catch (error) {
+    console.error('Failed to detect language:', error);
+    UI.showDetectedLanguage(null);
+  }
+}, 500);
+
+/**
+ * Handle snippet creation or update
+ * Updates the snippet being edited, otherwise creates a new one
+ */
+const handleSaveSnippet = async () => {
+  const isEditing = state.editingSnippetId !== null;
+  
   try {
     // Get form data
     const title = document.getElementById('snippetTitle').value.trim();
     const code = document.getElementById('snippetCode').value.trim();
     const language = document.getElementById('snippetLanguage').value;
     const tags = UI.getTagsFromContainer();
+    const visibility = document.getElementById('snippetVisibility').value;
+    const teamId = document.getElementById('snippetTeam').value;
+    const collectionId = document.getElementById('snippetCollection').value;
+    const files = UI.getFilesFromForm();
     
-    // Create snippet data object
-    const snippetData = { title, code, language, tags };
+    // Create snippet data object; multi-file snippets send their files instead of code
+    const snippetData = {
+      title,
+      ...(files ? { files } : { code, language }),
+      tags,
+      visibility,
+      team_id: visibility === 'team' ? Number(teamId) : null
+    };
+    
+    // Logged out users have no collections to pick from
+    if (state.currentUser) {
+      snippetData.collection_id = collectionId ? Number(collectionId) : null;
+    }
     
     // Validate data
     const validation = validateSnippetData(snippetData);
@@ -93,47 +749,501 @@ const handleCreateSnippet = async () => {
       return;
     }
     
-    // Create snippet via API
-    await API.createSnippet(snippetData);
+    // Save snippet via API; new snippets are queued when the server is unreachable
+    const saved = isEditing
+      ? await API.updateSnippet(state.editingSnippetId, snippetData)
+      : await API.createSnippet(snippetData);
     
-    // Close modal and reload snippets
-    UI.closeModal();
+    // Close modal and reload snippets and tag counts
+    closeSnippetModal();
     await loadSnippets();
+    await loadTags();
+    await loadCollections();
+    await loadPinnedSnippets();
     
-    UI.showNotification('Snippet created successfully!', 'success');
+    if (saved.pending) {
+      UI.showNotification('Saved on this device; it will be sent once the server is back', 'warning');
+      return;
+    }
+
+    UI.showNotification(
+      isEditing ? 'Snippet updated successfully!' : 'Snippet created successfully!',
+      'success'
+    );
   } catch (error) {
-    console.error('Failed to create snippet:', error);
-    UI.showNotification('Failed to create snippet', 'danger');
+    console.error('Failed to save snippet:', error);
+    if (handleUnauthorized(error)) return;
+    
+    // The API lists every invalid field
+    if (error.status === 422 && error.details) {
+      UI.showNotification(Object.values(error.details).join(', '), 'warning');
+      return;
+    }
+    
+    UI.showNotification(
+      isEditing ? 'Failed to update snippet' : 'Failed to create snippet',
+      'danger'
+    );
   }
 };
 
+/**
+ * Open the modal in edit mode for an existing snippet
+ * @param {number} snippetId - ID of snippet to edit
+ */
+const handleEditSnippet = (snippetId) => {
+  const snippet = state.snippets.find(s => String(s.id) === String(snippetId));
+  if (!snippet) return;
+  
+  state.editingSnippetId = snippet.id;
+  UI.openModal(snippet);
+};
+
+/**
+ * Close the modal and leave edit mode
+ */
+const closeSnippetModal = () => {
+  state.editingSnippetId = null;
+  UI.closeModal();
+};
+
+/**
+ * Reload everything a deleted or restored snippet shows up in
+ */
+const reloadLibrary = async () => {
+  await loadPinnedSnippets();
+  await loadSnippets();
+  await loadTags();
+  await loadCollections();
+};
+
 /**
  * Handle snippet deletion
+ * Snippets go to the trash, so there is no confirmation; the notification
+ * offers an Undo instead.
  * @param {number} snippetId - ID of snippet to delete
  */
 const handleDeleteSnippet = async (snippetId) => {
-  // Confirm deletion
-  const confirmed = confirm('Are you sure you want to delete this snippet?');
+  try {
+    const result = await API.deleteSnippet(snippetId);
+    await reloadLibrary();
+    
+    if (result.queued) {
+      UI.showNotification('Snippet will be deleted once the server is back', 'warning');
+    } else if (Number(snippetId) < 0) {
+      // Never sent to the server, so there is nothing to restore
+      UI.showNotification('Snippet deleted successfully', 'success');
+    } else {
+      UI.showNotification('Snippet moved to the trash', 'success', {
+        label: 'Undo',
+        onClick: () => handleRestoreFromTrash(snippetId)
+      });
+    }
+  } catch (error) {
+    console.error('Failed to delete snippet:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to delete snippet', 'danger');
+  }
+};
+
+// Fields of the bulk toolbar each operation sends, and what to say when it is empty
+const BULK_FIELDS = {
+  add_tags: { field: 'tags', missing: 'Enter the tags to add' },
+  remove_tags: { field: 'tags', missing: 'Enter the tags to remove' },
+  set_language: { field: 'language', missing: 'Pick a language first' }
+};
+
+/**
+ * Turn the grid's multi-select mode on or off
+ */
+const handleToggleSelectMode = () => {
+  UI.setSelectMode(!UI.isSelectMode());
+};
+
+/**
+ * Apply a bulk toolbar action to the selected snippets
+ * Deletes go to the trash and can be undone from the notification.
+ * @param {string} operation - 'delete', 'add_tags', 'remove_tags',
+ *   'set_language' or 'move'
+ */
+const handleBulkAction = async (operation) => {
+  const ids = UI.getSelectedSnippetIds();
+  if (ids.length === 0) return;
+  
+  if (state.offline) {
+    UI.showNotification('Bulk changes need a connection to the server', 'warning');
+    return;
+  }
+  
+  const form = UI.getBulkFormData();
+  const fields = {};
+  
+  if (operation === 'move') {
+    fields.collection_id = form.collectionId;
+  } else if (BULK_FIELDS[operation]) {
+    const { field, missing } = BULK_FIELDS[operation];
+    if (form[field].length === 0) {
+      UI.showNotification(missing, 'warning');
+      return;
+    }
+    fields[field] = form[field];
+  }
+  
+  try {
+    const result = await API.bulkUpdateSnippets(ids, operation, fields);
+    UI.clearSelection();
+    await reloadLibrary();
+    
+    const changed = result.data.filter(item => item.changed).map(item => item.id);
+    const summary = `${result.succeeded} of ${result.data.length} snippet${result.data.length === 1 ? '' : 's'} ` +
+      (operation === 'delete' ? 'moved to the trash' : 'updated');
+    
+    if (result.failed > 0) {
+      const firstFailure = result.data.find(item => !item.success);
+      UI.showNotification(`${summary}. Skipped ${result.failed}: ${firstFailure.message}`, 'warning');
+    } else if (operation === 'delete' && changed.length > 0) {
+      UI.showNotification(summary, 'success', {
+        label: 'Undo',
+        onClick: () => handleUndoBulkDelete(changed)
+      });
+    } else {
+      UI.showNotification(summary, 'success');
+    }
+  } catch (error) {
+    console.error(`Failed to apply ${operation} to snippets:`, error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification(error.details ? Object.values(error.details).join(', ') : error.message, 'danger');
+  }
+};
+
+/**
+ * Take the snippets of a bulk delete back out of the trash
+ * @param {Array<number>} snippetIds - IDs of the trashed snippets
+ */
+const handleUndoBulkDelete = async (snippetIds) => {
+  try {
+    for (const snippetId of snippetIds) {
+      await API.restoreSnippet(snippetId);
+    }
+    await reloadLibrary();
+    UI.showNotification(`Restored ${snippetIds.length} snippet${snippetIds.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Failed to restore snippets:', error);
+    if (handleUnauthorized(error)) return;
+    await reloadLibrary();
+    UI.showNotification('Failed to restore some snippets; see the trash', 'danger');
+  }
+};
+
+/**
+ * Load and show the trash
+ */
+const loadTrash = async () => {
+  try {
+    const trash = await API.getTrash();
+    UI.renderTrash(trash.data, trash.retention_days);
+  } catch (error) {
+    console.error('Failed to load trash:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to load the trash', 'danger');
+  }
+};
+
+/**
+ * Open the trash modal with the current trash
+ */
+const handleOpenTrash = async () => {
+  UI.openTrashModal();
+  await loadTrash();
+};
+
+/**
+ * Take a snippet back out of the trash, from Undo or the trash modal
+ * @param {number} snippetId - ID of the trashed snippet
+ */
+const handleRestoreFromTrash = async (snippetId) => {
+  try {
+    const snippet = await API.restoreSnippet(snippetId);
+    await reloadLibrary();
+    
+    if (document.getElementById('trashModal').classList.contains('is-active')) {
+      await loadTrash();
+    }
+    UI.showNotification(`Restored "${snippet.title}"`, 'success');
+  } catch (error) {
+    console.error('Failed to restore snippet:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to restore snippet', 'danger');
+  }
+};
+
+/**
+ * Permanently delete one trashed snippet after confirming
+ * @param {number} snippetId - ID of the trashed snippet
+ */
+const handlePurgeSnippet = async (snippetId) => {
+  const confirmed = confirm('Delete this snippet forever? This cannot be undone.');
+  if (!confirmed) return;
+  
+  try {
+    await API.purgeSnippet(snippetId);
+    await loadTrash();
+    UI.showNotification('Snippet deleted permanently', 'success');
+  } catch (error) {
+    console.error('Failed to delete snippet permanently:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to delete snippet', 'danger');
+  }
+};
+
+/**
+ * Permanently delete everything in the trash after confirming
+ */
+const handleEmptyTrash = async () => {
+  const confirmed = confirm('Delete every snippet in the trash forever? This cannot be undone.');
   if (!confirmed) return;
   
   try {
-    await API.deleteSnippet(snippetId);
+    const result = await API.emptyTrash();
+    await loadTrash();
+    UI.showNotification(result.message, 'success');
+  } catch (error) {
+    console.error('Failed to empty trash:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to empty the trash', 'danger');
+  }
+};
+
+/**
+ * Load and show the version history of a snippet
+ * @param {number} snippetId - ID of the snippet
+ */
+const handleShowHistory = async (snippetId) => {
+  try {
+    const versions = await API.getSnippetVersions(snippetId);
+    const snippet = state.snippets.find(s => String(s.id) === String(snippetId));
+    UI.renderHistoryPanel(snippetId, versions, Boolean(snippet) && UI.isOwnSnippet(snippet));
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    UI.showNotification('Failed to load snippet history', 'danger');
+  }
+};
+
+/**
+ * Show what changed in a version compared to the one before it
+ * @param {number} snippetId - ID of the snippet
+ * @param {number} version - Version number
+ */
+const handleShowVersionDiff = async (snippetId, version) => {
+  try {
+    const diffData = await API.getVersionDiff(snippetId, version);
+    UI.renderVersionDiff(snippetId, diffData);
+  } catch (error) {
+    console.error('Failed to load diff:', error);
+    UI.showNotification('Failed to load diff', 'danger');
+  }
+};
+
+/**
+ * Restore a snippet to an earlier version
+ * @param {number} snippetId - ID of the snippet
+ * @param {number} version - Version number to restore
+ */
+const handleRestoreVersion = async (snippetId, version) => {
+  const confirmed = confirm(`Restore this snippet to version ${version}?`);
+  if (!confirmed) return;
+  
+  try {
+    await API.restoreSnippetVersion(snippetId, version);
     await loadSnippets();
     
-    UI.showNotification('Snippet deleted successfully', 'success');
+    UI.showNotification(`Snippet restored to version ${version}`, 'success');
   } catch (error) {
-    console.error('Failed to delete snippet:', error);
-    UI.showNotification('Failed to delete snippet', 'danger');
+    console.error('Failed to restore version:', error);
+    if (handleUnauthorized(error)) return;
+    UI.showNotification('Failed to restore version', 'danger');
   }
 };
 
 /**
- * Handle search input with debouncing
- * Delays API call until user stops typing
+ * Check whether a snippet created elsewhere belongs at the top of the grid
+ * Only the newest-first listing without a search can take it without a
+ * refetch; other views pick it up the next time they load.
+ * @param {Object} snippet - The new snippet
+ * @returns {boolean} True when the current view lists it first
  */
-const handleSearch = debounce((searchQuery) => {
-  loadSnippets(searchQuery);
-}, 500);
+const showsNewSnippet = (snippet) => {
+  if (state.searchQuery || state.sort) return false;
+
+  if (state.workspace === 'personal') {
+    if (!state.currentUser || snippet.owner_id !== state.currentUser.id) return false;
+  } else if (state.workspace !== 'all') {
+    if (snippet.visibility !== 'team' || String(snippet.team_id) !== state.workspace) return false;
+  }
+
+  if (state.collection === 'none') return snippet.collection_id === null;
+  if (state.collection) return String(snippet.collection_id) === String(state.collection);
+  return true;
+};
+
+/**
+ * Swap in the new version of a snippet, keeping the caller's pin
+ * @param {Array} snippets - Snippets held in state
+ * @param {Object} snippet - Updated snippet
+ * @returns {Array} The list with the snippet replaced
+ */
+const replaceSnippet = (snippets, snippet) => {
+  return snippets.map(entry => (
+    String(entry.id) === String(snippet.id) ? { ...snippet, pinned: entry.pinned } : entry
+  ));
+};
+
+/**
+ * Reload tag counts once a burst of live changes has settled
+ */
+const refreshTagCounts = debounce(() => loadTags(), 1000);
+
+/**
+ * Show a snippet created in another tab or by another user
+ * Snippets saved in this tab are already listed by the reload after saving.
+ * @param {Object} snippet - The new snippet
+ */
+const handleRemoteCreated = (snippet) => {
+  refreshTagCounts();
+
+  const isListed = state.snippets.some(entry => String(entry.id) === String(snippet.id));
+  if (isListed || !showsNewSnippet(snippet)) return;
+
+  state.snippets = [snippet, ...state.snippets];
+  state.total += 1;
+  UI.prependSnippet(snippet);
+};
+
+/**
+ * Redraw a snippet changed in another tab or by another user
+ * @param {Object} snippet - The updated snippet
+ */
+const handleRemoteUpdated = (snippet) => {
+  refreshTagCounts();
+
+  if (state.snippets.some(entry => String(entry.id) === String(snippet.id))) {
+    state.snippets = replaceSnippet(state.snippets, snippet);
+    UI.replaceSnippetCard(state.snippets.find(entry => String(entry.id) === String(snippet.id)));
+  }
+
+  if (state.pinned.some(entry => String(entry.id) === String(snippet.id))) {
+    state.pinned = replaceSnippet(state.pinned, snippet);
+    UI.renderPinnedSnippets(state.pinned);
+  }
+};
+
+/**
+ * Remove a snippet deleted, or hidden from this user, elsewhere
+ * @param {number} snippetId - ID of the snippet
+ */
+const handleRemoteDeleted = (snippetId) => {
+  refreshTagCounts();
+
+  const isOther = entry => String(entry.id) !== String(snippetId);
+
+  if (!state.snippets.every(isOther)) {
+    state.snippets = state.snippets.filter(isOther);
+    state.total -= 1;
+    UI.removeSnippetCard(snippetId);
+  }
+
+  if (!state.pinned.every(isOther)) {
+    state.pinned = state.pinned.filter(isOther);
+    UI.renderPinnedSnippets(state.pinned);
+  }
+
+  if (String(state.editingSnippetId) === String(snippetId)) {
+    closeSnippetModal();
+    UI.showNotification('The snippet you were editing was deleted', 'warning');
+  }
+};
+
+/**
+ * Open the stream of snippet changes for the current user
+ * After a dropped connection everything is reloaded, since changes made
+ * meanwhile were missed.
+ */
+const connectLiveUpdates = () => {
+  if (changeStream) changeStream.close();
+
+  changeStream = API.subscribeToChanges({
+    created: handleRemoteCreated,
+    updated: handleRemoteUpdated,
+    deleted: handleRemoteDeleted,
+    onReconnect: handleBackOnline
+  });
+};
+
+/**
+ * Register the service worker that caches the app for offline use
+ */
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.error('Failed to register service worker:', error);
+  });
+};
+
+/**
+ * Show whether the grid comes from the offline copy, with the number of queued changes
+ * @param {boolean} isOffline - Whether the server is unreachable
+ */
+const updateOfflineState = async (isOffline) => {
+  state.offline = isOffline;
+
+  let queued = 0;
+  try {
+    queued = await API.countQueuedChanges();
+  } catch (error) {
+    console.error('Failed to read offline changes:', error);
+  }
+
+  UI.setOfflineState(isOffline, queued);
+};
+
+/**
+ * Send changes queued while offline, then refresh the offline copy
+ * Conflicts, such as a snippet that changed on the server after it was
+ * deleted offline, are reported one notification each.
+ * @returns {Promise<boolean>} True when any queued change was handled
+ */
+const syncOfflineChanges = async () => {
+  try {
+    const result = await API.replayOutbox();
+
+    result.conflicts.forEach(message => UI.showNotification(message, 'warning'));
+    if (result.sent > 0) {
+      UI.showNotification(`Sent ${result.sent} change${result.sent === 1 ? '' : 's'} made offline`, 'success');
+    }
+
+    // Still unreachable (or logged out); the rest waits for the next try
+    if (result.pending > 0) {
+      return result.sent + result.conflicts.length > 0;
+    }
+
+    await API.syncOfflineLibrary();
+    return result.sent + result.conflicts.length > 0;
+  } catch (error) {
+    console.error('Failed to sync offline changes:', error);
+    return false;
+  }
+};
+
+/**
+ * Catch up once the server is reachable again
+ */
+const handleBackOnline = async () => {
+  await syncOfflineChanges();
+  await loadPinnedSnippets();
+  await loadSnippets();
+  await loadTags();
+};
 
 /**
  * Set up all event listeners
@@ -145,14 +1255,108 @@ const setupEventListeners = () => {
   const cancelBtn = document.getElementById('cancelBtn');
   const saveSnippetBtn = document.getElementById('saveSnippetBtn');
   
-  addSnippetBtn.addEventListener('click', UI.openModal);
-  closeModalBtn.addEventListener('click', UI.closeModal);
-  cancelBtn.addEventListener('click', UI.closeModal);
-  saveSnippetBtn.addEventListener('click', handleCreateSnippet);
+  addSnippetBtn.addEventListener('click', () => UI.openModal());
+  closeModalBtn.addEventListener('click', closeSnippetModal);
+  cancelBtn.addEventListener('click', closeSnippetModal);
+  saveSnippetBtn.addEventListener('click', handleSaveSnippet);
   
   // Close modal when clicking background
-  const modalBackground = document.querySelector('.modal-background');
-  modalBackground.addEventListener('click', UI.closeModal);
+  const modalBackground = document.querySelector('#snippetModal .modal-background');
+  modalBackground.addEventListener('click', closeSnippetModal);
+  
+  // Visibility selection shows the team dropdown for team snippets
+  document.getElementById('snippetVisibility').addEventListener('change', UI.toggleTeamField);
+  
+  // Auto-detected language hint under the language dropdown
+  document.getElementById('snippetCode').addEventListener('input', handleDetectLanguage);
+  document.getElementById('snippetTitle').addEventListener('input', handleDetectLanguage);
+  document.getElementById('snippetLanguage').addEventListener('change', handleDetectLanguage);
+  
+  // Extra files make a multi-file snippet
+  document.getElementById('addFileBtn').addEventListener('click', () => UI.addFileToForm());
+  
+  // Searching the language dropdown narrows it to matching languages
+  document.getElementById('languageFilter').addEventListener('input', (e) => {
+    UI.filterLanguageDropdown(e.target.value);
+    handleDetectLanguage();
+  });
+  
+  // Workspace switcher next to the search bar
+  document.getElementById('workspaceSelect').addEventListener('change', (e) => {
+    handleWorkspaceChange(e.target.value);
+  });
+  
+  // Sort order next to the search bar
+  document.getElementById('sortSelect').addEventListener('change', (e) => {
+    state.sort = e.target.value;
+    loadSnippets();
+  });
+  
+  // Collection sidebar
+  document.getElementById('addCollectionBtn').addEventListener('click', () => handleCreateCollection());
+  document.getElementById('includeSubcollections').addEventListener('change', (e) => {
+    state.includeSubcollections = e.target.checked;
+    if (state.collection && state.collection !== 'none') loadSnippets();
+  });
+  
+  // Placeholder form shown when copying a templated snippet
+  document.getElementById('closePlaceholderModal').addEventListener('click', UI.closePlaceholderModal);
+  document.getElementById('placeholderCancelBtn').addEventListener('click', UI.closePlaceholderModal);
+  document.querySelector('#placeholderModal .modal-background').addEventListener('click', UI.closePlaceholderModal);
+  document.getElementById('placeholderForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleCopyRendered();
+  });
+  
+  // Import / export modal
+  document.getElementById('libraryBtn').addEventListener('click', UI.openLibraryModal);
+  document.getElementById('closeLibraryModal').addEventListener('click', UI.closeLibraryModal);
+  document.getElementById('libraryCancelBtn').addEventListener('click', UI.closeLibraryModal);
+  document.querySelector('#libraryModal .modal-background').addEventListener('click', UI.closeLibraryModal);
+  document.getElementById('exportBtn').addEventListener('click', handleExport);
+  document.getElementById('previewImportBtn').addEventListener('click', () => handleImport(true));
+  document.getElementById('runImportBtn').addEventListener('click', () => handleImport(false));
+  
+  // Multi-select mode and the bulk toolbar
+  document.getElementById('selectModeBtn').addEventListener('click', handleToggleSelectMode);
+  document.getElementById('bulkDoneBtn').addEventListener('click', () => UI.setSelectMode(false));
+  document.getElementById('bulkSelectAllBtn').addEventListener('click', UI.selectAllSnippets);
+  document.getElementById('bulkClearBtn').addEventListener('click', UI.clearSelection);
+  document.getElementById('bulkDeleteBtn').addEventListener('click', () => handleBulkAction('delete'));
+  document.getElementById('bulkAddTagsBtn').addEventListener('click', () => handleBulkAction('add_tags'));
+  document.getElementById('bulkRemoveTagsBtn').addEventListener('click', () => handleBulkAction('remove_tags'));
+  document.getElementById('bulkLanguageBtn').addEventListener('click', () => handleBulkAction('set_language'));
+  document.getElementById('bulkMoveBtn').addEventListener('click', () => handleBulkAction('move'));
+  
+  // Trash modal
+  document.getElementById('trashBtn').addEventListener('click', handleOpenTrash);
+  document.getElementById('closeTrashModal').addEventListener('click', UI.closeTrashModal);
+  document.getElementById('trashCancelBtn').addEventListener('click', UI.closeTrashModal);
+  document.querySelector('#trashModal .modal-background').addEventListener('click', UI.closeTrashModal);
+  document.getElementById('emptyTrashBtn').addEventListener('click', handleEmptyTrash);
+  document.addEventListener('restoreFromTrash', (e) => {
+    handleRestoreFromTrash(e.detail.id);
+  });
+  document.addEventListener('purgeSnippet', (e) => {
+    handlePurgeSnippet(e.detail.id);
+  });
+  
+  // Login modal and navbar account controls
+  document.getElementById('loginBtn').addEventListener('click', () => UI.openAuthModal('login'));
+  document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+  document.getElementById('closeAuthModal').addEventListener('click', UI.closeAuthModal);
+  document.getElementById('authCancelBtn').addEventListener('click', UI.closeAuthModal);
+  document.querySelector('#authModal .modal-background').addEventListener('click', UI.closeAuthModal);
+  
+  document.getElementById('authSwitchLink').addEventListener('click', () => {
+    const { mode } = UI.getAuthFormData();
+    UI.openAuthModal(mode === 'register' ? 'login' : 'register');
+  });
+  
+  document.getElementById('authForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleAuthSubmit();
+  });
   
   // Tag management
   const addTagBtn = document.getElementById('addTagBtn');
@@ -178,10 +1382,75 @@ const setupEventListeners = () => {
     }
   });
   
-  // Search functionality
-  const searchInput = document.getElementById('searchInput');
-  searchInput.addEventListener('input', (e) => {
-    handleSearch(e.target.value);
+  // Search functionality with debouncing and filter autocomplete
+  searchBar = new SearchBar(loadSnippets, 500);
+  
+  // Load further pages while scrolling
+  setupInfiniteScroll();
+  
+  // Custom event listener for the tag sidebar
+  document.addEventListener('filterByTag', (e) => {
+    handleFilterByTag(e.detail.name);
+  });
+  
+  // Custom event listeners for the collection tree
+  document.addEventListener('selectCollection', (e) => {
+    handleSelectCollection(e.detail.id);
+  });
+  
+  document.addEventListener('createCollection', (e) => {
+    handleCreateCollection(e.detail.parentId);
+  });
+  
+  document.addEventListener('renameCollection', (e) => {
+    handleRenameCollection(e.detail.id, e.detail.name);
+  });
+  
+  document.addEventListener('deleteCollection', (e) => {
+    handleDeleteCollection(e.detail.id, e.detail.name);
+  });
+  
+  document.addEventListener('moveSnippet', (e) => {
+    handleMoveSnippet(e.detail.id, e.detail.collectionId);
+  });
+  
+  document.addEventListener('moveCollection', (e) => {
+    handleMoveCollection(e.detail.id, e.detail.parentId);
+  });
+  
+  // Custom event listeners for usage tracking and pins
+  document.addEventListener('snippetCopied', (e) => {
+    handleSnippetCopied(e.detail.id);
+  });
+  
+  document.addEventListener('fillPlaceholders', (e) => {
+    handleFillPlaceholders(e.detail.id);
+  });
+  
+  document.addEventListener('downloadBundle', (e) => {
+    handleDownloadBundle(e.detail.id);
+  });
+  
+  document.addEventListener('togglePin', (e) => {
+    handleTogglePin(e.detail.id, e.detail.pinned);
+  });
+  
+  // Custom event listener for snippet editing
+  document.addEventListener('editSnippet', (e) => {
+    handleEditSnippet(e.detail.id);
+  });
+  
+  // Custom event listeners for version history
+  document.addEventListener('showHistory', (e) => {
+    handleShowHistory(e.detail.id);
+  });
+  
+  document.addEventListener('showVersionDiff', (e) => {
+    handleShowVersionDiff(e.detail.id, e.detail.version);
+  });
+  
+  document.addEventListener('restoreVersion', (e) => {
+    handleRestoreVersion(e.detail.id, e.detail.version);
   });
   
   // Custom event listener for snippet deletion
@@ -189,19 +1458,35 @@ const setupEventListeners = () => {
     handleDeleteSnippet(e.detail.id);
   });
   
+  // Connection changes; the server may also be unreachable while the browser is online
+  window.addEventListener('online', handleBackOnline);
+  window.addEventListener('offline', () => updateOfflineState(true));
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     // Ctrl/Cmd + K to focus search
     if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
       e.preventDefault();
-      searchInput.focus();
+      searchBar.focus();
     }
     
-    // Escape to close modal
+    // Escape to close modals
     if (e.key === 'Escape') {
       const modal = document.getElementById('snippetModal');
       if (modal.classList.contains('is-active')) {
-        UI.closeModal();
+        closeSnippetModal();
+      }
+      
+      if (document.getElementById('authModal').classList.contains('is-active')) {
+        UI.closeAuthModal();
+      }
+      
+      if (document.getElementById('placeholderModal').classList.contains('is-active')) {
+        UI.closePlaceholderModal();
+      }
+      
+      if (document.getElementById('trashModal').classList.contains('is-active')) {
+        UI.closeTrashModal();
       }
     }
   });
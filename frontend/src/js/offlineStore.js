@@ -0,0 +1,184 @@
+/**
+ * Offline Store Module
+ * IndexedDB mirror of the snippets the user can see, and an outbox of
+ * changes made while the server was unreachable
+ */
+
+const DB_NAME = 'codesnippet-manager';
+const DB_VERSION = 1;
+
+// Object stores: snippets by ID, and queued changes in the order they were made
+const SNIPPETS_STORE = 'snippets';
+const OUTBOX_STORE = 'outbox';
+
+// Prefix of the localStorage keys holding small values needed to start offline
+const STORAGE_PREFIX = 'codesnippet-manager:';
+
+let databasePromise = null;
+
+/**
+ * Open the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SNIPPETS_STORE, { keyPath: 'id' });
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again, e.g. after the user allows storage
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run work in a transaction and wait for it to commit
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the store; may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+const withStore = async (storeName, mode, work) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Drop the search highlights that only apply to the search that returned a snippet
+ * @param {Object} snippet - Snippet from the API
+ * @returns {Object} Snippet to store
+ */
+const toStoredSnippet = ({ highlights, ...snippet }) => snippet;
+
+/**
+ * Store or refresh snippets in the mirror
+ * @param {Array} snippets - Snippets from the API
+ * @returns {Promise<void>}
+ */
+export const saveSnippets = (snippets) => {
+  return withStore(SNIPPETS_STORE, 'readwrite', (store) => {
+    snippets.forEach(snippet => store.put(toStoredSnippet(snippet)));
+  });
+};
+
+/**
+ * Replace the mirror with a full copy of the library
+ * Snippets created offline and not yet sent are kept.
+ * @param {Array} snippets - Every snippet the user can see
+ * @returns {Promise<void>}
+ */
+export const replaceSnippets = (snippets) => {
+  return withStore(SNIPPETS_STORE, 'readwrite', (store) => {
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) {
+        snippets.forEach(snippet => store.put(toStoredSnippet(snippet)));
+        return;
+      }
+
+      if (!cursor.value.pending) cursor.delete();
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * Get every mirrored snippet
+ * @returns {Promise<Array>} Stored snippets
+ */
+export const getSnippets = () => {
+  return withStore(SNIPPETS_STORE, 'readonly', store => store.getAll());
+};
+
+/**
+ * Get one mirrored snippet
+ * @param {number} snippetId - Snippet ID
+ * @returns {Promise<Object|undefined>} Stored snippet, if any
+ */
+export const getSnippet = (snippetId) => {
+  return withStore(SNIPPETS_STORE, 'readonly', store => store.get(Number(snippetId)));
+};
+
+/**
+ * Remove a snippet from the mirror
+ * @param {number} snippetId - Snippet ID
+ * @returns {Promise<void>}
+ */
+export const deleteSnippet = (snippetId) => {
+  return withStore(SNIPPETS_STORE, 'readwrite', (store) => {
+    store.delete(Number(snippetId));
+  });
+};
+
+/**
+ * Queue a change to send once the server is reachable
+ * @param {Object} change - { type: 'create', localId, snippet } or
+ *   { type: 'delete', snippetId, title, updatedAt }
+ * @returns {Promise<number>} Outbox entry ID
+ */
+export const addToOutbox = (change) => {
+  return withStore(OUTBOX_STORE, 'readwrite', store => store.add({ ...change, queuedAt: new Date().toISOString() }));
+};
+
+/**
+ * Get the queued changes, oldest first
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getOutbox = () => {
+  return withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+};
+
+/**
+ * Remove a change from the outbox once it has been handled
+ * @param {number} entryId - Outbox entry ID
+ * @returns {Promise<void>}
+ */
+export const removeFromOutbox = (entryId) => {
+  return withStore(OUTBOX_STORE, 'readwrite', (store) => {
+    store.delete(entryId);
+  });
+};
+
+/**
+ * Keep a small value, such as the logged in user, for offline starts
+ * @param {string} key - Name of the value
+ * @param {*} value - JSON-serializable value
+ */
+export const remember = (key, value) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to keep ${key} for offline use:`, error);
+  }
+};
+
+/**
+ * Get a value kept with remember()
+ * @param {string} key - Name of the value
+ * @returns {*} The value, or null when none was kept
+ */
+export const recall = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+  } catch (error) {
+    return null;
+  }
+};
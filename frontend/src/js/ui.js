@@ -3,7 +3,71 @@
  * Handles all DOM manipulation and user interface updates
  */
 
-import { copyToClipboard, formatDate } from './utils.js';
+import { copyToClipboard, formatDate, renderLanguageOptions } from './utils.js';
+
+/**
+ * Logged in user, used to show edit controls only on the user's own snippets
+ */
+let currentUser = null;
+
+// Icons shown on cards for each snippet visibility
+const VISIBILITY_ICONS = {
+  private: 'fa-lock',
+  team: 'fa-users',
+  public: 'fa-globe'
+};
+
+// Drag data types for snippet cards and collection folders
+const SNIPPET_DRAG_TYPE = 'application/x-snippet-id';
+const COLLECTION_DRAG_TYPE = 'application/x-collection-id';
+
+/**
+ * IDs of collections folded shut in the sidebar, kept across re-renders
+ */
+const collapsedCollections = new Set();
+
+/**
+ * Multi-select mode of the grid and the IDs of the checked snippets, kept
+ * across re-renders
+ */
+let selectMode = false;
+const selectedSnippets = new Set();
+
+/**
+ * Languages from GET /api/languages, used for display names, Prism grammars
+ * and the searchable language dropdown
+ */
+let languageList = [];
+const languageRegistry = new Map();
+
+/**
+ * Get the display name of a language
+ * @param {string} id - Language ID
+ * @returns {string} Registered name, or the upper-cased ID for unknown languages
+ */
+export const languageName = (id) => {
+  const language = languageRegistry.get(id);
+  return language ? language.name : id.toUpperCase();
+};
+
+/**
+ * Get the Prism grammar used to highlight a language
+ * @param {string} id - Language ID
+ * @returns {string} Prism grammar name
+ */
+const prismGrammar = (id) => {
+  const language = languageRegistry.get(id);
+  return language ? language.prism : id;
+};
+
+/**
+ * Check whether the logged in user owns a snippet
+ * @param {Object} snippet - Snippet data object
+ * @returns {boolean} True when the snippet may be changed
+ */
+export const isOwnSnippet = (snippet) => {
+  return currentUser !== null && snippet.owner_id === currentUser.id;
+};
 
 /**
  * Create HTML for a single snippet card
@@ -24,24 +88,65 @@ export const createSnippetCard = (snippet) => {
   ).join('');
 
   // Format the code for display with syntax highlighting
-  const languageClass = `language-${snippet.language}`;
+  const languageClass = `language-${prismGrammar(snippet.language)}`;
+
+  // Search results carry server-escaped fragments with <mark> around matches
+  const highlights = snippet.highlights || {};
+  const titleHtml = highlights.title || escapeHtml(snippet.title);
+  const excerptHtml = highlights.code
+    ? `<pre class="search-excerpt">${highlights.code}</pre>`
+    : '';
+  const canEdit = isOwnSnippet(snippet);
+  // Snippets created offline can only be copied or deleted until they are sent
+  const isSaved = !snippet.pending;
+  const isBundle = Array.isArray(snippet.files) && snippet.files.length > 0;
+  const visibility = snippet.visibility || 'public';
+  const visibilityLabel = visibility === 'team' && snippet.team
+    ? `Shared with ${snippet.team}`
+    : visibility.charAt(0).toUpperCase() + visibility.slice(1);
   
   return `
-    <div class="column is-one-third-desktop is-half-tablet">
-      <div class="snippet-card">
+    <div class="column is-one-third-desktop is-half-tablet" data-snippet-id="${snippet.id}">
+      <div class="snippet-card${selectedSnippets.has(snippet.id) ? ' is-selected' : ''}"${canEdit && isSaved ? ` draggable="true" data-id="${snippet.id}"` : ''}>
         <div class="snippet-header">
-          <h3 class="snippet-title">${escapeHtml(snippet.title)}</h3>
+          ${canEdit && isSaved ? `
+            <label class="checkbox snippet-select" title="Select for bulk changes">
+              <input type="checkbox" class="select-snippet" data-id="${snippet.id}"${selectedSnippets.has(snippet.id) ? ' checked' : ''}>
+            </label>
+          ` : ''}
+          <h3 class="snippet-title">${titleHtml}</h3>
           <div class="snippet-meta">
-            <span class="language-tag">${escapeHtml(snippet.language.toUpperCase())}</span>
+            <span class="language-tag">${escapeHtml(languageName(snippet.language))}</span>
             <span>•</span>
             <span>${formatDate(snippet.created_at)}</span>
+            <span class="icon is-small snippet-visibility" title="${escapeHtml(visibilityLabel)}">
+              <i class="fas ${VISIBILITY_ICONS[visibility]}"></i>
+            </span>
+            ${snippet.owner ? `
+              <span>•</span>
+              <span class="snippet-owner">${escapeHtml(snippet.owner)}</span>
+            ` : ''}
+            ${snippet.collection ? `
+              <span>•</span>
+              <span class="snippet-collection">
+                <i class="fas fa-folder"></i> ${escapeHtml(snippet.collection)}
+              </span>
+            ` : ''}
+            ${createCopyCount(snippet)}
+            ${isSaved ? '' : `
+              <span class="tag is-warning is-light" title="Saved on this device; sent once the server is back">Not synced</span>
+            `}
           </div>
         </div>
         
         <div class="snippet-body">
-          <div class="code-container">
-            <pre><code class="${languageClass}">${escapeHtml(snippet.code)}</code></pre>
-          </div>
+          ${excerptHtml}
+          
+          ${isBundle ? createFileTabs(snippet, escapeHtml) : `
+            <div class="code-container">
+              <pre><code class="${languageClass}">${escapeHtml(snippet.code)}</code></pre>
+            </div>
+          `}
           
           ${snippet.tags.length > 0 ? `
             <div class="snippet-tags">
@@ -50,26 +155,195 @@ export const createSnippetCard = (snippet) => {
           ` : ''}
           
           <div class="snippet-actions">
-            <button class="button is-success is-fullwidth copy-btn" data-code="${escapeHtml(snippet.code)}">
-              <span class="icon">
-                <i class="fas fa-copy"></i>
-              </span>
-              <span>Copy Code</span>
-            </button>
-            <button class="button is-danger delete-btn" data-id="${snippet.id}">
+            <button class="button is-success is-fullwidth copy-btn" data-id="${snippet.id}" data-code="${escapeHtml(snippet.code)}"
+                    data-templated="${isTemplated(snippet)}" data-first-templated="${isTemplated(snippet)}">
               <span class="icon">
-                <i class="fas fa-trash"></i>
+                <i class="fas ${isTemplated(snippet) ? 'fa-pen-to-square' : 'fa-copy'}"></i>
               </span>
+              <span>${isTemplated(snippet) ? 'Fill & Copy' : isBundle ? 'Copy File' : 'Copy Code'}</span>
             </button>
+            ${currentUser && isSaved ? createPinButton(snippet) : ''}
+            ${isBundle ? `
+              <button class="button is-light download-btn" data-id="${snippet.id}" title="Download bundle as zip">
+                <span class="icon">
+                  <i class="fas fa-file-zipper"></i>
+                </span>
+              </button>
+            ` : ''}
+            ${canEdit && isSaved ? `
+              <button class="button is-info edit-btn" data-id="${snippet.id}">
+                <span class="icon">
+                  <i class="fas fa-edit"></i>
+                </span>
+              </button>
+            ` : ''}
+            ${isSaved ? `
+              <button class="button is-light history-btn" data-id="${snippet.id}">
+                <span class="icon">
+                  <i class="fas fa-history"></i>
+                </span>
+              </button>
+            ` : ''}
+            ${canEdit ? `
+              <button class="button is-danger delete-btn" data-id="${snippet.id}">
+                <span class="icon">
+                  <i class="fas fa-trash"></i>
+                </span>
+              </button>
+            ` : ''}
           </div>
+          
+          <div class="history-panel is-hidden" id="history-${snippet.id}"></div>
+        </div>
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Create the file tabs and code panes of a multi-file snippet
+ * Only the first file is shown until another tab is picked.
+ * @param {Object} snippet - Snippet data object with files[]
+ * @param {Function} escapeHtml - Escapes text for HTML
+ * @returns {string} HTML string for the tabs and panes
+ */
+const createFileTabs = (snippet, escapeHtml) => {
+  const tabsHtml = snippet.files.map((file, index) => `
+    <li class="${index === 0 ? 'is-active' : ''}" data-index="${index}">
+      <a title="${escapeHtml(languageName(file.language))}">${escapeHtml(file.filename)}</a>
+    </li>
+  `).join('');
+  
+  const panesHtml = snippet.files.map((file, index) => `
+    <div class="code-container file-pane${index === 0 ? '' : ' is-hidden'}" data-index="${index}">
+      <pre><code class="language-${prismGrammar(file.language)}">${escapeHtml(file.content)}</code></pre>
+    </div>
+  `).join('');
+  
+  return `
+    <div class="tabs is-small file-tabs">
+      <ul>${tabsHtml}</ul>
+    </div>
+    ${panesHtml}
+  `;
+};
+
+/**
+ * Check whether a snippet has placeholders to fill in before copying
+ * @param {Object} snippet - Snippet data object
+ * @returns {boolean} True for templated snippets
+ */
+const isTemplated = (snippet) => Array.isArray(snippet.placeholders) && snippet.placeholders.length > 0;
+
+/**
+ * Create the copy counter shown in a snippet's meta line
+ * @param {Object} snippet - Snippet data object
+ * @returns {string} HTML string for the counter
+ */
+const createCopyCount = (snippet) => {
+  const count = snippet.copy_count || 0;
+  
+  return `
+    <span class="copy-count" data-id="${snippet.id}" title="Copied ${count} time${count === 1 ? '' : 's'}">
+      <i class="fas fa-clipboard"></i> <span class="copy-count-value">${count}</span>
+    </span>
+  `;
+};
+
+/**
+ * Create the button that pins or unpins a snippet
+ * @param {Object} snippet - Snippet data object
+ * @returns {string} HTML string for the button
+ */
+const createPinButton = (snippet) => {
+  return `
+    <button class="button is-light pin-btn${snippet.pinned ? ' is-pinned' : ''}" data-id="${snippet.id}"
+            data-pinned="${Boolean(snippet.pinned)}" title="${snippet.pinned ? 'Unpin' : 'Pin'}">
+      <span class="icon">
+        <i class="fas fa-thumbtack"></i>
+      </span>
+    </button>
+  `;
+};
+
+/**
+ * Create a compact card for the pinned section
+ * @param {Object} snippet - Snippet data object
+ * @returns {string} HTML string for the pinned card
+ */
+const createPinnedCard = (snippet) => {
+  const escapeHtml = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+  
+  return `
+    <div class="column is-one-quarter-desktop is-half-tablet">
+      <div class="pinned-card">
+        <div class="pinned-card-header">
+          <span class="pinned-title">${escapeHtml(snippet.title)}</span>
+          ${createPinButton(snippet)}
+        </div>
+        <div class="snippet-meta">
+          <span class="language-tag">${escapeHtml(languageName(snippet.language))}</span>
+          ${createCopyCount(snippet)}
         </div>
+        <button class="button is-success is-small is-fullwidth copy-btn" data-id="${snippet.id}" data-code="${escapeHtml(snippet.code)}"
+                data-templated="${isTemplated(snippet)}">
+          <span class="icon">
+            <i class="fas fa-copy"></i>
+          </span>
+          <span>Copy Code</span>
+        </button>
       </div>
     </div>
   `;
 };
 
 /**
- * Render snippets to the DOM
+ * Render the logged in user's pinned snippets above the grid
+ * The section is hidden when nothing is pinned.
+ * @param {Array} snippets - Pinned snippet objects
+ */
+export const renderPinnedSnippets = (snippets) => {
+  const section = document.getElementById('pinnedSection');
+  const container = document.getElementById('pinnedContainer');
+  
+  container.innerHTML = snippets.map(createPinnedCard).join('');
+  section.classList.toggle('is-hidden', snippets.length === 0);
+  
+  attachCopyListeners(container);
+  attachPinListeners(container);
+};
+
+/**
+ * Show a new copy count on every card of a snippet
+ * @param {number} snippetId - ID of the snippet
+ * @param {number} count - Number of copies
+ */
+export const updateCopyCount = (snippetId, count) => {
+  document.querySelectorAll(`.copy-count[data-id="${snippetId}"]`).forEach(counter => {
+    counter.querySelector('.copy-count-value').textContent = count;
+    counter.title = `Copied ${count} time${count === 1 ? '' : 's'}`;
+  });
+};
+
+/**
+ * Show whether a snippet is pinned on the pin buttons of its cards
+ * @param {number} snippetId - ID of the snippet
+ * @param {boolean} pinned - Whether the snippet is pinned
+ */
+export const setPinnedState = (snippetId, pinned) => {
+  document.querySelectorAll(`.pin-btn[data-id="${snippetId}"]`).forEach(button => {
+    button.dataset.pinned = String(pinned);
+    button.classList.toggle('is-pinned', pinned);
+    button.title = pinned ? 'Unpin' : 'Pin';
+  });
+};
+
+/**
+ * Render snippets to the DOM, replacing the current grid
  * @param {Array} snippets - Array of snippet objects
  */
 export const renderSnippets = (snippets) => {
@@ -79,40 +353,128 @@ export const renderSnippets = (snippets) => {
 
   // Hide loading indicator
   loadingIndicator.classList.add('is-hidden');
+  container.innerHTML = '';
 
   // Show/hide empty state
   if (snippets.length === 0) {
-    container.innerHTML = '';
     emptyState.classList.remove('is-hidden');
     return;
   }
 
   emptyState.classList.add('is-hidden');
+  appendSnippets(snippets);
+};
 
-  // Generate HTML for all snippets
-  const snippetsHtml = snippets.map(createSnippetCard).join('');
-  container.innerHTML = snippetsHtml;
+/**
+ * Build highlighted snippet cards with their listeners attached
+ * The cards are built outside the page, so cards already shown are untouched
+ * @param {Array} snippets - Array of snippet objects
+ * @returns {Array<Element>} Card columns ready to insert
+ */
+const buildSnippetCards = (snippets) => {
+  // Build the new cards outside the page first
+  const fragment = document.createElement('div');
+  fragment.innerHTML = snippets.map(createSnippetCard).join('');
 
-  // Apply syntax highlighting to all code blocks
+  // Apply syntax highlighting to the new code blocks
   if (window.Prism) {
-    Prism.highlightAll();
+    Prism.highlightAllUnder(fragment);
   }
 
   // Attach event listeners to copy buttons
-  attachCopyListeners();
+  attachCopyListeners(fragment);
+
+  // Attach event listeners to edit buttons
+  attachEditListeners(fragment);
+
+  // Attach event listeners to history buttons
+  attachHistoryListeners(fragment);
 
   // Attach event listeners to delete buttons
-  attachDeleteListeners();
+  attachDeleteListeners(fragment);
+
+  // Attach event listeners to pin buttons
+  attachPinListeners(fragment);
+
+  // Multi-file snippets switch files with tabs and download as a zip
+  attachFileTabListeners(fragment);
+  attachDownloadListeners(fragment);
+
+  // Own cards can be dragged onto collections in the sidebar
+  attachDragListeners(fragment);
+
+  // Own cards can be checked for bulk changes in select mode
+  attachSelectListeners(fragment);
+
+  return [...fragment.children];
+};
+
+/**
+ * Append snippet cards to the end of the grid
+ * @param {Array} snippets - Array of snippet objects
+ */
+export const appendSnippets = (snippets) => {
+  const container = document.getElementById('snippetsContainer');
+  container.append(...buildSnippetCards(snippets));
+};
+
+/**
+ * Add a card to the start of the grid for a snippet created elsewhere
+ * @param {Object} snippet - Snippet data object
+ */
+export const prependSnippet = (snippet) => {
+  const container = document.getElementById('snippetsContainer');
+  container.prepend(...buildSnippetCards([snippet]));
+  document.getElementById('emptyState').classList.add('is-hidden');
+};
+
+/**
+ * Redraw the card of a snippet changed elsewhere, in place
+ * @param {Object} snippet - Updated snippet data object
+ */
+export const replaceSnippetCard = (snippet) => {
+  const card = document.querySelector(`#snippetsContainer [data-snippet-id="${snippet.id}"]`);
+  if (card) card.replaceWith(...buildSnippetCards([snippet]));
+};
+
+/**
+ * Remove the card of a snippet deleted elsewhere
+ * @param {number} snippetId - ID of the snippet
+ */
+export const removeSnippetCard = (snippetId) => {
+  const container = document.getElementById('snippetsContainer');
+  const card = container.querySelector(`[data-snippet-id="${snippetId}"]`);
+  if (card) card.remove();
+
+  document.getElementById('emptyState').classList.toggle('is-hidden', container.children.length > 0);
+};
+
+/**
+ * Show or hide the "loading more" indicator below the grid
+ * @param {boolean} isLoading - Whether another page is being fetched
+ */
+export const setLoadingMore = (isLoading) => {
+  const indicator = document.getElementById('loadMoreIndicator');
+  indicator.classList.toggle('is-hidden', !isLoading);
 };
 
 /**
  * Attach event listeners to all copy buttons
+ * @param {ParentNode} root - Element containing the buttons
  */
-const attachCopyListeners = () => {
-  const copyButtons = document.querySelectorAll('.copy-btn');
+const attachCopyListeners = (root = document) => {
+  const copyButtons = root.querySelectorAll('.copy-btn');
   
   copyButtons.forEach(button => {
     button.addEventListener('click', async (e) => {
+      // Templated snippets are copied from the placeholder form instead
+      if (button.dataset.templated === 'true') {
+        document.dispatchEvent(new CustomEvent('fillPlaceholders', {
+          detail: { id: button.dataset.id }
+        }));
+        return;
+      }
+      
       const code = e.currentTarget.dataset.code;
       const success = await copyToClipboard(code);
       
@@ -131,109 +493,1189 @@ const attachCopyListeners = () => {
         setTimeout(() => {
           button.innerHTML = originalHtml;
         }, 2000);
+        
+        // Dispatch custom event so app.js can record the copy
+        document.dispatchEvent(new CustomEvent('snippetCopied', {
+          detail: { id: button.dataset.id }
+        }));
       }
     });
   });
 };
 
 /**
- * Attach event listeners to all delete buttons
+ * Attach event listeners to the file tabs of multi-file snippets
+ * Picking a tab shows that file and points the card's copy button at it.
+ * Placeholders are only filled in for the first file, which is the
+ * snippet's code.
+ * @param {ParentNode} root - Element containing the cards
  */
-const attachDeleteListeners = () => {
-  const deleteButtons = document.querySelectorAll('.delete-btn');
+const attachFileTabListeners = (root = document) => {
+  const tabs = root.querySelectorAll('.file-tabs li');
   
-  deleteButtons.forEach(button => {
-    button.addEventListener('click', (e) => {
-      const snippetId = e.currentTarget.dataset.id;
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      const card = tab.closest('.snippet-card');
+      const index = tab.dataset.index;
+      
+      card.querySelectorAll('.file-tabs li').forEach(item => {
+        item.classList.toggle('is-active', item === tab);
+      });
+      card.querySelectorAll('.file-pane').forEach(pane => {
+        pane.classList.toggle('is-hidden', pane.dataset.index !== index);
+      });
+      
+      const copyButton = card.querySelector('.copy-btn');
+      const pane = card.querySelector(`.file-pane[data-index="${index}"]`);
+      copyButton.dataset.code = pane.querySelector('code').textContent;
+      copyButton.dataset.templated = index === '0' ? copyButton.dataset.firstTemplated : 'false';
       
+      const templated = copyButton.dataset.templated === 'true';
+      copyButton.querySelector('i').className = `fas ${templated ? 'fa-pen-to-square' : 'fa-copy'}`;
+      copyButton.querySelector('span:last-child').textContent = templated ? 'Fill & Copy' : 'Copy File';
+    });
+  });
+};
+
+/**
+ * Attach event listeners to all bundle download buttons
+ * @param {ParentNode} root - Element containing the buttons
+ */
+const attachDownloadListeners = (root = document) => {
+  const downloadButtons = root.querySelectorAll('.download-btn');
+  
+  downloadButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
       // Dispatch custom event that will be handled in app.js
-      const event = new CustomEvent('deleteSnippet', { detail: { id: snippetId } });
+      const event = new CustomEvent('downloadBundle', { detail: { id: e.currentTarget.dataset.id } });
       document.dispatchEvent(event);
     });
   });
 };
 
 /**
- * Populate language dropdown with options
- * @param {Array} languages - Array of language strings
+ * Attach event listeners to all pin buttons
+ * @param {ParentNode} root - Element containing the buttons
  */
-export const populateLanguageDropdown = (languages) => {
-  const select = document.getElementById('snippetLanguage');
-  
-  // Clear existing options
-  select.innerHTML = '';
+const attachPinListeners = (root = document) => {
+  const pinButtons = root.querySelectorAll('.pin-btn');
   
-  // Add language options
-  languages.forEach(lang => {
-    const option = document.createElement('option');
-    option.value = lang;
-    option.textContent = lang.toUpperCase();
-    select.appendChild(option);
+  pinButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const { id, pinned } = e.currentTarget.dataset;
+      
+      // Dispatch custom event that will be handled in app.js
+      const event = new CustomEvent('togglePin', { detail: { id, pinned: pinned !== 'true' } });
+      document.dispatchEvent(event);
+    });
   });
 };
 
 /**
- * Show loading indicator
+ * Attach event listeners to all edit buttons
+ * @param {ParentNode} root - Element containing the buttons
  */
-export const showLoading = () => {
-  const loadingIndicator = document.getElementById('loadingIndicator');
-  const snippetsContainer = document.getElementById('snippetsContainer');
-  const emptyState = document.getElementById('emptyState');
+const attachEditListeners = (root = document) => {
+  const editButtons = root.querySelectorAll('.edit-btn');
   
-  snippetsContainer.innerHTML = '';
-  emptyState.classList.add('is-hidden');
-  loadingIndicator.classList.remove('is-hidden');
+  editButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const snippetId = e.currentTarget.dataset.id;
+      
+      // Dispatch custom event that will be handled in app.js
+      const event = new CustomEvent('editSnippet', { detail: { id: snippetId } });
+      document.dispatchEvent(event);
+    });
+  });
 };
 
 /**
- * Show notification message
- * @param {string} message - Message to display
- * @param {string} type - Notification type (success, danger, warning, info)
+ * Attach event listeners to all history buttons
+ * @param {ParentNode} root - Element containing the buttons
  */
-export const showNotification = (message, type = 'info') => {
-  // Create notification element
-  const notification = document.createElement('div');
-  notification.className = `notification is-${type}`;
-  notification.innerHTML = `
-    <button class="delete"></button>
-    ${message}
-  `;
-  
-  // Add to page
-  document.body.appendChild(notification);
+const attachHistoryListeners = (root = document) => {
+  const historyButtons = root.querySelectorAll('.history-btn');
   
-  // Add click handler for close button
-  notification.querySelector('.delete').addEventListener('click', () => {
-    notification.remove();
+  historyButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const snippetId = e.currentTarget.dataset.id;
+      const panel = document.getElementById(`history-${snippetId}`);
+      
+      // Second click closes the panel
+      if (!panel.classList.contains('is-hidden')) {
+        panel.classList.add('is-hidden');
+        return;
+      }
+      
+      // Dispatch custom event that will be handled in app.js
+      const event = new CustomEvent('showHistory', { detail: { id: snippetId } });
+      document.dispatchEvent(event);
+    });
+  });
+};
+
+/**
+ * Attach event listeners to the select checkboxes of own cards
+ * @param {ParentNode} root - Element containing the checkboxes
+ */
+const attachSelectListeners = (root = document) => {
+  root.querySelectorAll('.select-snippet').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const snippetId = Number(e.currentTarget.dataset.id);
+      
+      if (e.currentTarget.checked) {
+        selectedSnippets.add(snippetId);
+      } else {
+        selectedSnippets.delete(snippetId);
+      }
+      e.currentTarget.closest('.snippet-card').classList.toggle('is-selected', e.currentTarget.checked);
+      updateBulkToolbar();
+    });
   });
+};
+
+/**
+ * Attach event listeners to all delete buttons
+ * @param {ParentNode} root - Element containing the buttons
+ */
+const attachDeleteListeners = (root = document) => {
+  const deleteButtons = root.querySelectorAll('.delete-btn');
   
-  // Auto-remove after 5 seconds
-  setTimeout(() => {
-    notification.remove();
-  }, 5000);
+  deleteButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const snippetId = e.currentTarget.dataset.id;
+      
+      // Dispatch custom event that will be handled in app.js
+      const event = new CustomEvent('deleteSnippet', { detail: { id: snippetId } });
+      document.dispatchEvent(event);
+    });
+  });
 };
 
 /**
- * Open the snippet modal
+ * Let own snippet cards be dragged onto sidebar collections
+ * @param {ParentNode} root - Element containing the cards
  */
-export const openModal = () => {
-  const modal = document.getElementById('snippetModal');
-  modal.classList.add('is-active');
+const attachDragListeners = (root = document) => {
+  const cards = root.querySelectorAll('.snippet-card[draggable="true"]');
+  
+  cards.forEach(card => {
+    card.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(SNIPPET_DRAG_TYPE, card.dataset.id);
+      e.dataTransfer.effectAllowed = 'move';
+      card.classList.add('is-dragging');
+    });
+    
+    card.addEventListener('dragend', () => {
+      card.classList.remove('is-dragging');
+    });
+  });
 };
 
 /**
- * Close the snippet modal
+ * Render the version list inside a snippet's History panel
+ * @param {number} snippetId - ID of the snippet
+ * @param {Array} versions - Version objects, newest first
+ * @param {boolean} canRestore - Whether to offer Restore buttons (owners only)
  */
-export const closeModal = () => {
-  const modal = document.getElementById('snippetModal');
-  modal.classList.remove('is-active');
+export const renderHistoryPanel = (snippetId, versions, canRestore = false) => {
+  const panel = document.getElementById(`history-${snippetId}`);
+  if (!panel) return;
   
-  // Clear form fields
-  document.getElementById('snippetTitle').value = '';
-  document.getElementById('snippetCode').value = '';
-  document.getElementById('snippetLanguage').selectedIndex = 0;
-  document.getElementById('tagInput').value = '';
-  document.getElementById('tagContainer').innerHTML = '';
+  const latest = versions.length > 0 ? versions[0].version : null;
+  
+  const itemsHtml = versions.map(version => `
+    <li class="history-item">
+      <span class="history-version">v${version.version}</span>
+      <span class="history-date">${formatDate(version.created_at)}</span>
+      <div class="buttons are-small">
+        <button class="button diff-btn" data-version="${version.version}">Diff</button>
+        ${canRestore && version.version !== latest ? `
+          <button class="button is-warning restore-btn" data-version="${version.version}">Restore</button>
+        ` : ''}
+      </div>
+    </li>
+  `).join('');
+  
+  panel.innerHTML = `
+    <ul class="history-list">${itemsHtml}</ul>
+    <div class="history-diff"></div>
+  `;
+  panel.classList.remove('is-hidden');
+  
+  // Diff and restore buttons are handled in app.js
+  panel.querySelectorAll('.diff-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const event = new CustomEvent('showVersionDiff', {
+        detail: { id: snippetId, version: Number(e.currentTarget.dataset.version) }
+      });
+      document.dispatchEvent(event);
+    });
+  });
+  
+  panel.querySelectorAll('.restore-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const event = new CustomEvent('restoreVersion', {
+        detail: { id: snippetId, version: Number(e.currentTarget.dataset.version) }
+      });
+      document.dispatchEvent(event);
+    });
+  });
+};
+
+/**
+ * Show a unified diff in a snippet's History panel
+ * @param {number} snippetId - ID of the snippet
+ * @param {Object} diffData - Diff data from the API
+ */
+export const renderVersionDiff = (snippetId, diffData) => {
+  const panel = document.getElementById(`history-${snippetId}`);
+  if (!panel) return;
+  
+  const container = panel.querySelector('.history-diff');
+  
+  if (!diffData.diff) {
+    container.innerHTML = `<p class="history-empty">No code changes in v${diffData.version}</p>`;
+    return;
+  }
+  
+  const div = document.createElement('div');
+  div.textContent = diffData.diff;
+  
+  container.innerHTML = `
+    <p class="history-summary">
+      v${diffData.against} → v${diffData.version}:
+      <span class="has-text-success">+${diffData.additions}</span>
+      <span class="has-text-danger">-${diffData.deletions}</span>
+    </p>
+    <div class="code-container">
+      <pre><code class="language-diff">${div.innerHTML}</code></pre>
+    </div>
+  `;
+  
+  if (window.Prism) {
+    Prism.highlightElement(container.querySelector('code'));
+  }
+};
+
+/**
+ * Render the tag sidebar with snippet counts
+ * @param {Array} tags - Tag objects { id, name, count }
+ * @param {string|null} activeTag - Name of the tag currently filtered by
+ */
+export const renderTagSidebar = (tags, activeTag = null) => {
+  const list = document.getElementById('tagList');
+  list.innerHTML = '';
+  
+  if (tags.length === 0) {
+    list.innerHTML = '<li class="tag-list-empty">No tags yet</li>';
+    return;
+  }
+  
+  tags.forEach(tag => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.className = `tag-list-item${tag.name === activeTag ? ' is-active' : ''}`;
+    
+    const name = document.createElement('span');
+    name.textContent = tag.name;
+    
+    const count = document.createElement('span');
+    count.className = 'tag is-rounded';
+    count.textContent = tag.count;
+    
+    link.append(name, count);
+    
+    // Dispatch custom event that will be handled in app.js
+    link.addEventListener('click', () => {
+      const event = new CustomEvent('filterByTag', { detail: { name: tag.name } });
+      document.dispatchEvent(event);
+    });
+    
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+};
+
+/**
+ * Make a sidebar entry accept dropped snippet cards and/or collections
+ * Drops are handled in app.js through moveSnippet and moveCollection events.
+ * @param {HTMLElement} element - Entry to drop onto
+ * @param {Object} target - { collectionId, parentId }: where a dropped snippet
+ *   is filed and where a dropped collection is moved (undefined to refuse)
+ */
+const makeDropTarget = (element, { collectionId, parentId }) => {
+  const accepts = (types) => {
+    return (collectionId !== undefined && types.includes(SNIPPET_DRAG_TYPE)) ||
+      (parentId !== undefined && types.includes(COLLECTION_DRAG_TYPE));
+  };
+  
+  element.addEventListener('dragover', (e) => {
+    if (!accepts(Array.from(e.dataTransfer.types))) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    element.classList.add('is-drop-target');
+  });
+  
+  element.addEventListener('dragleave', () => {
+    element.classList.remove('is-drop-target');
+  });
+  
+  element.addEventListener('drop', (e) => {
+    e.preventDefault();
+    element.classList.remove('is-drop-target');
+    
+    const snippetId = e.dataTransfer.getData(SNIPPET_DRAG_TYPE);
+    const draggedCollectionId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+    
+    if (snippetId && collectionId !== undefined) {
+      document.dispatchEvent(new CustomEvent('moveSnippet', {
+        detail: { id: snippetId, collectionId }
+      }));
+    } else if (draggedCollectionId && parentId !== undefined && draggedCollectionId !== String(parentId)) {
+      document.dispatchEvent(new CustomEvent('moveCollection', {
+        detail: { id: draggedCollectionId, parentId }
+      }));
+    }
+  });
+};
+
+/**
+ * Create a small icon button for a sidebar collection
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} title - Tooltip
+ * @param {string} eventName - Custom event dispatched on click
+ * @param {Object} detail - Event detail
+ * @returns {HTMLButtonElement} Button
+ */
+const createCollectionAction = (icon, title, eventName, detail) => {
+  const button = document.createElement('button');
+  button.className = 'button is-small is-white';
+  button.title = title;
+  button.innerHTML = `<span class="icon is-small"><i class="fas ${icon}"></i></span>`;
+  
+  button.addEventListener('click', (e) => {
+    // Keep the click from also selecting the collection
+    e.stopPropagation();
+    document.dispatchEvent(new CustomEvent(eventName, { detail }));
+  });
+  
+  return button;
+};
+
+/**
+ * Create the list item for a collection and, recursively, its children
+ * @param {Object} node - Collection tree node from buildCollectionTree
+ * @param {string|null} activeCollection - Selected collection ID or 'none'
+ * @returns {HTMLLIElement} List item
+ */
+const createCollectionItem = (node, activeCollection) => {
+  const item = document.createElement('li');
+  const link = document.createElement('a');
+  const isActive = String(node.id) === String(activeCollection);
+  const isCollapsed = collapsedCollections.has(node.id);
+  link.className = `collection-item${isActive ? ' is-active' : ''}`;
+  link.draggable = true;
+  
+  // Caret folds the children away; leaves get a spacer so names line up
+  const toggle = document.createElement('span');
+  toggle.className = 'icon is-small collection-toggle';
+  if (node.children.length > 0) {
+    toggle.innerHTML = `<i class="fas ${isCollapsed ? 'fa-caret-right' : 'fa-caret-down'}"></i>`;
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const collapsed = !collapsedCollections.has(node.id);
+      if (collapsed) {
+        collapsedCollections.add(node.id);
+      } else {
+        collapsedCollections.delete(node.id);
+      }
+      children.classList.toggle('is-hidden', collapsed);
+      toggle.innerHTML = `<i class="fas ${collapsed ? 'fa-caret-right' : 'fa-caret-down'}"></i>`;
+    });
+  }
+  
+  const icon = document.createElement('span');
+  icon.className = 'icon is-small';
+  icon.innerHTML = `<i class="fas ${node.team_id ? 'fa-users' : 'fa-folder'}"></i>`;
+  if (node.team) icon.title = `Shared with ${node.team}`;
+  
+  const name = document.createElement('span');
+  name.className = 'collection-name';
+  name.textContent = node.name;
+  
+  const count = document.createElement('span');
+  count.className = 'tag is-rounded';
+  count.textContent = node.snippet_count;
+  
+  const actions = document.createElement('span');
+  actions.className = 'collection-actions';
+  actions.append(
+    createCollectionAction('fa-folder-plus', 'New sub-collection', 'createCollection', { parentId: node.id }),
+    createCollectionAction('fa-pen', 'Rename', 'renameCollection', { id: node.id, name: node.name }),
+    createCollectionAction('fa-trash', 'Delete', 'deleteCollection', { id: node.id, name: node.name })
+  );
+  
+  link.append(toggle, icon, name, count, actions);
+  
+  // Dispatch custom events that will be handled in app.js
+  link.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('selectCollection', { detail: { id: String(node.id) } }));
+  });
+  
+  link.addEventListener('dragstart', (e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(COLLECTION_DRAG_TYPE, String(node.id));
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  
+  makeDropTarget(link, { collectionId: node.id, parentId: node.id });
+  
+  const children = document.createElement('ul');
+  children.className = `collection-children${isCollapsed ? ' is-hidden' : ''}`;
+  node.children.forEach(child => children.appendChild(createCollectionItem(child, activeCollection)));
+  
+  item.append(link, children);
+  return item;
+};
+
+/**
+ * Render the collapsible collection tree in the sidebar
+ * Snippet cards dropped on a folder are filed there, on "Unfiled" they are
+ * unfiled; folders dropped on a folder are nested, on "All snippets" they
+ * move to the top level.
+ * @param {Array} tree - Top-level nodes from buildCollectionTree
+ * @param {string|null} activeCollection - Selected collection ID, 'none', or null for all
+ */
+export const renderCollectionTree = (tree, activeCollection = null) => {
+  const list = document.getElementById('collectionTree');
+  list.innerHTML = '';
+  
+  const fixedEntries = [
+    { id: null, label: 'All snippets', icon: 'fa-layer-group', target: { parentId: null } },
+    { id: 'none', label: 'Unfiled', icon: 'fa-inbox', target: { collectionId: null } }
+  ];
+  
+  fixedEntries.forEach(entry => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.className = `collection-item${entry.id === activeCollection ? ' is-active' : ''}`;
+    link.innerHTML = `
+      <span class="icon is-small collection-toggle"></span>
+      <span class="icon is-small"><i class="fas ${entry.icon}"></i></span>
+      <span class="collection-name">${entry.label}</span>
+    `;
+    
+    link.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('selectCollection', { detail: { id: entry.id } }));
+    });
+    makeDropTarget(link, entry.target);
+    
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  
+  tree.forEach(node => list.appendChild(createCollectionItem(node, activeCollection)));
+};
+
+/**
+ * Fill the collection dropdowns of the snippet form and the bulk toolbar,
+ * indenting nested collections
+ * @param {Array} tree - Top-level nodes from buildCollectionTree
+ */
+export const populateCollectionDropdown = (tree) => {
+  ['snippetCollection', 'bulkCollection'].forEach(selectId => {
+    const select = document.getElementById(selectId);
+    const selected = select.value;
+    select.innerHTML = '<option value="">No collection</option>';
+    
+    const addOptions = (nodes) => {
+      nodes.forEach(node => {
+        const option = document.createElement('option');
+        option.value = node.id;
+        option.textContent = `${'\u00a0\u00a0'.repeat(node.depth)}${node.name}`;
+        select.appendChild(option);
+        addOptions(node.children);
+      });
+    };
+    addOptions(tree);
+    
+    select.value = selected;
+    if (select.selectedIndex === -1) select.value = '';
+  });
+};
+
+/**
+ * Populate language dropdown with options grouped by category
+ * @param {Array} languages - Languages from GET /api/languages
+ *   { id, name, category, extensions, prism }
+ */
+export const populateLanguageDropdown = (languages) => {
+  languageList = languages;
+  languageRegistry.clear();
+  languages.forEach(language => languageRegistry.set(language.id, language));
+  
+  renderLanguageOptions(document.getElementById('snippetLanguage'), languages);
+  
+  // Bulk changes need a language picked; detection works per snippet only
+  const bulkLanguage = document.getElementById('bulkLanguage');
+  renderLanguageOptions(bulkLanguage, languages);
+  bulkLanguage.options[0].replaceWith(new Option('Language…', ''));
+  bulkLanguage.value = '';
+};
+
+/**
+ * Show only the languages matching a search in the language dropdown
+ * @param {string} query - Text matched against names, IDs and extensions
+ */
+export const filterLanguageDropdown = (query) => {
+  renderLanguageOptions(document.getElementById('snippetLanguage'), languageList, query);
+};
+
+/**
+ * Show the detected language under the language dropdown
+ * @param {Object|null} detection - Result of API.detectLanguage
+ *   { language, confidence }, or null to clear the hint
+ */
+export const showDetectedLanguage = (detection) => {
+  const hint = document.getElementById('detectedLanguage');
+  
+  if (!detection) {
+    hint.textContent = '';
+  } else if (!detection.language) {
+    hint.textContent = `Language not recognized, ${languageName('javascript')} will be used`;
+  } else {
+    const percent = Math.round(detection.confidence * 100);
+    hint.textContent = `Detected ${languageName(detection.language)} (${percent}% confidence)`;
+  }
+};
+
+/**
+ * Fill the workspace switcher with the user's teams
+ * @param {Array} teams - Team objects { id, name }
+ * @param {string} activeWorkspace - 'all', 'personal', or a team ID
+ */
+export const renderWorkspaceSwitcher = (teams, activeWorkspace = 'all') => {
+  const select = document.getElementById('workspaceSelect');
+  select.innerHTML = '';
+  
+  const options = [{ value: 'all', label: 'All snippets' }];
+  if (currentUser) {
+    options.push({ value: 'personal', label: 'My snippets' });
+  }
+  teams.forEach(team => options.push({ value: String(team.id), label: team.name }));
+  
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  select.value = String(activeWorkspace);
+};
+
+/**
+ * Fill the team dropdown of the snippet form
+ * @param {Array} teams - Team objects { id, name }
+ */
+export const populateTeamDropdown = (teams) => {
+  const select = document.getElementById('snippetTeam');
+  select.innerHTML = '';
+  
+  teams.forEach(team => {
+    const option = document.createElement('option');
+    option.value = team.id;
+    option.textContent = team.name;
+    select.appendChild(option);
+  });
+  
+  // Team sharing needs at least one team
+  document.querySelector('#snippetVisibility option[value="team"]').disabled = teams.length === 0;
+};
+
+/**
+ * Show the team dropdown only when the snippet is shared with a team
+ */
+export const toggleTeamField = () => {
+  const isTeam = document.getElementById('snippetVisibility').value === 'team';
+  document.getElementById('snippetTeamField').classList.toggle('is-hidden', !isTeam);
+};
+
+/**
+ * Show loading indicator
+ */
+export const showLoading = () => {
+  const loadingIndicator = document.getElementById('loadingIndicator');
+  const snippetsContainer = document.getElementById('snippetsContainer');
+  const emptyState = document.getElementById('emptyState');
+  
+  snippetsContainer.innerHTML = '';
+  emptyState.classList.add('is-hidden');
+  loadingIndicator.classList.remove('is-hidden');
+};
+
+/**
+ * Show notification message
+ * Messages are plain text; they may quote snippet titles.
+ * @param {string} message - Message to display
+ * @param {string} type - Notification type (success, danger, warning, info)
+ * @param {Object} action - Optional button { label, onClick }, e.g. Undo;
+ *   clicking it closes the notification
+ */
+export const showNotification = (message, type = 'info', action = null) => {
+  // Create notification element
+  const notification = document.createElement('div');
+  notification.className = `notification is-${type}`;
+  notification.innerHTML = '<button class="delete"></button>';
+  
+  const text = document.createElement('span');
+  text.textContent = message;
+  notification.appendChild(text);
+  
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'button is-small is-white is-outlined notification-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      notification.remove();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+  
+  // Add to page
+  document.body.appendChild(notification);
+  
+  // Add click handler for close button
+  notification.querySelector('.delete').addEventListener('click', () => {
+    notification.remove();
+  });
+  
+  // Auto-remove after 5 seconds
+  setTimeout(() => {
+    notification.remove();
+  }, 5000);
+};
+
+/**
+ * Open the snippet modal
+ * When a snippet is given the form is pre-filled for editing
+ * @param {Object} snippet - Optional snippet to edit
+ */
+export const openModal = (snippet = null) => {
+  const modal = document.getElementById('snippetModal');
+  
+  if (snippet) {
+    document.getElementById('modalTitle').textContent = 'Edit Snippet';
+    document.getElementById('snippetTitle').value = snippet.title;
+    document.getElementById('snippetCode').value = snippet.code;
+    
+    // The first file of a multi-file snippet is edited as its code
+    (snippet.files || []).forEach((file, index) => {
+      if (index === 0) {
+        document.getElementById('snippetFilename').value = file.filename;
+      } else {
+        addFileToForm(file);
+      }
+    });
+    const languageSelect = document.getElementById('snippetLanguage');
+    languageSelect.value = snippet.language;
+    
+    // Disabled languages are not listed but stay on existing snippets
+    if (languageSelect.value !== snippet.language) {
+      languageSelect.appendChild(new Option(`${languageName(snippet.language)} (disabled)`, snippet.language));
+      languageSelect.value = snippet.language;
+    }
+    document.getElementById('snippetVisibility').value = snippet.visibility || 'public';
+    if (snippet.team_id) {
+      document.getElementById('snippetTeam').value = snippet.team_id;
+    }
+    document.getElementById('snippetCollection').value = snippet.collection_id || '';
+    snippet.tags.forEach(addTagToContainer);
+  }
+  
+  toggleTeamField();
+  modal.classList.add('is-active');
+};
+
+/**
+ * Close the snippet modal
+ */
+export const closeModal = () => {
+  const modal = document.getElementById('snippetModal');
+  modal.classList.remove('is-active');
+  
+  // Clear form fields
+  document.getElementById('modalTitle').textContent = 'Add New Snippet';
+  document.getElementById('snippetTitle').value = '';
+  document.getElementById('snippetCode').value = '';
+  document.getElementById('languageFilter').value = '';
+  filterLanguageDropdown('');
+  document.getElementById('snippetLanguage').value = 'auto';
+  showDetectedLanguage(null);
+  document.getElementById('snippetVisibility').value = 'public';
+  document.getElementById('snippetTeam').selectedIndex = 0;
+  document.getElementById('snippetCollection').value = '';
+  document.getElementById('tagInput').value = '';
+  document.getElementById('tagContainer').innerHTML = '';
+  document.getElementById('snippetFilename').value = '';
+  document.getElementById('bundleFiles').innerHTML = '';
+  toggleFilenameField();
+  toggleTeamField();
+};
+
+/**
+ * Show the first file's name field only while the form has several files
+ */
+const toggleFilenameField = () => {
+  const hasFiles = document.querySelector('#bundleFiles .bundle-file') !== null;
+  document.getElementById('snippetFilenameControl').classList.toggle('is-hidden', !hasFiles);
+};
+
+/**
+ * Add a file to the snippet form, making it a multi-file snippet
+ * @param {Object} file - Optional file to edit { filename, language, content }
+ */
+export const addFileToForm = (file = null) => {
+  const box = document.createElement('div');
+  box.className = 'field bundle-file';
+  box.innerHTML = `
+    <div class="field has-addons">
+      <div class="control is-expanded">
+        <input class="input is-small bundle-filename" type="text" placeholder="File name, e.g. button.css">
+      </div>
+      <div class="control">
+        <button type="button" class="button is-small remove-file-btn" title="Remove file">
+          <span class="icon is-small">
+            <i class="fas fa-times"></i>
+          </span>
+        </button>
+      </div>
+    </div>
+    <div class="control">
+      <textarea class="textarea bundle-content" rows="6" placeholder="Paste this file's code here..."></textarea>
+    </div>
+  `;
+  
+  const filenameInput = box.querySelector('.bundle-filename');
+  if (file) {
+    filenameInput.value = file.filename;
+    box.querySelector('.bundle-content').value = file.content;
+    box.dataset.language = file.language;
+  }
+  
+  // A renamed file gets its language detected again
+  filenameInput.addEventListener('input', () => {
+    delete box.dataset.language;
+  });
+  
+  box.querySelector('.remove-file-btn').addEventListener('click', () => {
+    box.remove();
+    toggleFilenameField();
+  });
+  
+  document.getElementById('bundleFiles').appendChild(box);
+  toggleFilenameField();
+  if (!file) filenameInput.focus();
+};
+
+/**
+ * Get the files of the snippet form
+ * The code field is the first file, in the language picked in the dropdown.
+ * Added files keep their language, or have it detected when new or renamed.
+ * @returns {Array|null} Files { filename, language, content }, or null for a
+ *   single-file snippet
+ */
+export const getFilesFromForm = () => {
+  const boxes = Array.from(document.querySelectorAll('#bundleFiles .bundle-file'));
+  if (boxes.length === 0) return null;
+  
+  const first = {
+    filename: document.getElementById('snippetFilename').value.trim(),
+    language: document.getElementById('snippetLanguage').value,
+    content: document.getElementById('snippetCode').value.trim()
+  };
+  
+  return [first, ...boxes.map(box => ({
+    filename: box.querySelector('.bundle-filename').value.trim(),
+    language: box.dataset.language || 'auto',
+    content: box.querySelector('.bundle-content').value.trim()
+  }))];
+};
+
+/**
+ * Set the logged in user and update the navbar
+ * Cards rendered afterwards show edit controls only for the user's snippets
+ * @param {Object|null} user - Logged in user, or null when logged out
+ */
+export const setCurrentUser = (user) => {
+  currentUser = user;
+  
+  document.getElementById('currentUsername').textContent = user ? user.username : '';
+  document.getElementById('userMenu').classList.toggle('is-hidden', !user);
+  document.getElementById('addSnippetBtn').classList.toggle('is-hidden', !user);
+  document.getElementById('trashBtn').classList.toggle('is-hidden', !user);
+  document.getElementById('loginBtn').classList.toggle('is-hidden', Boolean(user));
+  
+  // Collections are personal or team folders, so they need an account
+  document.getElementById('collectionSection').classList.toggle('is-hidden', !user);
+  document.getElementById('snippetCollectionField').classList.toggle('is-hidden', !user);
+
+  // Pins are personal, so there is nothing to show logged out
+  if (!user) {
+    document.getElementById('pinnedSection').classList.add('is-hidden');
+  }
+  
+  // Bulk changes apply to the user's own snippets only
+  document.getElementById('selectModeBtn').classList.toggle('is-hidden', !user);
+  if (!user) {
+    setSelectMode(false);
+  }
+};
+
+/**
+ * Show the selected count and enable the bulk actions when something is selected
+ */
+const updateBulkToolbar = () => {
+  const count = selectedSnippets.size;
+  
+  document.getElementById('bulkCount').textContent = `${count} selected`;
+  document.querySelectorAll('#bulkToolbar .bulk-action').forEach(button => {
+    button.disabled = count === 0;
+  });
+};
+
+/**
+ * Turn the grid's multi-select mode on or off
+ * Checkboxes show on the user's own cards and the bulk toolbar above the
+ * grid. Turning it off clears the selection.
+ * @param {boolean} enabled - Whether select mode should be on
+ */
+export const setSelectMode = (enabled) => {
+  selectMode = enabled;
+  
+  document.getElementById('snippetsContainer').classList.toggle('is-selecting', enabled);
+  document.getElementById('bulkToolbar').classList.toggle('is-hidden', !enabled);
+  document.getElementById('selectModeBtn').classList.toggle('is-active', enabled);
+  
+  if (!enabled) {
+    clearSelection();
+  }
+};
+
+/**
+ * Check whether the grid is in multi-select mode
+ * @returns {boolean} True while select mode is on
+ */
+export const isSelectMode = () => selectMode;
+
+/**
+ * Select every own snippet currently shown in the grid
+ */
+export const selectAllSnippets = () => {
+  document.querySelectorAll('#snippetsContainer .select-snippet').forEach(checkbox => {
+    checkbox.checked = true;
+    checkbox.closest('.snippet-card').classList.add('is-selected');
+    selectedSnippets.add(Number(checkbox.dataset.id));
+  });
+  updateBulkToolbar();
+};
+
+/**
+ * Uncheck every selected snippet
+ */
+export const clearSelection = () => {
+  selectedSnippets.clear();
+  document.querySelectorAll('#snippetsContainer .select-snippet').forEach(checkbox => {
+    checkbox.checked = false;
+    checkbox.closest('.snippet-card').classList.remove('is-selected');
+  });
+  updateBulkToolbar();
+};
+
+/**
+ * Get the IDs of the selected snippets
+ * @returns {Array<number>} Snippet IDs in the order they were selected
+ */
+export const getSelectedSnippetIds = () => [...selectedSnippets];
+
+/**
+ * Get the values entered in the bulk toolbar
+ * @returns {Object} { tags, language, collectionId } where tags come from
+ *   the comma-separated input, language is '' until one is picked and
+ *   collectionId is null for "No collection"
+ */
+export const getBulkFormData = () => {
+  const collection = document.getElementById('bulkCollection').value;
+  
+  return {
+    tags: document.getElementById('bulkTags').value
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(tag => tag.length > 0),
+    language: document.getElementById('bulkLanguage').value,
+    collectionId: collection ? Number(collection) : null
+  };
+};
+
+/**
+ * Show or hide the offline indicator in the navbar
+ * @param {boolean} isOffline - Whether the server is unreachable
+ * @param {number} queued - Number of changes waiting in the outbox
+ */
+export const setOfflineState = (isOffline, queued = 0) => {
+  document.getElementById('offlineIndicator').classList.toggle('is-hidden', !isOffline);
+  document.getElementById('outboxCount').textContent = queued > 0 ? `(${queued} queued)` : '';
+};
+
+/**
+ * Open the login modal
+ * @param {string} mode - 'login' or 'register'
+ */
+export const openAuthModal = (mode = 'login') => {
+  const modal = document.getElementById('authModal');
+  const isRegister = mode === 'register';
+  
+  modal.dataset.mode = mode;
+  document.getElementById('authModalTitle').textContent = isRegister ? 'Create Account' : 'Log In';
+  document.getElementById('authSubmitBtn').textContent = isRegister ? 'Create Account' : 'Log In';
+  document.getElementById('authSwitchLink').textContent = isRegister
+    ? 'Already have an account? Log in'
+    : 'No account yet? Create one';
+  
+  modal.classList.add('is-active');
+  document.getElementById('authUsername').focus();
+};
+
+/**
+ * Close the login modal and clear its fields
+ */
+export const closeAuthModal = () => {
+  document.getElementById('authModal').classList.remove('is-active');
+  document.getElementById('authUsername').value = '';
+  document.getElementById('authPassword').value = '';
+};
+
+/**
+ * Get the values entered in the login modal
+ * @returns {Object} { mode, username, password }
+ */
+export const getAuthFormData = () => ({
+  mode: document.getElementById('authModal').dataset.mode || 'login',
+  username: document.getElementById('authUsername').value.trim(),
+  password: document.getElementById('authPassword').value
+});
+
+/**
+ * Open the form for a templated snippet's placeholders
+ * Inputs start with each placeholder's default.
+ * @param {Object} snippet - Snippet with placeholders metadata
+ */
+export const openPlaceholderModal = (snippet) => {
+  const modal = document.getElementById('placeholderModal');
+  const fields = document.getElementById('placeholderFields');
+  
+  modal.dataset.id = snippet.id;
+  document.getElementById('placeholderModalTitle').textContent = snippet.title;
+  fields.innerHTML = '';
+  
+  snippet.placeholders.forEach(placeholder => {
+    const field = document.createElement('div');
+    field.className = 'field';
+    
+    const label = document.createElement('label');
+    label.className = 'label';
+    label.textContent = /^\d+$/.test(placeholder.key) ? `$${placeholder.key}` : placeholder.key;
+    
+    const control = document.createElement('div');
+    control.className = 'control';
+    
+    const input = document.createElement('input');
+    input.className = 'input placeholder-input';
+    input.type = 'text';
+    input.dataset.key = placeholder.key;
+    input.dataset.hasDefault = String(placeholder.default !== null);
+    input.value = placeholder.default || '';
+    if (placeholder.default === null) {
+      input.placeholder = 'Leave empty to keep the placeholder';
+    }
+    
+    control.appendChild(input);
+    field.append(label, control);
+    fields.appendChild(field);
+  });
+  
+  modal.classList.add('is-active');
+  const first = fields.querySelector('input');
+  if (first) first.select();
+};
+
+/**
+ * Close the placeholder form
+ */
+export const closePlaceholderModal = () => {
+  const modal = document.getElementById('placeholderModal');
+  modal.classList.remove('is-active');
+  document.getElementById('placeholderFields').innerHTML = '';
+  delete modal.dataset.id;
+};
+
+/**
+ * Get the values entered in the placeholder form
+ * Empty inputs are sent as empty values when the placeholder has a default
+ * (the user cleared it) and left out otherwise, which keeps the placeholder.
+ * @returns {Object} { id, values }
+ */
+export const getPlaceholderValues = () => {
+  const values = {};
+  
+  document.querySelectorAll('#placeholderFields .placeholder-input').forEach(input => {
+    if (input.value !== '' || input.dataset.hasDefault === 'true') {
+      values[input.dataset.key] = input.value;
+    }
+  });
+  
+  return {
+    id: document.getElementById('placeholderModal').dataset.id,
+    values
+  };
+};
+
+/**
+ * Open the import/export modal
+ */
+export const openLibraryModal = () => {
+  document.getElementById('libraryModal').classList.add('is-active');
+};
+
+/**
+ * Close the import/export modal and clear the picked files and plan
+ */
+export const closeLibraryModal = () => {
+  document.getElementById('libraryModal').classList.remove('is-active');
+  document.getElementById('importFile').value = '';
+  document.getElementById('importFolder').value = '';
+  document.getElementById('importPlan').innerHTML = '';
+};
+
+/**
+ * Open the trash modal
+ */
+export const openTrashModal = () => {
+  document.getElementById('trashModal').classList.add('is-active');
+};
+
+/**
+ * Close the trash modal
+ */
+export const closeTrashModal = () => {
+  document.getElementById('trashModal').classList.remove('is-active');
+  document.getElementById('trashList').innerHTML = '';
+};
+
+/**
+ * Show the trashed snippets with restore and delete-forever buttons
+ * Buttons dispatch restoreFromTrash and purgeSnippet events with the ID.
+ * @param {Array} snippets - Trashed snippets with deleted_at and purge_at
+ * @param {number} retentionDays - Days snippets stay in the trash, 0 for no limit
+ */
+export const renderTrash = (snippets, retentionDays) => {
+  const container = document.getElementById('trashList');
+  
+  const escapeHtml = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+  
+  document.getElementById('trashRetention').textContent = retentionDays > 0
+    ? `Snippets are deleted for good ${retentionDays} day${retentionDays === 1 ? '' : 's'} after they were moved here.`
+    : 'Snippets stay here until you delete them.';
+  document.getElementById('emptyTrashBtn').disabled = snippets.length === 0;
+  
+  // formatDate describes past dates only, so say how long is left instead
+  const describePurge = (purgeAt) => {
+    const daysLeft = Math.ceil((new Date(purgeAt) - new Date()) / (1000 * 60 * 60 * 24));
+    if (daysLeft <= 0) return ' · removed for good soon';
+    return ` · removed for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  };
+  
+  if (snippets.length === 0) {
+    container.innerHTML = '<p class="has-text-grey">The trash is empty.</p>';
+    return;
+  }
+  
+  container.innerHTML = `
+    <ul class="trash-list">
+      ${snippets.map(snippet => `
+        <li class="trash-item" data-id="${snippet.id}">
+          <div class="trash-item-info">
+            <strong>${escapeHtml(snippet.title)}</strong>
+            <span class="tag is-light">${escapeHtml(languageName(snippet.language))}</span>
+            <p class="is-size-7 has-text-grey">
+              Deleted: ${formatDate(snippet.deleted_at)}${snippet.purge_at ? describePurge(snippet.purge_at) : ''}
+            </p>
+          </div>
+          <div class="buttons">
+            <button class="button is-small is-info restore-trash-btn">Restore</button>
+            <button class="button is-small is-danger is-outlined purge-trash-btn">Delete Forever</button>
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  
+  container.querySelectorAll('.trash-item').forEach(item => {
+    const detail = { id: item.dataset.id };
+    item.querySelector('.restore-trash-btn').addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('restoreFromTrash', { detail }));
+    });
+    item.querySelector('.purge-trash-btn').addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('purgeSnippet', { detail }));
+    });
+  });
+};
+
+/**
+ * Show what an import will do (dry run) or did
+ * @param {Object} result - Response of POST /api/import { dry_run, summary, data }
+ */
+export const renderImportPlan = (result) => {
+  const container = document.getElementById('importPlan');
+  const { summary } = result;
+  
+  const escapeHtml = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+  
+  // Tag colours per planned action
+  const actionClasses = {
+    create: 'is-success',
+    rename: 'is-info',
+    overwrite: 'is-warning',
+    skip: 'is-light',
+    invalid: 'is-danger'
+  };
+  
+  const itemsHtml = result.data.map(item => `
+    <li class="import-plan-item">
+      <span class="tag ${actionClasses[item.action]}">${item.action}</span>
+      <span>${escapeHtml(item.title || item.source)}</span>
+      ${item.reason ? `<span class="has-text-grey">(${escapeHtml(item.reason)})</span>` : ''}
+    </li>
+  `).join('');
+  
+  container.innerHTML = `
+    <p class="import-plan-summary">
+      ${result.dry_run ? 'Preview:' : 'Imported:'}
+      ${summary.create} new, ${summary.rename} renamed, ${summary.overwrite} overwritten,
+      ${summary.skip} skipped, ${summary.invalid} invalid
+    </p>
+    <ul class="import-plan">${itemsHtml}</ul>
+  `;
 };
 
 /**
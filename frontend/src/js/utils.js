@@ -3,6 +3,11 @@
  * Helper functions used throughout the application
  */
 
+// Sets globalThis.SnippetSchemas, the validation rules shared with the API
+import '../../../shared/schemas.js';
+
+const { schemas, validate } = globalThis.SnippetSchemas;
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -85,33 +90,16 @@ export const debounce = (func, delay = 300) => {
 };
 
 /**
- * Validate form data
+ * Validate form data with the same snippet schema the API uses
  * @param {Object} data - Form data to validate
- * @returns {Object} Validation result { isValid, errors }
+ * @returns {Object} Validation result { isValid, errors } with one message per invalid field
  */
 export const validateSnippetData = (data) => {
-  const errors = [];
-  
-  // Validate title
-  if (!data.title || data.title.trim().length === 0) {
-    errors.push('Title is required');
-  } else if (data.title.length > 200) {
-    errors.push('Title must be less than 200 characters');
-  }
-  
-  // Validate code
-  if (!data.code || data.code.trim().length === 0) {
-    errors.push('Code is required');
-  }
-  
-  // Validate language
-  if (!data.language) {
-    errors.push('Language is required');
-  }
+  const { isValid, errors } = validate(schemas.snippet, data);
   
   return {
-    isValid: errors.length === 0,
-    errors
+    isValid,
+    errors: Object.values(errors)
   };
 };
 
@@ -124,4 +112,225 @@ export const sanitizeInput = (input) => {
   const div = document.createElement('div');
   div.textContent = input;
   return div.innerHTML;
-};
\ No newline at end of file
+};
+
+/**
+ * Encode an ArrayBuffer as base64
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} Base64 string
+ */
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  
+  // Convert in chunks to stay under the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  
+  return btoa(binary);
+};
+
+/**
+ * Read files picked for import into the request shape of POST /api/import
+ * A single .json, .md or .zip file is imported in that format (JSON holding
+ * gists is detected); anything else is imported as a folder of code files.
+ * @param {FileList|Array<File>} fileList - Picked files
+ * @returns {Promise<Object>} { format, data }
+ */
+export const readImportFiles = async (fileList) => {
+  const files = Array.from(fileList);
+  
+  if (files.length === 1) {
+    const [file] = files;
+    const name = file.name.toLowerCase();
+    
+    if (name.endsWith('.zip')) {
+      return { format: 'zip', data: toBase64(await file.arrayBuffer()) };
+    }
+    
+    if (name.endsWith('.md') || name.endsWith('.markdown')) {
+      return { format: 'markdown', data: await file.text() };
+    }
+    
+    if (name.endsWith('.json')) {
+      const data = JSON.parse(await file.text());
+      const first = Array.isArray(data) ? data[0] : data;
+      const isGist = Boolean(first && first.files && typeof first.files === 'object');
+      return { format: isGist ? 'gist' : 'json', data };
+    }
+  }
+  
+  const data = await Promise.all(files.map(async file => ({
+    path: file.webkitRelativePath || file.name,
+    content: await file.text()
+  })));
+  
+  return { format: 'files', data };
+};
+
+/**
+ * Arrange collections from GET /api/collections into a tree
+ * Siblings are ordered by position. Collections whose parent is missing
+ * (not accessible) become top-level entries.
+ * @param {Array} collections - Collections { id, parent_id, position, ... }
+ * @returns {Array} Top-level nodes; every node is the collection plus children[] and depth
+ */
+export const buildCollectionTree = (collections) => {
+  const nodes = new Map(collections.map(c => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  
+  nodes.forEach(node => {
+    const parent = nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  });
+  
+  // Order siblings and record each node's depth, parents first
+  const arrange = (list, depth) => {
+    list.sort((a, b) => a.position - b.position || a.id - b.id);
+    list.forEach(node => {
+      node.depth = depth;
+      arrange(node.children, depth + 1);
+    });
+  };
+  arrange(roots, 0);
+  
+  return roots;
+};
+
+/**
+ * Check whether a language matches a search in the language dropdown
+ * @param {Object} language - Language { id, name, extensions }
+ * @param {string} query - Search text; empty matches every language
+ * @returns {boolean} True when the name, ID or an extension contains the text
+ */
+export const matchesLanguage = (language, query = '') => {
+  const needle = query.trim().toLowerCase().replace(/^\./, '');
+  if (!needle) return true;
+  
+  return language.name.toLowerCase().includes(needle) ||
+    language.id.includes(needle) ||
+    language.extensions.some(ext => ext.startsWith(needle));
+};
+
+/**
+ * Group languages from GET /api/languages by category
+ * The API already sorts them by category and name, so groups keep that order.
+ * @param {Array} languages - Languages { id, name, category, ... }
+ * @returns {Array} Groups { category, languages[] }
+ */
+export const groupLanguages = (languages) => {
+  const groups = new Map();
+  
+  languages.forEach(language => {
+    const category = language.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(language);
+  });
+  
+  return [...groups].map(([category, list]) => ({ category, languages: list }));
+};
+
+/**
+ * Fill a language <select> with "Auto-detect" and the matching languages,
+ * one <optgroup> per category
+ * The current choice is kept when it still matches, otherwise the first
+ * matching language (or Auto-detect) is selected.
+ * @param {HTMLSelectElement} select - Language dropdown
+ * @param {Array} languages - Languages from GET /api/languages
+ * @param {string} query - Optional search text
+ */
+export const renderLanguageOptions = (select, languages, query = '') => {
+  const selected = select.value;
+  const matching = languages.filter(language => matchesLanguage(language, query));
+  select.innerHTML = '';
+  
+  // The API detects the language from the code and title
+  select.appendChild(new Option('Auto-detect', 'auto'));
+  
+  groupLanguages(matching).forEach(group => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.category;
+    group.languages.forEach(language => {
+      optgroup.appendChild(new Option(language.name, language.id));
+    });
+    select.appendChild(optgroup);
+  });
+  
+  if (matching.some(language => language.id === selected)) {
+    select.value = selected;
+  } else {
+    select.value = query.trim() && matching.length > 0 ? matching[0].id : 'auto';
+  }
+};
+
+// Orderings of GET /api/snippets reproduced for cached snippets, newest first by default
+const CACHED_SORTS = {
+  updated: snippet => snippet.updated_at || snippet.created_at,
+  title: snippet => snippet.title.toLowerCase(),
+  most_used: snippet => snippet.copy_count || 0,
+  recently_used: snippet => snippet.last_copied_at || ''
+};
+
+/**
+ * Search snippets kept for offline use
+ * Understands the search bar's filters (lang:, tag:, title:, before:,
+ * after:, quotes and leading '-') and matches free words against titles,
+ * code and tags. Collections match exactly; nested collections and
+ * relevance ranking need the server.
+ * @param {Array} snippets - Cached snippets
+ * @param {string} searchQuery - Search query
+ * @param {Object} options - { sort, workspace, collection, pinned, userId }
+ * @returns {Array} Matching snippets in the requested order
+ */
+export const searchCachedSnippets = (snippets, searchQuery = '', options = {}) => {
+  const clauses = [...searchQuery.matchAll(/(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g)]
+    .map(([, negate, field, quoted, bare]) => ({
+      negate: negate === '-',
+      field: field ? field.toLowerCase() : 'text',
+      value: (quoted !== undefined ? quoted : bare).toLowerCase()
+    }));
+
+  const matchesClause = (snippet, { field, value }) => {
+    const day = (snippet.created_at || '').slice(0, 10);
+    const tags = snippet.tags.map(tag => tag.toLowerCase());
+
+    switch (field) {
+      case 'lang':
+      case 'language':
+        return snippet.language.toLowerCase() === value;
+      case 'tag':
+        return tags.includes(value);
+      case 'title':
+        return snippet.title.toLowerCase().includes(value);
+      case 'before':
+        return day < value;
+      case 'after':
+        return day > value;
+      default:
+        return [snippet.title, snippet.code, ...tags].some(text => text.toLowerCase().includes(value));
+    }
+  };
+
+  const inView = (snippet) => {
+    if (options.pinned && !snippet.pinned) return false;
+    if (options.workspace === 'personal' && snippet.owner_id !== options.userId) return false;
+    if (options.workspace && !['all', 'personal'].includes(options.workspace) &&
+        !(snippet.visibility === 'team' && String(snippet.team_id) === String(options.workspace))) return false;
+    if (options.collection === 'none') return !snippet.collection_id;
+    if (options.collection) return String(snippet.collection_id) === String(options.collection);
+    return true;
+  };
+
+  const sortKey = CACHED_SORTS[options.sort] || (snippet => snippet.created_at || '');
+  const ascending = options.sort === 'title';
+
+  return snippets
+    .filter(snippet => inView(snippet) && clauses.every(clause => matchesClause(snippet, clause) !== clause.negate))
+    .sort((a, b) => {
+      const [first, second] = ascending ? [a, b] : [b, a];
+      const keyA = sortKey(first);
+      const keyB = sortKey(second);
+      return keyA < keyB ? -1 : keyA > keyB ? 1 : first.id - second.id;
+    });
+};
@@ -0,0 +1,201 @@
+/**
+ * Shared API Client
+ * The request and response contract of the REST API, used by the frontend
+ * (through src/js/api.js) and by the `snip` command-line client so both send
+ * the same requests and read the same responses.
+ *
+ * Written as a plain script: Node loads it with require(), and the browser
+ * runs it as a side-effect import that sets globalThis.SnippetApiClient.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnippetApiClient = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Options of GET /api/snippets passed through from callers
+  const LIST_OPTIONS = ['limit', 'cursor', 'sort', 'order', 'workspace', 'collection', 'subcollections', 'pinned', 'highlight'];
+
+  /**
+   * Create a client for one server
+   * @param {Object} options - { baseUrl } of the API such as
+   *   http://localhost:5000/api, and optionally a personal access token,
+   *   fetch credentials mode ('include' sends the browser session cookie),
+   *   a fetch implementation and an onError callback for failed requests
+   * @returns {Object} Client with request() and one method per endpoint
+   */
+  const createApiClient = (options) => {
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+    const fetchImpl = options.fetch || ((url, init) => fetch(url, init));
+
+    /**
+     * Send a request and parse the JSON response
+     * Failed requests throw an Error with the API's message, the HTTP status
+     * and, for validation errors, details by field.
+     * @param {string} path - Path below the base URL, e.g. /snippets
+     * @param {Object} init - Fetch options (method, headers, body, etc.)
+     * @returns {Promise<Object>} Response body
+     */
+    const request = async (path, init = {}) => {
+      const headers = Object.assign(
+        { 'Content-Type': 'application/json' },
+        options.token ? { Authorization: `Bearer ${options.token}` } : {},
+        init.headers
+      );
+
+      try {
+        const response = await fetchImpl(`${baseUrl}${path}`, Object.assign({}, init, {
+          credentials: options.credentials,
+          headers
+        }));
+        const data = await response.json();
+
+        if (!response.ok) {
+          const error = new Error(data.message || 'API request failed');
+          error.status = response.status;
+          error.details = data.details;
+          throw error;
+        }
+
+        return data;
+      } catch (error) {
+        if (options.onError) options.onError(error);
+        throw error;
+      }
+    };
+
+    return {
+      request,
+
+      /**
+       * Get one page of snippets
+       * @param {string} searchQuery - Optional search query, e.g. "lang:go retry"
+       * @param {Object} listOptions - Any of LIST_OPTIONS
+       * @returns {Promise<Object>} Page { snippets, total, nextCursor }
+       */
+      getSnippets: async (searchQuery = '', listOptions = {}) => {
+        const params = new URLSearchParams();
+
+        if (searchQuery) params.set('search', searchQuery);
+        LIST_OPTIONS.forEach(key => {
+          if (listOptions[key]) params.set(key, listOptions[key]);
+        });
+
+        const query = params.toString();
+        const response = await request(query ? `/snippets?${query}` : '/snippets');
+        return {
+          snippets: response.data,
+          total: response.total,
+          nextCursor: response.nextCursor
+        };
+      },
+
+      /**
+       * Get one snippet
+       * @param {number} snippetId - Snippet ID
+       * @returns {Promise<Object>} Snippet with tags and files
+       */
+      getSnippet: async (snippetId) => {
+        const response = await request(`/snippets/${snippetId}`);
+        return response.data;
+      },
+
+      /**
+       * Create a snippet
+       * @param {Object} snippetData - { title, code, language, tags, ... }, or
+       *   files[] { filename, language, content } in place of code and language
+       * @returns {Promise<Object>} Response { data, detection }
+       */
+      createSnippet: (snippetData) => {
+        return request('/snippets', { method: 'POST', body: JSON.stringify(snippetData) });
+      },
+
+      /**
+       * Replace a snippet (PUT)
+       * @param {number} snippetId - Snippet ID
+       * @param {Object} snippetData - The full snippet, as for createSnippet
+       * @returns {Promise<Object>} Response { data, detection }
+       */
+      updateSnippet: (snippetId, snippetData) => {
+        return request(`/snippets/${snippetId}`, { method: 'PUT', body: JSON.stringify(snippetData) });
+      },
+
+      /**
+       * Change some fields of a snippet (PATCH)
+       * @param {number} snippetId - Snippet ID
+       * @param {Object} changes - Fields to change
+       * @returns {Promise<Object>} Response { data, detection }
+       */
+      patchSnippet: (snippetId, changes) => {
+        return request(`/snippets/${snippetId}`, { method: 'PATCH', body: JSON.stringify(changes) });
+      },
+
+      /**
+       * Move a snippet to the trash
+       * @param {number} snippetId - Snippet ID
+       * @returns {Promise<Object>} Response { success, message }
+       */
+      deleteSnippet: (snippetId) => {
+        return request(`/snippets/${snippetId}`, { method: 'DELETE' });
+      },
+
+      /**
+       * Move a snippet to the trash unless it changed since the caller saw it
+       * A snippet never edited has a null updated_at, which counts as a
+       * version like any other, so editing it afterwards keeps it.
+       * @param {number} snippetId - Snippet ID
+       * @param {string|null} updatedAt - updated_at of the copy the caller saw
+       * @returns {Promise<Object>} { deleted, snippet }: deleted is also true
+       *   when the snippet was already gone; snippet is the server's copy when
+       *   it was kept
+       */
+      deleteSnippetIfUnchanged: async (snippetId, updatedAt) => {
+        let current;
+        try {
+          current = (await request(`/snippets/${snippetId}`)).data;
+        } catch (error) {
+          if (error.status === 404) return { deleted: true, snippet: null };
+          throw error;
+        }
+
+        if ((current.updated_at ?? null) !== (updatedAt ?? null)) {
+          return { deleted: false, snippet: current };
+        }
+
+        await request(`/snippets/${snippetId}`, { method: 'DELETE' });
+        return { deleted: true, snippet: null };
+      },
+
+      /**
+       * Get the enabled languages from the language registry
+       * @returns {Promise<Array>} Languages { id, name, category, extensions, prism, ... }
+       */
+      getLanguages: async () => {
+        const response = await request('/languages');
+        return response.data;
+      },
+
+      /**
+       * Guess the language of some code
+       * @param {string} code - Code to inspect
+       * @param {string} title - Title or file name, which may name the language
+       * @returns {Promise<Object>} { language, confidence, candidates }
+       */
+      detectLanguage: async (code, title = '') => {
+        const response = await request('/detect-language', {
+          method: 'POST',
+          body: JSON.stringify({ code, title })
+        });
+        return response.data;
+      }
+    };
+  };
+
+  return {
+    createApiClient
+  };
+});
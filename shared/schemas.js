@@ -0,0 +1,509 @@
+/**
+ * Shared Validation Schemas
+ * Field rules for accounts, snippets, tags and list queries, used by the API's
+ * validation middleware and by the frontend forms so both check the same
+ * things.
+ *
+ * Written as a plain script: Node loads it with require(), and the browser
+ * runs it as a side-effect import that sets globalThis.SnippetSchemas.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnippetSchemas = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Size limits
+  const TITLE_MAX_LENGTH = 200;
+  const CODE_MAX_LENGTH = 100000;
+  const TAG_MAX_LENGTH = 50;
+  const MAX_TAGS = 20;
+  const SEARCH_MAX_LENGTH = 500;
+  const MAX_PAGE_SIZE = 100;
+  const COLLECTION_NAME_MAX_LENGTH = 100;
+  const LANGUAGE_NAME_MAX_LENGTH = 50;
+  const MAX_EXTENSIONS = 20;
+  const FILENAME_MAX_LENGTH = 255;
+  const MAX_FILES = 20;
+  const MAX_BULK_IDS = 100;
+  const MIN_PASSWORD_LENGTH = 8;
+  const TEAM_NAME_MAX_LENGTH = 100;
+  const TOKEN_NAME_MAX_LENGTH = 100;
+
+  // Language IDs: the registry (GET /api/languages) decides which exist
+  const LANGUAGE_ID_MAX_LENGTH = 30;
+  const LANGUAGE_ID_PATTERN = /^[a-z0-9][a-z0-9+#._-]*$/;
+
+  // Sent as a snippet language to have it detected from the code and title
+  const AUTO_LANGUAGE = 'auto';
+
+  // Who can see a snippet
+  const VISIBILITY_OPTIONS = ['private', 'team', 'public'];
+
+  // Sort keys and directions accepted by GET /api/snippets
+  const SORT_OPTIONS = ['created', 'updated', 'title', 'language', 'relevance', 'most_used', 'recently_used'];
+  const ORDER_OPTIONS = ['asc', 'desc'];
+
+  // Operations of POST /api/snippets/bulk
+  const BULK_OPERATIONS = ['delete', 'add_tags', 'remove_tags', 'set_language', 'move'];
+
+  // Roles of team members
+  const TEAM_ROLES = ['admin', 'member'];
+
+  // What a personal access token may do
+  const TOKEN_SCOPES = ['snippets:read', 'snippets:write', 'snippets:delete'];
+
+  // Formats of POST /api/import, and what to do with titles the user already has
+  const IMPORT_FORMATS = ['json', 'markdown', 'gist', 'zip', 'files'];
+  const DUPLICATE_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+  /*
+   * Field rules:
+   *   label     - Name used in messages
+   *   type      - 'string', 'integer' (numbers or digit strings), 'boolean',
+   *               'array' or 'object'; left out, any value is accepted
+   *   required  - Must be present and, for strings, not blank
+   *   requiredUnless - Required unless the named field is sent instead
+   *   requiredWith - { field, values }: required when the named field has
+   *               one of the values
+   *   notBlank  - May be omitted, but not sent empty
+   *   nullable  - null is allowed (and skips the other checks)
+   *   minLength, maxLength, oneOf, pattern (with patternMessage), min, max
+   *   items, minItems, maxItems - Rule for each array entry and the entry limits
+   *   values    - Rule for each value of an object
+   *   fields    - Rules for the named properties of an object
+   */
+
+  const tagName = {
+    label: 'Each tag',
+    type: 'string',
+    notBlank: true,
+    maxLength: TAG_MAX_LENGTH
+  };
+
+  const languageId = {
+    label: 'Language',
+    type: 'string',
+    maxLength: LANGUAGE_ID_MAX_LENGTH,
+    pattern: LANGUAGE_ID_PATTERN,
+    patternMessage: 'Language must be a language ID such as python, or auto'
+  };
+
+  // One file of a multi-file snippet; the language is detected when omitted
+  const snippetFile = {
+    label: 'Each file',
+    type: 'object',
+    fields: {
+      filename: {
+        label: 'File name',
+        type: 'string',
+        required: true,
+        maxLength: FILENAME_MAX_LENGTH,
+        pattern: /^(?!\.\.?$)[^/\\]+$/,
+        patternMessage: 'File name must be a plain name without slashes'
+      },
+      language: languageId,
+      content: { label: 'File content', type: 'string', required: true, maxLength: CODE_MAX_LENGTH }
+    }
+  };
+
+  const snippetFields = {
+    title: { label: 'Title', type: 'string', notBlank: true, maxLength: TITLE_MAX_LENGTH },
+    code: { label: 'Code', type: 'string', notBlank: true, maxLength: CODE_MAX_LENGTH },
+    language: languageId,
+    files: { label: 'Files', type: 'array', items: snippetFile, minItems: 1, maxItems: MAX_FILES },
+    tags: { label: 'Tags', type: 'array', items: tagName, maxItems: MAX_TAGS },
+    visibility: { label: 'Visibility', type: 'string', oneOf: VISIBILITY_OPTIONS },
+    team_id: { label: 'Team', type: 'integer', nullable: true, min: 1 },
+    collection_id: { label: 'Collection', type: 'integer', nullable: true, min: 1 }
+  };
+
+  const languageFields = {
+    id: {
+      label: 'ID',
+      type: 'string',
+      maxLength: LANGUAGE_ID_MAX_LENGTH,
+      pattern: LANGUAGE_ID_PATTERN,
+      patternMessage: 'ID must be lowercase letters, digits and + # . _ -'
+    },
+    name: { label: 'Name', type: 'string', notBlank: true, maxLength: LANGUAGE_NAME_MAX_LENGTH },
+    category: { label: 'Category', type: 'string', notBlank: true, maxLength: LANGUAGE_NAME_MAX_LENGTH },
+    extensions: {
+      label: 'Extensions',
+      type: 'array',
+      maxItems: MAX_EXTENSIONS,
+      items: {
+        label: 'Each extension',
+        type: 'string',
+        maxLength: 30,
+        pattern: /^\.?[\w.+-]+$/,
+        patternMessage: 'Each extension must be a file extension such as .tf'
+      }
+    },
+    prism: {
+      label: 'Prism grammar',
+      type: 'string',
+      maxLength: LANGUAGE_ID_MAX_LENGTH,
+      pattern: /^[a-z0-9-]+$/,
+      patternMessage: 'Prism grammar must be a Prism language name such as bash'
+    },
+    line_comment: { label: 'Line comment', type: 'string', nullable: true, maxLength: 10 },
+    block_comment_start: { label: 'Block comment start', type: 'string', nullable: true, maxLength: 10 },
+    block_comment_end: { label: 'Block comment end', type: 'string', nullable: true, maxLength: 10 },
+    enabled: { label: 'Enabled', type: 'boolean' }
+  };
+
+  const collectionName = {
+    label: 'Name',
+    type: 'string',
+    required: true,
+    maxLength: COLLECTION_NAME_MAX_LENGTH
+  };
+
+  /**
+   * Copy field rules, marking some of them required
+   * @param {Object} fields - Field rules
+   * @param {Array<string>} required - Names of required fields
+   * @returns {Object} Schema
+   */
+  const withRequired = (fields, required) => {
+    const schema = {};
+    Object.keys(fields).forEach(name => {
+      schema[name] = required.includes(name)
+        ? Object.assign({}, fields[name], { required: true })
+        : fields[name];
+    });
+    return schema;
+  };
+
+  /**
+   * Copy field rules, leaving some of them out
+   * @param {Object} fields - Field rules
+   * @param {Array<string>} omitted - Names of fields to leave out
+   * @returns {Object} Schema
+   */
+  const without = (fields, omitted) => {
+    const schema = {};
+    Object.keys(fields).forEach(name => {
+      if (!omitted.includes(name)) schema[name] = fields[name];
+    });
+    return schema;
+  };
+
+  const schemas = {
+    // POST /api/auth/register (usernames are saved trimmed and lowercased)
+    register: {
+      username: {
+        label: 'Username',
+        type: 'string',
+        required: true,
+        pattern: /^\s*[A-Za-z0-9_.-]{3,32}\s*$/,
+        patternMessage: 'Username must be 3-32 characters of letters, numbers, dots, dashes or underscores'
+      },
+      password: { label: 'Password', type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH }
+    },
+
+    // POST /api/auth/login
+    login: {
+      username: { label: 'Username', type: 'string', required: true },
+      password: { label: 'Password', type: 'string', required: true }
+    },
+
+    // POST /api/teams
+    team: {
+      name: { label: 'Team name', type: 'string', required: true, maxLength: TEAM_NAME_MAX_LENGTH }
+    },
+
+    // POST /api/teams/:id/members
+    teamMember: {
+      username: { label: 'Username', type: 'string', required: true },
+      role: { label: 'Role', type: 'string', oneOf: TEAM_ROLES }
+    },
+
+    // POST /api/tokens (the API also checks that expires_at is in the future)
+    token: {
+      name: { label: 'Token name', type: 'string', required: true, maxLength: TOKEN_NAME_MAX_LENGTH },
+      scopes: {
+        label: 'Scopes',
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: { label: 'Each scope', type: 'string', oneOf: TOKEN_SCOPES }
+      },
+      expires_at: {
+        label: 'Expiry',
+        type: 'string',
+        nullable: true,
+        pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/,
+        patternMessage: 'Expiry must be an ISO date such as 2030-01-31'
+      }
+    },
+
+    // POST /api/import (data is a string, object or list depending on the format)
+    import: {
+      format: { label: 'Format', type: 'string', required: true, oneOf: IMPORT_FORMATS },
+      data: { label: 'Import data', required: true },
+      duplicates: { label: 'Duplicates', type: 'string', oneOf: DUPLICATE_STRATEGIES }
+    },
+
+    // POST /api/snippets and PUT /api/snippets/:id (files replace code)
+    snippet: Object.assign(withRequired(snippetFields, ['title']), {
+      code: Object.assign({}, snippetFields.code, { requiredUnless: 'files' })
+    }),
+
+    // PATCH /api/snippets/:id
+    snippetPatch: snippetFields,
+
+    // POST /api/snippets/:id/render
+    snippetRender: {
+      values: {
+        label: 'Values',
+        type: 'object',
+        values: { label: 'Each value', type: 'string', maxLength: CODE_MAX_LENGTH }
+      }
+    },
+
+    // POST /api/detect-language
+    detectLanguage: {
+      code: { label: 'Code', type: 'string', required: true, maxLength: CODE_MAX_LENGTH },
+      title: { label: 'Title', type: 'string', maxLength: TITLE_MAX_LENGTH }
+    },
+
+    // POST /api/languages (new languages start enabled)
+    language: withRequired(without(languageFields, ['enabled']), ['id', 'name']),
+
+    // PATCH /api/languages/:id (the ID cannot change)
+    languagePatch: without(languageFields, ['id']),
+
+    // GET /api/languages
+    languageQuery: {
+      all: { label: 'All', type: 'string', oneOf: ['true', 'false'] }
+    },
+
+    // PATCH /api/tags/:id
+    tagRename: {
+      name: { label: 'Name', type: 'string', required: true, maxLength: TAG_MAX_LENGTH }
+    },
+
+    // POST /api/tags/:id/merge
+    tagMerge: {
+      into: { label: 'Target tag', type: 'integer', required: true, min: 1 }
+    },
+
+    // POST /api/collections
+    collection: {
+      name: collectionName,
+      parent_id: { label: 'Parent collection', type: 'integer', nullable: true, min: 1 },
+      team_id: { label: 'Team', type: 'integer', nullable: true, min: 1 }
+    },
+
+    // PATCH /api/collections/:id
+    collectionRename: {
+      name: collectionName
+    },
+
+    // POST /api/collections/:id/move
+    collectionMove: {
+      parent_id: { label: 'Parent collection', type: 'integer', nullable: true, min: 1 },
+      position: { label: 'Position', type: 'integer', min: 0 }
+    },
+
+    // POST /api/snippets/bulk (each operation needs its own field)
+    snippetBulk: {
+      ids: {
+        label: 'Snippet IDs',
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_BULK_IDS,
+        items: { label: 'Each snippet ID', type: 'integer', min: 1 }
+      },
+      operation: { label: 'Operation', type: 'string', required: true, oneOf: BULK_OPERATIONS },
+      tags: Object.assign({}, snippetFields.tags, {
+        minItems: 1,
+        requiredWith: { field: 'operation', values: ['add_tags', 'remove_tags'] }
+      }),
+      language: Object.assign({}, languageId, {
+        requiredWith: { field: 'operation', values: ['set_language'] }
+      }),
+      collection_id: Object.assign({}, snippetFields.collection_id, {
+        requiredWith: { field: 'operation', values: ['move'] }
+      })
+    },
+
+    // GET /api/snippets query string
+    snippetQuery: {
+      search: { label: 'Search', type: 'string', maxLength: SEARCH_MAX_LENGTH },
+      limit: { label: 'Limit', type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+      cursor: { label: 'Cursor', type: 'string' },
+      sort: { label: 'Sort', type: 'string', oneOf: SORT_OPTIONS },
+      order: { label: 'Order', type: 'string', oneOf: ORDER_OPTIONS },
+      workspace: {
+        label: 'Workspace',
+        type: 'string',
+        pattern: /^(all|personal|\d+)$/,
+        patternMessage: 'Workspace must be all, personal, or a team ID'
+      },
+      collection: {
+        label: 'Collection',
+        type: 'string',
+        pattern: /^(none|\d+)$/,
+        patternMessage: 'Collection must be none or a collection ID'
+      },
+      subcollections: { label: 'Subcollections', type: 'string', oneOf: ['true', 'false'] },
+      pinned: { label: 'Pinned', type: 'string', oneOf: ['true', 'false'] },
+      highlight: { label: 'Highlight', type: 'string', oneOf: ['true', 'false'] }
+    }
+  };
+
+  /**
+   * Check one value against a field rule
+   * @param {*} value - Value to check
+   * @param {Object} rule - Field rule
+   * @returns {string|null} Error message, or null when valid
+   */
+  const checkField = (value, rule) => {
+    const label = rule.label;
+
+    if (value === undefined || (value === null && !rule.nullable)) {
+      if (rule.required) return `${label} is required`;
+      if (value === null && rule.notBlank) return `${label} cannot be empty`;
+      return value === null ? `${label} cannot be null` : null;
+    }
+
+    if (value === null) return null;
+
+    if (rule.type === 'string') {
+      if (typeof value !== 'string') return `${label} must be text`;
+      if ((rule.required || rule.notBlank) && value.trim().length === 0) {
+        return rule.required ? `${label} is required` : `${label} cannot be empty`;
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `${label} must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${label} must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${label} must be one of: ${rule.oneOf.join(', ')}`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return rule.patternMessage || `${label} is not valid`;
+      }
+      return null;
+    }
+
+    if (rule.type === 'integer') {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(number)) return `${label} must be a whole number`;
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        return rule.max !== undefined
+          ? `${label} must be from ${rule.min} to ${rule.max}`
+          : `${label} must be at least ${rule.min}`;
+      }
+      return null;
+    }
+
+    if (rule.type === 'boolean') {
+      return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    }
+
+    if (rule.type === 'array') {
+      if (!Array.isArray(value)) return `${label} must be a list`;
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `${label} must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `${label} can have at most ${rule.maxItems} entries`;
+      }
+      if (rule.items) {
+        for (const item of value) {
+          const error = checkField(item, rule.items);
+          if (error) return error;
+        }
+      }
+      return null;
+    }
+
+    if (rule.type === 'object') {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${label} must be an object`;
+      if (rule.values) {
+        for (const entry of Object.values(value)) {
+          const error = checkField(entry, rule.values);
+          if (error) return error;
+        }
+      }
+      if (rule.fields) {
+        for (const name of Object.keys(rule.fields)) {
+          const error = checkField(value[name], rule.fields[name]);
+          if (error) return error;
+        }
+      }
+      return null;
+    }
+
+    return null;
+  };
+
+  /**
+   * Validate data against a schema
+   * Fields the schema does not list are ignored.
+   * @param {Object} schema - Schema from `schemas`
+   * @param {Object} data - Request body, query or form values
+   * @returns {Object} { isValid, errors } where errors maps field names to messages
+   */
+  const validate = (schema, data) => {
+    const source = data && typeof data === 'object' ? data : {};
+    const errors = {};
+
+    Object.keys(schema).forEach(field => {
+      let rule = schema[field];
+      if (rule.requiredUnless && source[rule.requiredUnless] === undefined) {
+        rule = Object.assign({}, rule, { required: true });
+      }
+      if (rule.requiredWith && rule.requiredWith.values.includes(source[rule.requiredWith.field])) {
+        rule = Object.assign({}, rule, { required: true });
+      }
+
+      const error = checkField(source[field], rule);
+      if (error) errors[field] = error;
+    });
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  };
+
+  return {
+    TITLE_MAX_LENGTH,
+    CODE_MAX_LENGTH,
+    TAG_MAX_LENGTH,
+    MAX_TAGS,
+    MAX_PAGE_SIZE,
+    COLLECTION_NAME_MAX_LENGTH,
+    LANGUAGE_ID_MAX_LENGTH,
+    LANGUAGE_ID_PATTERN,
+    FILENAME_MAX_LENGTH,
+    MAX_FILES,
+    MAX_BULK_IDS,
+    MIN_PASSWORD_LENGTH,
+    TEAM_NAME_MAX_LENGTH,
+    TOKEN_NAME_MAX_LENGTH,
+    AUTO_LANGUAGE,
+    VISIBILITY_OPTIONS,
+    SORT_OPTIONS,
+    ORDER_OPTIONS,
+    BULK_OPERATIONS,
+    TEAM_ROLES,
+    TOKEN_SCOPES,
+    IMPORT_FORMATS,
+    DUPLICATE_STRATEGIES,
+    schemas,
+    validate
+  };
+});